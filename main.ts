@@ -6,6 +6,17 @@ import * as updates from './src/ts/modules/updates-main'
 import * as windowManager from './src/ts/modules/window'
 import * as ipcManager from './src/ts/modules/ipc'
 import * as menuManager from './src/ts/modules/menu'
+import * as configSchema from './src/ts/modules/configSchema'
+import * as secrets from './src/ts/modules/secrets'
+import * as launchOptions from './src/ts/modules/launchOptions'
+import * as kiosk from './src/ts/modules/kiosk'
+import * as viewerWindows from './src/ts/modules/viewerWindows'
+import * as deepLinks from './src/ts/modules/deepLinks'
+import * as httpApi from './src/ts/modules/httpApi'
+import * as mqttBridge from './src/ts/modules/mqttBridge'
+import * as controlSocket from './src/ts/modules/controlSocket'
+import * as viewerEvents from './src/ts/modules/viewerEvents'
+import * as shutdown from './src/ts/modules/shutdown'
 
 const { app, protocol, net } = require('electron') as typeof import('electron')
 
@@ -38,28 +49,43 @@ if (process.env.NODE_ENV === 'development') {
 interface StoreInterface {
   get: (key: string) => unknown
   set: (...args: unknown[]) => void
+  delete: (key: string) => void
   clear: () => void
   store: Record<string, unknown>
 }
 
 let store: StoreInterface
 
-const resetRequested = process.argv.includes('--reset')
+const launch = launchOptions.parseArgs(process.argv.slice(1))
+const resetRequested = launch.options.reset === true
 
 // Initialize store
 async function initializeStore(): Promise<void> {
+  if (launch.options.config) {
+    try {
+      store = launchOptions.createSessionStore(launchOptions.loadConfigFile(launch.options.config))
+      utils.log(`Using configuration from ${launch.options.config} for this session`)
+      return
+    } catch (error) {
+      utils.logError('Failed to load --config file, using saved configuration:', error)
+    }
+  }
+
   try {
     const Store = (await import('electron-store')).default
     store = new Store() as unknown as StoreInterface
     if (resetRequested) {
       store.clear()
     }
+    configSchema.upgradeStore(store)
+    secrets.migratePlaintextSecrets(store)
   } catch (error) {
     console.error('Failed to initialize store:', error)
     // Create a memory-only store as fallback
     store = {
       get: (_key: string) => null,
       set: () => {},
+      delete: () => {},
       clear: () => {},
       store: {},
     }
@@ -68,6 +94,58 @@ async function initializeStore(): Promise<void> {
 
 // Wait until Electron app is ready
 async function start(): Promise<void> {
+  if (launch.options.help) {
+    process.stdout.write(launchOptions.USAGE)
+    app.exit(0)
+    return
+  }
+
+  // Only one instance may use the store and session. Later launches hand
+  // their arguments to this one and exit.
+  if (!app.requestSingleInstanceLock({ argv: process.argv.slice(1) })) {
+    utils.log('Another instance is already running, forwarding arguments to it')
+    app.quit()
+    return
+  }
+
+  let mainWindow: Electron.BrowserWindow | null = null
+  const pendingForwardedArgs: string[][] = []
+  const pendingLinks: string[] = []
+
+  // upv:// links arrive as a launch argument (Windows, Linux) or through
+  // open-url (macOS), possibly before the main window exists
+  deepLinks.registerProtocolClient()
+  const openLink = (link: string) => {
+    if (mainWindow) {
+      deepLinks.openDeepLink(mainWindow, link)
+    } else {
+      pendingLinks.push(link)
+    }
+  }
+  const launchLink = deepLinks.findDeepLink(process.argv.slice(1))
+  if (launchLink) pendingLinks.push(launchLink)
+  app.on('open-url', (event, url) => {
+    event.preventDefault()
+    openLink(url)
+  })
+
+  app.on('second-instance', (_event, commandLine, _workingDirectory, additionalData) => {
+    const data = additionalData as { argv?: unknown } | undefined
+    const argv = Array.isArray(data?.argv) ? data.argv.map(String) : commandLine.slice(1)
+    if (mainWindow) {
+      launchOptions.applyForwardedArgs(mainWindow, store, argv)
+    } else {
+      pendingForwardedArgs.push(argv)
+    }
+    const link = deepLinks.findDeepLink(argv)
+    if (link) openLink(link)
+  })
+
+  for (const warning of launch.warnings) {
+    utils.logWarn(warning)
+  }
+  launchOptions.setLaunchOptions(launch.options)
+
   await app.whenReady()
 
   // Register app:// protocol handler to serve local files from the app root
@@ -82,9 +160,11 @@ async function start(): Promise<void> {
   })
 
   await initializeStore()
+  launchOptions.applyProfileOverrides(store)
 
-  const mainWindow = await windowManager.createWindow(store)
+  mainWindow = await windowManager.createWindow(store, launch.options)
   ipcManager.setupIpcHandlers(mainWindow, store)
+  viewerEvents.initialize(mainWindow)
 
   // Initialize update system with error handling
   try {
@@ -95,6 +175,44 @@ async function start(): Promise<void> {
 
   // Set up application menu
   menuManager.setupApplicationMenu(mainWindow, store)
+
+  kiosk.initialize(mainWindow, store, launch.options.kiosk)
+
+  // Reopen extra viewer windows from the last session
+  viewerWindows.restoreWindows(store)
+
+  // Start the HTTP control API and MQTT bridge if the user turned them on
+  await httpApi.applySettings(mainWindow, store)
+  await mqttBridge.applySettings(mainWindow, store)
+
+  // Local socket for scripts/upv-ctl.js
+  await controlSocket.start(mainWindow)
+
+  // Hold the quit until the MQTT bridge has marked the viewer offline and the
+  // HTTP API has closed its event streams, or the timeout runs out
+  let servicesStopped = false
+  app.on('will-quit', (event) => {
+    if (servicesStopped) return
+    event.preventDefault()
+    shutdown.stopServices().finally(() => {
+      servicesStopped = true
+      app.quit()
+    })
+  })
+
+  for (const argv of pendingForwardedArgs.splice(0)) {
+    launchOptions.applyForwardedArgs(mainWindow, store, argv)
+  }
+
+  // Links that arrived during startup need the page to act on
+  if (pendingLinks.length > 0) {
+    const window = mainWindow
+    window.webContents.once('did-finish-load', () => {
+      for (const link of pendingLinks.splice(0)) {
+        deepLinks.openDeepLink(window, link)
+      }
+    })
+  }
 }
 
 // Start the app
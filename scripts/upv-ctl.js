@@ -0,0 +1,171 @@
+#!/usr/bin/env node
+/**
+ * Control a running UniFi Protect Viewer from the shell.
+ *
+ * Usage: node scripts/upv-ctl.js <command> [args] [--json] [--socket <path>]
+ *
+ * Talks to the viewer's control socket (src/ts/modules/controlSocket.ts):
+ * one JSON request line, one JSON response line. Exits 0 on success, 1 when
+ * the viewer refuses the command, 2 for usage errors and 3 when no viewer is
+ * running.
+ */
+
+const net = require('net')
+const os = require('os')
+const path = require('path')
+
+const PRODUCT_NAME = 'UniFi Protect Viewer'
+const TIMEOUT_MS = 5000
+
+const USAGE = `Usage: upv-ctl <command> [args] [--json] [--socket <path>]
+
+Commands:
+  status                    Show the viewer's state
+  zoom <camera>             Zoom a camera by position (1, 2, …) or name
+  all                       Show all cameras
+  toggle <nav|header|all|widget-panel>
+                            Toggle part of the UI
+  fullscreen [on|off]       Toggle fullscreen, or turn it on or off
+  dashboard                 Return to the dashboard
+  reload                    Reload the page
+  restart                   Restart the viewer
+
+Options:
+  --json                    Print the raw JSON response
+  --socket <path>           Control socket to use instead of the default
+`
+
+/** Default socket path; matches controlSocket.socketPath() */
+function defaultSocketPath() {
+  if (process.platform === 'win32') {
+    return `\\\\.\\pipe\\unifi-protect-viewer-${os.userInfo().username}`
+  }
+  const home = os.homedir()
+  const configDir =
+    process.platform === 'darwin'
+      ? path.join(home, 'Library', 'Application Support')
+      : process.env.XDG_CONFIG_HOME || path.join(home, '.config')
+  return path.join(configDir, PRODUCT_NAME, 'control.sock')
+}
+
+function usageError(message) {
+  console.error(`upv-ctl: ${message}\n\n${USAGE}`)
+  process.exit(2)
+}
+
+/**
+ * Turn command-line words into a socket request.
+ */
+function buildRequest(words) {
+  const [name, ...rest] = words
+  const arg = rest.join(' ')
+  switch (name) {
+    case 'status':
+    case 'dashboard':
+    case 'reload':
+    case 'restart':
+      return { command: name }
+    case 'all':
+    case 'show-all':
+      return { command: 'show-all' }
+    case 'zoom': {
+      if (!arg) usageError('zoom needs a camera position or name')
+      return { command: 'zoom-camera', args: { camera: /^\d+$/.test(arg) ? Number(arg) : arg } }
+    }
+    case 'toggle': {
+      if (!['nav', 'header', 'all', 'widget-panel'].includes(arg)) {
+        usageError('toggle needs one of nav, header, all, widget-panel')
+      }
+      return { command: `toggle-${arg}` }
+    }
+    case 'fullscreen': {
+      if (!arg) return { command: 'fullscreen' }
+      if (arg !== 'on' && arg !== 'off') usageError('fullscreen takes on or off')
+      return { command: 'fullscreen', args: { fullscreen: arg === 'on' } }
+    }
+    case undefined:
+      return usageError('no command given')
+    default:
+      return usageError(`unknown command "${name}"`)
+  }
+}
+
+function formatStatus(status) {
+  const zoomed = status.zoomedCamera ? `${status.zoomedCamera.position}. ${status.zoomedCamera.name}` : 'none'
+  const lines = [
+    `Page:        ${status.page}`,
+    `Liveview:    ${status.liveview ? status.liveview.name : '-'}`,
+    `Zoomed:      ${zoomed}`,
+    `Navigation:  ${status.ui.navHidden ? 'hidden' : 'shown'}`,
+    `Header:      ${status.ui.headerHidden ? 'hidden' : 'shown'}`,
+    `Fullscreen:  ${status.ui.isFullscreen ? 'yes' : 'no'}`,
+    `Kiosk:       ${status.kiosk ? 'yes' : 'no'}`,
+    `Cameras:     ${status.cameras.length === 0 ? '-' : ''}`,
+  ]
+  for (const camera of status.cameras) lines.push(`  ${camera.position}. ${camera.name}`)
+  return lines.join('\n')
+}
+
+/**
+ * Send one request and resolve with the response.
+ */
+function send(socketPath, request) {
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection(socketPath)
+    let buffer = ''
+    socket.setEncoding('utf8')
+    socket.setTimeout(TIMEOUT_MS, () => {
+      socket.destroy()
+      reject(new Error('Timed out waiting for the viewer'))
+    })
+    socket.on('connect', () => socket.write(`${JSON.stringify(request)}\n`))
+    socket.on('data', (chunk) => {
+      buffer += chunk
+      const newline = buffer.indexOf('\n')
+      if (newline === -1) return
+      socket.end()
+      try {
+        resolve(JSON.parse(buffer.slice(0, newline)))
+      } catch {
+        reject(new Error('Unreadable response from the viewer'))
+      }
+    })
+    socket.on('error', reject)
+  })
+}
+
+async function main() {
+  const args = process.argv.slice(2)
+  let json = false
+  let socketPath = defaultSocketPath()
+  const words = []
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--json') json = true
+    else if (args[i] === '--socket') socketPath = args[++i] || usageError('--socket needs a path')
+    else if (args[i] === '-h' || args[i] === '--help') {
+      process.stdout.write(USAGE)
+      return
+    } else words.push(args[i])
+  }
+
+  const request = buildRequest(words)
+  let response
+  try {
+    response = await send(socketPath, request)
+  } catch (err) {
+    const notRunning = err.code === 'ENOENT' || err.code === 'ECONNREFUSED'
+    console.error(notRunning ? `upv-ctl: no viewer is running (${socketPath})` : `upv-ctl: ${err.message}`)
+    process.exit(3)
+  }
+
+  if (json) {
+    console.log(JSON.stringify(response, null, 2))
+  } else if (!response.ok) {
+    console.error(`upv-ctl: ${response.error}`)
+  } else if (response.status) {
+    console.log(formatStatus(response.status))
+  }
+  process.exit(response.ok ? 0 : 1)
+}
+
+main()
@@ -0,0 +1,132 @@
+/**
+ * Camera audio — renderer process only.
+ *
+ * Applies the audio settings (see audio.ts) to the tiles' `<video>` elements:
+ * to each video as it appears on the liveview, and to all of them when the
+ * settings or the zoomed camera change. In between, Protect's own speaker
+ * buttons still work. The audio hotkeys are sent to the main process, which
+ * saves the change and sends the new settings back to every window.
+ */
+
+import { logError } from './utils'
+import * as cameras from './cameras'
+import { showNotice } from './snapshots-renderer'
+import { applyAudioCommand, isAudioCommand, isTileMuted } from './audio'
+import type { AudioSettings } from '../types/cameras'
+
+const { ipcRenderer } = require('electron') as typeof import('electron')
+
+const LIVEVIEW_SELECTOR = '[class^=liveView__FullscreenWrapper]'
+
+let settings: AudioSettings | null = null
+let unsubscribeZoom: (() => void) | null = null
+let settingsListener: ((_event: unknown, next: AudioSettings) => void) | null = null
+// The liveview whose new videos are watched, and its observer
+let liveview: Element | null = null
+let liveviewObserver: MutationObserver | null = null
+
+function tileVideos(): HTMLVideoElement[] {
+  return [...document.querySelectorAll<HTMLVideoElement>('[data-viewport] video')]
+}
+
+function applyTo(videos: HTMLVideoElement[]): void {
+  if (!settings) return
+  const zoomed = cameras.getCurrentZoomIndex()
+  const volume = settings.volume / 100
+
+  for (const video of videos) {
+    const index = Number(video.closest('[data-viewport]')?.getAttribute('data-viewport'))
+    const muted = isTileMuted(settings, index, zoomed)
+    if (video.muted !== muted) video.muted = muted
+    if (video.volume !== volume) video.volume = volume
+  }
+}
+
+/** Tile videos among the added nodes, without searching the whole page */
+function addedVideos(records: MutationRecord[]): HTMLVideoElement[] {
+  const videos: HTMLVideoElement[] = []
+  for (const record of records) {
+    for (const node of record.addedNodes) {
+      if (!(node instanceof Element)) continue
+      const found = node.matches('video')
+        ? [node as HTMLVideoElement]
+        : node.querySelectorAll<HTMLVideoElement>('video')
+      for (const video of found) {
+        if (video.closest('[data-viewport]')) videos.push(video)
+      }
+    }
+  }
+  return videos
+}
+
+/**
+ * Use new settings from the main process.
+ */
+export function applySettings(next: AudioSettings): void {
+  settings = next
+  applyTo(tileVideos())
+}
+
+/**
+ * Load the settings and keep the tiles' videos in line with them as the
+ * settings and the zoomed camera change. Call once per page load, after
+ * cameras.watchZoomState().
+ */
+export function watchAudio(): void {
+  if (unsubscribeZoom) return
+
+  unsubscribeZoom = cameras.subscribeZoomChanges(() => applyTo(tileVideos()))
+  settingsListener = (_event: unknown, next: AudioSettings) => applySettings(next)
+  ipcRenderer.on('audio:settings', settingsListener)
+  ipcRenderer
+    .invoke('audio:get')
+    .then((loaded: AudioSettings) => applySettings(loaded))
+    .catch((err: unknown) => logError('Error loading audio settings:', err))
+}
+
+/**
+ * Apply the settings to the liveview's videos, and to each video Protect
+ * adds to it later (streams starting or being swapped). Called whenever the
+ * dashboard is initialized, as each liveview replaces the last.
+ */
+export function watchLiveviewAudio(): void {
+  const container = document.querySelector(LIVEVIEW_SELECTOR)
+  if (!container || container === liveview) return
+
+  liveviewObserver?.disconnect()
+  liveview = container
+  liveviewObserver = new MutationObserver((records) => {
+    const videos = addedVideos(records)
+    if (videos.length > 0) applyTo(videos)
+  })
+  liveviewObserver.observe(container, { childList: true, subtree: true })
+  applyTo(tileVideos())
+}
+
+function describeAudio(next: AudioSettings): string {
+  if (next.muted) return 'Audio muted'
+  return `${next.zoomedOnly ? 'Audio of the zoomed camera' : 'Audio of all cameras'} · volume ${next.volume}%`
+}
+
+/**
+ * Run an audio hotkey action; false if `action` isn't one. Says what the
+ * audio does now at the bottom of the screen.
+ */
+export function runAudioAction(action: string): boolean {
+  if (!isAudioCommand(action)) return false
+  if (settings) showNotice(describeAudio(applyAudioCommand(settings, action)), false)
+  ipcRenderer.send('audio:command', action)
+  return true
+}
+
+/** Forget settings and stop watching (test helper) */
+export function _resetAudio(): void {
+  unsubscribeZoom?.()
+  unsubscribeZoom = null
+  if (settingsListener) ipcRenderer.removeListener('audio:settings', settingsListener)
+  settingsListener = null
+  liveviewObserver?.disconnect()
+  liveviewObserver = null
+  liveview = null
+  settings = null
+}
@@ -0,0 +1,62 @@
+/**
+ * Camera audio settings — shared by the main process and the renderer.
+ *
+ * Tiles are muted (the default), heard from the zoomed camera only, or all
+ * heard, at one volume. The main process stores the settings and sends them
+ * to every window; audio-renderer.ts applies them to the tiles' videos.
+ *
+ * No Electron imports.
+ */
+
+import type { AudioCommand, AudioSettings } from '../types/cameras'
+
+export const AUDIO_COMMANDS: readonly AudioCommand[] = [
+  'toggle-mute',
+  'toggle-zoomed-audio',
+  'volume-up',
+  'volume-down',
+]
+
+/** Volume up/down step, in percent */
+export const VOLUME_STEP = 10
+
+export function isAudioCommand(value: unknown): value is AudioCommand {
+  return AUDIO_COMMANDS.includes(value as AudioCommand)
+}
+
+/**
+ * Saved settings, with defaults for anything unset.
+ */
+export function getAudioSettings(store: { get: (key: string) => unknown }): AudioSettings {
+  const volume = store.get('audioVolume')
+  return {
+    muted: store.get('audioMuted') !== false,
+    zoomedOnly: store.get('audioZoomedOnly') !== false,
+    volume:
+      typeof volume === 'number' && Number.isFinite(volume) ? Math.min(100, Math.max(0, Math.round(volume))) : 100,
+  }
+}
+
+/**
+ * The settings after a command.
+ */
+export function applyAudioCommand(settings: AudioSettings, command: AudioCommand): AudioSettings {
+  switch (command) {
+    case 'toggle-mute':
+      return { ...settings, muted: !settings.muted }
+    case 'toggle-zoomed-audio':
+      return { ...settings, zoomedOnly: !settings.zoomedOnly }
+    case 'volume-up':
+      return { ...settings, volume: Math.min(100, settings.volume + VOLUME_STEP) }
+    case 'volume-down':
+      return { ...settings, volume: Math.max(0, settings.volume - VOLUME_STEP) }
+  }
+}
+
+/**
+ * Whether a tile is muted, given the zoomed tile (-1 for the grid).
+ */
+export function isTileMuted(settings: AudioSettings, index: number, zoomedIndex: number): boolean {
+  if (settings.muted) return true
+  return settings.zoomedOnly && index !== zoomedIndex
+}
@@ -0,0 +1,155 @@
+/**
+ * Camera tour for dashboard liveviews — renderer-side module.
+ *
+ * Zooms each camera of the current liveview in turn, optionally showing the
+ * grid after the last one. Started and stopped from the Cameras menu; user
+ * interaction pauses it (interactionPause.ts). A badge shows where it is.
+ */
+
+import { log, logError } from './utils'
+import * as cameras from './cameras'
+import * as interactionPause from './interactionPause'
+import { CAMERA_TOUR_RESUME_DELAY_MS } from './constants'
+import type { CameraTourOptions } from '../types/cameras'
+
+const { ipcRenderer } = require('electron') as typeof import('electron')
+
+const INDICATOR_ID = 'upv-camera-tour'
+const STYLE_ID = 'upv-camera-tour-styles'
+
+/** Tour step that shows the grid instead of a camera */
+export const GRID_STEP = -1
+
+export const CAMERA_TOUR_STYLES = /*css*/ `
+#${INDICATOR_ID} {
+  position: fixed;
+  right: 12px;
+  bottom: 12px;
+  z-index: 2147483646;
+  padding: 4px 10px;
+  border-radius: 12px;
+  background: rgba(0, 0, 0, 0.6);
+  color: #dee0e3;
+  font: 12px -apple-system, BlinkMacSystemFont, 'Segoe UI', system-ui, sans-serif;
+  pointer-events: none;
+}
+
+#${INDICATOR_ID}.upv-tour-paused {
+  color: #f5a623;
+}
+`
+
+interface Tour extends interactionPause.PausableRun {
+  options: CameraTourOptions
+  /** Next step, counted from the start of the round */
+  step: number
+}
+
+let tour: Tour | null = null
+let stopWatchingInteraction: (() => void) | null = null
+
+/**
+ * The steps of one round: viewport indices in visual order, then the grid.
+ */
+export function buildSteps(order: number[], includeGrid: boolean): number[] {
+  return includeGrid ? [...order, GRID_STEP] : [...order]
+}
+
+export function isTourRunning(): boolean {
+  return tour !== null
+}
+
+function showIndicator(text: string, paused: boolean): void {
+  if (!document.getElementById(STYLE_ID)) {
+    const style = document.createElement('style')
+    style.id = STYLE_ID
+    style.textContent = CAMERA_TOUR_STYLES
+    document.head.appendChild(style)
+  }
+
+  let indicator = document.getElementById(INDICATOR_ID)
+  if (!indicator) {
+    indicator = document.createElement('div')
+    indicator.id = INDICATOR_ID
+    document.body.appendChild(indicator)
+  }
+  indicator.textContent = text
+  indicator.classList.toggle('upv-tour-paused', paused)
+}
+
+/**
+ * Show the next step and schedule the one after. Stops the tour when the
+ * dashboard or its cameras are gone.
+ */
+async function showNextStep(current: Tour): Promise<void> {
+  const dashboard = require('./dashboard') as typeof import('./dashboard')
+  const order = cameras.getVisualTileOrder()
+  if (!dashboard.isDashboardPage() || order.length === 0) {
+    stopTour()
+    return
+  }
+
+  const steps = buildSteps(order, current.options.includeGrid)
+  const position = current.step % steps.length
+  const index = steps[position]!
+  current.step = position + 1
+
+  if (index === GRID_STEP) {
+    await cameras.unzoomAll()
+  } else if (cameras.getCurrentZoomIndex() !== index) {
+    await cameras.zoomToCamera(index)
+  }
+  // Stopped, paused or restarted while zooming
+  if (tour !== current || current.paused) return
+
+  const name =
+    index === GRID_STEP ? 'All cameras' : (cameras.listCameras().find((camera) => camera.index === index)?.name ?? '')
+  showIndicator(`Tour ${position + 1}/${steps.length} · ${name}`, false)
+  current.timer = setTimeout(() => runStep(current), current.options.dwellMs)
+}
+
+function runStep(current: Tour): void {
+  current.timer = null
+  showNextStep(current).catch((err: unknown) => {
+    logError('Camera tour step failed:', err)
+  })
+}
+
+/**
+ * Hold the tour after user interaction; it resumes once the user has left it
+ * alone for CAMERA_TOUR_RESUME_DELAY_MS. Further interaction restarts the wait.
+ */
+export function pauseTour(): void {
+  const current = tour
+  if (!current) return
+  showIndicator('Tour paused', true)
+  interactionPause.pauseRun(current, CAMERA_TOUR_RESUME_DELAY_MS, () => runStep(current))
+}
+
+/**
+ * Start touring the current liveview's cameras, replacing any running tour.
+ */
+export function startTour(options: CameraTourOptions): void {
+  if (tour) interactionPause.clearTimer(tour)
+  else stopWatchingInteraction = interactionPause.watchInteraction(pauseTour)
+
+  tour = { options, step: 0, paused: false, timer: null }
+  log(`Camera tour started (${options.dwellMs / 1000}s per step, grid ${options.includeGrid ? 'included' : 'skipped'})`)
+  ipcRenderer.send('update-camera-tour', true)
+  runStep(tour)
+}
+
+/**
+ * Stop the tour, leaving the current camera on screen.
+ */
+export function stopTour(): void {
+  const current = tour
+  if (!current) return
+  interactionPause.clearTimer(current)
+  tour = null
+  stopWatchingInteraction?.()
+  stopWatchingInteraction = null
+  document.getElementById(INDICATOR_ID)?.remove()
+  log('Camera tour stopped')
+  ipcRenderer.send('update-camera-tour', false)
+}
@@ -1,13 +1,16 @@
 /**
- * Camera detection, zoom dispatch, and hotkey listener for dashboard liveviews.
+ * Camera detection, zoom dispatch, zoom-state tracking and hotkey listener
+ * for dashboard liveviews.
  *
  * Renderer-side module. Communicates camera list and zoom state to the main
  * process so the Cameras menu stays in sync.
  */
 
 import { log, logError } from './utils'
-import { ZOOM_WAIT_TIMEOUT_MS } from './constants'
-import type { CameraInfo } from '../types/cameras'
+import { CAMERA_DIGIT_ENTRY_MS, ZOOM_WAIT_TIMEOUT_MS } from './constants'
+import * as keybindings from './keybindings'
+import type { CameraInfo, TileDirection, TileNeighbourMap, TileRect } from '../types/cameras'
+import type { KeybindingState, Keybindings } from '../types/keybindings'
 
 const { ipcRenderer } = require('electron') as typeof import('electron')
 
@@ -21,44 +24,141 @@ const FAST_ZOOM_CSS = `
 `
 
 const VISUAL_ROW_TOLERANCE_PX = 20
+const NEIGHBOUR_EDGE_TOLERANCE_PX = 4
 const LAYOUT_DEBOUNCE_MS = 750
 
+const DIGIT_ENTRY_ID = 'upv-camera-entry'
+const DIGIT_ENTRY_STYLE_ID = 'upv-camera-entry-styles'
+
+export const DIGIT_ENTRY_STYLES = /*css*/ `
+#${DIGIT_ENTRY_ID} {
+  position: fixed;
+  top: 24px;
+  left: 50%;
+  transform: translateX(-50%);
+  z-index: 2147483646;
+  padding: 6px 16px;
+  border-radius: 8px;
+  background: rgba(0, 0, 0, 0.7);
+  color: #dee0e3;
+  font: 600 20px -apple-system, BlinkMacSystemFont, 'Segoe UI', system-ui, sans-serif;
+  font-variant-numeric: tabular-nums;
+  pointer-events: none;
+}
+`
+
+const TILE_FOCUS_ATTR = 'data-upv-focused'
+const TILE_FOCUS_STYLE_ID = 'upv-tile-focus-styles'
+
+export const TILE_FOCUS_STYLES = /*css*/ `
+[${TILE_FOCUS_ATTR}] {
+  outline: 3px solid #4797ff !important;
+  outline-offset: -3px;
+}
+`
+
 /**
- * Return the actual `data-viewport` indices of the current dashboard tiles,
- * sorted in visual reading order (top-to-bottom, then left-to-right).
- *
- * Protect v7 custom liveviews let users reorder tiles without renumbering the
- * underlying `data-viewport` attribute, so raw numeric order no longer matches
- * the visible layout. This function is the bridge between "the tile at visual
- * position N" (what hotkeys and the Cameras menu want) and Protect's internal
- * viewport index (what the zoom dispatch and React fiber state use).
+ * Read the current dashboard tiles with their bounds, sorted in visual
+ * reading order (top-to-bottom, then left-to-right).
  */
-export function getVisualTileOrder(): number[] {
+function readTileRects(): TileRect[] {
   const tiles = Array.from(document.querySelectorAll('[data-viewport]')) as HTMLElement[]
   return tiles
     .map((tile) => ({
-      idx: parseInt(tile.getAttribute('data-viewport')!, 10),
+      index: parseInt(tile.getAttribute('data-viewport')!, 10),
       rect: tile.getBoundingClientRect(),
     }))
-    .filter((t) => !isNaN(t.idx))
+    .filter((t) => !isNaN(t.index))
     .sort((a, b) => {
       if (Math.abs(a.rect.top - b.rect.top) > VISUAL_ROW_TOLERANCE_PX) return a.rect.top - b.rect.top
       return a.rect.left - b.rect.left
     })
-    .map((t) => t.idx)
 }
 
 /**
- * Detect cameras on the current dashboard liveview.
- * Sends the camera list and zoom-support flag to the main process.
- * Cameras are ordered by visual position so the menu and hotkeys match the
- * on-screen layout regardless of Protect's internal viewport numbering.
+ * Return the actual `data-viewport` indices of the current dashboard tiles,
+ * sorted in visual reading order (top-to-bottom, then left-to-right).
+ *
+ * Protect v7 custom liveviews let users reorder tiles without renumbering the
+ * underlying `data-viewport` attribute, so raw numeric order no longer matches
+ * the visible layout. This function is the bridge between "the tile at visual
+ * position N" (what hotkeys and the Cameras menu want) and Protect's internal
+ * viewport index (what the zoom dispatch and React fiber state use).
  */
-export function detectCameras(): CameraInfo[] {
-  const visualOrder = getVisualTileOrder()
+export function getVisualTileOrder(): number[] {
+  return readTileRects().map((t) => t.index)
+}
+
+const DIRECTIONS: readonly TileDirection[] = ['left', 'right', 'up', 'down']
+
+/**
+ * How far `to` is from `from` in a direction, as [distance off the axis of
+ * travel, gap along it, offset of the centres], or null if `to` isn't that
+ * way. Tiles sharing a row (or column) have no off-axis distance; edges that
+ * only touch don't count as sharing.
+ */
+function neighbourDistance(from: TileRect['rect'], to: TileRect['rect'], direction: TileDirection): number[] | null {
+  const horizontal = direction === 'left' || direction === 'right'
+  const gap =
+    direction === 'left'
+      ? from.left - to.right
+      : direction === 'right'
+        ? to.left - from.right
+        : direction === 'up'
+          ? from.top - to.bottom
+          : to.top - from.bottom
+  if (gap < -NEIGHBOUR_EDGE_TOLERANCE_PX) return null
+
+  const [start, end] = horizontal ? (['top', 'bottom'] as const) : (['left', 'right'] as const)
+  const overlap = Math.min(from[end], to[end]) - Math.max(from[start], to[start])
+  const centreOffset = Math.abs(to[start] + to[end] - (from[start] + from[end])) / 2
+  return [Math.max(0, NEIGHBOUR_EDGE_TOLERANCE_PX - overlap), Math.max(0, gap), centreOffset]
+}
+
+/** Compare distances by off-axis distance first, then gap, then centre offset */
+function isCloser(distance: number[], best: number[] | null): boolean {
+  if (!best) return true
+  const i = distance.findIndex((d, j) => d !== best[j])
+  return i !== -1 && distance[i]! < best[i]!
+}
+
+/**
+ * Build the spatial neighbour map of a layout: for each tile, the closest
+ * tile to its left, right, above and below. Works from the tiles' bounds, so
+ * custom v7 layouts with tiles of different sizes get the neighbours the
+ * user sees — from a large tile, Right goes to the smaller tile beside it
+ * that is closest to its middle. Hidden (zero-size) tiles are left out.
+ */
+export function buildNeighbourMap(tiles: TileRect[]): TileNeighbourMap {
+  const visible = tiles.filter((t) => t.rect.right > t.rect.left && t.rect.bottom > t.rect.top)
+  const map: TileNeighbourMap = new Map()
+
+  for (const tile of visible) {
+    const neighbours: Partial<Record<TileDirection, number>> = {}
+    for (const direction of DIRECTIONS) {
+      let best: number[] | null = null
+      for (const other of visible) {
+        if (other === tile) continue
+        const distance = neighbourDistance(tile.rect, other.rect, direction)
+        if (!distance) continue
+        if (isCloser(distance, best)) {
+          best = distance
+          neighbours[direction] = other.index
+        }
+      }
+    }
+    map.set(tile.index, neighbours)
+  }
+  return map
+}
+
+/**
+ * List the cameras on the current dashboard liveview in visual order.
+ */
+export function listCameras(): CameraInfo[] {
   const cameras: CameraInfo[] = []
 
-  visualOrder.forEach((index) => {
+  getVisualTileOrder().forEach((index) => {
     const tile = document.querySelector(`[data-viewport="${index}"]`)
     if (!tile) return
     const nameEl = tile.querySelector('[class*=CameraName]')
@@ -66,9 +166,36 @@ export function detectCameras(): CameraInfo[] {
     cameras.push({ index, name })
   })
 
+  return cameras
+}
+
+/**
+ * Find a camera's viewport index by (case-insensitive) name, or by 1-based
+ * visual position — the same numbering as the 1–9 hotkeys.
+ */
+export function findCamera(nameOrPosition: string): number | undefined {
+  const cameras = listCameras()
+  const wanted = nameOrPosition.trim()
+
+  if (/^\d+$/.test(wanted)) {
+    return cameras[Number(wanted) - 1]?.index
+  }
+  return cameras.find((camera) => camera.name.toLowerCase() === wanted.toLowerCase())?.index
+}
+
+/**
+ * Detect cameras on the current dashboard liveview.
+ * Sends the camera list and zoom-support flag to the main process.
+ * Cameras are ordered by visual position so the menu and hotkeys match the
+ * on-screen layout regardless of Protect's internal viewport numbering.
+ */
+export function detectCameras(): CameraInfo[] {
+  const cameras = listCameras()
+
   const zoomSupported = true
   ipcRenderer.send('update-camera-list', { cameras, zoomSupported })
-  ipcRenderer.send('update-camera-zoom', -1)
+  reportedZoom = getCurrentZoomIndex()
+  ipcRenderer.send('update-camera-zoom', reportedZoom)
 
   log(`Detected ${cameras.length} cameras, zoom supported: ${zoomSupported}`)
   return cameras
@@ -123,20 +250,21 @@ function enableZoomTransitions(): void {
 }
 
 /**
- * Poll until React's zoom state matches the expected value, or timeout.
- * Uses requestAnimationFrame for efficient, frame-aligned checks.
+ * Wait until the zoom bridge reports the expected zoom state, or timeout.
  */
 function waitForZoomState(expected: number): Promise<void> {
+  if (getCurrentZoomIndex() === expected) return Promise.resolve()
   return new Promise((resolve) => {
-    const deadline = Date.now() + ZOOM_WAIT_TIMEOUT_MS
-    function check(): void {
-      if (getCurrentZoomIndex() === expected || Date.now() > deadline) {
-        resolve()
-        return
-      }
-      requestAnimationFrame(check)
+    const done = (): void => {
+      clearTimeout(timer)
+      zoomWaiters.delete(check)
+      resolve()
     }
-    requestAnimationFrame(check)
+    const check = (zoom: number): void => {
+      if (zoom === expected) done()
+    }
+    const timer = setTimeout(done, ZOOM_WAIT_TIMEOUT_MS)
+    zoomWaiters.add(check)
   })
 }
 
@@ -157,6 +285,74 @@ function waitFrames(n: number): Promise<void> {
   })
 }
 
+// Neighbour map of the grid as last seen unzoomed, for arrow keys while zoomed
+let gridNeighbours: TileNeighbourMap | null = null
+// Tile the arrow keys move from in grid mode
+let focusedTile: number | null = null
+
+/**
+ * Move the arrow-key focus to a tile, highlighting it or not. The highlight
+ * shows only in grid mode while the arrow keys are in use.
+ */
+function setTileFocus(index: number | null, highlight: boolean): void {
+  focusedTile = index
+  document.querySelector(`[${TILE_FOCUS_ATTR}]`)?.removeAttribute(TILE_FOCUS_ATTR)
+  if (!highlight || index === null) return
+
+  if (!document.getElementById(TILE_FOCUS_STYLE_ID)) {
+    const style = document.createElement('style')
+    style.id = TILE_FOCUS_STYLE_ID
+    style.textContent = TILE_FOCUS_STYLES
+    document.head.appendChild(style)
+  }
+  document.querySelector(`[data-viewport="${index}"]`)?.setAttribute(TILE_FOCUS_ATTR, '')
+}
+
+/**
+ * The tile highlighted with the arrow keys, or null when none is.
+ */
+export function getHighlightedTile(): number | null {
+  const highlighted = document.querySelector(`[${TILE_FOCUS_ATTR}]`)
+  return highlighted ? parseInt(highlighted.getAttribute('data-viewport')!, 10) : null
+}
+
+/**
+ * Hide the arrow-key highlight; the next arrow key brings it back in place.
+ */
+export function hideTileHighlight(): void {
+  setTileFocus(focusedTile, false)
+}
+
+/**
+ * Handle an arrow key. In grid mode the highlight moves to the neighbouring
+ * tile (starting on the first tile); zoomed in, the neighbour of the zoomed
+ * camera is zoomed straight away. Returns false when there are no tiles.
+ */
+function moveToNeighbour(direction: TileDirection): boolean {
+  const currentZoom = getCurrentZoomIndex()
+  if (currentZoom >= 0) {
+    if (!gridNeighbours?.has(currentZoom)) gridNeighbours = buildNeighbourMap(readTileRects())
+    const next = gridNeighbours.get(currentZoom)?.[direction]
+    if (next !== undefined) zoomToCamera(next)
+    return true
+  }
+
+  const tiles = readTileRects()
+  if (tiles.length === 0) return false
+  gridNeighbours = buildNeighbourMap(tiles)
+
+  const highlighted = document.querySelector(`[${TILE_FOCUS_ATTR}]`) !== null
+  if (focusedTile === null || !gridNeighbours.has(focusedTile)) {
+    setTileFocus(tiles[0]!.index, true)
+  } else if (!highlighted) {
+    // The first press shows where the focus is
+    setTileFocus(focusedTile, true)
+  } else {
+    setTileFocus(gridNeighbours.get(focusedTile)?.[direction] ?? focusedTile, true)
+  }
+  return true
+}
+
 /**
  * Zoom into a specific camera tile. If already zoomed into a different camera,
  * unzooms first, waits for React to confirm, then zooms to the target.
@@ -165,6 +361,9 @@ function waitFrames(n: number): Promise<void> {
  */
 export async function zoomToCamera(index: number): Promise<void> {
   const currentZoom = getCurrentZoomIndex()
+  // Arrow keys move between tiles as laid out in the grid, not zoomed
+  if (currentZoom === -1) gridNeighbours = buildNeighbourMap(readTileRects())
+  setTileFocus(index, false)
   disableZoomTransitions()
 
   try {
@@ -172,7 +371,6 @@ export async function zoomToCamera(index: number): Promise<void> {
       clickTileOverlay(index)
       await waitForZoomState(-1)
       await waitFrames(2)
-      ipcRenderer.send('update-camera-zoom', getCurrentZoomIndex())
       return
     }
 
@@ -182,14 +380,12 @@ export async function zoomToCamera(index: number): Promise<void> {
       clickTileOverlay(index)
       await waitForZoomState(index)
       await waitFrames(2)
-      ipcRenderer.send('update-camera-zoom', getCurrentZoomIndex())
       return
     }
 
     clickTileOverlay(index)
     await waitForZoomState(index)
     await waitFrames(2)
-    ipcRenderer.send('update-camera-zoom', getCurrentZoomIndex())
   } finally {
     enableZoomTransitions()
   }
@@ -207,57 +403,107 @@ export async function unzoomAll(): Promise<void> {
       clickTileOverlay(currentIndex)
       await waitForZoomState(-1)
       await waitFrames(2)
-      ipcRenderer.send('update-camera-zoom', getCurrentZoomIndex())
     } finally {
       enableZoomTransitions()
     }
   }
 }
 
+const ZOOM_ATTR = 'data-upv-zoom'
+
 /**
- * Read the current zoomed camera index from React's fiber tree.
- * Injects a <script> to bridge the context isolation boundary.
+ * Main-world half of the zoom bridge. Preload scripts run in an isolated
+ * world that can't see React's fiber expandos, so this script is injected
+ * into the page once. It re-reads `zoomedSlotIdx` from the fiber tree
+ * whenever Protect's DOM changes and mirrors it onto the root element's
+ * ZOOM_ATTR — the DOM is shared between the worlds, so the preload side
+ * observes that attribute. The body is observed rather than the liveview,
+ * so the bridge outlives SPA navigation between pages.
  */
-export function getCurrentZoomIndex(): number {
-  const resultId = '__upv_zoom_result'
-
-  const stale = document.getElementById(resultId)
-  if (stale) stale.remove()
-
-  const resultEl = document.createElement('div')
-  resultEl.id = resultId
-  resultEl.style.display = 'none'
-  document.body.appendChild(resultEl)
-
-  const script = document.createElement('script')
-  script.textContent = `(function() {
-    var result = document.getElementById('${resultId}');
-    if (!result) return;
-    var tile = document.querySelector('[data-viewport="0"]');
-    if (!tile) { result.dataset.zoom = '-1'; return; }
+const ZOOM_BRIDGE_SCRIPT = `(function() {
+  if (window.__upvZoomBridge) return;
+  window.__upvZoomBridge = true;
+  function readZoom() {
+    var tile = document.querySelector('[data-viewport]');
+    if (!tile) return -1;
     var fiberKey = Object.keys(tile).find(function(k) {
       return k.startsWith('__reactFiber$') || k.startsWith('__reactInternalInstance$');
     });
-    if (!fiberKey) { result.dataset.zoom = '-1'; return; }
+    if (!fiberKey) return -1;
     var fiber = tile[fiberKey];
     for (var i = 0; i < 30 && fiber; i++) {
       var props = fiber.memoizedProps;
-      if (props && typeof props.zoomedSlotIdx === 'number') {
-        result.dataset.zoom = String(props.zoomedSlotIdx);
-        return;
-      }
+      if (props && typeof props.zoomedSlotIdx === 'number') return props.zoomedSlotIdx;
       fiber = fiber.return;
     }
-    result.dataset.zoom = '-1';
-  })()`
-  document.body.appendChild(script)
+    return -1;
+  }
+  function update() {
+    var zoom = String(readZoom());
+    if (document.documentElement.getAttribute('${ZOOM_ATTR}') !== zoom) {
+      document.documentElement.setAttribute('${ZOOM_ATTR}', zoom);
+    }
+  }
+  new MutationObserver(update).observe(document.body, {
+    childList: true,
+    subtree: true,
+    attributes: true,
+    attributeFilter: ['class', 'style'],
+  });
+  update();
+})()`
+
+// Pending waitForZoomState() calls, told about each zoom change
+const zoomWaiters = new Set<(zoom: number) => void>()
+// subscribeZoomChanges() listeners
+const zoomListeners = new Set<(zoom: number) => void>()
+let zoomObserver: MutationObserver | null = null
+let reportedZoom: number | null = null
 
-  const zoom = parseInt(resultEl.dataset.zoom || '-1', 10)
+/**
+ * The zoomed camera's viewport index, or -1 for the grid, as last reported
+ * by the zoom bridge (see watchZoomState()).
+ */
+export function getCurrentZoomIndex(): number {
+  const zoom = parseInt(document.documentElement.getAttribute(ZOOM_ATTR) ?? '-1', 10)
+  return isNaN(zoom) ? -1 : zoom
+}
 
-  resultEl.remove()
-  script.remove()
+function onZoomChange(): void {
+  const zoom = getCurrentZoomIndex()
+  if (zoom === reportedZoom) return
+  reportedZoom = zoom
+  ipcRenderer.send('update-camera-zoom', zoom)
+  for (const waiter of [...zoomWaiters]) waiter(zoom)
+  for (const listener of zoomListeners) listener(zoom)
+}
 
-  return zoom
+/**
+ * Call `listener` with every zoom change watchZoomState() reports. Returns a
+ * function that unsubscribes.
+ */
+export function subscribeZoomChanges(listener: (zoom: number) => void): () => void {
+  zoomListeners.add(listener)
+  return () => {
+    zoomListeners.delete(listener)
+  }
+}
+
+/**
+ * Install the zoom bridge and report every zoom change to the main process,
+ * including zooms made with the mouse, so the Cameras menu always shows the
+ * zoomed camera. Call once per page load.
+ */
+export function watchZoomState(): void {
+  if (zoomObserver) return
+
+  zoomObserver = new MutationObserver(onZoomChange)
+  zoomObserver.observe(document.documentElement, { attributes: true, attributeFilter: [ZOOM_ATTR] })
+
+  const script = document.createElement('script')
+  script.textContent = ZOOM_BRIDGE_SCRIPT
+  document.documentElement.appendChild(script)
+  script.remove()
 }
 
 /**
@@ -301,11 +547,142 @@ export function watchLayoutChanges(): void {
   })
 }
 
+// Defaults until the saved bindings arrive from the main process
+let hotkeyBindings: Keybindings = keybindings.resolveKeybindings({})
+
+// Camera number being typed, digit by digit
+let digitEntry = ''
+let digitEntryTimer: ReturnType<typeof setTimeout> | null = null
+
+// Key presses already acted on, in case the listener is registered twice.
+// Protect's own preventDefault() doesn't count: the hotkeys still apply.
+const handledKeys = new WeakSet<KeyboardEvent>()
+
+function showDigitEntry(text: string | null): void {
+  if (text === null) {
+    document.getElementById(DIGIT_ENTRY_ID)?.remove()
+    return
+  }
+  if (!document.getElementById(DIGIT_ENTRY_STYLE_ID)) {
+    const style = document.createElement('style')
+    style.id = DIGIT_ENTRY_STYLE_ID
+    style.textContent = DIGIT_ENTRY_STYLES
+    document.head.appendChild(style)
+  }
+
+  let indicator = document.getElementById(DIGIT_ENTRY_ID)
+  if (!indicator) {
+    indicator = document.createElement('div')
+    indicator.id = DIGIT_ENTRY_ID
+    document.body.appendChild(indicator)
+  }
+  indicator.textContent = text
+}
+
+function clearDigitEntry(): void {
+  if (digitEntryTimer) clearTimeout(digitEntryTimer)
+  digitEntryTimer = null
+  digitEntry = ''
+  showDigitEntry(null)
+}
+
+/**
+ * Zoom the tile at a visual position (1-based). Returns false when there is
+ * no tile there.
+ */
+function zoomToPosition(position: number): boolean {
+  const viewportIdx = getVisualTileOrder()[position - 1]
+  if (viewportIdx === undefined) return false
+  zoomToCamera(viewportIdx)
+  return true
+}
+
+function finishDigitEntry(): void {
+  const position = Number(digitEntry)
+  clearDigitEntry()
+  if (!zoomToPosition(position)) log(`No camera at position ${position}`)
+}
+
+/**
+ * Add a typed digit to the camera number. The number is complete once no
+ * further digit could make it a tile on this liveview — at once with nine
+ * tiles or fewer — or when CAMERA_DIGIT_ENTRY_MS pass without another digit.
+ */
+function enterDigit(digit: number): boolean {
+  const entry = digitEntry + digit
+  if (Number(entry) * 10 > getVisualTileOrder().length) {
+    clearDigitEntry()
+    return zoomToPosition(Number(entry))
+  }
+
+  digitEntry = entry
+  showDigitEntry(`Camera ${entry}…`)
+  if (digitEntryTimer) clearTimeout(digitEntryTimer)
+  digitEntryTimer = setTimeout(finishDigitEntry, CAMERA_DIGIT_ENTRY_MS)
+  return true
+}
+
+/**
+ * The digit an action types during camera number entry: the keys of cameras
+ * 1–9 type their number and Show All Cameras types 0.
+ */
+function digitForAction(action: string): number | null {
+  if (action === 'show-all-cameras') return 0
+  const zoom = /^zoom-camera-([1-9])$/.exec(action)
+  return zoom ? Number(zoom[1]) : null
+}
+
+/**
+ * Run a `page` keybinding action. Returns false when there was nothing to
+ * do (e.g. no camera at that position), so the key press isn't swallowed.
+ */
+function runHotkeyAction(action: string): boolean {
+  const digit = digitForAction(action)
+  // 0 shows the grid unless it's part of a number (10, 20, …)
+  if (digit !== null && (digit !== 0 || digitEntry)) return enterDigit(digit)
+
+  clearDigitEntry()
+  if (action === 'show-all-cameras') {
+    unzoomAll()
+    return true
+  }
+
+  const zoom = /^zoom-camera-(\d+)$/.exec(action)
+  if (zoom) return zoomToPosition(Number(zoom[1]))
+
+  const move = /^camera-(left|right|up|down)$/.exec(action)
+  if (move) return moveToNeighbour(move[1] as TileDirection)
+
+  const audio = require('./audio-renderer') as typeof import('./audio-renderer')
+  return audio.runAudioAction(action)
+}
+
+function handled(e: KeyboardEvent): void {
+  handledKeys.add(e)
+  e.preventDefault()
+}
+
 /**
- * Set up keyboard listener for bare number keys (1-9, 0) to zoom cameras.
+ * Set up the keyboard listener for the `page` keybindings (camera zoom; bare
+ * 1–9 and 0, Shift+0–Shift+9 for cameras 10–19 by default, see
+ * keybindings.ts). Digits typed in quick succession pick a camera by number,
+ * so every tile of a large liveview can be reached; Enter ends the number
+ * early. The arrow keys move between neighbouring tiles: a highlight in grid
+ * mode (Enter zooms the highlighted tile), the zoomed camera itself when
+ * zoomed in. The audio keys mute, unmute and set the volume (audio-renderer.ts).
  * Only active on dashboard pages, ignored when focus is in an input.
  */
 export function setupHotkeyListener(): void {
+  ipcRenderer
+    .invoke('keybindings:get')
+    .then((state: KeybindingState | undefined) => {
+      if (state?.bindings) hotkeyBindings = state.bindings
+    })
+    .catch((err: unknown) => logError('Error loading keybindings:', err))
+  ipcRenderer.on('keybindings:changed', (_event: unknown, bindings: Keybindings) => {
+    hotkeyBindings = bindings
+  })
+
   document.addEventListener('keydown', (e: KeyboardEvent) => {
     const dashboard = require('./dashboard') as typeof import('./dashboard')
     if (!dashboard.isDashboardPage()) return
@@ -313,21 +690,25 @@ export function setupHotkeyListener(): void {
     const tag = document.activeElement?.tagName
     if (tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT') return
 
-    if (e.ctrlKey || e.metaKey || e.altKey || e.shiftKey) return
-
-    if (e.key === '0') {
-      e.preventDefault()
-      unzoomAll()
+    if (handledKeys.has(e)) return
+    if (digitEntry && e.key === 'Enter') {
+      finishDigitEntry()
+      handled(e)
       return
     }
-
-    if (e.key >= '1' && e.key <= '9') {
-      const position = Number(e.key) - 1
-      const viewportIdx = getVisualTileOrder()[position]
-      if (viewportIdx !== undefined) {
-        e.preventDefault()
-        zoomToCamera(viewportIdx)
-      }
+    const highlighted = getHighlightedTile()
+    if (highlighted !== null && e.key === 'Enter') {
+      zoomToCamera(highlighted)
+      handled(e)
+      return
     }
+
+    const action = keybindings.actionForKeyPress(hotkeyBindings, e, 'page')
+    if (action && runHotkeyAction(action)) handled(e)
+  })
+
+  // Clicking puts the mouse back in charge
+  document.addEventListener('pointerdown', (e: PointerEvent) => {
+    if (e.isTrusted) hideTileHighlight()
   })
 }
@@ -0,0 +1,399 @@
+/**
+ * Config schema, versioning and startup migrations — main process only.
+ *
+ * `upgradeStore()` runs once at startup: it applies the migrations newer than
+ * the stored `schemaVersion`, then repairs or drops known keys that fail the
+ * schema. Unknown keys are kept so a downgrade doesn't lose them. Changes are
+ * logged by key, never by value.
+ */
+
+import { randomUUID } from 'node:crypto'
+import { logInfo, logWarn } from './utils'
+import { LIVEVIEW_PLAYLIST_MIN_SECONDS } from './constants'
+import { changedKeybindings } from './keybindings'
+import type { Keybindings } from '../types/keybindings'
+
+export const CONFIG_SCHEMA_VERSION = 1
+
+/** Returned by a validator when a value is invalid and cannot be repaired */
+const DROP = Symbol('drop')
+
+/** Return the value (possibly repaired), or DROP */
+type Validator = (value: unknown) => unknown
+
+export interface ConfigMigration {
+  version: number
+  description: string
+  migrate: (config: Record<string, unknown>) => Record<string, unknown>
+}
+
+export interface UpgradeResult {
+  config: Record<string, unknown>
+  /** Human-readable description of every migration and repair applied */
+  changes: string[]
+}
+
+// ---------------------------------------------------------------------------
+// Validators
+// ---------------------------------------------------------------------------
+
+function isPlainObject(value: unknown): value is Record<string, unknown> {
+  return typeof value === 'object' && value !== null && !Array.isArray(value)
+}
+
+function toFiniteNumber(value: unknown): number | null {
+  const n = typeof value === 'string' && value.trim() !== '' ? Number(value) : value
+  return typeof n === 'number' && Number.isFinite(n) ? n : null
+}
+
+export const validators = {
+  boolean: ((value) => {
+    if (typeof value === 'boolean') return value
+    if (value === 'true' || value === 1) return true
+    if (value === 'false' || value === 0) return false
+    return DROP
+  }) as Validator,
+
+  string: ((value) => {
+    if (typeof value === 'string') return value
+    if (typeof value === 'number' && Number.isFinite(value)) return String(value)
+    return DROP
+  }) as Validator,
+
+  httpUrl: ((value) => {
+    if (typeof value !== 'string') return DROP
+    const trimmed = value.trim()
+    try {
+      const { protocol } = new URL(trimmed)
+      return protocol === 'http:' || protocol === 'https:' ? trimmed : DROP
+    } catch {
+      return DROP
+    }
+  }) as Validator,
+
+  mqttUrl: ((value) => {
+    if (typeof value !== 'string') return DROP
+    const trimmed = value.trim()
+    try {
+      const { protocol } = new URL(trimmed)
+      return ['mqtt:', 'mqtts:', 'ws:', 'wss:'].includes(protocol) ? trimmed : DROP
+    } catch {
+      return DROP
+    }
+  }) as Validator,
+
+  nonNegativeInteger: ((value) => {
+    const n = toFiniteNumber(value)
+    return n !== null && Number.isInteger(n) && n >= 0 ? n : DROP
+  }) as Validator,
+
+  port: ((value) => {
+    const n = toFiniteNumber(value)
+    return n !== null && Number.isInteger(n) && n >= 1 && n <= 65535 ? n : DROP
+  }) as Validator,
+
+  timestamp: ((value) => {
+    const n = toFiniteNumber(value)
+    return n !== null && n >= 0 ? n : DROP
+  }) as Validator,
+
+  bounds: ((value) => {
+    if (!isPlainObject(value)) return DROP
+    const width = toFiniteNumber(value.width)
+    const height = toFiniteNumber(value.height)
+    if (width === null || height === null || width <= 0 || height <= 0) return DROP
+
+    const bounds: Record<string, number> = { width: Math.round(width), height: Math.round(height) }
+    const x = toFiniteNumber(value.x)
+    const y = toFiniteNumber(value.y)
+    if (x !== null && y !== null) {
+      bounds.x = Math.round(x)
+      bounds.y = Math.round(y)
+    }
+    return bounds
+  }) as Validator,
+
+  /** Keeps changes to known actions that are valid accelerators (or '') */
+  keybindings: ((value) => {
+    if (!isPlainObject(value)) return DROP
+    return changedKeybindings(value as Keybindings)
+  }) as Validator,
+
+  snapshotFormat: ((value) => (value === 'png' || value === 'jpeg' ? value : DROP)) as Validator,
+
+  /** Drops entries without a liveview; raises short stays to the minimum */
+  liveviewPlaylist: ((value) => {
+    if (!Array.isArray(value)) return DROP
+    return value.filter(isPlainObject).flatMap((entry) => {
+      const liveview = typeof entry.liveview === 'string' ? entry.liveview.trim() : ''
+      const seconds = toFiniteNumber(entry.seconds)
+      if (!liveview || seconds === null) return []
+      return [{ liveview, seconds: Math.max(LIVEVIEW_PLAYLIST_MIN_SECONDS, Math.round(seconds)) }]
+    })
+  }) as Validator,
+}
+
+/** Fields of a connection profile (see types/config.ts ConnectionProfile) */
+export const PROFILE_SCHEMA: Record<string, Validator> = {
+  id: validators.string,
+  name: validators.string,
+  url: validators.httpUrl,
+  username: validators.string,
+  password: validators.string,
+  ignoreCertErrors: validators.boolean,
+  hideNav: validators.boolean,
+  hideHeader: validators.boolean,
+  bounds: validators.bounds,
+  displayId: validators.nonNegativeInteger,
+  liveviewPlaylist: validators.liveviewPlaylist,
+}
+
+/** Fields of a saved extra viewer window (see types/config.ts ViewerWindowState) */
+export const WINDOW_SCHEMA: Record<string, Validator> = {
+  id: validators.string,
+  url: validators.httpUrl,
+  hideNav: validators.boolean,
+  hideHeader: validators.boolean,
+  fullscreen: validators.boolean,
+  bounds: validators.bounds,
+  displayId: validators.nonNegativeInteger,
+}
+
+/** Top-level keys. `profiles` is validated separately by validateProfiles(). */
+export const GLOBAL_SCHEMA: Record<string, Validator> = {
+  schemaVersion: validators.nonNegativeInteger,
+  activeProfileId: validators.string,
+  loginAttempts: validators.nonNegativeInteger,
+  loginAttemptsResetTime: validators.timestamp,
+  kioskMode: validators.boolean,
+  kioskPinHash: validators.string,
+  windows: validateWindowList,
+  httpApiEnabled: validators.boolean,
+  httpApiHost: validators.string,
+  httpApiPort: validators.port,
+  httpApiToken: validators.string,
+  cameraTourDwell: validators.nonNegativeInteger,
+  cameraTourIncludeGrid: validators.boolean,
+  keybindings: validators.keybindings,
+  snapshotFolder: validators.string,
+  snapshotFormat: validators.snapshotFormat,
+  snapshotCopyToClipboard: validators.boolean,
+  recordingFolder: validators.string,
+  recordingMaxMinutes: validators.nonNegativeInteger,
+  popoutBounds: validators.bounds,
+  audioMuted: validators.boolean,
+  audioZoomedOnly: validators.boolean,
+  audioVolume: validators.nonNegativeInteger,
+  mqttEnabled: validators.boolean,
+  mqttUrl: validators.mqttUrl,
+  mqttUsername: validators.string,
+  mqttPassword: validators.string,
+  mqttBaseTopic: validators.string,
+  mqttDiscoveryPrefix: validators.string,
+}
+
+// ---------------------------------------------------------------------------
+// Migrations
+// ---------------------------------------------------------------------------
+
+const LEGACY_PROFILE_KEYS = ['url', 'username', 'password', 'ignoreCertErrors', 'hideNav', 'hideHeader', 'bounds']
+
+/**
+ * Ordered list of migrations. Each one receives the config as written by the
+ * previous version and must not depend on code that may change later —
+ * migrations are frozen once released.
+ */
+export const MIGRATIONS: ConfigMigration[] = [
+  {
+    version: 1,
+    description: 'Move connection settings into a "Default" profile',
+    migrate: (config) => {
+      if (Array.isArray(config.profiles) && config.profiles.length > 0) return config
+
+      const rest: Record<string, unknown> = {}
+      const profile: Record<string, unknown> = { id: randomUUID(), name: 'Default' }
+      for (const [key, value] of Object.entries(config)) {
+        if (LEGACY_PROFILE_KEYS.includes(key)) profile[key] = value
+        else rest[key] = value
+      }
+      return { ...rest, profiles: [profile], activeProfileId: profile.id }
+    },
+  },
+]
+
+// ---------------------------------------------------------------------------
+// Validation
+// ---------------------------------------------------------------------------
+
+function describeType(value: unknown): string {
+  if (value === null) return 'null'
+  if (Array.isArray(value)) return 'array'
+  return typeof value
+}
+
+function isSameValue(a: unknown, b: unknown): boolean {
+  if (Object.is(a, b)) return true
+  return typeof a === 'object' && typeof b === 'object' && JSON.stringify(a) === JSON.stringify(b)
+}
+
+/**
+ * Validate the keys of `target` that appear in `schema`, in place.
+ */
+function validateFields(
+  target: Record<string, unknown>,
+  schema: Record<string, Validator>,
+  path: string,
+  changes: string[],
+): void {
+  for (const [key, validate] of Object.entries(schema)) {
+    if (!(key in target)) continue
+    const original = target[key]
+    const result = validate(original)
+
+    if (result === DROP) {
+      delete target[key]
+      changes.push(`${path}${key}: dropped invalid ${describeType(original)}`)
+    } else if (!isSameValue(result, original)) {
+      target[key] = result
+      changes.push(`${path}${key}: repaired ${describeType(original)} value`)
+    }
+  }
+}
+
+/**
+ * Validate the saved extra windows: drop non-object entries and entries
+ * without an ID, and repair or drop their fields.
+ */
+function validateWindowList(value: unknown): unknown {
+  if (!Array.isArray(value)) return DROP
+
+  return value.filter(isPlainObject).flatMap((entry) => {
+    const window = { ...entry }
+    validateFields(window, WINDOW_SCHEMA, '', [])
+    return typeof window.id === 'string' && window.id ? [window] : []
+  })
+}
+
+/**
+ * Validate the profile list: drop non-object entries, repair fields, make
+ * sure every profile has a unique ID and a name, and point activeProfileId at
+ * an existing profile.
+ */
+function validateProfiles(config: Record<string, unknown>, changes: string[]): void {
+  if (!('profiles' in config)) return
+
+  if (!Array.isArray(config.profiles)) {
+    changes.push(`profiles: dropped invalid ${describeType(config.profiles)}`)
+    delete config.profiles
+    delete config.activeProfileId
+    return
+  }
+
+  const seenIds = new Set<string>()
+  const profiles: Record<string, unknown>[] = []
+
+  config.profiles.forEach((entry: unknown, i: number) => {
+    if (!isPlainObject(entry)) {
+      changes.push(`profiles[${i}]: dropped invalid ${describeType(entry)}`)
+      return
+    }
+
+    const profile = { ...entry }
+    validateFields(profile, PROFILE_SCHEMA, `profiles[${i}].`, changes)
+
+    if (typeof profile.id !== 'string' || !profile.id || seenIds.has(profile.id)) {
+      profile.id = randomUUID()
+      changes.push(`profiles[${i}].id: assigned new ID`)
+    }
+    if (typeof profile.name !== 'string' || !profile.name.trim()) {
+      profile.name = `Profile ${profiles.length + 1}`
+      changes.push(`profiles[${i}].name: assigned default name`)
+    }
+
+    seenIds.add(profile.id as string)
+    profiles.push(profile)
+  })
+
+  config.profiles = profiles
+
+  if (profiles.length > 0 && !seenIds.has(config.activeProfileId as string)) {
+    config.activeProfileId = profiles[0]!.id
+    changes.push('activeProfileId: reset to first profile')
+  }
+}
+
+/**
+ * Validate a config object against the schema, repairing or dropping invalid
+ * values. Returns a new object; the input is not modified.
+ */
+export function validateConfig(raw: Record<string, unknown>): UpgradeResult {
+  const config = structuredClone(raw)
+  const changes: string[] = []
+
+  validateFields(config, GLOBAL_SCHEMA, '', changes)
+  validateProfiles(config, changes)
+
+  return { config, changes }
+}
+
+/**
+ * Validate a partial update before it is written (e.g. from `configSave`).
+ * Keys the schema doesn't know pass through unchanged.
+ */
+export function validatePartial(partial: Record<string, unknown>, schema: Record<string, Validator>): UpgradeResult {
+  const config = { ...partial }
+  const changes: string[] = []
+  validateFields(config, schema, '', changes)
+  return { config, changes }
+}
+
+/**
+ * Migrate and validate a raw config object. Pure — the caller decides whether
+ * to write the result back.
+ */
+export function upgradeConfig(raw: Record<string, unknown>): UpgradeResult {
+  const storedVersion = validators.nonNegativeInteger(raw.schemaVersion)
+  const fromVersion = storedVersion === DROP ? 0 : (storedVersion as number)
+  const changes: string[] = []
+  let config: Record<string, unknown> = isPlainObject(raw) ? structuredClone(raw) : {}
+
+  if (fromVersion > CONFIG_SCHEMA_VERSION) {
+    changes.push(`schemaVersion: ${fromVersion} is newer than supported ${CONFIG_SCHEMA_VERSION}, skipping migrations`)
+  }
+
+  for (const migration of MIGRATIONS) {
+    if (migration.version <= fromVersion) continue
+    config = migration.migrate(config)
+    changes.push(`migration ${migration.version}: ${migration.description}`)
+  }
+
+  const validated = validateConfig(config)
+  changes.push(...validated.changes)
+  config = validated.config
+
+  const targetVersion = Math.max(fromVersion, CONFIG_SCHEMA_VERSION)
+  if (config.schemaVersion !== targetVersion) {
+    config.schemaVersion = targetVersion
+  }
+
+  return { config, changes }
+}
+
+/**
+ * Upgrade the persisted config in place, logging every change.
+ */
+export function upgradeStore(store: { store: Record<string, unknown> }): void {
+  const { config, changes } = upgradeConfig(store.store)
+
+  for (const change of changes) {
+    if (change.startsWith('migration ')) {
+      logInfo(`Config ${change}`)
+    } else {
+      logWarn(`Config ${change}`)
+    }
+  }
+
+  if (changes.length > 0 || store.store.schemaVersion !== config.schemaVersion) {
+    store.store = config
+  }
+}
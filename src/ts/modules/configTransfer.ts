@@ -0,0 +1,382 @@
+/**
+ * Configuration import/export — main process only.
+ *
+ * Exports hold the whole config minus runtime and machine-specific state.
+ * Passwords are left out, or re-encrypted with a passphrase (scrypt +
+ * AES-256-GCM). Imports are migrated and validated before they replace the
+ * stored config.
+ */
+
+import * as fs from 'node:fs/promises'
+import { createCipheriv, createDecipheriv, randomBytes, scryptSync } from 'node:crypto'
+import { log, logError, logWarn } from './utils'
+import * as secrets from './secrets'
+import * as profiles from './profiles'
+import { CONFIG_SCHEMA_VERSION, upgradeConfig } from './configSchema'
+import { showPrompt } from './prompt'
+
+const { app, dialog } = require('electron') as typeof import('electron')
+
+interface StoreInterface {
+  store: Record<string, unknown>
+  get: (key: string) => unknown
+  set: (...args: unknown[]) => void
+}
+
+export const EXPORT_FORMAT = 'unifi-protect-viewer-config'
+export const EXPORT_VERSION = 1
+export const MIN_PASSPHRASE_LENGTH = 8
+
+/**
+ * Never exported: runtime state, the extra windows (their display IDs and
+ * bounds only fit this machine), and the HTTP API token and MQTT broker
+ * password. Both are sealed with this machine's keyring, so they would be
+ * unreadable elsewhere, and unlike profile passwords they aren't worth
+ * carrying in the passphrase block: the token is regenerated, and the broker
+ * password is entered again (MQTT → Password…) on the new machine.
+ */
+const EXCLUDED_KEYS = ['loginAttempts', 'loginAttemptsResetTime', 'windows', 'httpApiToken', 'mqttPassword']
+
+/** Key derivation cost. Imports only accept these: a file can't make the app run a costlier scrypt */
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 }
+
+interface EncryptedSecrets {
+  kdf: 'scrypt'
+  N: number
+  r: number
+  p: number
+  salt: string
+  iv: string
+  tag: string
+  data: string
+}
+
+export interface ConfigExport {
+  format: typeof EXPORT_FORMAT
+  version: number
+  exportedAt: string
+  appVersion: string
+  config: Record<string, unknown>
+  /** Secret profile fields keyed by profile ID, or null when not included */
+  secrets: EncryptedSecrets | null
+}
+
+export type ImportResult =
+  | { ok: true; config: Record<string, unknown>; changes: string[] }
+  | { ok: false; reason: 'invalid' | 'passphrase-required' | 'wrong-passphrase'; message: string }
+
+// ---------------------------------------------------------------------------
+// File format
+// ---------------------------------------------------------------------------
+
+function isPlainObject(value: unknown): value is Record<string, unknown> {
+  return typeof value === 'object' && value !== null && !Array.isArray(value)
+}
+
+function deriveKey(passphrase: string, salt: Buffer, params: { N: number; r: number; p: number }): Buffer {
+  return scryptSync(passphrase, salt, 32, params)
+}
+
+function encryptSecrets(payload: Record<string, unknown>, passphrase: string): EncryptedSecrets {
+  const salt = randomBytes(16)
+  const iv = randomBytes(12)
+  const cipher = createCipheriv('aes-256-gcm', deriveKey(passphrase, salt, SCRYPT_PARAMS), iv)
+  const data = Buffer.concat([cipher.update(JSON.stringify(payload), 'utf8'), cipher.final()])
+
+  return {
+    kdf: 'scrypt',
+    ...SCRYPT_PARAMS,
+    salt: salt.toString('base64'),
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64'),
+  }
+}
+
+/**
+ * Decrypt an exported secrets block. Returns null when GCM authentication
+ * fails: a wrong passphrase or tampered data, which it cannot tell apart.
+ * Throws on a malformed block (bad IV or tag, or a payload that isn't an object).
+ */
+function decryptSecrets(encrypted: EncryptedSecrets, passphrase: string): Record<string, unknown> | null {
+  const key = deriveKey(passphrase, Buffer.from(encrypted.salt, 'base64'), SCRYPT_PARAMS)
+  const decipher = createDecipheriv('aes-256-gcm', key, Buffer.from(encrypted.iv, 'base64'))
+  decipher.setAuthTag(Buffer.from(encrypted.tag, 'base64'))
+  const body = decipher.update(Buffer.from(encrypted.data, 'base64'))
+
+  let plaintext: Buffer
+  try {
+    plaintext = Buffer.concat([body, decipher.final()])
+  } catch {
+    return null
+  }
+
+  const payload = JSON.parse(plaintext.toString('utf8'))
+  if (!isPlainObject(payload)) throw new Error('Secrets payload is not an object')
+  return payload
+}
+
+function isEncryptedSecrets(value: unknown): value is EncryptedSecrets {
+  return (
+    isPlainObject(value) &&
+    value.kdf === 'scrypt' &&
+    value.N === SCRYPT_PARAMS.N &&
+    value.r === SCRYPT_PARAMS.r &&
+    value.p === SCRYPT_PARAMS.p &&
+    ['salt', 'iv', 'tag', 'data'].every((key) => typeof value[key] === 'string')
+  )
+}
+
+/**
+ * Build an export document from the stored config. Secret fields are always
+ * stripped from the profiles; with `passphrase` set they are decrypted and
+ * included in a separate, passphrase-encrypted block.
+ */
+export function buildExport(
+  storeConfig: Record<string, unknown>,
+  options: { passphrase?: string; appVersion: string },
+): ConfigExport {
+  const config: Record<string, unknown> = {}
+  for (const [key, value] of Object.entries(storeConfig)) {
+    if (!EXCLUDED_KEYS.includes(key)) config[key] = structuredClone(value)
+  }
+
+  const secretPayload: Record<string, Record<string, string>> = {}
+  if (Array.isArray(config.profiles)) {
+    config.profiles = config.profiles.map((profile: unknown) => {
+      if (!isPlainObject(profile)) return profile
+      const stripped = { ...profile }
+      for (const key of secrets.SECRET_PROFILE_KEYS) {
+        if (typeof stripped[key] !== 'string') continue
+        const value = secrets.decryptSecret(stripped[key] as string)
+        if (value && typeof profile.id === 'string') {
+          secretPayload[profile.id] = { ...secretPayload[profile.id], [key]: value }
+        }
+        delete stripped[key]
+      }
+      return stripped
+    })
+  }
+
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    appVersion: options.appVersion,
+    config,
+    secrets: options.passphrase ? encryptSecrets(secretPayload, options.passphrase) : null,
+  }
+}
+
+/**
+ * True when an export file carries encrypted secrets, i.e. importing it
+ * fully needs a passphrase.
+ */
+export function hasSecrets(text: string): boolean {
+  try {
+    const doc = JSON.parse(text)
+    return isPlainObject(doc) && doc.secrets != null
+  } catch {
+    return false
+  }
+}
+
+/**
+ * Parse and validate an export file. Pass `passphrase` to restore secrets;
+ * without one, secrets in the file are ignored. The returned config has
+ * plaintext secrets and still needs sealing once written to the store.
+ */
+export function parseImport(text: string, passphrase?: string): ImportResult {
+  let doc: unknown
+  try {
+    doc = JSON.parse(text)
+  } catch {
+    return { ok: false, reason: 'invalid', message: 'The file is not valid JSON.' }
+  }
+
+  if (!isPlainObject(doc) || doc.format !== EXPORT_FORMAT || !isPlainObject(doc.config)) {
+    return { ok: false, reason: 'invalid', message: 'The file is not a UniFi Protect Viewer configuration export.' }
+  }
+  if (typeof doc.version !== 'number' || doc.version > EXPORT_VERSION) {
+    return { ok: false, reason: 'invalid', message: 'The file was exported by a newer version of the app.' }
+  }
+  if (typeof doc.config.schemaVersion === 'number' && doc.config.schemaVersion > CONFIG_SCHEMA_VERSION) {
+    return { ok: false, reason: 'invalid', message: 'The configuration was written by a newer version of the app.' }
+  }
+
+  const raw = structuredClone(doc.config)
+  for (const key of EXCLUDED_KEYS) delete raw[key]
+
+  if (doc.secrets != null && passphrase !== undefined) {
+    if (!isEncryptedSecrets(doc.secrets)) {
+      return { ok: false, reason: 'invalid', message: 'The encrypted passwords in the file are malformed.' }
+    }
+    let secretPayload: Record<string, unknown> | null
+    try {
+      secretPayload = decryptSecrets(doc.secrets, passphrase)
+    } catch {
+      return { ok: false, reason: 'invalid', message: 'The encrypted passwords in the file are malformed.' }
+    }
+    if (!secretPayload) {
+      return { ok: false, reason: 'wrong-passphrase', message: 'The passphrase is incorrect.' }
+    }
+    if (Array.isArray(raw.profiles)) {
+      raw.profiles = raw.profiles.map((profile: unknown) => {
+        if (!isPlainObject(profile) || typeof profile.id !== 'string') return profile
+        const restored = secretPayload[profile.id]
+        return isPlainObject(restored) ? { ...profile, ...restored } : profile
+      })
+    }
+  } else if (doc.secrets != null) {
+    return { ok: false, reason: 'passphrase-required', message: 'The file contains encrypted passwords.' }
+  }
+
+  const { config, changes } = upgradeConfig(raw)
+  if (!Array.isArray(config.profiles) || config.profiles.length === 0) {
+    return { ok: false, reason: 'invalid', message: 'The file does not contain any connection profiles.' }
+  }
+  return { ok: true, config, changes }
+}
+
+// ---------------------------------------------------------------------------
+// Menu actions
+// ---------------------------------------------------------------------------
+
+function defaultExportName(): string {
+  return `unifi-protect-viewer-config-${new Date().toISOString().slice(0, 10)}.json`
+}
+
+/**
+ * File → Export Configuration…
+ */
+export async function exportConfiguration(mainWindow: Electron.BrowserWindow, store: StoreInterface): Promise<void> {
+  try {
+    const { response } = await dialog.showMessageBox(mainWindow, {
+      type: 'question',
+      title: 'Export Configuration',
+      message: 'Include saved passwords in the export?',
+      detail: 'Passwords are encrypted with a passphrase you choose. You will need it to import the file.',
+      buttons: ['Cancel', 'Export Without Passwords', 'Include Passwords'],
+      defaultId: 1,
+      cancelId: 0,
+      noLink: true,
+    })
+    if (response === 0) return
+
+    let passphrase: string | undefined
+    if (response === 2) {
+      const entered = await showPrompt(mainWindow, {
+        title: 'Export Passphrase',
+        message: `Choose a passphrase of at least ${MIN_PASSPHRASE_LENGTH} characters.`,
+        password: true,
+        confirm: true,
+        minLength: MIN_PASSPHRASE_LENGTH,
+      })
+      if (entered === null) return
+      passphrase = entered
+    }
+
+    const { canceled, filePath } = await dialog.showSaveDialog(mainWindow, {
+      title: 'Export Configuration',
+      defaultPath: defaultExportName(),
+      filters: [{ name: 'JSON', extensions: ['json'] }],
+    })
+    if (canceled || !filePath) return
+
+    const doc = buildExport(store.store, { passphrase, appVersion: app.getVersion() })
+    await fs.writeFile(filePath, JSON.stringify(doc, null, 2), { encoding: 'utf8', mode: 0o600 })
+    log(`Exported configuration ${passphrase ? 'with' : 'without'} passwords`)
+  } catch (err) {
+    logError('Error exporting configuration:', err)
+    await dialog.showMessageBox(mainWindow, {
+      type: 'error',
+      title: 'Export Failed',
+      message: 'The configuration could not be exported.',
+      detail: err instanceof Error ? err.message : String(err),
+    })
+  }
+}
+
+/**
+ * Ask for the passphrase until it decrypts the file's secrets, or the user
+ * gives up. Returns null on cancel.
+ */
+async function promptAndParse(mainWindow: Electron.BrowserWindow, text: string): Promise<ImportResult | null> {
+  let message = 'Enter the passphrase used when this configuration was exported.'
+  for (;;) {
+    const passphrase = await showPrompt(mainWindow, { title: 'Import Passphrase', message, password: true })
+    if (passphrase === null) return null
+
+    const result = parseImport(text, passphrase)
+    if (result.ok || result.reason !== 'wrong-passphrase') return result
+    message = 'That passphrase is incorrect. Try again.'
+  }
+}
+
+/**
+ * File → Import Configuration…
+ */
+export async function importConfiguration(mainWindow: Electron.BrowserWindow, store: StoreInterface): Promise<void> {
+  try {
+    const { canceled, filePaths } = await dialog.showOpenDialog(mainWindow, {
+      title: 'Import Configuration',
+      properties: ['openFile'],
+      filters: [{ name: 'JSON', extensions: ['json'] }],
+    })
+    if (canceled || !filePaths[0]) return
+
+    const text = await fs.readFile(filePaths[0], 'utf8')
+    const result = hasSecrets(text) ? await promptAndParse(mainWindow, text) : parseImport(text)
+    if (!result) return
+
+    if (!result.ok) {
+      await dialog.showMessageBox(mainWindow, {
+        type: 'error',
+        title: 'Import Failed',
+        message: 'The configuration could not be imported.',
+        detail: result.message,
+      })
+      return
+    }
+
+    const profileCount = (result.config.profiles as unknown[]).length
+    const { response } = await dialog.showMessageBox(mainWindow, {
+      type: 'warning',
+      title: 'Import Configuration',
+      message: 'Replace the current configuration?',
+      detail: `All current settings and ${profileCount === 1 ? 'profile' : 'profiles'} will be replaced by the ${profileCount} ${profileCount === 1 ? 'profile' : 'profiles'} in this file.`,
+      buttons: ['Cancel', 'Replace'],
+      defaultId: 0,
+      cancelId: 0,
+    })
+    if (response !== 1) return
+
+    for (const change of result.changes) {
+      logWarn(`Config import ${change}`)
+    }
+
+    store.store = result.config
+    secrets.migratePlaintextSecrets(store)
+    log(`Imported configuration with ${profileCount} profile(s)`)
+
+    // The services only read their settings when (re)started
+    const httpApi = require('./httpApi') as typeof import('./httpApi')
+    const mqttBridge = require('./mqttBridge') as typeof import('./mqttBridge')
+    await Promise.all([httpApi.applySettings(mainWindow, store), mqttBridge.applySettings(mainWindow, store)])
+
+    const ipc = require('./ipc') as typeof import('./ipc')
+    const config = profiles.resolveConfig(store) as unknown as Record<string, unknown>
+    if (!ipc.reloadConfiguration(mainWindow, config)) {
+      const windowManager = require('./window') as typeof import('./window')
+      windowManager.loadProfileUrl(mainWindow, store)
+    }
+  } catch (err) {
+    logError('Error importing configuration:', err)
+    await dialog.showMessageBox(mainWindow, {
+      type: 'error',
+      title: 'Import Failed',
+      message: 'The configuration could not be imported.',
+      detail: err instanceof Error ? err.message : String(err),
+    })
+  }
+}
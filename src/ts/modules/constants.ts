@@ -38,6 +38,25 @@ export const NAV_POPUP_DURATION_MS = 5000
 
 // --- Camera zoom ---
 export const ZOOM_WAIT_TIMEOUT_MS = 2000
+export const CAMERA_DIGIT_ENTRY_MS = 1000 // How long a typed digit waits for the next one (tile 12 = "1", "2")
+
+// --- Camera tour ---
+export const CAMERA_TOUR_DWELL_CHOICES_S = [5, 10, 15, 30, 60] // Cameras → Camera Tour Options
+export const CAMERA_TOUR_DEFAULT_DWELL_S = 10
+export const CAMERA_TOUR_RESUME_DELAY_MS = 30000 // Idle time after user interaction before the tour carries on
+
+// --- Clip recording ---
+export const RECORDING_MAX_MINUTES_CHOICES = [1, 2, 5, 10, 30] // Cameras → Recording Options
+export const RECORDING_DEFAULT_MAX_MINUTES = 5
+export const RECORDING_TIMESLICE_MS = 1000 // How often the recorder hands a chunk to the main process
+
+// --- Liveview playlist ---
+export const LIVEVIEW_PLAYLIST_MIN_SECONDS = 5
+export const LIVEVIEW_PLAYLIST_SETTLE_MS = 1000 // Lets Protect render the new liveview before re-initializing
+export const LIVEVIEW_PLAYLIST_RESUME_DELAY_MS = 30000
+
+// --- Remote control services ---
+export const SERVICES_STOP_TIMEOUT_MS = 3000 // Longest quit delay while the MQTT bridge goes offline and servers close
 
 // --- Auth ---
 export const LOGIN_ATTEMPTS_RESET_MS = 30 * 60 * 1000 // 30 minutes
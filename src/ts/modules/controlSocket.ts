@@ -0,0 +1,141 @@
+/**
+ * Local control socket — main process only.
+ *
+ * A Unix domain socket in the user data directory, or a named pipe on
+ * Windows, for scripts/upv-ctl.js. Only its owner can connect, so there is no
+ * token. Requests and responses are newline-delimited JSON.
+ */
+
+import * as fs from 'node:fs'
+import * as net from 'node:net'
+import * as os from 'node:os'
+import * as path from 'node:path'
+import { log, logError } from './utils'
+import * as remoteControl from './remoteControl'
+import type { ControlSocketResponse } from '../types/remoteControl'
+
+const { app } = require('electron') as typeof import('electron')
+
+/** Longest request line accepted; commands are a few bytes of JSON */
+const MAX_LINE_BYTES = 16 * 1024
+
+let server: net.Server | null = null
+const connections = new Set<net.Socket>()
+
+/**
+ * Where the socket listens. scripts/upv-ctl.js works out the same path.
+ */
+export function socketPath(): string {
+  if (process.platform === 'win32') {
+    return `\\\\.\\pipe\\unifi-protect-viewer-${os.userInfo().username}`
+  }
+  return path.join(app.getPath('userData'), 'control.sock')
+}
+
+/**
+ * Answer one request line.
+ */
+export function handleRequest(window: Electron.BrowserWindow, line: string): ControlSocketResponse {
+  let request: unknown
+  try {
+    request = JSON.parse(line)
+  } catch {
+    return { ok: false, reason: 'invalid', error: 'Request must be JSON' }
+  }
+
+  const { command, args = {} } = (request ?? {}) as { command?: unknown; args?: unknown }
+  if (typeof command !== 'string') return { ok: false, reason: 'invalid', error: 'Missing "command"' }
+  if (typeof args !== 'object' || args === null || Array.isArray(args)) {
+    return { ok: false, reason: 'invalid', error: '"args" must be an object' }
+  }
+
+  if (command === 'status') {
+    if (window.isDestroyed()) return { ok: false, reason: 'unavailable', error: 'The viewer window is closed' }
+    return { ok: true, status: remoteControl.getStatus(window) }
+  }
+
+  const parsed = remoteControl.parseCommand(command, args as Record<string, unknown>)
+  if (typeof parsed === 'string') return { ok: false, reason: 'invalid', error: parsed }
+  return remoteControl.runCommand(window, parsed)
+}
+
+function handleConnection(window: Electron.BrowserWindow, socket: net.Socket): void {
+  let pending = ''
+  connections.add(socket)
+  socket.on('close', () => connections.delete(socket))
+  socket.setEncoding('utf8')
+  socket.on('data', (chunk: string) => {
+    pending += chunk
+    let newline: number
+    while ((newline = pending.indexOf('\n')) !== -1) {
+      const line = pending.slice(0, newline).trim()
+      pending = pending.slice(newline + 1)
+      if (line) socket.write(`${JSON.stringify(handleRequest(window, line))}\n`)
+    }
+    if (Buffer.byteLength(pending) > MAX_LINE_BYTES) socket.destroy()
+  })
+  socket.on('error', () => socket.destroy())
+}
+
+/**
+ * Create the socket server for a window.
+ */
+export function createServer(window: Electron.BrowserWindow): net.Server {
+  return net.createServer((socket) => handleConnection(window, socket))
+}
+
+/**
+ * Start listening. The single-instance lock means a socket file left
+ * behind is from a crashed run, so it is removed first.
+ *
+ * On Unix the socket file is created owner-only: the umask is narrowed while
+ * `listen()` binds it, so it is never reachable by others, even briefly. If
+ * its mode can't be confirmed afterwards the socket is closed again.
+ */
+export async function start(mainWindow: Electron.BrowserWindow, where = socketPath()): Promise<void> {
+  await stop()
+  const unix = process.platform !== 'win32'
+  if (unix) fs.rmSync(where, { force: true })
+
+  const next = createServer(mainWindow)
+  await new Promise<void>((resolve) => {
+    next.once('error', (err) => {
+      logError(`Control socket could not listen on ${where}:`, err)
+      resolve()
+    })
+
+    const onListening = () => {
+      try {
+        if (unix) fs.chmodSync(where, 0o600)
+      } catch (err) {
+        logError(`Control socket permissions could not be set on ${where}, closing it:`, err)
+        next.close(() => resolve())
+        return
+      }
+      server = next
+      log(`Control socket listening on ${where}`)
+      resolve()
+    }
+
+    // The socket file is bound synchronously within listen()
+    const previousUmask = unix ? process.umask(0o177) : null
+    try {
+      next.listen(where, onListening)
+    } finally {
+      if (previousUmask !== null) process.umask(previousUmask)
+    }
+  })
+}
+
+/**
+ * Stop listening. On Unix this also removes the socket file.
+ */
+export function stop(): Promise<void> {
+  const running = server
+  server = null
+  if (!running) return Promise.resolve()
+  return new Promise((resolve) => {
+    running.close(() => resolve())
+    for (const socket of connections) socket.destroy()
+  })
+}
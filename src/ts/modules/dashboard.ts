@@ -44,6 +44,12 @@ export async function initializeDashboard(): Promise<boolean> {
     cameras.detectCameras()
     cameras.watchLayoutChanges()
 
+    const audio = require('./audio-renderer') as typeof import('./audio-renderer')
+    audio.watchLiveviewAudio()
+
+    const liveviews = require('./liveviews') as typeof import('./liveviews')
+    liveviews.reportCurrentLiveview().catch((err: unknown) => logError('Error reporting liveview:', err))
+
     return true
   } catch (error) {
     logError('Error initializing dashboard:', error)
@@ -0,0 +1,193 @@
+/**
+ * `upv://` deep links — main process only.
+ *
+ * Links open a camera or liveview, toggle the navigation or header, or set
+ * fullscreen (see the README). They arrive as a launch argument (Windows,
+ * Linux) or through `open-url` (macOS). Link text is only matched against
+ * names, never loaded or executed.
+ */
+
+import * as path from 'node:path'
+import { log, logWarn } from './utils'
+import * as dialogs from './dialogs'
+import * as launchOptions from './launchOptions'
+import type { DeepLinkAction } from '../types/deepLinks'
+
+const { app } = require('electron') as typeof import('electron')
+
+export const DEEP_LINK_SCHEME = 'upv'
+
+/** Longest link accepted; real links are a few dozen characters */
+const MAX_LINK_LENGTH = 512
+/** Longest camera or liveview name accepted */
+const MAX_NAME_LENGTH = 128
+
+export type ParsedDeepLink = { ok: true; action: DeepLinkAction } | { ok: false; message: string }
+
+const TOGGLE_TARGETS = ['nav', 'header', 'all'] as const
+const FULLSCREEN_MODES = ['on', 'off'] as const
+
+function reject(message: string): ParsedDeepLink {
+  return { ok: false, message }
+}
+
+/**
+ * Decode a camera or liveview name from a path segment. Returns null for
+ * names that are empty, too long, badly encoded or contain control characters.
+ */
+function decodeName(segment: string | undefined): string | null {
+  if (!segment) return null
+  let name: string
+  try {
+    name = decodeURIComponent(segment).trim()
+  } catch {
+    return null
+  }
+  // eslint-disable-next-line no-control-regex
+  if (!name || name.length > MAX_NAME_LENGTH || /[\u0000-\u001f\u007f]/.test(name)) return null
+  return name
+}
+
+/**
+ * Parse a `upv://` link into an action. Links with credentials, a port, a
+ * query string or anything beyond the documented paths are rejected.
+ */
+export function parseDeepLink(link: string): ParsedDeepLink {
+  if (typeof link !== 'string' || link.length > MAX_LINK_LENGTH) {
+    return reject('The link is too long.')
+  }
+
+  let url: URL
+  try {
+    url = new URL(link)
+  } catch {
+    return reject('The link is not a valid URL.')
+  }
+
+  if (url.protocol !== `${DEEP_LINK_SCHEME}:`) {
+    return reject(`Only ${DEEP_LINK_SCHEME}:// links are supported.`)
+  }
+  if (url.username || url.password || url.port || url.search || url.hash) {
+    return reject('Links may not contain credentials, a port, a query or a fragment.')
+  }
+
+  // upv://camera/Front%20Door → host "camera", path "/Front%20Door"
+  const command = url.hostname.toLowerCase()
+  const segments = url.pathname.split('/').filter(Boolean)
+  if (segments.length > 1) {
+    return reject('The link has too many path segments. Encode "/" in names as %2F.')
+  }
+  const [argument] = segments
+
+  switch (command) {
+    case 'camera': {
+      const camera = decodeName(argument)
+      return camera
+        ? { ok: true, action: { type: 'zoom-camera', camera } }
+        : reject('The link has no valid camera name.')
+    }
+    case 'liveview': {
+      const liveview = decodeName(argument)
+      return liveview
+        ? { ok: true, action: { type: 'liveview', liveview } }
+        : reject('The link has no valid liveview name.')
+    }
+    case 'toggle': {
+      const target = TOGGLE_TARGETS.find((t) => t === argument?.toLowerCase())
+      return target
+        ? { ok: true, action: { type: 'toggle', target } }
+        : reject('Toggle links must end in nav, header or all.')
+    }
+    case 'fullscreen': {
+      if (argument === undefined) return { ok: true, action: { type: 'fullscreen', mode: 'toggle' } }
+      const mode = FULLSCREEN_MODES.find((m) => m === argument.toLowerCase())
+      return mode
+        ? { ok: true, action: { type: 'fullscreen', mode } }
+        : reject('Fullscreen links must end in on or off.')
+    }
+    default:
+      return reject(`"${command || url.pathname}" is not a known action.`)
+  }
+}
+
+/**
+ * The first `upv://` link in a command line, if any.
+ */
+export function findDeepLink(argv: string[]): string | undefined {
+  const prefix = `${DEEP_LINK_SCHEME}:`
+  return argv.find((arg) => arg.toLowerCase().startsWith(prefix))
+}
+
+/**
+ * Register the app as the OS handler for `upv://` links. When run unpackaged
+ * (`electron .`) the app path has to be passed along for the link to reach
+ * this app rather than a bare Electron.
+ */
+export function registerProtocolClient(): void {
+  const registered =
+    process.defaultApp && process.argv.length >= 2
+      ? app.setAsDefaultProtocolClient(DEEP_LINK_SCHEME, process.execPath, [path.resolve(process.argv[1]!)])
+      : app.setAsDefaultProtocolClient(DEEP_LINK_SCHEME)
+  if (!registered) logWarn(`Could not register as the handler for ${DEEP_LINK_SCHEME}:// links`)
+}
+
+/**
+ * Show why a link was not followed.
+ */
+export function showLinkError(window: Electron.BrowserWindow, message: string): void {
+  logWarn(`Deep link rejected: ${message}`)
+  dialogs.showDeepLinkError(window, message)
+}
+
+function isProtectPage(window: Electron.BrowserWindow): boolean {
+  return window.webContents.getURL().includes('/protect/')
+}
+
+/**
+ * Follow a link in the main window. Camera and liveview actions are carried
+ * out by the page, which reports back on `deep-link:result`; while no
+ * Protect page is loaded they are kept as the start view instead.
+ */
+export function openDeepLink(mainWindow: Electron.BrowserWindow, link: string): void {
+  if (mainWindow.isDestroyed()) return
+
+  const parsed = parseDeepLink(link)
+  if (!parsed.ok) {
+    showLinkError(mainWindow, parsed.message)
+    return
+  }
+
+  if (mainWindow.isMinimized()) mainWindow.restore()
+  mainWindow.show()
+  mainWindow.focus()
+
+  const { action } = parsed
+  log(`Following ${DEEP_LINK_SCHEME}:// link: ${action.type}`)
+
+  switch (action.type) {
+    case 'toggle': {
+      const channel = { nav: 'toggle-nav-only', header: 'toggle-header-only', all: 'toggle-navigation' } as const
+      mainWindow.webContents.send(channel[action.target])
+      break
+    }
+    case 'fullscreen': {
+      const kiosk = require('./kiosk') as typeof import('./kiosk')
+      if (kiosk.isKioskActive()) {
+        showLinkError(mainWindow, 'Fullscreen cannot be changed in kiosk mode.')
+        break
+      }
+      mainWindow.setFullScreen(action.mode === 'toggle' ? !mainWindow.isFullScreen() : action.mode === 'on')
+      break
+    }
+    case 'zoom-camera':
+    case 'liveview':
+      if (isProtectPage(mainWindow)) {
+        mainWindow.webContents.send('deep-link', action)
+      } else if (action.type === 'liveview') {
+        launchOptions.setStartView({ liveview: action.liveview })
+      } else {
+        launchOptions.setStartView({ camera: action.camera })
+      }
+      break
+  }
+}
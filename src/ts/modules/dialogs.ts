@@ -5,7 +5,7 @@
 import { logError } from './utils'
 import { imgPath } from './paths'
 
-const { dialog, app, shell } = require('electron') as typeof import('electron')
+const { dialog, app, clipboard, shell } = require('electron') as typeof import('electron')
 
 let _isAboutDialogOpen = false
 let _isResetDialogOpen = false
@@ -76,3 +76,62 @@ export async function showResetConfirmation(mainWindow: Electron.BrowserWindow):
     _isResetDialogOpen = false
   }
 }
+
+/**
+ * Explain why a upv:// link was not followed
+ */
+export function showDeepLinkError(mainWindow: Electron.BrowserWindow, message: string): void {
+  dialog
+    .showMessageBox(mainWindow, {
+      type: 'warning',
+      title: 'Unsupported Link',
+      message: 'This link cannot be opened.',
+      detail: message,
+      buttons: ['OK'],
+    })
+    .catch((err: unknown) => {
+      logError('Error showing link error dialog:', err)
+    })
+}
+
+/**
+ * Explain why an MQTT broker URL was not saved
+ */
+export function showInvalidMqttUrl(mainWindow: Electron.BrowserWindow, url: string): void {
+  dialog
+    .showMessageBox(mainWindow, {
+      type: 'warning',
+      title: 'MQTT Broker',
+      message: 'This is not a broker URL.',
+      detail: `"${url}" must start with mqtt://, mqtts://, ws:// or wss://.`,
+      buttons: ['OK'],
+    })
+    .catch((err: unknown) => {
+      logError('Error showing MQTT dialog:', err)
+    })
+}
+
+/**
+ * Show where the HTTP control API listens and its token, with a button to
+ * copy the token
+ */
+export async function showHttpApiInfo(
+  mainWindow: Electron.BrowserWindow,
+  address: string | null,
+  token: string,
+): Promise<void> {
+  try {
+    const { response } = await dialog.showMessageBox(mainWindow, {
+      title: 'HTTP Control API',
+      message: address ? `Listening on ${address}` : 'The HTTP control API is not running.',
+      detail: `${address ? '' : 'Check the log for why it could not start (is the port in use?).\n\n'}Send the token with every request:\nAuthorization: Bearer ${token}`,
+      buttons: ['Copy Token', 'Close'],
+      defaultId: 1,
+      cancelId: 1,
+      noLink: true,
+    })
+    if (response === 0) clipboard.writeText(token)
+  } catch (err: unknown) {
+    logError('Error showing HTTP API dialog:', err)
+  }
+}
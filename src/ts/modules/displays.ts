@@ -0,0 +1,247 @@
+/**
+ * Display-aware window placement — main process only.
+ *
+ * `fitToDisplays()` checks saved bounds against the connected displays before
+ * a window is created. `watchWindow()` moves a window off a display that goes
+ * away and back when it returns, without changing the window's preferred
+ * placement.
+ */
+
+import { log } from './utils'
+import type { WindowBounds } from '../types/config'
+
+const { screen } = require('electron') as typeof import('electron')
+
+/** Where a window wants to be, as chosen by the user */
+export interface WindowPlacement {
+  bounds?: WindowBounds
+  displayId?: number
+  fullscreen: boolean
+}
+
+const placements = new Map<Electron.BrowserWindow, WindowPlacement>()
+let listening = false
+
+// ---------------------------------------------------------------------------
+// Geometry
+// ---------------------------------------------------------------------------
+
+function intersectionArea(a: Electron.Rectangle, b: Electron.Rectangle): number {
+  const width = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x)
+  const height = Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y)
+  return width > 0 && height > 0 ? width * height : 0
+}
+
+function hasPosition(bounds: WindowBounds): bounds is Electron.Rectangle {
+  return typeof bounds.x === 'number' && typeof bounds.y === 'number'
+}
+
+/**
+ * Whether every part of the bounds is on some display's work area. A window
+ * spanning two side-by-side monitors counts as visible.
+ */
+export function isFullyVisible(bounds: Electron.Rectangle, displays: Electron.Display[]): boolean {
+  const visible = displays.reduce((sum, { workArea }) => sum + intersectionArea(bounds, workArea), 0)
+  return visible >= bounds.width * bounds.height
+}
+
+/**
+ * Bounds of the given size (shrunk to fit), centered in the display's work area.
+ */
+export function centerOnDisplay(display: Electron.Display, width: number, height: number): Electron.Rectangle {
+  const { workArea } = display
+  const fitWidth = Math.min(width, workArea.width)
+  const fitHeight = Math.min(height, workArea.height)
+  return {
+    x: workArea.x + Math.round((workArea.width - fitWidth) / 2),
+    y: workArea.y + Math.round((workArea.height - fitHeight) / 2),
+    width: fitWidth,
+    height: fitHeight,
+  }
+}
+
+/**
+ * Move and shrink bounds so they fit inside the display's work area. Bounds
+ * that don't touch the display at all are centered on it instead.
+ */
+export function clampToDisplay(bounds: WindowBounds, display: Electron.Display): Electron.Rectangle {
+  const { workArea } = display
+  if (!hasPosition(bounds) || intersectionArea(bounds, workArea) === 0) {
+    return centerOnDisplay(display, bounds.width, bounds.height)
+  }
+
+  const width = Math.min(bounds.width, workArea.width)
+  const height = Math.min(bounds.height, workArea.height)
+  return {
+    x: Math.min(Math.max(bounds.x, workArea.x), workArea.x + workArea.width - width),
+    y: Math.min(Math.max(bounds.y, workArea.y), workArea.y + workArea.height - height),
+    width,
+    height,
+  }
+}
+
+/**
+ * The display a window belongs on: its saved display if connected, else the
+ * display it overlaps most, else the primary display.
+ */
+function targetDisplay(bounds: WindowBounds | undefined, displayId: number | undefined): Electron.Display {
+  const displays = screen.getAllDisplays()
+  const saved = displays.find((d) => d.id === displayId)
+  if (saved) return saved
+
+  if (bounds && hasPosition(bounds)) {
+    let best: Electron.Display | null = null
+    let bestArea = 0
+    for (const display of displays) {
+      const area = intersectionArea(bounds, display.workArea)
+      if (area > bestArea) {
+        best = display
+        bestArea = area
+      }
+    }
+    if (best) return best
+  }
+
+  return screen.getPrimaryDisplay()
+}
+
+/**
+ * Check saved bounds against the connected displays, moving them onto the
+ * target display (see targetDisplay()) if they would be off-screen or only
+ * partly visible. Bounds without a position are centered on their saved
+ * display, or left to the OS if it isn't connected.
+ */
+export function fitToDisplays(bounds: WindowBounds | undefined, displayId?: number): WindowBounds | undefined {
+  if (!bounds) return undefined
+
+  if (!hasPosition(bounds)) {
+    const saved = screen.getAllDisplays().find((d) => d.id === displayId)
+    return saved ? centerOnDisplay(saved, bounds.width, bounds.height) : bounds
+  }
+
+  if (isFullyVisible(bounds, screen.getAllDisplays())) return bounds
+
+  const display = targetDisplay(bounds, displayId)
+  log(`Saved window position is off-screen, moving it onto display ${display.id}`)
+  return clampToDisplay(bounds, display)
+}
+
+// ---------------------------------------------------------------------------
+// Tracking
+// ---------------------------------------------------------------------------
+
+function isConnected(displayId: number | undefined): boolean {
+  return displayId === undefined || screen.getAllDisplays().some((d) => d.id === displayId)
+}
+
+/**
+ * A window's preferred placement. Windows that aren't watched report where
+ * they are now.
+ */
+export function getPlacement(window: Electron.BrowserWindow): WindowPlacement {
+  const placement = placements.get(window)
+  if (placement?.bounds) return { ...placement }
+
+  // Not watched, or not moved since it opened without saved bounds
+  const bounds = window.getBounds()
+  const fullscreen = window.isFullScreen()
+  return {
+    bounds: fullscreen ? undefined : bounds,
+    displayId: placement?.displayId ?? screen.getDisplayMatching(bounds).id,
+    fullscreen: placement?.fullscreen ?? fullscreen,
+  }
+}
+
+function recordPlacement(window: Electron.BrowserWindow): void {
+  const placement = placements.get(window)
+  if (!placement || window.isDestroyed() || !isConnected(placement.displayId)) return
+
+  placement.fullscreen = window.isFullScreen()
+  if (placement.fullscreen || window.isMinimized()) return
+
+  const bounds = window.getBounds()
+  placement.bounds = bounds
+  placement.displayId = screen.getDisplayMatching(bounds).id
+}
+
+/**
+ * Put a window at its placement on the given display, leaving fullscreen
+ * first if needed (bounds can't change while fullscreen).
+ */
+function moveToDisplay(window: Electron.BrowserWindow, display: Electron.Display, placement: WindowPlacement): void {
+  const apply = () => {
+    if (window.isDestroyed()) return
+    const size = placement.bounds ?? window.getBounds()
+    window.setBounds(clampToDisplay(size, display))
+    if (placement.fullscreen) window.setFullScreen(true)
+  }
+
+  if (window.isFullScreen()) {
+    window.once('leave-full-screen', apply)
+    window.setFullScreen(false)
+  } else {
+    apply()
+  }
+}
+
+/**
+ * Move windows left off-screen (or partly visible) by a removed or resized
+ * display onto their preferred display, or the best remaining one.
+ */
+function rescueWindows(): void {
+  const displays = screen.getAllDisplays()
+
+  for (const [window, placement] of placements) {
+    if (window.isDestroyed() || window.isFullScreen() || window.isMinimized()) continue
+    const bounds = window.getBounds()
+    if (isFullyVisible(bounds, displays)) continue
+
+    const display = targetDisplay(bounds, placement.displayId)
+    log(`Window is off-screen, moving it onto display ${display.id}`)
+    window.setBounds(clampToDisplay(bounds, display))
+  }
+}
+
+/**
+ * Return windows to a display that was plugged back in.
+ */
+function restoreWindows(display: Electron.Display): void {
+  for (const [window, placement] of placements) {
+    if (window.isDestroyed() || placement.displayId !== display.id) continue
+    if (screen.getDisplayMatching(window.getBounds()).id === display.id) continue
+
+    log(`Display ${display.id} is back, returning window to it`)
+    moveToDisplay(window, display, { ...placement })
+  }
+}
+
+function listenForDisplayChanges(): void {
+  if (listening) return
+  listening = true
+
+  screen.on('display-removed', rescueWindows)
+  screen.on('display-metrics-changed', rescueWindows)
+  screen.on('display-added', (_event: Electron.Event, display: Electron.Display) => restoreWindows(display))
+}
+
+/**
+ * Track a window's preferred placement and keep it on a connected display as
+ * monitors come and go.
+ */
+export function watchWindow(window: Electron.BrowserWindow, preferred: WindowPlacement): void {
+  placements.set(window, { ...preferred })
+  listenForDisplayChanges()
+
+  const record = () => recordPlacement(window)
+  window.on('move', record)
+  window.on('resize', record)
+  window.on('enter-full-screen', record)
+  window.on('leave-full-screen', record)
+  window.on('closed', () => placements.delete(window))
+}
+
+/** Forget watched windows (test helper) */
+export function _resetDisplays(): void {
+  placements.clear()
+  listening = false
+}
@@ -0,0 +1,302 @@
+/**
+ * Local HTTP control API — main process only.
+ *
+ * Opt-in (File → HTTP Control API) REST interface and WebSocket event stream
+ * for home automation, authenticated with a bearer token. Endpoints are
+ * listed in the README.
+ */
+
+import * as http from 'node:http'
+import { createHash, randomBytes, timingSafeEqual } from 'node:crypto'
+import type { Duplex } from 'node:stream'
+import { log, logError } from './utils'
+import * as secrets from './secrets'
+import * as remoteControl from './remoteControl'
+import * as viewerEvents from './viewerEvents'
+import * as webSocket from './webSocket'
+import type { ControlResult } from '../types/remoteControl'
+
+interface StoreInterface {
+  get: (key: string) => unknown
+  set: (...args: unknown[]) => void
+}
+
+export const DEFAULT_HOST = '127.0.0.1'
+export const DEFAULT_PORT = 8765
+
+/** Largest request body accepted; commands take a few bytes of JSON */
+const MAX_BODY_BYTES = 16 * 1024
+
+const STATUS_BY_REASON: Record<Exclude<ControlResult, { ok: true }>['reason'], number> = {
+  invalid: 400,
+  'not-found': 404,
+  unavailable: 409,
+}
+
+export interface HttpApiSettings {
+  enabled: boolean
+  host: string
+  port: number
+}
+
+let server: http.Server | null = null
+let address: string | null = null
+let token = ''
+
+// Open /api/events connections, closed when the token changes or the API stops
+const streams = new Set<webSocket.WebSocketConnection>()
+
+function closeStreams(code: number, reason: string): void {
+  for (const stream of streams) stream.close(code, reason)
+  streams.clear()
+}
+
+/**
+ * Saved settings, with defaults for anything unset.
+ */
+export function getSettings(store: StoreInterface): HttpApiSettings {
+  const host = store.get('httpApiHost')
+  const port = store.get('httpApiPort')
+  return {
+    enabled: store.get('httpApiEnabled') === true,
+    host: typeof host === 'string' && host.trim() ? host.trim() : DEFAULT_HOST,
+    port: typeof port === 'number' ? port : DEFAULT_PORT,
+  }
+}
+
+/**
+ * The API token, generated and saved (encrypted) on first use.
+ */
+export function getToken(store: StoreInterface): string {
+  const stored = store.get('httpApiToken')
+  const existing = typeof stored === 'string' ? secrets.decryptSecret(stored) : ''
+  return existing || regenerateToken(store)
+}
+
+/**
+ * Replace the API token. Clients using the old one are refused from now on.
+ */
+export function regenerateToken(store: StoreInterface): string {
+  const fresh = randomBytes(24).toString('base64url')
+  store.set('httpApiToken', secrets.encryptSecret(fresh))
+  if (server) {
+    token = fresh
+    closeStreams(1008, 'Token changed')
+  }
+  log('Generated a new HTTP API token')
+  return fresh
+}
+
+/** `http://host:port` of the running API, or null when it is off */
+export function getAddress(): string | null {
+  return address
+}
+
+function digest(value: string): Buffer {
+  return createHash('sha256').update(value).digest()
+}
+
+/**
+ * Check a request's bearer token in constant time.
+ */
+export function isAuthorized(header: string | undefined, expected: string): boolean {
+  const match = /^Bearer\s+(\S+)$/i.exec(header ?? '')
+  if (!match || !expected) return false
+  return timingSafeEqual(digest(match[1]!), digest(expected))
+}
+
+function sendJson(res: http.ServerResponse, status: number, body: unknown): void {
+  const json = JSON.stringify(body)
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(json),
+    'Cache-Control': 'no-store',
+  })
+  res.end(json)
+}
+
+function sendError(res: http.ServerResponse, status: number, error: string): void {
+  sendJson(res, status, { ok: false, error })
+}
+
+/**
+ * Read a JSON object body. An empty body is an empty object.
+ */
+function readJsonBody(req: http.IncomingMessage): Promise<Record<string, unknown>> {
+  return new Promise((resolve, reject) => {
+    const chunks: Buffer[] = []
+    let size = 0
+
+    req.on('data', (chunk: Buffer) => {
+      size += chunk.length
+      if (size > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error('Request body too large'), { status: 413 }))
+        req.destroy()
+        return
+      }
+      chunks.push(chunk)
+    })
+    req.on('error', reject)
+    req.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf8').trim()
+      if (!text) return resolve({})
+      try {
+        const body = JSON.parse(text)
+        if (typeof body === 'object' && body !== null && !Array.isArray(body)) return resolve(body)
+      } catch {
+        // fall through
+      }
+      reject(Object.assign(new Error('Body must be a JSON object'), { status: 400 }))
+    })
+  })
+}
+
+async function handleRequest(
+  window: Electron.BrowserWindow,
+  expectedToken: () => string,
+  req: http.IncomingMessage,
+  res: http.ServerResponse,
+): Promise<void> {
+  if (!isAuthorized(req.headers.authorization, expectedToken())) {
+    res.setHeader('WWW-Authenticate', 'Bearer')
+    return sendError(res, 401, 'Missing or invalid token')
+  }
+
+  const { pathname } = new URL(req.url ?? '/', 'http://localhost')
+
+  if (req.method === 'GET') {
+    if (window.isDestroyed()) return sendError(res, 409, 'The viewer window is closed')
+    const status = remoteControl.getStatus(window)
+    switch (pathname) {
+      case '/api/status':
+        return sendJson(res, 200, status)
+      case '/api/cameras':
+        return sendJson(res, 200, { cameras: status.cameras, zoomedCamera: status.zoomedCamera })
+      case '/api/ui':
+        return sendJson(res, 200, status.ui)
+      case '/api/events':
+        res.setHeader('Upgrade', 'websocket')
+        return sendError(res, 426, 'Connect with a WebSocket client')
+    }
+    return sendError(res, 404, 'Not found')
+  }
+
+  if (req.method !== 'POST') return sendError(res, 405, 'Method not allowed')
+
+  const command = /^\/api\/commands\/([a-z-]+)$/.exec(pathname)?.[1]
+  if (!command) return sendError(res, 404, 'Not found')
+  if (!(remoteControl.COMMAND_NAMES as readonly string[]).includes(command)) {
+    return sendError(res, 404, `Unknown command "${command}"`)
+  }
+
+  let args: Record<string, unknown>
+  try {
+    args = await readJsonBody(req)
+  } catch (err) {
+    const status = (err as { status?: number }).status ?? 400
+    return sendError(res, status, (err as Error).message)
+  }
+
+  const parsed = remoteControl.parseCommand(command, args)
+  if (typeof parsed === 'string') return sendError(res, 400, parsed)
+
+  const result = remoteControl.runCommand(window, parsed)
+  if (result.ok) return sendJson(res, 200, result)
+  return sendError(res, STATUS_BY_REASON[result.reason], result.error)
+}
+
+/**
+ * Upgrade `/api/events` to a WebSocket event stream: a snapshot first, then
+ * every viewer event until the client disconnects.
+ */
+function handleUpgrade(expectedToken: () => string, req: http.IncomingMessage, socket: Duplex): void {
+  const reject = (status: string) => {
+    socket.end(`HTTP/1.1 ${status}\r\nConnection: close\r\n\r\n`)
+  }
+
+  const url = new URL(req.url ?? '/', 'http://localhost')
+  if (url.pathname !== '/api/events' || !webSocket.isUpgradeRequest(req)) return reject('404 Not Found')
+
+  const queryToken = url.searchParams.get('token')
+  const header = req.headers.authorization ?? (queryToken ? `Bearer ${queryToken}` : undefined)
+  if (!isAuthorized(header, expectedToken())) return reject('401 Unauthorized')
+
+  const stream = webSocket.accept(req, socket)
+  streams.add(stream)
+
+  const initial = viewerEvents.snapshot()
+  if (initial) stream.send(JSON.stringify(initial))
+  const unsubscribe = viewerEvents.subscribe((message) => stream.send(JSON.stringify(message)))
+
+  stream.onClose(() => {
+    unsubscribe()
+    streams.delete(stream)
+  })
+}
+
+/**
+ * Create the API server for a window. `expectedToken` is read on every
+ * request so a new token takes effect without a restart.
+ */
+export function createServer(window: Electron.BrowserWindow, expectedToken: () => string): http.Server {
+  const created = http.createServer((req, res) => {
+    handleRequest(window, expectedToken, req, res).catch((err: unknown) => {
+      logError('HTTP API request failed:', err)
+      if (!res.headersSent) sendError(res, 500, 'Internal error')
+      else res.end()
+    })
+  })
+  created.on('upgrade', (req: http.IncomingMessage, socket: Duplex) => {
+    handleUpgrade(expectedToken, req, socket)
+  })
+  return created
+}
+
+/**
+ * Stop the API if it is running.
+ */
+export function stop(): Promise<void> {
+  const running = server
+  server = null
+  address = null
+  closeStreams(1001, 'Server stopping')
+  if (!running) return Promise.resolve()
+  return new Promise((resolve) => {
+    running.close(() => resolve())
+    running.closeAllConnections()
+  })
+}
+
+/**
+ * Start or stop the API to match the saved settings. Resolves once the
+ * server is listening (or has failed to).
+ */
+export async function applySettings(mainWindow: Electron.BrowserWindow, store: StoreInterface): Promise<void> {
+  await stop()
+  const settings = getSettings(store)
+  if (!settings.enabled) return
+
+  token = getToken(store)
+  const next = createServer(mainWindow, () => token)
+
+  await new Promise<void>((resolve) => {
+    next.once('error', (err) => {
+      logError(`HTTP API could not listen on ${settings.host}:${settings.port}:`, err)
+      resolve()
+    })
+    next.listen(settings.port, settings.host, () => {
+      server = next
+      address = `http://${settings.host.includes(':') ? `[${settings.host}]` : settings.host}:${settings.port}`
+      log(`HTTP API listening on ${address}`)
+      resolve()
+    })
+  })
+}
+
+/**
+ * Turn the API on or off and save the choice.
+ */
+export function setEnabled(mainWindow: Electron.BrowserWindow, store: StoreInterface, enabled: boolean): Promise<void> {
+  store.set('httpApiEnabled', enabled)
+  return applySettings(mainWindow, store)
+}
@@ -0,0 +1,48 @@
+/**
+ * Pausing on user interaction — renderer-side module.
+ *
+ * Shared by the camera tour and the liveview playlist: a real click, key
+ * press, scroll or touch holds them until the user has left the page alone
+ * for a while.
+ */
+
+const INTERACTION_EVENTS = ['pointerdown', 'keydown', 'wheel', 'touchstart'] as const
+
+/** A running tour or playlist: its one timer either steps or resumes it */
+export interface PausableRun {
+  paused: boolean
+  timer: ReturnType<typeof setTimeout> | null
+}
+
+export function clearTimer(run: PausableRun): void {
+  if (run.timer) clearTimeout(run.timer)
+  run.timer = null
+}
+
+/**
+ * Hold `run` and call `resume` once `delayMs` has passed. Pausing again
+ * restarts the wait.
+ */
+export function pauseRun(run: PausableRun, delayMs: number, resume: () => void): void {
+  clearTimer(run)
+  run.paused = true
+  run.timer = setTimeout(() => {
+    run.paused = false
+    resume()
+  }, delayMs)
+}
+
+/**
+ * Call `onInteraction` for every real click, key press, scroll or touch.
+ * Synthetic events, such as the clicks of camera zoom and navigation, are
+ * ignored. Returns a function that stops watching.
+ */
+export function watchInteraction(onInteraction: () => void): () => void {
+  const listener = (event: Event) => {
+    if (event.isTrusted) onInteraction()
+  }
+  for (const type of INTERACTION_EVENTS) document.addEventListener(type, listener, true)
+  return () => {
+    for (const type of INTERACTION_EVENTS) document.removeEventListener(type, listener, true)
+  }
+}
@@ -1,10 +1,25 @@
 /**
- * IPC module to handle communication between main and renderer processes
+ * IPC module to handle communication between main and renderer processes.
+ *
+ * Handlers act on the window that sent the message, so each viewer window
+ * (see viewerWindows.ts) keeps its own page, fullscreen and menu state.
  */
 
 import { log, logError } from './utils'
+import * as profiles from './profiles'
+import * as secrets from './secrets'
+import * as launchOptions from './launchOptions'
+import * as kiosk from './kiosk'
+import * as viewerWindows from './viewerWindows'
+import * as deepLinks from './deepLinks'
+import * as viewerEvents from './viewerEvents'
+import * as keybindings from './keybindings'
+import * as snapshots from './snapshots-main'
+import * as recordings from './recordings-main'
+import * as popout from './popout-main'
+import * as audio from './audio'
 
-const { ipcMain, app } = require('electron') as typeof import('electron')
+const { ipcMain, app, BrowserWindow } = require('electron') as typeof import('electron')
 
 interface StoreInterface {
   store: Record<string, unknown>
@@ -13,106 +28,306 @@ interface StoreInterface {
   clear: () => void
 }
 
+function rebuildProfilesMenu(): void {
+  const menu = require('./menu') as typeof import('./menu')
+  menu.updateProfilesState()
+}
+
+/**
+ * Apply a saved or imported config: refresh the Profiles menu and, when the
+ * config has a complete login, load its URL. Returns whether a URL was loaded.
+ */
+export function reloadConfiguration(window: Electron.BrowserWindow, config: Record<string, unknown>): boolean {
+  rebuildProfilesMenu()
+
+  if (config.url && config.username && config.password) {
+    window.loadURL(config.url as string)
+    return true
+  }
+  return false
+}
+
+/**
+ * Keep a viewer window's renderer and the menu informed of its fullscreen state,
+ * and finish its recordings when its page goes away.
+ */
+export function attachWindow(window: Electron.BrowserWindow): void {
+  window.on('enter-full-screen', () => {
+    log('Window entered fullscreen')
+    if (!window.isDestroyed()) {
+      window.webContents.send('fullscreen-change', true)
+    }
+    const menu = require('./menu') as typeof import('./menu')
+    menu.updateFullscreenState(window, true)
+    viewerEvents.publish(window, 'fullscreen-change')
+  })
+
+  window.on('leave-full-screen', () => {
+    log('Window left fullscreen')
+    if (!window.isDestroyed()) {
+      window.webContents.send('fullscreen-change', false)
+    }
+    const menu = require('./menu') as typeof import('./menu')
+    menu.updateFullscreenState(window, false)
+    viewerEvents.publish(window, 'fullscreen-change')
+  })
+
+  // A reload or a new page ends a recording without the renderer saying so
+  window.webContents.on('did-navigate', () => {
+    recordings
+      .stopAllRecordings(window.webContents)
+      .then((stopped) => {
+        if (!stopped) return
+        const menu = require('./menu') as typeof import('./menu')
+        menu.updateRecording(window, false)
+      })
+      .catch((err: unknown) => logError('Error finishing recordings:', err))
+  })
+}
+
 /**
  * Setup IPC handlers for communication between renderer and main process
  */
 export function setupIpcHandlers(mainWindow: Electron.BrowserWindow, store: StoreInterface): void {
-  ipcMain.handle('configLoad', () => {
-    return store.store
+  /** The window that sent a message, falling back to the main window */
+  const senderWindow = (event: Electron.IpcMainEvent | Electron.IpcMainInvokeEvent): Electron.BrowserWindow =>
+    BrowserWindow.fromWebContents(event.sender) ?? mainWindow
+
+  ipcMain.handle('configLoad', (event: Electron.IpcMainInvokeEvent) => {
+    const window = senderWindow(event)
+    return popout.resolveWindowConfig(
+      window,
+      viewerWindows.resolveWindowConfig(store, window, profiles.resolveConfig(store)),
+    )
   })
 
-  ipcMain.on('configSave', (_event: Electron.IpcMainEvent, config: Record<string, unknown>) => {
-    const updatedConfig = { ...store.store, ...config }
-    store.set(updatedConfig)
+  ipcMain.on('configSave', (event: Electron.IpcMainEvent, config: Record<string, unknown>) => {
+    profiles.saveConfig(store, config)
+    reloadConfiguration(senderWindow(event), config)
+  })
+
+  ipcMain.handle('configSavePartial', (event: Electron.IpcMainInvokeEvent, partialConfig: Record<string, unknown>) => {
+    const window = senderWindow(event)
+    // The pop-out's layout is fixed and not the profile's
+    if (popout.isPopoutWindow(window)) return true
+    profiles.saveConfig(store, viewerWindows.saveWindowSettings(store, window, partialConfig))
+    return true
+  })
+
+  ipcMain.handle('profiles:list', () => {
+    return profiles.getProfileList(store)
+  })
+
+  ipcMain.handle('profiles:create', (_event: Electron.IpcMainInvokeEvent, name?: string) => {
+    const profile = profiles.createProfile(store, name)
+    profiles.setActiveProfile(store, profile.id)
+    rebuildProfilesMenu()
+    return profiles.getProfileList(store)
+  })
+
+  ipcMain.handle('profiles:delete', (_event: Electron.IpcMainInvokeEvent, id: string) => {
+    profiles.deleteProfile(store, id)
+    rebuildProfilesMenu()
+    return profiles.getProfileList(store)
+  })
+
+  ipcMain.handle('profiles:select', (_event: Electron.IpcMainInvokeEvent, id: string) => {
+    profiles.setActiveProfile(store, id)
+    rebuildProfilesMenu()
+    return profiles.getProfileList(store)
+  })
 
-    if (config.url && config.username && config.password) {
-      mainWindow.loadURL(config.url as string)
+  ipcMain.handle('keybindings:get', () => {
+    return {
+      actions: [...keybindings.KEYBINDING_ACTIONS],
+      bindings: keybindings.resolveKeybindings(store.get('keybindings')),
     }
   })
 
-  ipcMain.handle('configSavePartial', (_event: Electron.IpcMainInvokeEvent, partialConfig: Record<string, unknown>) => {
-    Object.entries(partialConfig).forEach(([key, value]) => {
-      store.set(key, value)
-    })
-    return true
+  // Conflicting bindings are refused; the rest are stored as changes from the defaults
+  ipcMain.handle('keybindings:save', (_event: Electron.IpcMainInvokeEvent, changes: unknown) => {
+    const bindings = keybindings.resolveKeybindings(changes)
+    const conflicts = keybindings.findConflicts(bindings)
+    if (conflicts.length > 0) return { ok: false, conflicts }
+
+    store.set('keybindings', keybindings.changedKeybindings(bindings))
+    const menu = require('./menu') as typeof import('./menu')
+    menu.updateKeybindings()
+    for (const window of BrowserWindow.getAllWindows()) {
+      if (!window.isDestroyed()) window.webContents.send('keybindings:changed', bindings)
+    }
+    log('Keybindings saved')
+    return { ok: true, conflicts: [] }
+  })
+
+  ipcMain.on('keybindings:capture', (_event: Electron.IpcMainEvent, active: unknown) => {
+    const menu = require('./menu') as typeof import('./menu')
+    menu.setKeybindingCapture(active === true)
+  })
+
+  ipcMain.handle('snapshot:save', (event: Electron.IpcMainInvokeEvent, request: unknown) => {
+    const parsed = snapshots.parseSnapshotRequest(request)
+    if (!parsed) return { ok: false, error: 'Invalid snapshot' }
+    return snapshots.saveSnapshot(event.sender, store, parsed)
   })
 
-  ipcMain.on('loadURL', (_event: Electron.IpcMainEvent, url: string) => {
+  ipcMain.handle('popout:get', (event: Electron.IpcMainInvokeEvent) => {
+    return popout.isPopoutWindow(BrowserWindow.fromWebContents(event.sender)) ? popout.getPopoutCamera() : null
+  })
+
+  ipcMain.on('popout:camera-changed', (event: Electron.IpcMainEvent, camera: unknown) => {
+    popout.updatePopoutCamera(BrowserWindow.fromWebContents(event.sender), camera)
+  })
+
+  ipcMain.on('popout:close', (event: Electron.IpcMainEvent) => {
+    if (popout.isPopoutWindow(BrowserWindow.fromWebContents(event.sender))) popout.closePopout()
+  })
+
+  ipcMain.handle('audio:get', () => {
+    return audio.getAudioSettings(store)
+  })
+
+  ipcMain.on('audio:command', (_event: Electron.IpcMainEvent, command: unknown) => {
+    if (!audio.isAudioCommand(command)) return
+    const menu = require('./menu') as typeof import('./menu')
+    menu.runAudioCommand(command)
+  })
+
+  ipcMain.handle('recording:start', (event: Electron.IpcMainInvokeEvent, camera: unknown) => {
+    if (typeof camera !== 'string') return { ok: false, error: 'Invalid recording' }
+    return recordings.startRecording(event.sender, store, camera)
+  })
+
+  ipcMain.on('recording:data', (event: Electron.IpcMainEvent, id: unknown, chunk: unknown) => {
+    recordings.writeChunk(event.sender, id, chunk)
+  })
+
+  ipcMain.handle('recording:stop', (event: Electron.IpcMainInvokeEvent, id: unknown) => {
+    return recordings.stopRecording(event.sender, id)
+  })
+
+  ipcMain.handle('launchOptions:get', () => {
+    return launchOptions.getLaunchState()
+  })
+
+  ipcMain.on('launchOptions:consume', (_event: Electron.IpcMainEvent, key: unknown) => {
+    if (key === 'liveview' || key === 'camera') launchOptions.consumeStartView(key)
+  })
+
+  ipcMain.on('deep-link:result', (event: Electron.IpcMainEvent, result: unknown) => {
+    const { ok, message } = (result ?? {}) as { ok?: unknown; message?: unknown }
+    if (ok !== true && typeof message === 'string') {
+      deepLinks.showLinkError(senderWindow(event), message)
+    }
+  })
+
+  ipcMain.handle('kiosk:exit', (_event: Electron.IpcMainInvokeEvent, pin: unknown) => {
+    return kiosk.attemptExit(store, pin)
+  })
+
+  ipcMain.on('loadURL', (event: Electron.IpcMainEvent, url: string) => {
     log(`Loading URL: ${url}`)
-    mainWindow.loadURL(url)
+    senderWindow(event).loadURL(url)
   })
 
   ipcMain.on('restart', () => {
     log('Restart requested')
-    app.relaunch()
-    app.exit()
+    const shutdown = require('./shutdown') as typeof import('./shutdown')
+    shutdown.restartApp()
   })
 
   ipcMain.on('reset', () => {
+    if (kiosk.isKioskActive()) return
     log('Reset requested')
     store.clear()
   })
 
-  ipcMain.on('toggleFullscreen', () => {
+  ipcMain.on('toggleFullscreen', (event: Electron.IpcMainEvent) => {
     log('Fullscreen toggle requested')
-    if (mainWindow) {
-      const isFullScreen = mainWindow.isFullScreen()
-      mainWindow.setFullScreen(!isFullScreen)
-    }
+    const window = senderWindow(event)
+    if (kiosk.isKioskActive() && window === mainWindow) return
+    window.setFullScreen(!window.isFullScreen())
   })
 
-  ipcMain.handle('isFullScreen', () => {
-    return mainWindow ? mainWindow.isFullScreen() : false
+  ipcMain.handle('isFullScreen', (event: Electron.IpcMainInvokeEvent) => {
+    return senderWindow(event).isFullScreen()
   })
 
   if (mainWindow) {
-    mainWindow.on('enter-full-screen', () => {
-      log('Window entered fullscreen')
-      if (!mainWindow.isDestroyed()) {
-        mainWindow.webContents.send('fullscreen-change', true)
-      }
-      const menu = require('./menu') as typeof import('./menu')
-      menu.updateFullscreenState(true)
-    })
-
-    mainWindow.on('leave-full-screen', () => {
-      log('Window left fullscreen')
-      if (!mainWindow.isDestroyed()) {
-        mainWindow.webContents.send('fullscreen-change', false)
-      }
-      const menu = require('./menu') as typeof import('./menu')
-      menu.updateFullscreenState(false)
-    })
+    attachWindow(mainWindow)
   }
 
-  ipcMain.on('update-dashboard-state', (_event: Electron.IpcMainEvent, isDashboardPage: boolean) => {
+  ipcMain.on('update-dashboard-state', (event: Electron.IpcMainEvent, isDashboardPage: boolean) => {
     const menu = require('./menu') as typeof import('./menu')
-    menu.updateDashboardState(isDashboardPage)
+    const window = senderWindow(event)
+    menu.updateDashboardState(window, isDashboardPage)
+    viewerEvents.publish(window, 'dashboard-state')
   })
 
-  ipcMain.on('update-ui-state', (_event: Electron.IpcMainEvent, uiState: Record<string, unknown>) => {
+  ipcMain.on('update-ui-state', (event: Electron.IpcMainEvent, uiState: Record<string, unknown>) => {
     const menu = require('./menu') as typeof import('./menu')
-    menu.updateUIState(uiState)
+    const window = senderWindow(event)
+    menu.updateUIState(window, uiState)
+    viewerEvents.publish(window, 'ui-state')
   })
 
   ipcMain.on(
     'update-camera-list',
     (
-      _event: Electron.IpcMainEvent,
+      event: Electron.IpcMainEvent,
       data: { cameras: Array<{ index: number; name: string }>; zoomSupported: boolean },
     ) => {
       const menu = require('./menu') as typeof import('./menu')
-      menu.updateCameraList(data.cameras, data.zoomSupported)
+      const window = senderWindow(event)
+      menu.updateCameraList(window, data.cameras, data.zoomSupported)
+      viewerEvents.publish(window, 'camera-list')
     },
   )
 
-  ipcMain.on('update-camera-zoom', (_event: Electron.IpcMainEvent, zoomedIndex: number) => {
+  ipcMain.on('update-camera-zoom', (event: Electron.IpcMainEvent, zoomedIndex: number) => {
+    const menu = require('./menu') as typeof import('./menu')
+    const window = senderWindow(event)
+    menu.updateCameraZoom(window, zoomedIndex)
+    viewerEvents.publish(window, 'camera-zoom')
+  })
+
+  ipcMain.on('update-camera-tour', (event: Electron.IpcMainEvent, active: unknown) => {
+    const menu = require('./menu') as typeof import('./menu')
+    menu.updateCameraTour(senderWindow(event), active === true)
+  })
+
+  ipcMain.on('update-recording', (event: Electron.IpcMainEvent, active: unknown) => {
+    const menu = require('./menu') as typeof import('./menu')
+    menu.updateRecording(senderWindow(event), active === true)
+  })
+
+  ipcMain.on('update-liveview-playlist', (event: Electron.IpcMainEvent, active: unknown) => {
+    const menu = require('./menu') as typeof import('./menu')
+    menu.updateLiveviewPlaylist(senderWindow(event), active === true)
+  })
+
+  ipcMain.on('update-liveview', (event: Electron.IpcMainEvent, liveview: unknown) => {
+    const { id, name } = (liveview ?? {}) as { id?: unknown; name?: unknown }
+    const menu = require('./menu') as typeof import('./menu')
+    const window = senderWindow(event)
+    menu.updateLiveview(window, typeof id === 'string' && typeof name === 'string' ? { id, name } : null)
+    viewerEvents.publish(window, 'liveview-change')
+  })
+
+  ipcMain.on('update-liveview-list', (event: Electron.IpcMainEvent, liveviews: unknown) => {
     const menu = require('./menu') as typeof import('./menu')
-    menu.updateCameraZoom(zoomedIndex)
+    const list = Array.isArray(liveviews)
+      ? liveviews.filter((lv) => typeof lv?.id === 'string' && typeof lv?.name === 'string')
+      : []
+    menu.updateLiveviewList(
+      senderWindow(event),
+      list.map((lv) => ({ id: lv.id as string, name: lv.name as string })),
+    )
   })
 
   ipcMain.handle('getSystemDiagnostics', () => {
     return {
+      credentialStorage: secrets.getStorageInfo(),
       hardwareAcceleration: app.isHardwareAccelerationEnabled(),
       platform: process.platform,
       arch: process.arch,
@@ -121,8 +336,8 @@ export function setupIpcHandlers(mainWindow: Electron.BrowserWindow, store: Stor
     }
   })
 
-  ipcMain.handle('showResetConfirmation', async () => {
+  ipcMain.handle('showResetConfirmation', async (event: Electron.IpcMainInvokeEvent) => {
     const dialogs = require('./dialogs') as typeof import('./dialogs')
-    return await dialogs.showResetConfirmation(mainWindow)
+    return await dialogs.showResetConfirmation(senderWindow(event))
   })
 }
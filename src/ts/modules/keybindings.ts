@@ -0,0 +1,308 @@
+/**
+ * Keybinding registry — shared by the main process and the renderer.
+ *
+ * Every hotkey is an action with a default Electron accelerator; only the
+ * user's changes are stored (`keybindings`, '' for unbound). The menu and
+ * the dashboard's key listener (cameras.ts) both read `resolveKeybindings()`.
+ *
+ * No Electron imports: the config page uses these through the preload script.
+ */
+
+import type { KeybindingAction, KeybindingConflict, Keybindings, KeyPress } from '../types/keybindings'
+
+const IS_MAC = process.platform === 'darwin'
+
+/** Cameras with their own bindings: 1–9, then Shift+0–Shift+9 for 10–19 */
+const CAMERA_ACTIONS = 19
+/** Liveviews with their own bindings */
+const LIVEVIEW_ACTIONS = 9
+
+function numbered(
+  prefix: string,
+  label: string,
+  count: number,
+  defaultKey: (n: number) => string,
+  scope: KeybindingAction['scope'],
+): KeybindingAction[] {
+  return Array.from({ length: count }, (_, i) => ({
+    id: `${prefix}-${i + 1}`,
+    label: `${label} ${i + 1}`,
+    defaultKey: defaultKey(i + 1),
+    scope,
+  }))
+}
+
+/** Every bindable action, in the order the config page lists them */
+export const KEYBINDING_ACTIONS: readonly KeybindingAction[] = [
+  { id: 'toggle-navigation', label: 'Toggle All Navigation', defaultKey: 'Escape', scope: 'menu' },
+  { id: 'toggle-nav-only', label: 'Toggle Side Navigation', defaultKey: 'Alt+N', scope: 'menu' },
+  { id: 'toggle-header-only', label: 'Toggle Header', defaultKey: 'Alt+H', scope: 'menu' },
+  { id: 'toggle-widget-panel', label: 'Toggle Widget Panel', defaultKey: 'Alt+W', scope: 'menu' },
+  { id: 'toggle-fullscreen', label: 'Toggle Fullscreen', defaultKey: 'F11', scope: 'menu' },
+  { id: 'return-to-dashboard', label: 'Return to Dashboard', defaultKey: 'Home', scope: 'menu' },
+  ...numbered('zoom-camera', 'Zoom Camera', CAMERA_ACTIONS, (n) => (n < 10 ? String(n) : `Shift+${n - 10}`), 'page'),
+  { id: 'show-all-cameras', label: 'Show All Cameras', defaultKey: '0', scope: 'page' },
+  { id: 'camera-left', label: 'Camera to the Left', defaultKey: 'Left', scope: 'page' },
+  { id: 'camera-right', label: 'Camera to the Right', defaultKey: 'Right', scope: 'page' },
+  { id: 'camera-up', label: 'Camera Above', defaultKey: 'Up', scope: 'page' },
+  { id: 'camera-down', label: 'Camera Below', defaultKey: 'Down', scope: 'page' },
+  { id: 'toggle-mute', label: 'Mute/Unmute All Cameras', defaultKey: 'M', scope: 'page' },
+  { id: 'toggle-zoomed-audio', label: 'Unmute Zoomed Camera Only', defaultKey: '', scope: 'page' },
+  { id: 'volume-up', label: 'Volume Up', defaultKey: '=', scope: 'page' },
+  { id: 'volume-down', label: 'Volume Down', defaultKey: '-', scope: 'page' },
+  { id: 'save-snapshot', label: 'Save Snapshot', defaultKey: 'CmdOrCtrl+Shift+S', scope: 'menu' },
+  { id: 'record-clip', label: 'Start/Stop Recording', defaultKey: 'CmdOrCtrl+Shift+R', scope: 'menu' },
+  { id: 'camera-tour', label: 'Start/Stop Camera Tour', defaultKey: '', scope: 'menu' },
+  ...numbered('open-liveview', 'Open Liveview', LIVEVIEW_ACTIONS, (n) => `Alt+${n}`, 'menu'),
+  { id: 'liveview-playlist', label: 'Start/Stop Liveview Playlist', defaultKey: '', scope: 'menu' },
+  { id: 'skip-liveview', label: 'Skip to Next Liveview', defaultKey: '', scope: 'menu' },
+  { id: 'configuration', label: 'Configuration', defaultKey: 'CmdOrCtrl+,', scope: 'menu' },
+  { id: 'restart', label: 'Restart Application', defaultKey: 'F9', scope: 'menu' },
+  { id: 'reset-config', label: 'Reset Configuration', defaultKey: 'F10', scope: 'menu' },
+  { id: 'force-reset-config', label: 'Force Reset Configuration', defaultKey: 'Shift+F10', scope: 'menu' },
+  { id: 'exit-kiosk', label: 'Exit Kiosk Mode', defaultKey: 'CmdOrCtrl+Shift+K', scope: 'menu' },
+  { id: 'devtools', label: 'Developer Tools', defaultKey: 'F12', scope: 'menu' },
+]
+
+/** Actions that must keep a key: kiosk mode can't be left without one */
+const REQUIRED_ACTIONS = new Set(['exit-kiosk'])
+
+const ACTIONS_BY_ID = new Map(KEYBINDING_ACTIONS.map((action) => [action.id, action]))
+
+const MODIFIERS: Record<string, 'CmdOrCtrl' | 'Ctrl' | 'Alt' | 'Shift' | 'Super'> = {
+  cmdorctrl: 'CmdOrCtrl',
+  commandorcontrol: 'CmdOrCtrl',
+  ctrl: 'Ctrl',
+  control: 'Ctrl',
+  alt: 'Alt',
+  option: 'Alt',
+  shift: 'Shift',
+  cmd: 'Super',
+  command: 'Super',
+  super: 'Super',
+  meta: 'Super',
+}
+const MODIFIER_ORDER = ['CmdOrCtrl', 'Ctrl', 'Alt', 'Shift', 'Super'] as const
+
+/** Named keys, lower-cased accelerator spelling → canonical spelling */
+const NAMED_KEYS: Record<string, string> = {
+  escape: 'Escape',
+  esc: 'Escape',
+  enter: 'Enter',
+  return: 'Enter',
+  tab: 'Tab',
+  space: 'Space',
+  backspace: 'Backspace',
+  delete: 'Delete',
+  insert: 'Insert',
+  home: 'Home',
+  end: 'End',
+  pageup: 'PageUp',
+  pagedown: 'PageDown',
+  up: 'Up',
+  down: 'Down',
+  left: 'Left',
+  right: 'Right',
+  plus: 'Plus',
+}
+
+/** KeyboardEvent.key values of named keys → accelerator spelling */
+const EVENT_KEYS: Record<string, string> = {
+  Escape: 'Escape',
+  Enter: 'Enter',
+  Tab: 'Tab',
+  ' ': 'Space',
+  Backspace: 'Backspace',
+  Delete: 'Delete',
+  Insert: 'Insert',
+  Home: 'Home',
+  End: 'End',
+  PageUp: 'PageUp',
+  PageDown: 'PageDown',
+  ArrowUp: 'Up',
+  ArrowDown: 'Down',
+  ArrowLeft: 'Left',
+  ArrowRight: 'Right',
+}
+
+/** KeyboardEvent.code of punctuation keys → the unshifted character */
+const PUNCTUATION_CODES: Record<string, string> = {
+  Comma: ',',
+  Period: '.',
+  Minus: '-',
+  Equal: '=',
+  Slash: '/',
+  Backslash: '\\',
+  Semicolon: ';',
+  Quote: "'",
+  BracketLeft: '[',
+  BracketRight: ']',
+  Backquote: '`',
+}
+
+const PUNCTUATION = new Set(Object.values(PUNCTUATION_CODES))
+
+function canonicalKey(token: string): string | null {
+  if (/^[a-z0-9]$/i.test(token)) return token.toUpperCase()
+  if (PUNCTUATION.has(token)) return token
+  if (/^f([1-9]|1[0-9]|2[0-4])$/i.test(token)) return token.toUpperCase()
+  return NAMED_KEYS[token.toLowerCase()] ?? null
+}
+
+/**
+ * Bring an accelerator into canonical form (`Alt+Shift+K`), or null if it
+ * isn't one: exactly one key, known modifiers, each at most once.
+ */
+export function normalizeAccelerator(accelerator: string): string | null {
+  const tokens = accelerator.trim().split('+')
+  // A trailing "+" means the key is "+" itself
+  if (tokens.length > 1 && tokens[tokens.length - 1] === '' && tokens[tokens.length - 2] === '') {
+    tokens.splice(-2, 2, 'Plus')
+  }
+
+  const key = canonicalKey(tokens.pop()?.trim() ?? '')
+  if (!key) return null
+
+  const modifiers = new Set<string>()
+  for (const token of tokens) {
+    const modifier = MODIFIERS[token.trim().toLowerCase()]
+    if (!modifier || modifiers.has(modifier)) return null
+    modifiers.add(modifier)
+  }
+
+  return [...MODIFIER_ORDER.filter((m) => modifiers.has(m)), key].join('+')
+}
+
+/**
+ * The physical keys an accelerator stands for on this platform, as a string
+ * that is equal for equivalent accelerators.
+ */
+function keySignature(accelerator: string, isMac: boolean): string | null {
+  const normalized = normalizeAccelerator(accelerator)
+  if (!normalized) return null
+
+  const parts = normalized.split('+')
+  const key = parts.pop()!
+  const held = new Set(parts)
+  const ctrl = held.has('Ctrl') || (!isMac && held.has('CmdOrCtrl'))
+  const meta = held.has('Super') || (isMac && held.has('CmdOrCtrl'))
+  return [ctrl && 'Ctrl', held.has('Alt') && 'Alt', held.has('Shift') && 'Shift', meta && 'Meta', key]
+    .filter(Boolean)
+    .join('+')
+}
+
+/**
+ * The bindings in effect: defaults, overridden by the saved changes. Saved
+ * values that aren't valid accelerators (or that unbind a required action)
+ * are ignored.
+ */
+export function resolveKeybindings(saved: unknown): Keybindings {
+  const bindings: Keybindings = {}
+  for (const action of KEYBINDING_ACTIONS) bindings[action.id] = action.defaultKey
+
+  if (typeof saved === 'object' && saved !== null && !Array.isArray(saved)) {
+    for (const [id, value] of Object.entries(saved)) {
+      if (!ACTIONS_BY_ID.has(id) || typeof value !== 'string') continue
+      if (value.trim() === '') {
+        if (!REQUIRED_ACTIONS.has(id)) bindings[id] = ''
+        continue
+      }
+      const normalized = normalizeAccelerator(value)
+      if (normalized) bindings[id] = normalized
+    }
+  }
+  return bindings
+}
+
+/**
+ * The part of `bindings` that differs from the defaults — what gets stored.
+ */
+export function changedKeybindings(bindings: Keybindings): Keybindings {
+  const resolved = resolveKeybindings(bindings)
+  return Object.fromEntries(
+    KEYBINDING_ACTIONS.filter((action) => resolved[action.id] !== action.defaultKey).map((action) => [
+      action.id,
+      resolved[action.id]!,
+    ]),
+  )
+}
+
+/**
+ * Groups of actions bound to the same keys.
+ */
+export function findConflicts(bindings: Keybindings, isMac = IS_MAC): KeybindingConflict[] {
+  const byKeys = new Map<string, KeybindingConflict>()
+  for (const action of KEYBINDING_ACTIONS) {
+    const key = bindings[action.id]
+    const signature = key ? keySignature(key, isMac) : null
+    if (!signature) continue
+
+    const conflict = byKeys.get(signature)
+    if (conflict) conflict.actions.push(action.id)
+    else byKeys.set(signature, { key: key!, actions: [action.id] })
+  }
+  return [...byKeys.values()].filter((conflict) => conflict.actions.length > 1)
+}
+
+/**
+ * The accelerator for a key press, or null for a lone modifier or a key that
+ * can't be bound. The platform's command key becomes `CmdOrCtrl`.
+ */
+export function acceleratorFromKeyPress(press: KeyPress, isMac = IS_MAC): string | null {
+  let key: string | null = null
+  if (/^Key[A-Z]$/.test(press.code)) key = press.code.slice(3)
+  else if (/^Digit[0-9]$/.test(press.code)) key = press.code.slice(5)
+  else if (PUNCTUATION_CODES[press.code]) key = PUNCTUATION_CODES[press.code]!
+  else if (EVENT_KEYS[press.key]) key = EVENT_KEYS[press.key]!
+  else if (/^F([1-9]|1[0-9]|2[0-4])$/.test(press.key)) key = press.key
+  else if (press.key.length === 1) key = canonicalKey(press.key)
+  if (!key) return null
+
+  const modifiers = [
+    (isMac ? press.metaKey : press.ctrlKey) && 'CmdOrCtrl',
+    isMac && press.ctrlKey && 'Ctrl',
+    press.altKey && 'Alt',
+    press.shiftKey && 'Shift',
+    !isMac && press.metaKey && 'Super',
+  ].filter(Boolean)
+  return [...modifiers, key].join('+')
+}
+
+/**
+ * The action of the given scope bound to a key press, if any.
+ */
+export function actionForKeyPress(
+  bindings: Keybindings,
+  press: KeyPress,
+  scope: KeybindingAction['scope'],
+  isMac = IS_MAC,
+): string | null {
+  const pressed = acceleratorFromKeyPress(press, isMac)
+  const signature = pressed ? keySignature(pressed, isMac) : null
+  if (!signature) return null
+
+  const action = KEYBINDING_ACTIONS.find(
+    (candidate) =>
+      candidate.scope === scope &&
+      !!bindings[candidate.id] &&
+      keySignature(bindings[candidate.id]!, isMac) === signature,
+  )
+  return action?.id ?? null
+}
+
+/**
+ * An accelerator as this platform writes it (`Cmd+,` / `Ctrl+,`).
+ */
+export function displayAccelerator(accelerator: string, isMac = IS_MAC): string {
+  const normalized = normalizeAccelerator(accelerator)
+  if (!normalized) return ''
+  return normalized
+    .split('+')
+    .map((part) => {
+      if (part === 'CmdOrCtrl') return isMac ? 'Cmd' : 'Ctrl'
+      if (part === 'Super') return isMac ? 'Cmd' : 'Win'
+      if (part === 'Alt' && isMac) return 'Option'
+      return part
+    })
+    .join('+')
+}
@@ -0,0 +1,263 @@
+/**
+ * Kiosk mode — main process only.
+ *
+ * Pins every viewer window fullscreen and on top, hides the menu bar and
+ * removes the menu items that could change the setup (see menu.ts
+ * `stripKioskItems()`). Leaving takes a PIN, entered in kioskOverlay.ts and
+ * checked here against a salted scrypt hash. Kiosk mode entered from the menu
+ * survives restarts; `--kiosk` lasts for the session.
+ */
+
+import { randomBytes, scryptSync, timingSafeEqual } from 'node:crypto'
+import { log, logWarn } from './utils'
+import { showPrompt } from './prompt'
+import { displayAccelerator, resolveKeybindings } from './keybindings'
+import type { KioskExitResult } from '../types/ipc'
+
+const { dialog } = require('electron') as typeof import('electron')
+
+interface StoreInterface {
+  get: (key: string) => unknown
+  set: (...args: unknown[]) => void
+}
+
+export const MIN_PIN_LENGTH = 4
+const MAX_FAILED_ATTEMPTS = 5
+const LOCKOUT_MS = 60_000
+const PIN_HASH_PREFIX = 'scrypt'
+
+let active = false
+let windowRef: Electron.BrowserWindow | null = null
+// Windows kept in kiosk presentation while kiosk mode is on
+const windows = new Set<Electron.BrowserWindow>()
+let failedAttempts = 0
+let lockedUntil = 0
+
+// ---------------------------------------------------------------------------
+// PIN hashing
+// ---------------------------------------------------------------------------
+
+/**
+ * Hash a PIN for storage as `scrypt$<salt>$<hash>` (base64).
+ */
+export function hashPin(pin: string): string {
+  const salt = randomBytes(16)
+  const hash = scryptSync(pin, salt, 32)
+  return [PIN_HASH_PREFIX, salt.toString('base64'), hash.toString('base64')].join('$')
+}
+
+/**
+ * Check a PIN against a stored hash in constant time.
+ */
+export function verifyPin(pin: string, stored: string): boolean {
+  const [prefix, salt, hash] = stored.split('$')
+  if (prefix !== PIN_HASH_PREFIX || !salt || !hash) return false
+
+  const expected = Buffer.from(hash, 'base64')
+  const actual = scryptSync(pin, Buffer.from(salt, 'base64'), expected.length)
+  return expected.length > 0 && timingSafeEqual(actual, expected)
+}
+
+export function hasPin(store: StoreInterface): boolean {
+  return typeof store.get('kioskPinHash') === 'string'
+}
+
+export function setPin(store: StoreInterface, pin: string): void {
+  store.set('kioskPinHash', hashPin(pin))
+  log('Kiosk PIN updated')
+}
+
+// ---------------------------------------------------------------------------
+// State
+// ---------------------------------------------------------------------------
+
+export function isKioskActive(): boolean {
+  return active
+}
+
+function rebuildMenu(): void {
+  const menu = require('./menu') as typeof import('./menu')
+  menu.updateKioskState()
+}
+
+/**
+ * Put a window back into kiosk presentation if something took it out.
+ */
+function enforceWindowState(win: Electron.BrowserWindow): void {
+  if (!active || win.isDestroyed()) return
+  if (!win.isKiosk()) win.setKiosk(true)
+  if (!win.isFullScreen()) win.setFullScreen(true)
+  if (!win.isAlwaysOnTop()) win.setAlwaysOnTop(true, 'screen-saver')
+}
+
+function applyWindowState(win: Electron.BrowserWindow): void {
+  if (active) {
+    win.setMenuBarVisibility(false)
+    win.setAutoHideMenuBar(false)
+    win.setKiosk(true)
+    win.setFullScreen(true)
+    win.setAlwaysOnTop(true, 'screen-saver')
+    if (win.webContents.isDevToolsOpened()) win.webContents.closeDevTools()
+  } else {
+    win.setAlwaysOnTop(false)
+    win.setKiosk(false)
+    win.setFullScreen(false)
+    win.setAutoHideMenuBar(true)
+  }
+}
+
+/**
+ * Keep a viewer window in kiosk presentation while kiosk mode is on, now and
+ * whenever it is entered later. Windows opened or restored while kiosk mode
+ * is on are pinned straight away.
+ */
+export function attachWindow(win: Electron.BrowserWindow): void {
+  if (windows.has(win)) return
+  windows.add(win)
+
+  // Deferred so a window moved back to a reconnected display (displays.ts)
+  // reaches it before it is made fullscreen again
+  const enforce = () => setImmediate(() => enforceWindowState(win))
+  win.on('leave-full-screen', enforce)
+  win.on('always-on-top-changed', enforce)
+  win.on('closed', () => windows.delete(win))
+  win.webContents.on('devtools-opened', () => {
+    if (active) win.webContents.closeDevTools()
+  })
+
+  if (active) applyWindowState(win)
+}
+
+function applyToAllWindows(): void {
+  for (const win of windows) {
+    if (!win.isDestroyed()) applyWindowState(win)
+  }
+}
+
+/**
+ * Wire kiosk enforcement into the main window and enter kiosk mode if it was
+ * saved on, or requested with `--kiosk`.
+ */
+export function initialize(mainWindow: Electron.BrowserWindow, store: StoreInterface, forced = false): void {
+  windowRef = mainWindow
+  attachWindow(mainWindow)
+
+  if (forced || store.get('kioskMode') === true) {
+    if (!hasPin(store)) {
+      logWarn('Kiosk mode is on but no kiosk PIN is set; it can be left without a PIN')
+    }
+    enterKiosk(mainWindow, store, { persist: false })
+  }
+}
+
+export function enterKiosk(
+  mainWindow: Electron.BrowserWindow,
+  store: StoreInterface,
+  { persist = true }: { persist?: boolean } = {},
+): void {
+  windowRef = mainWindow
+  attachWindow(mainWindow)
+  active = true
+  failedAttempts = 0
+  if (persist) store.set('kioskMode', true)
+
+  applyToAllWindows()
+  rebuildMenu()
+  log('Entered kiosk mode')
+}
+
+export function exitKiosk(mainWindow: Electron.BrowserWindow, store: StoreInterface): void {
+  active = false
+  store.set('kioskMode', false)
+
+  attachWindow(mainWindow)
+  applyToAllWindows()
+  rebuildMenu()
+  log('Left kiosk mode')
+}
+
+/**
+ * Check a PIN from the exit overlay and leave kiosk mode if it matches.
+ */
+export function attemptExit(store: StoreInterface, pin: unknown): KioskExitResult {
+  if (!active || !windowRef || windowRef.isDestroyed()) return { ok: true }
+
+  const now = Date.now()
+  if (now < lockedUntil) {
+    return { ok: false, error: `Too many attempts. Try again in ${Math.ceil((lockedUntil - now) / 1000)} s.` }
+  }
+
+  const stored = store.get('kioskPinHash')
+  if (typeof stored === 'string' && !(typeof pin === 'string' && verifyPin(pin, stored))) {
+    failedAttempts++
+    logWarn(`Incorrect kiosk PIN (${failedAttempts} attempt(s))`)
+    if (failedAttempts >= MAX_FAILED_ATTEMPTS) {
+      failedAttempts = 0
+      lockedUntil = now + LOCKOUT_MS
+      return { ok: false, error: `Too many attempts. Try again in ${LOCKOUT_MS / 1000} s.` }
+    }
+    return { ok: false, error: 'Incorrect PIN' }
+  }
+
+  failedAttempts = 0
+  exitKiosk(windowRef, store)
+  return { ok: true }
+}
+
+/**
+ * Ask the page to show the PIN overlay.
+ */
+export function showExitOverlay(mainWindow: Electron.BrowserWindow): void {
+  if (active) mainWindow.webContents.send('kiosk:show-exit')
+}
+
+// ---------------------------------------------------------------------------
+// Menu actions
+// ---------------------------------------------------------------------------
+
+/**
+ * View → Set Kiosk PIN…  Resolves true if a PIN was saved.
+ */
+export async function promptSetPin(mainWindow: Electron.BrowserWindow, store: StoreInterface): Promise<boolean> {
+  const pin = await showPrompt(mainWindow, {
+    title: 'Kiosk PIN',
+    message: `Choose a PIN of at least ${MIN_PIN_LENGTH} characters. It is needed to leave kiosk mode.`,
+    password: true,
+    confirm: true,
+    minLength: MIN_PIN_LENGTH,
+  })
+  if (pin === null) return false
+
+  setPin(store, pin)
+  return true
+}
+
+/**
+ * View → Enter Kiosk Mode…  Asks for a PIN first if none is set.
+ */
+export async function promptEnterKiosk(mainWindow: Electron.BrowserWindow, store: StoreInterface): Promise<void> {
+  if (!hasPin(store) && !(await promptSetPin(mainWindow, store))) return
+
+  const exitKey = displayAccelerator(resolveKeybindings(store.get('keybindings'))['exit-kiosk']!)
+  const { response } = await dialog.showMessageBox(mainWindow, {
+    type: 'info',
+    title: 'Enter Kiosk Mode',
+    message: 'Enter kiosk mode?',
+    detail:
+      'The window stays fullscreen and on top, and settings are locked. ' +
+      `Press ${exitKey} and enter the PIN to leave kiosk mode.`,
+    buttons: ['Cancel', 'Enter Kiosk Mode'],
+    defaultId: 1,
+    cancelId: 0,
+  })
+  if (response === 1) enterKiosk(mainWindow, store)
+}
+
+/** Reset module state (test helper) */
+export function _resetKioskState(): void {
+  active = false
+  windowRef = null
+  windows.clear()
+  failedAttempts = 0
+  lockedUntil = 0
+}
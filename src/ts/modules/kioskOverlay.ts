@@ -0,0 +1,174 @@
+/**
+ * PIN overlay for leaving kiosk mode — renderer-side module.
+ *
+ * Shown when the main process sends `kiosk:show-exit` (Exit Kiosk Mode key,
+ * Ctrl/Cmd+Shift+K by default).
+ * The PIN is checked by the main process (`kiosk:exit`); this module only
+ * collects it and reports the result.
+ */
+
+import { logError } from './utils'
+import type { KioskExitResult } from '../types/ipc'
+
+const { ipcRenderer } = require('electron') as typeof import('electron')
+
+const OVERLAY_ID = 'upv-kiosk-exit-overlay'
+const STYLE_ID = 'upv-kiosk-exit-styles'
+
+export const KIOSK_OVERLAY_STYLES = /*css*/ `
+#${OVERLAY_ID} {
+  position: fixed;
+  inset: 0;
+  z-index: 2147483647;
+  display: flex;
+  align-items: center;
+  justify-content: center;
+  background: rgba(0, 0, 0, 0.75);
+  font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', system-ui, sans-serif;
+}
+
+#${OVERLAY_ID} form {
+  display: flex;
+  flex-direction: column;
+  gap: 12px;
+  width: 280px;
+  padding: 24px;
+  border-radius: 12px;
+  background: rgb(28, 30, 33);
+  color: #dee0e3;
+  box-shadow: 0 12px 40px rgba(0, 0, 0, 0.5);
+}
+
+#${OVERLAY_ID} h2 {
+  margin: 0;
+  font-size: 16px;
+  font-weight: 600;
+}
+
+#${OVERLAY_ID} input {
+  padding: 8px 10px;
+  border: 1px solid #3d4046;
+  border-radius: 6px;
+  background: rgb(19, 20, 22);
+  color: inherit;
+  font-size: 18px;
+  letter-spacing: 4px;
+  outline: none;
+}
+
+#${OVERLAY_ID} input:focus {
+  border-color: #006fff;
+}
+
+#${OVERLAY_ID} .upv-kiosk-error {
+  min-height: 16px;
+  font-size: 13px;
+  color: #ff6961;
+}
+
+#${OVERLAY_ID} .upv-kiosk-buttons {
+  display: flex;
+  justify-content: flex-end;
+  gap: 8px;
+}
+
+#${OVERLAY_ID} button {
+  padding: 6px 16px;
+  border: none;
+  border-radius: 6px;
+  background: #3d4046;
+  color: inherit;
+  font-size: 14px;
+  cursor: pointer;
+}
+
+#${OVERLAY_ID} button[type='submit'] {
+  background: #006fff;
+  color: white;
+}
+`
+
+export function isExitOverlayOpen(): boolean {
+  return document.getElementById(OVERLAY_ID) !== null
+}
+
+export function hideExitOverlay(): void {
+  document.getElementById(OVERLAY_ID)?.remove()
+}
+
+/**
+ * Show the PIN overlay. Idempotent — focuses the existing overlay if open.
+ */
+export function showExitOverlay(): void {
+  const existing = document.getElementById(OVERLAY_ID)
+  if (existing) {
+    existing.querySelector('input')?.focus()
+    return
+  }
+
+  if (!document.getElementById(STYLE_ID)) {
+    const style = document.createElement('style')
+    style.id = STYLE_ID
+    style.textContent = KIOSK_OVERLAY_STYLES
+    document.head.appendChild(style)
+  }
+
+  const overlay = document.createElement('div')
+  overlay.id = OVERLAY_ID
+
+  const form = document.createElement('form')
+
+  const title = document.createElement('h2')
+  title.textContent = 'Exit Kiosk Mode'
+
+  const input = document.createElement('input')
+  input.type = 'password'
+  input.inputMode = 'numeric'
+  input.autocomplete = 'off'
+  input.placeholder = 'PIN'
+
+  const error = document.createElement('div')
+  error.className = 'upv-kiosk-error'
+
+  const buttons = document.createElement('div')
+  buttons.className = 'upv-kiosk-buttons'
+
+  const cancel = document.createElement('button')
+  cancel.type = 'button'
+  cancel.textContent = 'Cancel'
+  cancel.addEventListener('click', hideExitOverlay)
+
+  const submit = document.createElement('button')
+  submit.type = 'submit'
+  submit.textContent = 'Unlock'
+
+  buttons.append(cancel, submit)
+  form.append(title, input, error, buttons)
+  overlay.appendChild(form)
+
+  form.addEventListener('submit', async (event) => {
+    event.preventDefault()
+    submit.disabled = true
+    try {
+      const result = (await ipcRenderer.invoke('kiosk:exit', input.value)) as KioskExitResult
+      if (result?.ok) {
+        hideExitOverlay()
+        return
+      }
+      error.textContent = result?.error || 'Incorrect PIN'
+      input.value = ''
+      input.focus()
+    } catch (err) {
+      logError('Error leaving kiosk mode:', err)
+      error.textContent = 'Something went wrong'
+    } finally {
+      submit.disabled = false
+    }
+  })
+
+  // Keep keystrokes away from page hotkeys (camera numbers, etc.)
+  overlay.addEventListener('keydown', (event) => event.stopPropagation())
+
+  document.body.appendChild(overlay)
+  input.focus()
+}
@@ -0,0 +1,283 @@
+/**
+ * Command-line options — main process only.
+ *
+ * Flags override the stored config for the session and are never saved.
+ * `--liveview` and `--camera` apply once: the renderer reports them consumed.
+ * Launching the app again forwards its arguments to the running instance
+ * (`applyForwardedArgs()`).
+ */
+
+import * as fs from 'node:fs'
+import { log, logWarn } from './utils'
+import { upgradeConfig, validators } from './configSchema'
+import * as profiles from './profiles'
+import type { LaunchOptions, LaunchState } from '../types/launch'
+
+interface StoreInterface {
+  get: (key: string) => unknown
+  set: (...args: unknown[]) => void
+  delete: (key: string) => void
+  clear: () => void
+  store: Record<string, unknown>
+}
+
+export const USAGE = `Usage: unifi-protect-viewer [options]
+
+Options override the saved configuration for this session only. If the
+viewer is already running, --url, --profile, --liveview, --camera and
+--fullscreen are passed on to it instead.
+
+  --url <url>              Open this Protect URL instead of the profile's
+  --profile <name|id>      Use this connection profile
+  --config <file>          Use settings from a JSON file (configuration export
+                           or raw config); changes are not saved
+  --liveview <name|id>     Open this liveview once the dashboard loads
+  --camera <name|number>   Zoom this camera (name, or 1-based tile position)
+  --fullscreen             Start in fullscreen
+  --kiosk                  Start in kiosk mode
+  --hide-nav               Hide the side navigation
+  --hide-header            Hide the header
+  --reset                  Clear the saved configuration
+  -h, --help               Show this help and exit
+`
+
+const BOOLEAN_FLAGS: Record<string, keyof LaunchOptions> = {
+  '--help': 'help',
+  '-h': 'help',
+  '--reset': 'reset',
+  '--fullscreen': 'fullscreen',
+  '--kiosk': 'kiosk',
+  '--hide-nav': 'hideNav',
+  '--hide-header': 'hideHeader',
+}
+
+const VALUE_FLAGS: Record<string, keyof LaunchOptions> = {
+  '--url': 'url',
+  '--profile': 'profile',
+  '--config': 'config',
+  '--liveview': 'liveview',
+  '--camera': 'camera',
+}
+
+/** Options a running instance still applies when they are forwarded to it */
+const FORWARDED_OPTIONS: ReadonlyArray<keyof LaunchOptions> = ['url', 'profile', 'liveview', 'camera', 'fullscreen']
+
+let current: LaunchOptions = {}
+
+/**
+ * Parse command-line arguments. Accepts `--flag value` and `--flag=value`.
+ * Unknown arguments are ignored — Chromium and Electron switches share argv.
+ */
+export function parseArgs(argv: string[]): { options: LaunchOptions; warnings: string[] } {
+  const options: Record<string, unknown> = {}
+  const warnings: string[] = []
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]!
+    const eq = arg.indexOf('=')
+    const flag = arg.startsWith('--') && eq !== -1 ? arg.slice(0, eq) : arg
+
+    if (flag in BOOLEAN_FLAGS && flag === arg) {
+      options[BOOLEAN_FLAGS[flag]!] = true
+      continue
+    }
+    if (!(flag in VALUE_FLAGS)) continue
+
+    let value: string | undefined
+    if (flag !== arg) {
+      value = arg.slice(eq + 1)
+    } else if (i + 1 < argv.length && !argv[i + 1]!.startsWith('--')) {
+      value = argv[++i]
+    }
+
+    if (!value?.trim()) {
+      warnings.push(`${flag} requires a value`)
+      continue
+    }
+    options[VALUE_FLAGS[flag]!] = value.trim()
+  }
+
+  if (options.url !== undefined) {
+    const url = validators.httpUrl(options.url)
+    if (typeof url === 'string') {
+      options.url = url
+    } else {
+      warnings.push('--url must be an http:// or https:// URL')
+      delete options.url
+    }
+  }
+
+  return { options: options as LaunchOptions, warnings }
+}
+
+export function setLaunchOptions(options: LaunchOptions): void {
+  current = { ...options }
+}
+
+export function getLaunchOptions(): LaunchOptions {
+  return current
+}
+
+/**
+ * Apply `--profile` and `--url` as session overrides on the profile store.
+ */
+export function applyProfileOverrides(store: StoreInterface): void {
+  if (current.profile && !profiles.setSessionProfile(store, current.profile)) {
+    logWarn(`--profile: no profile named "${current.profile}", using the saved active profile`)
+  }
+  if (current.url) {
+    profiles.setSessionUrl(current.url)
+  }
+}
+
+/**
+ * The renderer's share of the launch options, for `launchOptions:get`.
+ */
+export function getLaunchState(): LaunchState {
+  const { hideNav, hideHeader, liveview, camera } = current
+  const state: LaunchState = {}
+  if (hideNav) state.hideNav = true
+  if (hideHeader) state.hideHeader = true
+  if (liveview) state.liveview = liveview
+  if (camera) state.camera = camera
+  return state
+}
+
+/**
+ * Set the liveview and/or camera to open once the next Protect page loads.
+ */
+export function setStartView(view: Pick<LaunchOptions, 'liveview' | 'camera'>): void {
+  if (view.liveview) current.liveview = view.liveview
+  if (view.camera) current.camera = view.camera
+}
+
+/**
+ * Mark a start-view option as applied so it isn't applied again.
+ */
+export function consumeStartView(key: 'liveview' | 'camera'): void {
+  delete current[key]
+}
+
+function flagName(key: string): string {
+  const flags = [...Object.entries(VALUE_FLAGS), ...Object.entries(BOOLEAN_FLAGS)]
+  return flags.find(([flag, option]) => option === key && flag.startsWith('--'))?.[0] ?? key
+}
+
+/**
+ * Parse arguments forwarded from a second launch. Options that only apply at
+ * startup (`--kiosk`, `--config`, `--reset`, …) are dropped with a warning.
+ */
+export function parseForwardedArgs(argv: string[]): { options: LaunchOptions; warnings: string[] } {
+  const { options: parsed, warnings } = parseArgs(argv)
+  const options: Record<string, unknown> = {}
+
+  for (const [key, value] of Object.entries(parsed)) {
+    if ((FORWARDED_OPTIONS as readonly string[]).includes(key)) {
+      options[key] = value
+    } else {
+      warnings.push(`${flagName(key)}: only applies when the app starts, ignored by the running instance`)
+    }
+  }
+  return { options: options as LaunchOptions, warnings }
+}
+
+/**
+ * Act on arguments forwarded from a second launch: bring the main window to
+ * the front, switch profile or URL, then open the requested liveview and
+ * camera. Without a URL or profile change the page is told to apply the new
+ * start view right away; otherwise it picks it up once the new page loads.
+ */
+export function applyForwardedArgs(mainWindow: Electron.BrowserWindow, store: StoreInterface, argv: string[]): void {
+  if (mainWindow.isDestroyed()) return
+  if (mainWindow.isMinimized()) mainWindow.restore()
+  mainWindow.show()
+  mainWindow.focus()
+
+  const { options, warnings } = parseForwardedArgs(argv)
+  for (const warning of warnings) {
+    logWarn(warning)
+  }
+  if (Object.keys(options).length === 0) return
+  log('Applying arguments from another launch')
+
+  setStartView(options)
+
+  let reload = false
+  if (options.profile) {
+    if (profiles.setSessionProfile(store, options.profile)) {
+      reload = true
+    } else {
+      logWarn(`--profile: no profile named "${options.profile}"`)
+    }
+  }
+  if (options.url) {
+    profiles.setSessionUrl(options.url)
+    reload = true
+  }
+
+  if (reload) {
+    const windowManager = require('./window') as typeof import('./window')
+    windowManager.loadProfileUrl(mainWindow, store)
+    const menu = require('./menu') as typeof import('./menu')
+    menu.updateProfilesState()
+  } else if (options.liveview || options.camera) {
+    mainWindow.webContents.send('launchOptions:apply')
+  }
+
+  if (options.fullscreen) {
+    const kiosk = require('./kiosk') as typeof import('./kiosk')
+    if (!kiosk.isKioskActive()) mainWindow.setFullScreen(true)
+  }
+}
+
+/**
+ * Read a `--config` file. Accepts a configuration export (without
+ * passwords — there is no way to ask for a passphrase before the window
+ * exists) or a raw config object as stored by electron-store.
+ */
+export function loadConfigFile(filePath: string): Record<string, unknown> {
+  const text = fs.readFileSync(filePath, 'utf8')
+  const doc = JSON.parse(text)
+  if (typeof doc !== 'object' || doc === null || Array.isArray(doc)) {
+    throw new Error('Config file must contain a JSON object')
+  }
+
+  if ('format' in doc) {
+    const configTransfer = require('./configTransfer') as typeof import('./configTransfer')
+    const result = configTransfer.parseImport(text)
+    if (!result.ok) throw new Error(result.message)
+    return result.config
+  }
+
+  const { config, changes } = upgradeConfig(doc)
+  for (const change of changes) {
+    logWarn(`Config file ${change}`)
+  }
+  return config
+}
+
+/**
+ * In-memory store seeded from a `--config` file. Writes last until quit.
+ */
+export function createSessionStore(config: Record<string, unknown>): StoreInterface {
+  let data = structuredClone(config)
+  return {
+    get store() {
+      return data
+    },
+    set store(value: Record<string, unknown>) {
+      data = value
+    },
+    get: (key: string) => data[key],
+    set: (...args: unknown[]) => {
+      if (typeof args[0] === 'string') data[args[0]] = args[1]
+      else Object.assign(data, args[0])
+    },
+    delete: (key: string) => {
+      delete data[key]
+    },
+    clear: () => {
+      data = {}
+    },
+  }
+}
@@ -0,0 +1,129 @@
+/**
+ * Liveview playlist for the dashboard — renderer-side module.
+ *
+ * Switches the dashboard in place through the active profile's playlist,
+ * keeping each liveview on screen for its own time. Started, stopped and
+ * skipped from the View menu; user interaction pauses it (interactionPause.ts).
+ */
+
+import { log, logError, logWarn } from './utils'
+import * as liveviews from './liveviews'
+import * as interactionPause from './interactionPause'
+import { LIVEVIEW_PLAYLIST_RESUME_DELAY_MS, LIVEVIEW_PLAYLIST_SETTLE_MS } from './constants'
+import type { LiveviewPlaylistEntry } from '../types/config'
+
+const { ipcRenderer } = require('electron') as typeof import('electron')
+
+interface Playlist extends interactionPause.PausableRun {
+  entries: LiveviewPlaylistEntry[]
+  /** Next entry, counted from the start of the playlist */
+  position: number
+  /** Bumped by every step, so a skip supersedes a step still switching */
+  generation: number
+}
+
+let playlist: Playlist | null = null
+let stopWatchingInteraction: (() => void) | null = null
+
+export function isPlaylistRunning(): boolean {
+  return playlist !== null
+}
+
+function wait(ms: number): Promise<void> {
+  return new Promise((resolve) => setTimeout(resolve, ms))
+}
+
+/**
+ * Open the next entry's liveview and schedule the one after. Stops the
+ * playlist when the dashboard is gone; an entry whose liveview no longer
+ * exists keeps the current view on screen for its time.
+ */
+async function showNextEntry(current: Playlist, generation: number): Promise<void> {
+  const dashboard = require('./dashboard') as typeof import('./dashboard')
+  if (!dashboard.isDashboardPage()) {
+    stopPlaylist()
+    return
+  }
+
+  const position = current.position % current.entries.length
+  const entry = current.entries[position]!
+  current.position = position + 1
+
+  const superseded = () => playlist !== current || current.paused || current.generation !== generation
+
+  const liveview = liveviews.findLiveview(await liveviews.fetchLiveviews(), entry.liveview)
+  if (superseded()) return
+
+  if (!liveview) {
+    logWarn(`Liveview playlist: no liveview "${entry.liveview}", skipping`)
+  } else if (liveviews.getCurrentLiveviewId() !== liveview.id) {
+    log(`Liveview playlist: showing "${liveview.name}" for ${entry.seconds}s`)
+    liveviews.openLiveview(liveview.id)
+    await wait(LIVEVIEW_PLAYLIST_SETTLE_MS)
+    await dashboard.initializeDashboard()
+  }
+  // Stopped, paused, skipped or restarted while switching
+  if (superseded()) return
+
+  current.timer = setTimeout(() => runEntry(current), entry.seconds * 1000)
+}
+
+function runEntry(current: Playlist): void {
+  current.timer = null
+  showNextEntry(current, ++current.generation).catch((err: unknown) => {
+    logError('Liveview playlist step failed:', err)
+  })
+}
+
+/**
+ * Hold the playlist on the current liveview after user interaction; it
+ * resumes once the user has left it alone for LIVEVIEW_PLAYLIST_RESUME_DELAY_MS.
+ * Further interaction restarts the wait.
+ */
+export function pausePlaylist(): void {
+  const current = playlist
+  if (!current) return
+  interactionPause.pauseRun(current, LIVEVIEW_PLAYLIST_RESUME_DELAY_MS, () => runEntry(current))
+}
+
+/**
+ * Start the playlist from its first entry, replacing any running one.
+ */
+export function startPlaylist(entries: LiveviewPlaylistEntry[]): void {
+  if (entries.length === 0) {
+    stopPlaylist()
+    return
+  }
+  if (playlist) interactionPause.clearTimer(playlist)
+  else stopWatchingInteraction = interactionPause.watchInteraction(pausePlaylist)
+
+  playlist = { entries, position: 0, paused: false, timer: null, generation: 0 }
+  log(`Liveview playlist started (${entries.length} liveviews)`)
+  ipcRenderer.send('update-liveview-playlist', true)
+  runEntry(playlist)
+}
+
+/**
+ * Move straight on to the next entry, ending a pause.
+ */
+export function skipToNext(): void {
+  const current = playlist
+  if (!current) return
+  interactionPause.clearTimer(current)
+  current.paused = false
+  runEntry(current)
+}
+
+/**
+ * Stop the playlist, leaving the current liveview on screen.
+ */
+export function stopPlaylist(): void {
+  const current = playlist
+  if (!current) return
+  interactionPause.clearTimer(current)
+  playlist = null
+  stopWatchingInteraction?.()
+  stopWatchingInteraction = null
+  log('Liveview playlist stopped')
+  ipcRenderer.send('update-liveview-playlist', false)
+}
@@ -0,0 +1,82 @@
+/**
+ * Liveview lookup for the dashboard — renderer-side module.
+ *
+ * Liveviews are listed through Protect's own API, which the page is already
+ * authenticated against, and opened through the dashboard route
+ * `/protect/dashboard/<id>` — by loading it, or in place with `openLiveview()`.
+ */
+
+import { logError } from './utils'
+import type { LiveviewInfo } from '../types/cameras'
+
+const { ipcRenderer } = require('electron') as typeof import('electron')
+
+const LIVEVIEWS_API_PATH = '/proxy/protect/api/liveviews'
+const DASHBOARD_PATH_RE = /\/protect\/dashboard\/([^/?#]+)/
+
+/**
+ * Fetch the liveviews the logged-in user can see. Returns an empty list on
+ * failure (e.g. not logged in yet).
+ */
+export async function fetchLiveviews(): Promise<LiveviewInfo[]> {
+  try {
+    const response = await fetch(LIVEVIEWS_API_PATH, { credentials: 'include' })
+    if (!response.ok) throw new Error(`HTTP ${response.status}`)
+
+    const data = (await response.json()) as unknown
+    if (!Array.isArray(data)) return []
+    return data
+      .filter((lv) => typeof lv?.id === 'string' && typeof lv?.name === 'string')
+      .map((lv) => ({ id: lv.id as string, name: lv.name as string }))
+  } catch (err) {
+    logError('Error fetching liveviews:', err)
+    return []
+  }
+}
+
+/**
+ * Find a liveview by ID or by (case-insensitive) name.
+ */
+export function findLiveview(liveviews: LiveviewInfo[], nameOrId: string): LiveviewInfo | undefined {
+  const wanted = nameOrId.trim().toLowerCase()
+  return liveviews.find((lv) => lv.id === nameOrId) ?? liveviews.find((lv) => lv.name.trim().toLowerCase() === wanted)
+}
+
+/**
+ * ID of the liveview in the current URL, or null on the default dashboard
+ * and non-dashboard pages.
+ */
+export function getCurrentLiveviewId(): string | null {
+  return DASHBOARD_PATH_RE.exec(window.location.pathname)?.[1] ?? null
+}
+
+/**
+ * Absolute URL of a liveview's dashboard page on the current console.
+ */
+export function liveviewUrl(id: string): string {
+  return `${window.location.origin}/protect/dashboard/${encodeURIComponent(id)}`
+}
+
+/**
+ * Switch the dashboard to a liveview without reloading the page: push the
+ * route, then let Protect's router pick it up from a popstate event, as it
+ * would after Back/Forward.
+ */
+export function openLiveview(id: string): void {
+  window.history.pushState(window.history.state, '', liveviewUrl(id))
+  window.dispatchEvent(new PopStateEvent('popstate', { state: window.history.state }))
+}
+
+/**
+ * Tell the main process which liveviews there are, for the Liveviews menu,
+ * and which one is open. The open one is null on the default dashboard,
+ * whose liveview the URL doesn't name, and on other pages.
+ */
+export async function reportCurrentLiveview(): Promise<void> {
+  const list = await fetchLiveviews()
+  ipcRenderer.send('update-liveview-list', list)
+
+  const id = getCurrentLiveviewId()
+  const liveview = id ? (findLiveview(list, id) ?? { id, name: id }) : null
+  ipcRenderer.send('update-liveview', liveview)
+}
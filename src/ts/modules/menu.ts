@@ -1,16 +1,34 @@
 /**
- * Menu module to handle application menu creation and state management
+ * Menu module to handle application menu creation and state management.
+ *
+ * There is one application menu but possibly several viewer windows (see
+ * viewerWindows.ts). Page-dependent state — nav/header visibility, cameras,
+ * fullscreen — is tracked per window, and the menu is rebuilt for whichever
+ * window has focus. Its actions go to that window; profile and kiosk actions
+ * always go to the main window, which owns the connection profile.
  */
 
 import { log, logError } from './utils'
 import * as dialogs from './dialogs'
 import { htmlUrl } from './paths'
+import * as profiles from './profiles'
+import * as kiosk from './kiosk'
+import * as keybindings from './keybindings'
+import * as snapshots from './snapshots-main'
+import * as recordings from './recordings-main'
+import * as popout from './popout-main'
+import * as audio from './audio'
+import { CAMERA_TOUR_DEFAULT_DWELL_S, CAMERA_TOUR_DWELL_CHOICES_S, RECORDING_MAX_MINUTES_CHOICES } from './constants'
+import type { AudioCommand, CameraTourOptions, LiveviewInfo } from '../types/cameras'
 
-const { app, Menu, shell } = require('electron') as typeof import('electron')
+const { app, BrowserWindow, Menu, screen, shell } = require('electron') as typeof import('electron')
 
 const isDev = process.env.NODE_ENV === 'development'
 
 interface StoreInterface {
+  store: Record<string, unknown>
+  get: (key: string) => unknown
+  set: (...args: unknown[]) => void
   clear: () => void
 }
 
@@ -19,19 +37,137 @@ interface CameraEntry {
   name: string
 }
 
+/** Dynamic state of one viewer window, used when building the menu template */
+export interface WindowMenuState {
+  visibility: Record<string, boolean>
+  fullscreen: boolean
+  cameraList: CameraEntry[]
+  zoomedCameraIndex: number
+  cameraZoomSupported: boolean
+  configPage: boolean
+  dashboardPage: boolean
+  /** Liveviews of the console, for the Liveviews menu */
+  liveviewList: LiveviewInfo[]
+  /** Open liveview, checked in the Liveviews menu and reported to remote clients */
+  liveview: LiveviewInfo | null
+  cameraTourActive: boolean
+  liveviewPlaylistActive: boolean
+  recordingActive: boolean
+}
+
 let mainMenu: Electron.Menu
 let mainWindowRef: Electron.BrowserWindow | null = null
 let storeRef: StoreInterface | null = null
 
-// Dynamic state used when building the menu template
-let visibilityState: Record<string, boolean> = { navHidden: false, headerHidden: false, widgetPanelExpanded: false }
-let fullscreenState = false
+// Set while the config page records a new key, so the old one doesn't fire
+let keybindingCapture = false
+
+// Window the menu currently reflects (the last focused viewer window)
+let menuWindowRef: Electron.BrowserWindow | null = null
+const windowStates = new Map<Electron.BrowserWindow, WindowMenuState>()
+
+function stateFor(window: Electron.BrowserWindow): WindowMenuState {
+  let state = windowStates.get(window)
+  if (!state) {
+    state = {
+      visibility: { navHidden: false, headerHidden: false, widgetPanelExpanded: false },
+      fullscreen: false,
+      cameraList: [],
+      zoomedCameraIndex: -1,
+      cameraZoomSupported: true,
+      configPage: false,
+      dashboardPage: false,
+      liveviewList: [],
+      liveview: null,
+      cameraTourActive: false,
+      liveviewPlaylistActive: false,
+      recordingActive: false,
+    }
+    windowStates.set(window, state)
+  }
+  return state
+}
 
-// Camera menu state
-let cameraListState: CameraEntry[] = []
-let zoomedCameraIndex = -1
-let cameraZoomSupported = true
-let configPageState = false
+function menuWindow(): Electron.BrowserWindow {
+  return menuWindowRef && !menuWindowRef.isDestroyed() ? menuWindowRef : mainWindowRef!
+}
+
+/**
+ * Menu item IDs and roles removed in kiosk mode, along with their
+ * accelerators: anything that can reset or edit the config, open DevTools,
+ * leave fullscreen, or close the app.
+ */
+const KIOSK_HIDDEN_IDS = new Set([
+  'about',
+  'check-updates',
+  'configuration',
+  'profiles',
+  'export-config',
+  'import-config',
+  'restart',
+  'reset-config',
+  'force-reset-config',
+  'new-window',
+  'http-api',
+  'mqtt',
+  'edit-liveview-playlist',
+  'snapshot-options',
+  'recording-options',
+  'pop-out-camera',
+  'toggle-fullscreen',
+  'enter-kiosk',
+  'set-kiosk-pin',
+  'devtools',
+  'help',
+  'window',
+])
+const KIOSK_HIDDEN_ROLES = new Set(['about', 'quit', 'togglefullscreen', 'toggledevtools', 'close'])
+
+/**
+ * Remove kiosk-hidden items from a template, dropping submenus left empty
+ * and separators left dangling.
+ */
+export function stripKioskItems(items: Electron.MenuItemConstructorOptions[]): Electron.MenuItemConstructorOptions[] {
+  const kept: Electron.MenuItemConstructorOptions[] = []
+
+  for (const item of items) {
+    if (item.id && KIOSK_HIDDEN_IDS.has(item.id)) continue
+    if (item.role && KIOSK_HIDDEN_ROLES.has(item.role.toLowerCase())) continue
+
+    if (Array.isArray(item.submenu)) {
+      const submenu = stripKioskItems(item.submenu)
+      if (!submenu.some((child) => child.type !== 'separator')) continue
+      kept.push({ ...item, submenu })
+      continue
+    }
+
+    if (item.type === 'separator' && (kept.length === 0 || kept[kept.length - 1]!.type === 'separator')) continue
+    kept.push(item)
+  }
+
+  while (kept.length > 0 && kept[kept.length - 1]!.type === 'separator') kept.pop()
+  return kept
+}
+
+/**
+ * Keep showing accelerators but stop them firing, so the config page can
+ * record any key — even F9 — while it waits for one.
+ */
+function withoutAccelerators(items: Electron.MenuItemConstructorOptions[]): Electron.MenuItemConstructorOptions[] {
+  return items.map((item) => ({
+    ...item,
+    ...(item.accelerator ? { registerAccelerator: false } : {}),
+    ...(Array.isArray(item.submenu) ? { submenu: withoutAccelerators(item.submenu) } : {}),
+  }))
+}
+
+/**
+ * Accelerator lookup for the saved keybindings; unbound actions get none.
+ */
+function hotkeys(store: StoreInterface): (id: string) => string | undefined {
+  const bindings = keybindings.resolveKeybindings(store.get('keybindings'))
+  return (id) => bindings[id] || undefined
+}
 
 /**
  * Build the Window menu using platform conventions.
@@ -40,11 +176,12 @@ let configPageState = false
  */
 function buildWindowMenu(): Electron.MenuItemConstructorOptions | null {
   if (process.platform === 'darwin') {
-    return { role: 'windowMenu' }
+    return { id: 'window', role: 'windowMenu' }
   }
 
   if (process.platform === 'win32') {
     return {
+      id: 'window',
       label: 'Window',
       submenu: [{ role: 'minimize' }, { role: 'close' }],
     }
@@ -53,12 +190,527 @@ function buildWindowMenu(): Electron.MenuItemConstructorOptions | null {
   return null
 }
 
+/**
+ * Build the Profiles submenu: one radio item per connection profile plus a
+ * shortcut to the config page where profiles are added, edited and deleted.
+ */
+function buildProfilesMenu(
+  mainWindow: Electron.BrowserWindow,
+  store: StoreInterface,
+): Electron.MenuItemConstructorOptions {
+  const activeId = profiles.getActiveProfile(store).id
+
+  return {
+    id: 'profiles',
+    label: 'Profiles',
+    submenu: [
+      ...profiles.listProfiles(store).map((profile) => ({
+        label: profile.name,
+        type: 'radio' as const,
+        checked: profile.id === activeId,
+        click: () => {
+          if (profile.id === profiles.getActiveProfile(store).id) return
+          const windowManager = require('./window') as typeof import('./window')
+          windowManager.switchProfile(mainWindow, store, profile.id)
+          rebuildMenu()
+        },
+      })),
+      { type: 'separator' as const },
+      {
+        label: 'Manage Profiles…',
+        enabled: !stateFor(mainWindow).configPage,
+        click: () => {
+          mainWindow.loadURL(htmlUrl('config.html'))
+        },
+      },
+    ],
+  }
+}
+
+/**
+ * Build the New Window on Display submenu: one item per connected display.
+ */
+function buildNewWindowMenu(store: StoreInterface): Electron.MenuItemConstructorOptions {
+  const primaryId = screen.getPrimaryDisplay().id
+
+  return {
+    id: 'new-window',
+    label: 'New Window on Display',
+    submenu: screen.getAllDisplays().map((display, i) => ({
+      label: `Display ${i + 1} (${display.size.width}×${display.size.height}${display.id === primaryId ? ', primary' : ''})`,
+      click: () => {
+        const viewerWindows = require('./viewerWindows') as typeof import('./viewerWindows')
+        viewerWindows.openWindow(store, display.id)
+      },
+    })),
+  }
+}
+
+/**
+ * Build the HTTP Control API submenu: turn the API on or off, show how to
+ * reach it, replace its token.
+ */
+function buildHttpApiMenu(
+  mainWindow: Electron.BrowserWindow,
+  store: StoreInterface,
+): Electron.MenuItemConstructorOptions {
+  const httpApi = require('./httpApi') as typeof import('./httpApi')
+  const { enabled } = httpApi.getSettings(store)
+
+  const showInfo = () => {
+    dialogs.showHttpApiInfo(mainWindow, httpApi.getAddress(), httpApi.getToken(store))
+  }
+
+  return {
+    id: 'http-api',
+    label: 'HTTP Control API',
+    submenu: [
+      {
+        label: 'Enabled',
+        type: 'checkbox',
+        checked: enabled,
+        click: async () => {
+          await httpApi.setEnabled(mainWindow, store, !enabled)
+          rebuildMenu()
+          if (!enabled) showInfo()
+        },
+      },
+      {
+        label: 'Show Address and Token…',
+        enabled,
+        click: showInfo,
+      },
+      {
+        label: 'Generate New Token',
+        enabled,
+        click: () => {
+          httpApi.regenerateToken(store)
+          showInfo()
+        },
+      },
+    ],
+  }
+}
+
+const MQTT_STATE_LABELS = {
+  disabled: 'Off',
+  connecting: 'Connecting…',
+  connected: 'Connected',
+  disconnected: 'Disconnected, retrying',
+} as const
+
+/**
+ * Build the MQTT submenu: turn the bridge on or off, set the broker and its
+ * credentials, show the connection state.
+ */
+function buildMqttMenu(mainWindow: Electron.BrowserWindow, store: StoreInterface): Electron.MenuItemConstructorOptions {
+  const mqttBridge = require('./mqttBridge') as typeof import('./mqttBridge')
+  const { showPrompt } = require('./prompt') as typeof import('./prompt')
+  const { validators } = require('./configSchema') as typeof import('./configSchema')
+  const settings = mqttBridge.getSettings(store)
+
+  const askForBroker = async (): Promise<boolean> => {
+    const entered = await showPrompt(mainWindow, {
+      title: 'MQTT Broker',
+      message: 'Broker URL (mqtt://, mqtts://, ws:// or wss://)',
+      placeholder: settings.url || 'mqtt://192.168.1.10:1883',
+    })
+    if (entered === null) return false
+    if (typeof validators.mqttUrl(entered) !== 'string') {
+      dialogs.showInvalidMqttUrl(mainWindow, entered)
+      return false
+    }
+    await mqttBridge.configure(mainWindow, store, { url: entered })
+    return true
+  }
+
+  return {
+    id: 'mqtt',
+    label: 'MQTT',
+    submenu: [
+      {
+        label: 'Enabled',
+        type: 'checkbox',
+        checked: settings.enabled,
+        click: async () => {
+          if (!settings.enabled && !settings.url && !(await askForBroker())) return rebuildMenu()
+          await mqttBridge.setEnabled(mainWindow, store, !settings.enabled)
+          rebuildMenu()
+        },
+      },
+      {
+        label: 'Broker…',
+        click: async () => {
+          if (await askForBroker()) rebuildMenu()
+        },
+      },
+      {
+        label: 'Username…',
+        click: async () => {
+          const entered = await showPrompt(mainWindow, {
+            title: 'MQTT Username',
+            message: 'Leave empty for brokers without authentication.',
+            placeholder: settings.username,
+          })
+          if (entered !== null) await mqttBridge.configure(mainWindow, store, { username: entered.trim() })
+        },
+      },
+      {
+        label: 'Password…',
+        click: async () => {
+          const entered = await showPrompt(mainWindow, { title: 'MQTT Password', password: true })
+          if (entered !== null) await mqttBridge.configure(mainWindow, store, { password: entered })
+        },
+      },
+      { type: 'separator' },
+      {
+        label: `Status: ${MQTT_STATE_LABELS[mqttBridge.getConnectionState()]}`,
+        enabled: false,
+      },
+    ],
+  }
+}
+
+/**
+ * Saved camera tour settings, with defaults for anything unset
+ */
+function getCameraTourOptions(store: StoreInterface): CameraTourOptions {
+  const dwell = store.get('cameraTourDwell')
+  return {
+    dwellMs: (typeof dwell === 'number' && dwell > 0 ? dwell : CAMERA_TOUR_DEFAULT_DWELL_S) * 1000,
+    includeGrid: store.get('cameraTourIncludeGrid') !== false,
+  }
+}
+
+/**
+ * Build the Start/Stop Camera Tour item and its options submenu. Changed
+ * options restart a running tour so they apply straight away.
+ */
+function buildCameraTourItems(
+  window: Electron.BrowserWindow,
+  state: WindowMenuState,
+  store: StoreInterface,
+): Electron.MenuItemConstructorOptions[] {
+  const options = getCameraTourOptions(store)
+  const key = hotkeys(store)
+  const applyOption = (key: string, value: unknown) => {
+    store.set(key, value)
+    if (state.cameraTourActive) window.webContents.send('camera-tour:start', getCameraTourOptions(store))
+    rebuildMenu()
+  }
+
+  return [
+    {
+      label: state.cameraTourActive ? 'Stop Camera Tour' : 'Start Camera Tour',
+      accelerator: key('camera-tour'),
+      enabled: state.cameraZoomSupported,
+      click: () => {
+        if (state.cameraTourActive) window.webContents.send('camera-tour:stop')
+        else window.webContents.send('camera-tour:start', options)
+      },
+    },
+    {
+      label: 'Camera Tour Options',
+      submenu: [
+        ...CAMERA_TOUR_DWELL_CHOICES_S.map((seconds) => ({
+          label: `${seconds} Seconds per Camera`,
+          type: 'radio' as const,
+          checked: options.dwellMs === seconds * 1000,
+          click: () => applyOption('cameraTourDwell', seconds),
+        })),
+        { type: 'separator' as const },
+        {
+          label: 'Include Grid View',
+          type: 'checkbox' as const,
+          checked: options.includeGrid,
+          click: () => applyOption('cameraTourIncludeGrid', !options.includeGrid),
+        },
+      ],
+    },
+  ]
+}
+
+/**
+ * Build the audio items: Mute All Cameras and Unmute Zoomed Camera Only,
+ * checked as they apply, and the volume. Their keys are handled by the page.
+ */
+function buildAudioItems(store: StoreInterface): Electron.MenuItemConstructorOptions[] {
+  const settings = audio.getAudioSettings(store)
+  const key = hotkeys(store)
+
+  return [
+    {
+      label: 'Mute All Cameras',
+      accelerator: key('toggle-mute'),
+      registerAccelerator: false,
+      type: 'checkbox' as const,
+      checked: settings.muted,
+      click: () => runAudioCommand('toggle-mute'),
+    },
+    {
+      label: 'Unmute Zoomed Camera Only',
+      accelerator: key('toggle-zoomed-audio'),
+      registerAccelerator: false,
+      type: 'checkbox' as const,
+      checked: settings.zoomedOnly,
+      enabled: !settings.muted,
+      click: () => runAudioCommand('toggle-zoomed-audio'),
+    },
+    {
+      label: `Volume: ${settings.volume}%`,
+      enabled: false,
+    },
+    {
+      label: 'Volume Up',
+      accelerator: key('volume-up'),
+      registerAccelerator: false,
+      enabled: settings.volume < 100,
+      click: () => runAudioCommand('volume-up'),
+    },
+    {
+      label: 'Volume Down',
+      accelerator: key('volume-down'),
+      registerAccelerator: false,
+      enabled: settings.volume > 0,
+      click: () => runAudioCommand('volume-down'),
+    },
+  ]
+}
+
+/**
+ * Build the snapshot items: Save Snapshot (the zoomed or highlighted camera),
+ * a submenu to pick any camera, and the snapshot options.
+ */
+function buildSnapshotItems(
+  window: Electron.BrowserWindow,
+  state: WindowMenuState,
+  store: StoreInterface,
+): Electron.MenuItemConstructorOptions[] {
+  const settings = snapshots.getSettings(store)
+  const key = hotkeys(store)
+  const applyOption = (key: string, value: unknown) => {
+    store.set(key, value)
+    rebuildMenu()
+  }
+
+  return [
+    {
+      label: 'Save Snapshot',
+      accelerator: key('save-snapshot'),
+      click: () => window.webContents.send('snapshot:take', null),
+    },
+    {
+      label: 'Save Snapshot Of',
+      submenu: state.cameraList.map((cam) => ({
+        label: cam.name,
+        click: () => window.webContents.send('snapshot:take', cam.index),
+      })),
+    },
+    {
+      id: 'snapshot-options',
+      label: 'Snapshot Options',
+      submenu: [
+        {
+          label: 'PNG',
+          type: 'radio' as const,
+          checked: settings.format === 'png',
+          click: () => applyOption('snapshotFormat', 'png'),
+        },
+        {
+          label: 'JPEG',
+          type: 'radio' as const,
+          checked: settings.format === 'jpeg',
+          click: () => applyOption('snapshotFormat', 'jpeg'),
+        },
+        { type: 'separator' as const },
+        {
+          label: 'Also Copy to Clipboard',
+          type: 'checkbox' as const,
+          checked: settings.copyToClipboard,
+          click: () => applyOption('snapshotCopyToClipboard', !settings.copyToClipboard),
+        },
+        { type: 'separator' as const },
+        { label: `Folder: ${settings.folder}`, enabled: false },
+        {
+          label: 'Choose Snapshot Folder…',
+          click: () => {
+            snapshots
+              .chooseFolder(window, store)
+              .then(rebuildMenu)
+              .catch((err: unknown) => logError('Error choosing snapshot folder:', err))
+          },
+        },
+        {
+          label: 'Open Snapshot Folder',
+          click: () => {
+            snapshots.openFolder(store)
+          },
+        },
+      ],
+    },
+  ]
+}
+
+/**
+ * Build Start/Stop Recording (the zoomed camera) and the recording options.
+ */
+function buildRecordingItems(
+  window: Electron.BrowserWindow,
+  state: WindowMenuState,
+  store: StoreInterface,
+): Electron.MenuItemConstructorOptions[] {
+  const settings = recordings.getSettings(store)
+  const key = hotkeys(store)
+  const applyOption = (key: string, value: unknown) => {
+    store.set(key, value)
+    rebuildMenu()
+  }
+
+  return [
+    {
+      label: state.recordingActive ? 'Stop Recording' : 'Start Recording',
+      accelerator: key('record-clip'),
+      enabled: state.recordingActive || state.zoomedCameraIndex !== -1,
+      click: () => window.webContents.send('recording:toggle'),
+    },
+    {
+      id: 'recording-options',
+      label: 'Recording Options',
+      submenu: [
+        ...RECORDING_MAX_MINUTES_CHOICES.map((minutes) => ({
+          label: minutes === 1 ? 'Stop After 1 Minute' : `Stop After ${minutes} Minutes`,
+          type: 'radio' as const,
+          checked: settings.maxMinutes === minutes,
+          click: () => applyOption('recordingMaxMinutes', minutes),
+        })),
+        { type: 'separator' as const },
+        { label: `Folder: ${settings.folder}`, enabled: false },
+        {
+          label: 'Choose Recordings Folder…',
+          click: () => {
+            recordings
+              .chooseFolder(window, store)
+              .then(rebuildMenu)
+              .catch((err: unknown) => logError('Error choosing recordings folder:', err))
+          },
+        },
+        {
+          label: 'Open Recordings Folder',
+          click: () => {
+            recordings.openFolder(store)
+          },
+        },
+      ],
+    },
+  ]
+}
+
+/**
+ * Build Pop Out Camera, listing the window's cameras, and Close Pop-Out.
+ * The popped-out camera is checked.
+ */
+function buildPopoutItems(
+  window: Electron.BrowserWindow,
+  state: WindowMenuState,
+  store: StoreInterface,
+): Electron.MenuItemConstructorOptions[] {
+  const current = popout.getPopoutCamera()
+
+  return [
+    {
+      id: 'pop-out-camera',
+      label: 'Pop Out Camera',
+      submenu: state.cameraList.map((cam) => ({
+        label: cam.name,
+        type: 'checkbox' as const,
+        checked: current?.name === cam.name,
+        click: () => popout.openPopout(store, window, cam),
+      })),
+    },
+    {
+      label: 'Close Pop-Out',
+      enabled: current !== null,
+      click: () => popout.closePopout(),
+    },
+  ]
+}
+
+/**
+ * Build the liveview playlist items: Start/Stop, Skip, and a shortcut to the
+ * config page where the active profile's playlist is edited.
+ */
+function buildLiveviewPlaylistItems(
+  window: Electron.BrowserWindow,
+  state: WindowMenuState,
+  store: StoreInterface,
+): Electron.MenuItemConstructorOptions[] {
+  const entries = profiles.getActiveProfile(store).liveviewPlaylist ?? []
+  const key = hotkeys(store)
+
+  return [
+    {
+      label: state.liveviewPlaylistActive ? 'Stop Liveview Playlist' : 'Start Liveview Playlist',
+      accelerator: key('liveview-playlist'),
+      enabled: state.liveviewPlaylistActive || (state.dashboardPage && entries.length > 0),
+      click: () => {
+        if (state.liveviewPlaylistActive) window.webContents.send('liveview-playlist:stop')
+        else window.webContents.send('liveview-playlist:start', entries)
+      },
+    },
+    {
+      label: 'Skip to Next Liveview',
+      accelerator: key('skip-liveview'),
+      enabled: state.liveviewPlaylistActive,
+      click: () => {
+        window.webContents.send('liveview-playlist:skip')
+      },
+    },
+    {
+      id: 'edit-liveview-playlist',
+      label: 'Edit Liveview Playlist…',
+      enabled: !state.configPage,
+      click: () => {
+        window.loadURL(htmlUrl('config.html'))
+      },
+    },
+  ]
+}
+
+/**
+ * Build the Liveviews menu: one item per liveview, the open one checked,
+ * with keys (Alt+1…Alt+9 by default) for the first nine.
+ */
+function buildLiveviewsMenu(
+  window: Electron.BrowserWindow,
+  state: WindowMenuState,
+  store: StoreInterface,
+): Electron.MenuItemConstructorOptions {
+  const key = hotkeys(store)
+  return {
+    label: 'Liveviews',
+    submenu:
+      state.liveviewList.length > 0
+        ? state.liveviewList.map((lv, i) => ({
+            label: lv.name,
+            accelerator: i < 9 ? key(`open-liveview-${i + 1}`) : undefined,
+            type: 'checkbox' as const,
+            checked: state.liveview?.id === lv.id,
+            enabled: !state.configPage,
+            click: () => window.webContents.send('open-liveview', lv.id),
+          }))
+        : [{ label: 'No liveviews found', enabled: false }],
+  }
+}
+
 /**
  * Build the menu template using current dynamic state
  */
 function buildMenuTemplate(): Electron.MenuItemConstructorOptions[] {
   const mainWindow = mainWindowRef!
+  const window = menuWindow()
+  const state = stateFor(window)
   const store = storeRef!
+  const key = hotkeys(store)
   const windowMenu = buildWindowMenu()
 
   const template: Electron.MenuItemConstructorOptions[] = [
@@ -66,54 +718,80 @@ function buildMenuTemplate(): Electron.MenuItemConstructorOptions[] {
       label: 'File',
       submenu: [
         {
+          id: 'about',
           label: 'About UniFi Protect Viewer',
           click: () => {
-            dialogs.showAboutDialog(mainWindow)
+            dialogs.showAboutDialog(window)
           },
         },
         {
+          id: 'check-updates',
           label: 'Check for Updates',
           click: () => {
             const updates = require('./updates-main') as typeof import('./updates-main')
-            updates.checkForUpdatesWithDialog(mainWindow)
+            updates.checkForUpdatesWithDialog(window)
           },
         },
         {
+          id: 'configuration',
           label: 'Configuration',
-          accelerator: 'CmdOrCtrl+,',
-          enabled: !configPageState,
+          accelerator: key('configuration'),
+          enabled: !state.configPage,
+          click: () => {
+            window.loadURL(htmlUrl('config.html'))
+          },
+        },
+        buildProfilesMenu(mainWindow, store),
+        buildNewWindowMenu(store),
+        buildHttpApiMenu(mainWindow, store),
+        buildMqttMenu(mainWindow, store),
+        {
+          id: 'export-config',
+          label: 'Export Configuration…',
+          click: () => {
+            const configTransfer = require('./configTransfer') as typeof import('./configTransfer')
+            configTransfer.exportConfiguration(window, store)
+          },
+        },
+        {
+          id: 'import-config',
+          label: 'Import Configuration…',
           click: () => {
-            mainWindow.loadURL(htmlUrl('config.html'))
+            const configTransfer = require('./configTransfer') as typeof import('./configTransfer')
+            configTransfer.importConfiguration(mainWindow, store)
           },
         },
         { type: 'separator' },
         {
+          id: 'restart',
           label: 'Restart Application',
-          accelerator: 'F9',
+          accelerator: key('restart'),
           click: () => {
-            app.relaunch()
-            app.exit()
+            const shutdown = require('./shutdown') as typeof import('./shutdown')
+            shutdown.restartApp()
           },
         },
         {
+          id: 'reset-config',
           label: 'Reset Configuration',
-          accelerator: 'F10',
+          accelerator: key('reset-config'),
           click: async () => {
-            const confirmed = await dialogs.showResetConfirmation(mainWindow)
+            const confirmed = await dialogs.showResetConfirmation(window)
             if (confirmed) {
               store.clear()
-              app.relaunch()
-              app.exit()
+              const shutdown = require('./shutdown') as typeof import('./shutdown')
+              shutdown.restartApp()
             }
           },
         },
         {
+          id: 'force-reset-config',
           label: 'Force Reset Configuration',
-          accelerator: 'Shift+F10',
+          accelerator: key('force-reset-config'),
           click: () => {
             store.clear()
-            app.relaunch()
-            app.exit()
+            const shutdown = require('./shutdown') as typeof import('./shutdown')
+            shutdown.restartApp()
           },
         },
         { type: 'separator' },
@@ -138,48 +816,76 @@ function buildMenuTemplate(): Electron.MenuItemConstructorOptions[] {
         { role: 'reload' },
         { role: 'togglefullscreen', accelerator: process.platform === 'darwin' ? 'Ctrl+Cmd+F' : undefined },
         {
-          label: fullscreenState ? 'Exit Fullscreen (F11)' : 'Enter Fullscreen (F11)',
-          accelerator: 'F11',
+          id: 'toggle-fullscreen',
+          label: state.fullscreen ? 'Exit Fullscreen (F11)' : 'Enter Fullscreen (F11)',
+          accelerator: key('toggle-fullscreen'),
           click: () => {
-            mainWindow.setFullScreen(!mainWindow.isFullScreen())
+            window.setFullScreen(!window.isFullScreen())
           },
         },
         { type: 'separator' },
         {
           label:
-            visibilityState.navHidden && visibilityState.headerHidden ? 'Show All Navigation' : 'Hide All Navigation',
-          accelerator: 'Escape',
+            state.visibility.navHidden && state.visibility.headerHidden ? 'Show All Navigation' : 'Hide All Navigation',
+          accelerator: key('toggle-navigation'),
           click: () => {
-            mainWindow.webContents.send('toggle-navigation')
+            window.webContents.send('toggle-navigation')
           },
         },
         {
-          label: visibilityState.navHidden ? 'Show Side Navigation' : 'Hide Side Navigation',
-          accelerator: 'Alt+N',
+          label: state.visibility.navHidden ? 'Show Side Navigation' : 'Hide Side Navigation',
+          accelerator: key('toggle-nav-only'),
           click: () => {
-            mainWindow.webContents.send('toggle-nav-only')
+            window.webContents.send('toggle-nav-only')
           },
         },
         {
-          label: visibilityState.headerHidden ? 'Show Header' : 'Hide Header',
-          accelerator: 'Alt+H',
+          label: state.visibility.headerHidden ? 'Show Header' : 'Hide Header',
+          accelerator: key('toggle-header-only'),
           click: () => {
-            mainWindow.webContents.send('toggle-header-only')
+            window.webContents.send('toggle-header-only')
           },
         },
         {
-          label: visibilityState.widgetPanelExpanded ? 'Hide Widget Panel' : 'Show Widget Panel',
-          accelerator: 'Alt+W',
+          label: state.visibility.widgetPanelExpanded ? 'Hide Widget Panel' : 'Show Widget Panel',
+          accelerator: key('toggle-widget-panel'),
           click: () => {
-            mainWindow.webContents.send('toggle-widget-panel')
+            window.webContents.send('toggle-widget-panel')
           },
         },
         { type: 'separator' },
         {
           label: 'Return to Dashboard',
-          accelerator: 'Home',
+          accelerator: key('return-to-dashboard'),
+          enabled: !state.dashboardPage,
+          click: () => {
+            window.webContents.send('return-to-dashboard')
+          },
+        },
+        { type: 'separator' },
+        ...buildLiveviewPlaylistItems(window, state, store),
+        { type: 'separator' },
+        {
+          id: 'enter-kiosk',
+          label: 'Enter Kiosk Mode…',
+          click: () => {
+            kiosk.promptEnterKiosk(mainWindow, store)
+          },
+        },
+        {
+          id: 'set-kiosk-pin',
+          label: 'Set Kiosk PIN…',
+          click: () => {
+            kiosk.promptSetPin(mainWindow, store)
+          },
+        },
+        {
+          label: 'Exit Kiosk Mode…',
+          accelerator: key('exit-kiosk'),
+          visible: kiosk.isKioskActive(),
+          enabled: kiosk.isKioskActive(),
           click: () => {
-            mainWindow.webContents.send('return-to-dashboard')
+            kiosk.showExitOverlay(mainWindow)
           },
         },
       ],
@@ -187,36 +893,48 @@ function buildMenuTemplate(): Electron.MenuItemConstructorOptions[] {
     {
       label: 'Cameras',
       submenu:
-        cameraListState.length > 0
+        state.cameraList.length > 0
           ? [
-              ...cameraListState.map((cam, i) => ({
+              ...state.cameraList.map((cam, i) => ({
                 label: cam.name,
-                accelerator: i < 9 ? `${i + 1}` : undefined,
+                accelerator: key(`zoom-camera-${i + 1}`),
                 registerAccelerator: false,
                 type: 'checkbox' as const,
-                checked: zoomedCameraIndex === cam.index,
-                enabled: cameraZoomSupported,
-                click: () => mainWindow.webContents.send('zoom-camera', cam.index),
+                checked: state.zoomedCameraIndex === cam.index,
+                enabled: state.cameraZoomSupported,
+                click: () => window.webContents.send('zoom-camera', cam.index),
               })),
               { type: 'separator' as const },
               {
                 label: 'Show All Cameras',
-                accelerator: '0',
+                accelerator: key('show-all-cameras'),
                 registerAccelerator: false,
-                enabled: cameraZoomSupported && zoomedCameraIndex !== -1,
-                click: () => mainWindow.webContents.send('zoom-camera', -1),
+                enabled: state.cameraZoomSupported && state.zoomedCameraIndex !== -1,
+                click: () => window.webContents.send('zoom-camera', -1),
               },
+              { type: 'separator' as const },
+              ...buildAudioItems(store),
+              { type: 'separator' as const },
+              ...buildSnapshotItems(window, state, store),
+              { type: 'separator' as const },
+              ...buildRecordingItems(window, state, store),
+              { type: 'separator' as const },
+              ...buildPopoutItems(window, state, store),
+              { type: 'separator' as const },
+              ...buildCameraTourItems(window, state, store),
             ]
           : [{ label: 'No cameras on this view', enabled: false }],
     },
+    buildLiveviewsMenu(window, state, store),
     {
+      id: 'help',
       label: 'Help',
       submenu: [
         {
           label: 'Check for Updates',
           click: () => {
             const updates = require('./updates-main') as typeof import('./updates-main')
-            updates.checkForUpdatesWithDialog(mainWindow)
+            updates.checkForUpdatesWithDialog(window)
           },
         },
         {
@@ -227,12 +945,13 @@ function buildMenuTemplate(): Electron.MenuItemConstructorOptions[] {
         },
         { type: 'separator' },
         {
+          id: 'devtools',
           label: 'Developer Tools',
-          accelerator: 'F12',
+          accelerator: key('devtools'),
           click: () => {
             try {
-              if (mainWindow && !mainWindow.isDestroyed()) {
-                mainWindow.webContents.toggleDevTools()
+              if (window && !window.isDestroyed()) {
+                window.webContents.toggleDevTools()
                 log('DevTools toggled via menu')
               }
             } catch (err) {
@@ -260,58 +979,97 @@ function buildMenuTemplate(): Electron.MenuItemConstructorOptions[] {
     template.splice(template.length - 1, 0, windowMenu)
   }
 
-  return template
+  const visible = kiosk.isKioskActive() ? stripKioskItems(template) : template
+  return keybindingCapture ? withoutAccelerators(visible) : visible
 }
 
 /**
  * Rebuild and re-set the application menu from current state
  */
 function rebuildMenu(): void {
-  if (!mainWindowRef) return
+  if (!mainWindowRef || mainWindowRef.isDestroyed()) return
   mainMenu = Menu.buildFromTemplate(buildMenuTemplate())
   Menu.setApplicationMenu(mainMenu)
 }
 
+/**
+ * Rebuild the menu if `window` is the one it currently reflects
+ */
+function rebuildMenuFor(window: Electron.BrowserWindow): void {
+  if (window === menuWindow()) rebuildMenu()
+}
+
 /**
  * Setup application menu
  */
 export function setupApplicationMenu(mainWindow: Electron.BrowserWindow, store: StoreInterface): void {
   mainWindowRef = mainWindow
+  menuWindowRef = mainWindow
   storeRef = store
 
   rebuildMenu()
+  trackWindow(mainWindow)
+
+  // Keep New Window on Display in step with connected monitors
+  screen.on('display-added', rebuildMenu)
+  screen.on('display-removed', rebuildMenu)
+}
+
+/**
+ * Follow a viewer window: rebuild the menu for it when it gains focus, and
+ * keep its page-dependent state up to date.
+ */
+export function trackWindow(window: Electron.BrowserWindow): void {
+  stateFor(window)
+
+  window.on('focus', () => {
+    if (menuWindowRef === window) return
+    menuWindowRef = window
+    rebuildMenu()
+  })
+
+  window.on('closed', () => {
+    windowStates.delete(window)
+    if (menuWindowRef === window) {
+      menuWindowRef = BrowserWindow.getFocusedWindow() ?? mainWindowRef
+      rebuildMenu()
+    }
+  })
 
-  mainWindow.webContents.on('did-navigate', () => {
-    updateMenuState(mainWindow)
+  window.webContents.on('did-navigate', () => {
+    updateMenuState(window)
   })
 
-  mainWindow.webContents.on('did-finish-load', () => {
-    updateMenuState(mainWindow)
+  window.webContents.on('did-finish-load', () => {
+    updateMenuState(window)
   })
 
-  updateMenuState(mainWindow)
+  updateMenuState(window)
 }
 
 /**
- * Update menu items based on current page
+ * A copy of the page state tracked for a window — cameras, zoom, nav/header
+ * visibility — for remote clients (see remoteControl.ts).
  */
-export function updateMenuState(mainWindow: Electron.BrowserWindow): void {
-  mainWindow.webContents
+export function getWindowState(window: Electron.BrowserWindow): WindowMenuState {
+  const state = stateFor(window)
+  return {
+    ...state,
+    visibility: { ...state.visibility },
+    cameraList: [...state.cameraList],
+    liveviewList: [...state.liveviewList],
+  }
+}
+
+/**
+ * Update menu items based on a window's current page
+ */
+export function updateMenuState(window: Electron.BrowserWindow): void {
+  window.webContents
     .executeJavaScript(`window.location.href`)
     .then((currentUrl: string) => {
-      // Dashboard item
-      const isDashboardPage = currentUrl.includes('/protect/dashboard')
-      const viewMenu = mainMenu.items.find((item) => item.label === 'View')
-      if (viewMenu && viewMenu.submenu) {
-        const dashboardItem = viewMenu.submenu.items.find((item) => item.label === 'Return to Dashboard')
-        if (dashboardItem) {
-          dashboardItem.enabled = !isDashboardPage
-        }
-      }
-
-      // Config page state
-      const isConfigPage = currentUrl.includes('/html/config.html')
-      updateConfigPageState(isConfigPage)
+      updateDashboardState(window, currentUrl.includes('/protect/dashboard'))
+      updateConfigPageState(window, currentUrl.includes('/html/config.html'))
     })
     .catch((error: unknown) => {
       logError('Error updating menu state:', error)
@@ -319,58 +1077,169 @@ export function updateMenuState(mainWindow: Electron.BrowserWindow): void {
 }
 
 /**
- * Update dashboard state in the menu
+ * Update dashboard state in the menu (disables Return to Dashboard on the dashboard)
  */
-export function updateDashboardState(isDashboardPage: boolean): void {
-  const viewMenu = mainMenu?.items.find((item) => item.label === 'View')
-  if (viewMenu && viewMenu.submenu) {
-    const dashboardItem = viewMenu.submenu.items.find((item) => item.label === 'Return to Dashboard')
-    if (dashboardItem) {
-      dashboardItem.enabled = !isDashboardPage
-    }
+export function updateDashboardState(window: Electron.BrowserWindow, isDashboardPage: boolean): void {
+  const state = stateFor(window)
+  if (!isDashboardPage) {
+    state.liveview = null
+    state.cameraTourActive = false
+    state.liveviewPlaylistActive = false
+  }
+  if (state.dashboardPage !== isDashboardPage) {
+    state.dashboardPage = isDashboardPage
+    rebuildMenuFor(window)
   }
 }
 
 /**
  * Update config page state in the menu (disables Configuration item when on config page)
  */
-export function updateConfigPageState(isConfigPage: boolean): void {
-  if (configPageState !== isConfigPage) {
-    configPageState = isConfigPage
-    rebuildMenu()
+export function updateConfigPageState(window: Electron.BrowserWindow, isConfigPage: boolean): void {
+  const state = stateFor(window)
+  if (state.configPage !== isConfigPage) {
+    state.configPage = isConfigPage
+    // Manage Profiles… follows the main window's page whichever window has focus
+    if (window === mainWindowRef) rebuildMenu()
+    else rebuildMenuFor(window)
   }
 }
 
 /**
  * Update menu labels to reflect current nav/header visibility state
  */
-export function updateUIState(uiState: Record<string, unknown>): void {
-  visibilityState = { ...visibilityState, ...(uiState as Record<string, boolean>) }
+export function updateUIState(window: Electron.BrowserWindow, uiState: Record<string, unknown>): void {
+  const state = stateFor(window)
+  state.visibility = { ...state.visibility, ...(uiState as Record<string, boolean>) }
+  rebuildMenuFor(window)
+}
+
+/**
+ * Rebuild the menu after entering or leaving kiosk mode
+ */
+export function updateKioskState(): void {
   rebuildMenu()
 }
 
 /**
- * Update fullscreen menu label
+ * Rebuild the menu after keybindings were saved
  */
-export function updateFullscreenState(isFullscreen: boolean): void {
-  fullscreenState = isFullscreen
+export function updateKeybindings(): void {
   rebuildMenu()
 }
 
 /**
- * Update the camera list shown in the Cameras menu
+ * Stop (or resume) menu accelerators while the config page records a key
  */
-export function updateCameraList(cameras: CameraEntry[], zoomSupported: boolean): void {
-  cameraListState = cameras
-  cameraZoomSupported = zoomSupported
-  zoomedCameraIndex = -1
+export function setKeybindingCapture(active: boolean): void {
+  if (keybindingCapture === active) return
+  keybindingCapture = active
   rebuildMenu()
 }
 
 /**
- * Update which camera is currently zoomed (for checkmark in menu)
+ * Change the camera audio from the menu or a hotkey: save the new settings,
+ * apply them in every window and update the Cameras menu.
+ */
+export function runAudioCommand(command: AudioCommand): void {
+  if (!storeRef) return
+  const settings = audio.applyAudioCommand(audio.getAudioSettings(storeRef), command)
+  storeRef.set('audioMuted', settings.muted)
+  storeRef.set('audioZoomedOnly', settings.zoomedOnly)
+  storeRef.set('audioVolume', settings.volume)
+  for (const window of BrowserWindow.getAllWindows()) {
+    if (!window.isDestroyed()) window.webContents.send('audio:settings', settings)
+  }
+  log(
+    `Camera audio: ${settings.muted ? 'muted' : settings.zoomedOnly ? 'zoomed camera' : 'all cameras'}, volume ${settings.volume}%`,
+  )
+  rebuildMenu()
+}
+
+/**
+ * Rebuild the menu after the pop-out opened, closed or switched cameras
  */
-export function updateCameraZoom(index: number): void {
-  zoomedCameraIndex = index
+export function updatePopoutState(): void {
   rebuildMenu()
 }
+
+/**
+ * Rebuild the menu after the MQTT bridge connected or disconnected
+ */
+export function updateMqttState(): void {
+  rebuildMenu()
+}
+
+/**
+ * Rebuild the menu after profiles were added, renamed, deleted or switched
+ */
+export function updateProfilesState(): void {
+  rebuildMenu()
+}
+
+/**
+ * Update fullscreen menu label
+ */
+export function updateFullscreenState(window: Electron.BrowserWindow, isFullscreen: boolean): void {
+  stateFor(window).fullscreen = isFullscreen
+  rebuildMenuFor(window)
+}
+
+/**
+ * Update the camera list shown in the Cameras menu
+ */
+export function updateCameraList(window: Electron.BrowserWindow, cameras: CameraEntry[], zoomSupported: boolean): void {
+  const state = stateFor(window)
+  state.cameraList = cameras
+  state.cameraZoomSupported = zoomSupported
+  state.zoomedCameraIndex = -1
+  rebuildMenuFor(window)
+}
+
+/**
+ * Record the liveview open in a window (checked in the Liveviews menu)
+ */
+export function updateLiveview(window: Electron.BrowserWindow, liveview: LiveviewInfo | null): void {
+  stateFor(window).liveview = liveview
+  rebuildMenuFor(window)
+}
+
+/**
+ * Update the liveviews listed in the Liveviews menu
+ */
+export function updateLiveviewList(window: Electron.BrowserWindow, liveviews: LiveviewInfo[]): void {
+  stateFor(window).liveviewList = liveviews
+  rebuildMenuFor(window)
+}
+
+/**
+ * Record whether a camera tour runs in a window (Start/Stop Camera Tour)
+ */
+export function updateCameraTour(window: Electron.BrowserWindow, active: boolean): void {
+  stateFor(window).cameraTourActive = active
+  rebuildMenuFor(window)
+}
+
+/**
+ * Record whether a liveview playlist runs in a window (Start/Stop Liveview Playlist)
+ */
+export function updateLiveviewPlaylist(window: Electron.BrowserWindow, active: boolean): void {
+  stateFor(window).liveviewPlaylistActive = active
+  rebuildMenuFor(window)
+}
+
+/**
+ * Record whether a window records a clip (Start/Stop Recording)
+ */
+export function updateRecording(window: Electron.BrowserWindow, active: boolean): void {
+  stateFor(window).recordingActive = active
+  rebuildMenuFor(window)
+}
+
+/**
+ * Update which camera is currently zoomed (for checkmark in menu)
+ */
+export function updateCameraZoom(window: Electron.BrowserWindow, index: number): void {
+  stateFor(window).zoomedCameraIndex = index
+  rebuildMenuFor(window)
+}
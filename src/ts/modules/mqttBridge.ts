@@ -0,0 +1,363 @@
+/**
+ * MQTT bridge — main process only.
+ *
+ * Opt-in (File → MQTT) connection to a broker: publishes the main window's
+ * state, takes commands, and announces Home Assistant discovery configs.
+ * Topics are listed in the README.
+ */
+
+import * as mqtt from 'mqtt'
+import { randomBytes } from 'node:crypto'
+import { log, logError } from './utils'
+import * as secrets from './secrets'
+import * as remoteControl from './remoteControl'
+import * as viewerEvents from './viewerEvents'
+import type { ControlCommand, ViewerStatus } from '../types/remoteControl'
+
+const { app } = require('electron') as typeof import('electron')
+
+interface StoreInterface {
+  get: (key: string) => unknown
+  set: (...args: unknown[]) => void
+}
+
+export const DEFAULT_BASE_TOPIC = 'unifi-protect-viewer'
+export const DEFAULT_DISCOVERY_PREFIX = 'homeassistant'
+
+/** Camera select option that shows every camera */
+export const ALL_CAMERAS = 'All cameras'
+
+/** Commands accepted on `<base>/command/<name>` */
+export const MQTT_COMMANDS = [
+  'zoom-camera',
+  'show-all',
+  'toggle-nav',
+  'toggle-header',
+  'toggle-all',
+  'toggle-widget-panel',
+  'fullscreen',
+  'reload',
+] as const
+
+const RECONNECT_PERIOD_MS = 10_000
+
+export type MqttConnectionState = 'disabled' | 'connecting' | 'connected' | 'disconnected'
+
+export interface MqttSettings {
+  enabled: boolean
+  url: string
+  username: string
+  password: string
+  baseTopic: string
+  discoveryPrefix: string
+}
+
+/** Payload of `<base>/state` */
+export interface MqttState {
+  /** Zoomed camera's name, or ALL_CAMERAS */
+  camera: string
+  liveview: string | null
+  page: ViewerStatus['page']
+  nav_hidden: boolean
+  header_hidden: boolean
+  fullscreen: boolean
+  kiosk: boolean
+  cameras: string[]
+}
+
+interface Session {
+  client: mqtt.MqttClient
+  settings: MqttSettings
+  window: Electron.BrowserWindow
+  /** Last published state and camera options, to skip repeats */
+  lastState: string | null
+  lastOptions: string | null
+}
+
+let session: Session | null = null
+let connectionState: MqttConnectionState = 'disabled'
+let unsubscribeEvents: (() => void) | null = null
+
+function topicSetting(value: unknown, fallback: string): string {
+  const trimmed = typeof value === 'string' ? value.trim().replace(/^\/+|\/+$/g, '') : ''
+  // Wildcards can't appear in topics we publish to
+  return trimmed && !/[#+]/.test(trimmed) ? trimmed : fallback
+}
+
+/**
+ * Saved settings, with defaults for anything unset. The password is
+ * returned decrypted.
+ */
+export function getSettings(store: StoreInterface): MqttSettings {
+  const url = store.get('mqttUrl')
+  const username = store.get('mqttUsername')
+  const password = store.get('mqttPassword')
+  return {
+    enabled: store.get('mqttEnabled') === true,
+    url: typeof url === 'string' ? url.trim() : '',
+    username: typeof username === 'string' ? username : '',
+    password: typeof password === 'string' ? secrets.decryptSecret(password) : '',
+    baseTopic: topicSetting(store.get('mqttBaseTopic'), DEFAULT_BASE_TOPIC),
+    discoveryPrefix: topicSetting(store.get('mqttDiscoveryPrefix'), DEFAULT_DISCOVERY_PREFIX),
+  }
+}
+
+/** Whether the bridge is connected to its broker */
+export function getConnectionState(): MqttConnectionState {
+  return connectionState
+}
+
+function setConnectionState(state: MqttConnectionState): void {
+  if (state === connectionState) return
+  connectionState = state
+  const menu = require('./menu') as typeof import('./menu')
+  menu.updateMqttState()
+}
+
+/**
+ * The state payload for a status.
+ */
+export function buildState(status: ViewerStatus): MqttState {
+  return {
+    camera: status.zoomedCamera?.name ?? ALL_CAMERAS,
+    liveview: status.liveview?.name ?? null,
+    page: status.page,
+    nav_hidden: status.ui.navHidden,
+    header_hidden: status.ui.headerHidden,
+    fullscreen: status.ui.isFullscreen,
+    kiosk: status.kiosk,
+    cameras: status.cameras.map((camera) => camera.name),
+  }
+}
+
+/** Options of the camera select: ALL_CAMERAS, then each name once */
+export function cameraOptions(status: ViewerStatus): string[] {
+  return [ALL_CAMERAS, ...new Set(status.cameras.map((camera) => camera.name))]
+}
+
+/** Home Assistant object ids may only use letters, digits, `_` and `-` */
+function nodeId(baseTopic: string): string {
+  return baseTopic.replace(/[^a-zA-Z0-9_-]/g, '_')
+}
+
+/**
+ * Home Assistant discovery messages (topic → config) for the entities the
+ * bridge offers.
+ */
+export function buildDiscovery(settings: MqttSettings, options: string[]): Array<[string, Record<string, unknown>]> {
+  const base = settings.baseTopic
+  const node = nodeId(base)
+  const shared = {
+    availability_topic: `${base}/availability`,
+    device: {
+      identifiers: [node],
+      name: 'UniFi Protect Viewer',
+      model: 'UniFi Protect Viewer',
+      sw_version: app.getVersion(),
+    },
+  }
+  const entity = (component: string, object: string, name: string, config: Record<string, unknown>) =>
+    [
+      `${settings.discoveryPrefix}/${component}/${node}/${object}/config`,
+      { ...shared, name, unique_id: `${node}_${object}`, ...config },
+    ] as [string, Record<string, unknown>]
+  const button = (command: (typeof MQTT_COMMANDS)[number], name: string, icon: string) =>
+    entity('button', command.replace(/-/g, '_'), name, { command_topic: `${base}/command/${command}`, icon })
+
+  return [
+    entity('select', 'camera', 'Camera', {
+      state_topic: `${base}/state`,
+      value_template: '{{ value_json.camera }}',
+      command_topic: `${base}/camera/set`,
+      options,
+      icon: 'mdi:cctv',
+    }),
+    entity('sensor', 'liveview', 'Liveview', {
+      state_topic: `${base}/state`,
+      value_template: '{{ value_json.liveview }}',
+      icon: 'mdi:view-grid',
+    }),
+    entity('switch', 'fullscreen', 'Fullscreen', {
+      state_topic: `${base}/state`,
+      value_template: "{{ 'ON' if value_json.fullscreen else 'OFF' }}",
+      command_topic: `${base}/command/fullscreen`,
+      icon: 'mdi:fullscreen',
+    }),
+    button('show-all', 'Show All Cameras', 'mdi:view-grid-outline'),
+    button('toggle-nav', 'Toggle Navigation', 'mdi:dock-left'),
+    button('toggle-header', 'Toggle Header', 'mdi:dock-top'),
+    button('reload', 'Reload', 'mdi:reload'),
+  ]
+}
+
+/**
+ * Arguments for a command from a message payload: a JSON object as is,
+ * otherwise the payload is the command's single argument.
+ */
+function payloadArgs(name: string, text: string): Record<string, unknown> | string {
+  if (text.startsWith('{')) {
+    try {
+      const parsed = JSON.parse(text)
+      if (typeof parsed === 'object' && parsed !== null && !Array.isArray(parsed)) return parsed
+    } catch {
+      // fall through
+    }
+    return 'Payload is not a JSON object'
+  }
+  if (name === 'zoom-camera') return { camera: /^\d+$/.test(text) ? Number(text) : text }
+  if (name === 'fullscreen') {
+    const value = text.toUpperCase()
+    if (value === 'ON' || value === 'TRUE') return { fullscreen: true }
+    if (value === 'OFF' || value === 'FALSE') return { fullscreen: false }
+    if (value === '' || value === 'TOGGLE') return {}
+    return 'Payload must be ON, OFF or TOGGLE'
+  }
+  return {}
+}
+
+/**
+ * Turn a message into a command. Returns null for topics that aren't
+ * commands and an error message for bad ones.
+ */
+export function parseMessage(topic: string, payload: string, baseTopic: string): ControlCommand | string | null {
+  const text = payload.trim()
+  if (topic === `${baseTopic}/camera/set`) {
+    if (text === ALL_CAMERAS) return { type: 'show-all' }
+    return remoteControl.parseCommand('zoom-camera', { camera: text })
+  }
+
+  const prefix = `${baseTopic}/command/`
+  if (!topic.startsWith(prefix)) return null
+  const name = topic.slice(prefix.length)
+  if (!(MQTT_COMMANDS as readonly string[]).includes(name)) return `Unknown command "${name}"`
+
+  const args = payloadArgs(name, text)
+  return typeof args === 'string' ? args : remoteControl.parseCommand(name, args)
+}
+
+function publishDiscovery(current: Session, status: ViewerStatus, force: boolean): void {
+  const options = cameraOptions(status)
+  const key = JSON.stringify(options)
+  if (!force && key === current.lastOptions) return
+  current.lastOptions = key
+  for (const [topic, config] of buildDiscovery(current.settings, options)) {
+    current.client.publish(topic, JSON.stringify(config), { retain: true, qos: 1 })
+  }
+}
+
+function publishState(current: Session, force = false): void {
+  if (!current.client.connected || current.window.isDestroyed()) return
+  const status = remoteControl.getStatus(current.window)
+  publishDiscovery(current, status, force)
+
+  const state = JSON.stringify(buildState(status))
+  if (!force && state === current.lastState) return
+  current.lastState = state
+  current.client.publish(`${current.settings.baseTopic}/state`, state, { retain: true, qos: 1 })
+}
+
+function handleMessage(current: Session, topic: string, payload: Buffer): void {
+  if (topic === `${current.settings.discoveryPrefix}/status`) {
+    // Home Assistant restarted and forgot its non-retained discovery state
+    if (payload.toString() === 'online') publishState(current, true)
+    return
+  }
+
+  const command = parseMessage(topic, payload.toString('utf8'), current.settings.baseTopic)
+  if (command === null) return
+  if (typeof command === 'string') {
+    logError(`MQTT command on ${topic} rejected: ${command}`)
+    return
+  }
+  const result = remoteControl.runCommand(current.window, command)
+  if (!result.ok) logError(`MQTT command on ${topic} failed: ${result.error}`)
+}
+
+/**
+ * Disconnect from the broker, marking the viewer offline first.
+ */
+export async function stop(): Promise<void> {
+  unsubscribeEvents?.()
+  unsubscribeEvents = null
+  const current = session
+  session = null
+  setConnectionState('disabled')
+  if (!current) return
+
+  if (current.client.connected) {
+    await current.client
+      .publishAsync(`${current.settings.baseTopic}/availability`, 'offline', { retain: true, qos: 1 })
+      .catch(() => undefined)
+  }
+  await current.client.endAsync()
+}
+
+/**
+ * Connect or disconnect to match the saved settings. Connecting carries on
+ * in the background, retrying while the broker is unreachable.
+ */
+export async function applySettings(mainWindow: Electron.BrowserWindow, store: StoreInterface): Promise<void> {
+  await stop()
+  const settings = getSettings(store)
+  if (!settings.enabled || !settings.url) return
+
+  const base = settings.baseTopic
+  const client = mqtt.connect(settings.url, {
+    clientId: `upv_${randomBytes(6).toString('hex')}`,
+    username: settings.username || undefined,
+    password: settings.password || undefined,
+    reconnectPeriod: RECONNECT_PERIOD_MS,
+    will: { topic: `${base}/availability`, payload: Buffer.from('offline'), retain: true, qos: 1 },
+  })
+  const current: Session = { client, settings, window: mainWindow, lastState: null, lastOptions: null }
+  session = current
+  setConnectionState('connecting')
+
+  client.on('connect', () => {
+    log(`MQTT connected to ${settings.url}`)
+    setConnectionState('connected')
+    client.subscribe([`${base}/command/+`, `${base}/camera/set`, `${settings.discoveryPrefix}/status`], { qos: 1 })
+    client.publish(`${base}/availability`, 'online', { retain: true, qos: 1 })
+    publishState(current, true)
+  })
+  client.on('close', () => {
+    if (session === current) setConnectionState('disconnected')
+  })
+  client.on('error', (err) => {
+    logError('MQTT error:', err)
+  })
+  client.on('message', (topic, payload) => {
+    try {
+      handleMessage(current, topic, payload)
+    } catch (err) {
+      logError('MQTT message handling failed:', err)
+    }
+  })
+
+  unsubscribeEvents = viewerEvents.subscribe(() => publishState(current))
+}
+
+/**
+ * Turn the bridge on or off and save the choice.
+ */
+export function setEnabled(mainWindow: Electron.BrowserWindow, store: StoreInterface, enabled: boolean): Promise<void> {
+  store.set('mqttEnabled', enabled)
+  return applySettings(mainWindow, store)
+}
+
+/**
+ * Save broker settings and reconnect. Empty strings clear a setting; the
+ * password is stored encrypted.
+ */
+export function configure(
+  mainWindow: Electron.BrowserWindow,
+  store: StoreInterface,
+  changes: Partial<Pick<MqttSettings, 'url' | 'username' | 'password'>>,
+): Promise<void> {
+  if (changes.url !== undefined) store.set('mqttUrl', changes.url.trim())
+  if (changes.username !== undefined) store.set('mqttUsername', changes.username)
+  if (changes.password !== undefined) {
+    store.set('mqttPassword', changes.password ? secrets.encryptSecret(changes.password) : '')
+  }
+  return applySettings(mainWindow, store)
+}
@@ -48,6 +48,13 @@ export function setupNavigationMonitor(): () => void {
         })
 
         applyDashboardCustomizations()
+      } else if (isProtectPage) {
+        // The dashboard reports its liveviews once initialized; elsewhere
+        // the Liveviews menu still needs the list
+        const liveviews = require('./liveviews') as typeof import('./liveviews')
+        liveviews.reportCurrentLiveview().catch((err: unknown) => {
+          logError('Error reporting liveviews:', err)
+        })
       }
 
       // Notify the controller about URL change (lazy require to avoid circular deps)
@@ -39,3 +39,7 @@ export function preloadPath(): string {
 export function downloadPreloadPath(): string {
   return path.join(getAppRoot(), 'out', 'src', 'ts', 'download-preload.js')
 }
+
+export function promptPreloadPath(): string {
+  return path.join(getAppRoot(), 'out', 'src', 'ts', 'prompt-preload.js')
+}
@@ -0,0 +1,145 @@
+/**
+ * Picture-in-picture camera window — main process only.
+ *
+ * Cameras → Pop Out Camera shows one camera in a small frameless window kept
+ * on top of other apps; popout-renderer.ts zooms it and draws its controls.
+ * There is one pop-out at a time, and its placement is saved under
+ * `popoutBounds`.
+ */
+
+import { log } from './utils'
+import * as windowManager from './window'
+import * as displays from './displays'
+import type { CameraInfo } from '../types/cameras'
+import type { WindowBounds } from '../types/config'
+
+const { screen } = require('electron') as typeof import('electron')
+
+interface StoreInterface {
+  store: Record<string, unknown>
+  get: (key: string) => unknown
+  set: (...args: unknown[]) => void
+}
+
+interface Popout {
+  window: Electron.BrowserWindow
+  camera: CameraInfo
+}
+
+/** Gap between a new pop-out and the corner of the screen */
+const POPOUT_MARGIN = 24
+
+let popout: Popout | null = null
+
+function notifyMenu(): void {
+  const menu = require('./menu') as typeof import('./menu')
+  menu.updatePopoutState()
+}
+
+/**
+ * The popped-out camera, or null when no pop-out is open.
+ */
+export function getPopoutCamera(): CameraInfo | null {
+  return popout?.camera ?? null
+}
+
+/**
+ * Whether `window` is the pop-out.
+ */
+export function isPopoutWindow(window: Electron.BrowserWindow | null): boolean {
+  return window !== null && popout?.window === window
+}
+
+/**
+ * Where a new pop-out goes: the saved bounds if they're on a display, else
+ * the bottom right corner of the primary display.
+ */
+function popoutBounds(store: StoreInterface): Electron.Rectangle {
+  const saved = store.get('popoutBounds') as WindowBounds | undefined
+  const bounds = displays.fitToDisplays(saved)
+  if (bounds && typeof bounds.x === 'number' && typeof bounds.y === 'number') {
+    return { x: bounds.x, y: bounds.y, width: bounds.width, height: bounds.height }
+  }
+
+  const { workArea } = screen.getPrimaryDisplay()
+  const width = bounds?.width ?? windowManager.POPOUT_WIDTH
+  const height = bounds?.height ?? windowManager.POPOUT_HEIGHT
+  return {
+    x: workArea.x + workArea.width - width - POPOUT_MARGIN,
+    y: workArea.y + workArea.height - height - POPOUT_MARGIN,
+    width,
+    height,
+  }
+}
+
+function setCamera(current: Popout, camera: CameraInfo): void {
+  current.camera = camera
+  current.window.setTitle(`${camera.name} — UniFi Protect Viewer`)
+  notifyMenu()
+}
+
+/**
+ * Pop out a camera of the page shown in `source`. An open pop-out switches
+ * to it: straight away when it shows the same page, else by loading that page.
+ */
+export function openPopout(store: StoreInterface, source: Electron.BrowserWindow, camera: CameraInfo): void {
+  const url = source.webContents.getURL()
+  if (!/^https?:/.test(url)) return
+
+  if (popout && !popout.window.isDestroyed()) {
+    setCamera(popout, camera)
+    if (popout.window.webContents.getURL() === url) popout.window.webContents.send('popout:camera', camera)
+    else popout.window.loadURL(url)
+    popout.window.showInactive()
+    log(`Pop-out switched to ${camera.name}`)
+    return
+  }
+
+  const window = windowManager.createPopoutWindow(store, popoutBounds(store))
+  const current: Popout = { window, camera }
+  popout = current
+
+  // Keep the camera's name as the title instead of Protect's
+  window.on('page-title-updated', (event: Electron.Event) => event.preventDefault())
+  window.on('close', () => {
+    store.set('popoutBounds', window.getBounds())
+  })
+  window.on('closed', () => {
+    if (popout === current) popout = null
+    log('Closed pop-out')
+    notifyMenu()
+  })
+
+  setCamera(current, camera)
+  window.loadURL(url)
+  log(`Popped out ${camera.name}`)
+}
+
+/**
+ * Record the camera the pop-out switched to with its own controls.
+ */
+export function updatePopoutCamera(window: Electron.BrowserWindow | null, camera: unknown): void {
+  const { index, name } = (camera ?? {}) as { index?: unknown; name?: unknown }
+  if (!popout || popout.window !== window || typeof index !== 'number' || typeof name !== 'string') return
+  setCamera(popout, { index, name })
+}
+
+/**
+ * Close the pop-out if one is open.
+ */
+export function closePopout(): void {
+  if (popout && !popout.window.isDestroyed()) popout.window.close()
+}
+
+/**
+ * The config sent to the pop-out's renderer: Protect's navigation and header
+ * always hidden. Other windows get the config unchanged.
+ */
+export function resolveWindowConfig<T extends object>(window: Electron.BrowserWindow | null, config: T): T {
+  return isPopoutWindow(window) ? { ...config, hideNav: true, hideHeader: true } : config
+}
+
+/** Forget the pop-out (test helper) */
+export function _resetPopout(): void {
+  popout = null
+}
@@ -0,0 +1,159 @@
+/**
+ * Picture-in-picture camera window — renderer process only.
+ *
+ * Runs in the pop-out window (see popout-main.ts) in place of the dashboard's
+ * hotkeys and launch options. Zooms the popped-out camera and adds a bar,
+ * shown while the pointer is over the window, that drags the frameless window
+ * around, steps to the previous or next camera of the liveview, and closes it.
+ */
+
+import { log, logError, waitUntil } from './utils'
+import * as cameras from './cameras'
+import * as dashboard from './dashboard'
+import type { CameraInfo } from '../types/cameras'
+
+const { ipcRenderer } = require('electron') as typeof import('electron')
+
+const BAR_ID = 'upv-popout-bar'
+const STYLE_ID = 'upv-popout-styles'
+
+export const POPOUT_STYLES = /*css*/ `
+#${BAR_ID} {
+  position: fixed;
+  top: 0;
+  left: 0;
+  right: 0;
+  z-index: 2147483646;
+  display: flex;
+  align-items: center;
+  gap: 2px;
+  height: 32px;
+  padding: 0 6px 0 10px;
+  background: linear-gradient(rgba(0, 0, 0, 0.75), rgba(0, 0, 0, 0));
+  color: #dee0e3;
+  font: 12px -apple-system, BlinkMacSystemFont, 'Segoe UI', system-ui, sans-serif;
+  opacity: 0;
+  transition: opacity 0.15s;
+  -webkit-app-region: drag;
+}
+
+html:hover #${BAR_ID} {
+  opacity: 1;
+}
+
+#${BAR_ID} .upv-popout-name {
+  flex: 1;
+  overflow: hidden;
+  text-overflow: ellipsis;
+  white-space: nowrap;
+}
+
+#${BAR_ID} button {
+  width: 24px;
+  height: 24px;
+  border: 0;
+  border-radius: 4px;
+  background: none;
+  color: inherit;
+  font: inherit;
+  font-size: 14px;
+  cursor: pointer;
+  -webkit-app-region: no-drag;
+}
+
+#${BAR_ID} button:hover {
+  background: rgba(255, 255, 255, 0.15);
+}
+`
+
+let camera: CameraInfo | null = null
+
+/**
+ * Ask the main process whether this page is the pop-out, and which camera it shows.
+ */
+export async function getPopoutCamera(): Promise<CameraInfo | null> {
+  return ((await ipcRenderer.invoke('popout:get')) as CameraInfo | null) ?? null
+}
+
+function button(label: string, title: string, onClick: () => void): HTMLButtonElement {
+  const element = document.createElement('button')
+  element.type = 'button'
+  element.textContent = label
+  element.title = title
+  element.addEventListener('click', onClick)
+  return element
+}
+
+function showBar(): void {
+  if (!document.getElementById(STYLE_ID)) {
+    const style = document.createElement('style')
+    style.id = STYLE_ID
+    style.textContent = POPOUT_STYLES
+    document.head.appendChild(style)
+  }
+
+  let bar = document.getElementById(BAR_ID)
+  if (!bar) {
+    bar = document.createElement('div')
+    bar.id = BAR_ID
+    const name = document.createElement('span')
+    name.className = 'upv-popout-name'
+    bar.append(
+      name,
+      button('‹', 'Previous camera', () => swapCamera(-1)),
+      button('›', 'Next camera', () => swapCamera(1)),
+      button('✕', 'Close', () => ipcRenderer.send('popout:close')),
+    )
+    document.body.appendChild(bar)
+  }
+  bar.querySelector('.upv-popout-name')!.textContent = camera?.name ?? ''
+}
+
+/**
+ * The tile of a camera on this liveview: the same tile if it still shows
+ * that camera, else the tile with the camera's name.
+ */
+export function findTile(target: CameraInfo, list: CameraInfo[]): number | undefined {
+  if (list.some((c) => c.index === target.index && c.name === target.name)) return target.index
+  return list.find((c) => c.name === target.name)?.index
+}
+
+/**
+ * Show a camera in the pop-out once the liveview's tiles have rendered.
+ */
+export async function showCamera(target: CameraInfo): Promise<void> {
+  camera = target
+  showBar()
+
+  if (!dashboard.isDashboardPage() || !(await dashboard.waitForDashboardReady())) return
+  try {
+    await waitUntil(() => document.querySelector('[data-viewport]') !== null)
+  } catch {
+    logError('Pop-out: no camera tiles found on the dashboard')
+    return
+  }
+  // Switched again while the page loaded
+  if (camera !== target) return
+
+  const index = findTile(target, cameras.listCameras())
+  if (index === undefined) {
+    logError(`Pop-out: no camera named "${target.name}" on this liveview`)
+    return
+  }
+  if (cameras.getCurrentZoomIndex() !== index) await cameras.zoomToCamera(index)
+  log(`Pop-out showing ${target.name}`)
+}
+
+/**
+ * Step to the previous (-1) or next (1) camera of the liveview, in visual order.
+ */
+function swapCamera(step: number): void {
+  const list = cameras.listCameras()
+  if (!camera || list.length < 2) return
+
+  const position = list.findIndex((c) => c.index === findTile(camera!, list))
+  // From a camera that isn't on the liveview, start at either end
+  const next = position === -1 ? list.at(step > 0 ? 0 : -1)! : list[(position + step + list.length) % list.length]!
+  ipcRenderer.send('popout:camera-changed', next)
+  showCamera(next).catch((err: unknown) => logError('Error switching pop-out camera:', err))
+}
@@ -0,0 +1,293 @@
+/**
+ * Connection profiles — main process only.
+ *
+ * Each profile holds one Protect console's URL, credentials, certificate
+ * policy, nav/header state and window placement. `resolveConfig()` flattens
+ * the active profile onto the global settings for the renderer, decrypting
+ * its secrets; command-line flags can override the profile for the session.
+ */
+
+import { randomUUID } from 'node:crypto'
+import { log, logWarn } from './utils'
+import * as secrets from './secrets'
+import { GLOBAL_SCHEMA, PROFILE_SCHEMA, validatePartial } from './configSchema'
+import type { AppConfig, ConnectionProfile, ProfileList } from '../types/config'
+
+interface StoreInterface {
+  store: Record<string, unknown>
+  get: (key: string) => unknown
+  set: (...args: unknown[]) => void
+  delete?: (key: string) => void
+}
+
+/** Keys that live on a profile rather than at the top level of the store */
+export const PROFILE_KEYS = [
+  'url',
+  'username',
+  'password',
+  'ignoreCertErrors',
+  'hideNav',
+  'hideHeader',
+  'bounds',
+  'displayId',
+  'liveviewPlaylist',
+] as const satisfies ReadonlyArray<keyof ConnectionProfile>
+
+const DEFAULT_PROFILE_NAME = 'Default'
+
+/** Top-level keys that stay in the main process and are never sent to the renderer */
+const PRIVATE_GLOBAL_KEYS = ['kioskPinHash', 'windows', 'httpApiToken', 'mqttPassword']
+
+/** Keys `saveConfig()` never writes — they have dedicated setters */
+const PROTECTED_KEYS = [
+  'profiles',
+  'activeProfileId',
+  'schemaVersion',
+  'kioskMode',
+  'kioskPinHash',
+  'windows',
+  'httpApiEnabled',
+  'httpApiHost',
+  'httpApiPort',
+  'httpApiToken',
+  'mqttEnabled',
+  'mqttUrl',
+  'mqttUsername',
+  'mqttPassword',
+  'mqttBaseTopic',
+  'mqttDiscoveryPrefix',
+]
+
+// Session-only overrides from the command line (see launchOptions.ts)
+let sessionProfileId: string | null = null
+let sessionUrl: string | null = null
+
+function isProfileKey(key: string): key is (typeof PROFILE_KEYS)[number] {
+  return (PROFILE_KEYS as readonly string[]).includes(key)
+}
+
+/**
+ * Return the stored profiles. Missing or non-array values yield an empty list.
+ */
+export function listProfiles(store: StoreInterface): ConnectionProfile[] {
+  const profiles = store.get('profiles')
+  return Array.isArray(profiles) ? (profiles as ConnectionProfile[]) : []
+}
+
+/**
+ * Return profile names and URLs for the config page picker — never credentials.
+ */
+export function getProfileList(store: StoreInterface): ProfileList {
+  ensureProfiles(store)
+  return {
+    profiles: listProfiles(store).map(({ id, name, url }) => ({ id, name, url })),
+    activeProfileId: getActiveProfile(store).id,
+  }
+}
+
+/**
+ * Build a profile from legacy top-level keys (pre-profile configs).
+ */
+function legacyProfile(store: StoreInterface): ConnectionProfile {
+  const profile: ConnectionProfile = { id: randomUUID(), name: DEFAULT_PROFILE_NAME }
+  for (const key of PROFILE_KEYS) {
+    const value = store.get(key)
+    if (value !== undefined) {
+      ;(profile as unknown as Record<string, unknown>)[key] = value
+    }
+  }
+  return profile
+}
+
+/**
+ * Return the active profile. Falls back to the first profile when the active
+ * ID is stale, and to a profile synthesized from legacy top-level keys when
+ * no profiles exist yet. Session overrides are applied on top.
+ */
+export function getActiveProfile(store: StoreInterface): ConnectionProfile {
+  const profiles = listProfiles(store)
+  const activeId = sessionProfileId ?? store.get('activeProfileId')
+  const profile =
+    profiles.length === 0
+      ? legacyProfile(store)
+      : (profiles.find((p) => p.id === activeId) ??
+        profiles.find((p) => p.id === store.get('activeProfileId')) ??
+        profiles[0]!)
+
+  return sessionUrl ? { ...profile, url: sessionUrl } : profile
+}
+
+/**
+ * Use a profile, looked up by ID or (case-insensitive) name, for this session
+ * without changing the stored active profile. Returns null if no profile
+ * matches.
+ */
+export function setSessionProfile(store: StoreInterface, nameOrId: string): ConnectionProfile | null {
+  const wanted = nameOrId.trim().toLowerCase()
+  const profiles = listProfiles(store)
+  const profile =
+    profiles.find((p) => p.id === nameOrId) ?? profiles.find((p) => p.name.trim().toLowerCase() === wanted)
+  if (!profile) return null
+
+  sessionProfileId = profile.id
+  log(`Using connection profile "${profile.name}" for this session`)
+  return profile
+}
+
+/**
+ * Open `url` instead of the active profile's URL for this session. Pass null
+ * to clear the override.
+ */
+export function setSessionUrl(url: string | null): void {
+  sessionUrl = url
+}
+
+/**
+ * Move legacy top-level connection settings into a "Default" profile.
+ * No-op once profiles exist. Safe to call on every launch.
+ */
+export function ensureProfiles(store: StoreInterface): void {
+  if (listProfiles(store).length > 0) return
+
+  const profile = secrets.sealSecrets(legacyProfile(store))
+  store.set('profiles', [profile])
+  store.set('activeProfileId', profile.id)
+  for (const key of PROFILE_KEYS) {
+    store.delete?.(key)
+  }
+  log(`Created "${profile.name}" connection profile from existing configuration`)
+}
+
+/**
+ * Flatten the active profile onto the global settings — the `AppConfig`
+ * shape the renderer expects from `configLoad`.
+ */
+export function resolveConfig(store: StoreInterface): AppConfig {
+  const { profiles: _profiles, ...globals } = store.store
+  for (const key of PRIVATE_GLOBAL_KEYS) delete globals[key]
+  const { id: _id, name: _name, ...profileSettings } = secrets.openSecrets(getActiveProfile(store))
+  return { ...globals, ...profileSettings } as AppConfig
+}
+
+/**
+ * Apply changes to one profile, creating the profile list if needed.
+ * Returns the updated profile, or null if the ID is unknown.
+ */
+export function updateProfile(
+  store: StoreInterface,
+  id: string,
+  changes: Partial<ConnectionProfile>,
+): ConnectionProfile | null {
+  ensureProfiles(store)
+  const profiles = listProfiles(store)
+  const index = profiles.findIndex((p) => p.id === id)
+  if (index === -1) return null
+
+  const updated = { ...profiles[index]!, ...secrets.sealSecrets(changes), id }
+  profiles[index] = updated
+  store.set('profiles', profiles)
+  return updated
+}
+
+/**
+ * Apply changes to the active profile.
+ */
+export function updateActiveProfile(store: StoreInterface, changes: Partial<ConnectionProfile>): ConnectionProfile {
+  ensureProfiles(store)
+  return updateProfile(store, getActiveProfile(store).id, changes)!
+}
+
+/**
+ * Save a partial config, routing profile keys to the active profile and
+ * everything else to the top level of the store. Values are checked against
+ * the config schema first; invalid ones are repaired or dropped.
+ */
+export function saveConfig(store: StoreInterface, config: Record<string, unknown>): void {
+  const profileChanges: Record<string, unknown> = {}
+  const globalChanges: Record<string, unknown> = {}
+  for (const [key, value] of Object.entries(config)) {
+    if (PROTECTED_KEYS.includes(key)) continue
+    if (isProfileKey(key) || key === 'name') {
+      profileChanges[key] = value
+    } else {
+      globalChanges[key] = value
+    }
+  }
+
+  const profileResult = validatePartial(profileChanges, PROFILE_SCHEMA)
+  const globalResult = validatePartial(globalChanges, GLOBAL_SCHEMA)
+  for (const change of [...profileResult.changes, ...globalResult.changes]) {
+    logWarn(`Config save ${change}`)
+  }
+
+  for (const [key, value] of Object.entries(globalResult.config)) {
+    store.set(key, value)
+  }
+  if ('url' in profileResult.config) sessionUrl = null
+  if (Object.keys(profileResult.config).length > 0) {
+    updateActiveProfile(store, profileResult.config as Partial<ConnectionProfile>)
+  }
+}
+
+/**
+ * Create a new, empty profile. Does not activate it.
+ */
+export function createProfile(store: StoreInterface, name?: string): ConnectionProfile {
+  ensureProfiles(store)
+  const profiles = listProfiles(store)
+  const profile: ConnectionProfile = {
+    id: randomUUID(),
+    name: name?.trim() || uniqueName(profiles, 'New Profile'),
+  }
+  store.set('profiles', [...profiles, profile])
+  log(`Created connection profile "${profile.name}"`)
+  return profile
+}
+
+/**
+ * Delete a profile. The last remaining profile cannot be deleted.
+ * If the active profile is deleted, the first remaining one becomes active.
+ */
+export function deleteProfile(store: StoreInterface, id: string): boolean {
+  const profiles = listProfiles(store)
+  if (profiles.length <= 1) return false
+
+  const remaining = profiles.filter((p) => p.id !== id)
+  if (remaining.length === profiles.length) return false
+
+  store.set('profiles', remaining)
+  if (store.get('activeProfileId') === id) {
+    store.set('activeProfileId', remaining[0]!.id)
+  }
+  log(`Deleted connection profile ${id}`)
+  return true
+}
+
+/**
+ * Make a profile active. Returns the profile, or null if the ID is unknown.
+ */
+export function setActiveProfile(store: StoreInterface, id: string): ConnectionProfile | null {
+  ensureProfiles(store)
+  const profile = listProfiles(store).find((p) => p.id === id)
+  if (!profile) return null
+
+  store.set('activeProfileId', id)
+  sessionProfileId = null
+  sessionUrl = null
+  log(`Switched to connection profile "${profile.name}"`)
+  return profile
+}
+
+/** Clear session overrides (test helper) */
+export function _resetSessionOverrides(): void {
+  sessionProfileId = null
+  sessionUrl = null
+}
+
+function uniqueName(profiles: ConnectionProfile[], base: string): string {
+  const names = new Set(profiles.map((p) => p.name))
+  if (!names.has(base)) return base
+  let n = 2
+  while (names.has(`${base} ${n}`)) n++
+  return `${base} ${n}`
+}
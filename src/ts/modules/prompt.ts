@@ -0,0 +1,89 @@
+/**
+ * Modal text/password prompt — main process only.
+ *
+ * Electron has no native equivalent of `window.prompt()`, so this opens a
+ * small modal window (prompt.html) styled like the update dialogs. Options
+ * are passed to the page as query parameters; the page answers over the
+ * `prompt:submit` / `prompt:cancel` channels exposed by prompt-preload.ts.
+ */
+
+import { htmlUrl, promptPreloadPath } from './paths'
+import { getDialogAppearanceOptions } from './updates-main'
+
+const { BrowserWindow, ipcMain } = require('electron') as typeof import('electron')
+
+export interface PromptOptions {
+  title: string
+  message?: string
+  placeholder?: string
+  /** Mask the input */
+  password?: boolean
+  /** Ask for the value twice and require both entries to match */
+  confirm?: boolean
+  minLength?: number
+}
+
+/**
+ * Show a modal prompt. Resolves with the entered value, or null if the user
+ * cancels or closes the window.
+ */
+export function showPrompt(parent: Electron.BrowserWindow, options: PromptOptions): Promise<string | null> {
+  return new Promise((resolve) => {
+    const promptWindow = new BrowserWindow({
+      parent,
+      modal: true,
+      show: false,
+      width: 380,
+      height: options.confirm ? 230 : 190,
+      resizable: false,
+      minimizable: false,
+      maximizable: false,
+      fullscreenable: false,
+      autoHideMenuBar: true,
+      title: options.title,
+      ...getDialogAppearanceOptions(),
+      webPreferences: {
+        contextIsolation: true,
+        nodeIntegration: false,
+        preload: promptPreloadPath(),
+      },
+    })
+
+    let result: string | null = null
+    const fromPrompt = (event: Electron.IpcMainEvent) => event.sender === promptWindow.webContents
+
+    const onSubmit = (event: Electron.IpcMainEvent, value: unknown) => {
+      if (!fromPrompt(event)) return
+      result = typeof value === 'string' ? value : null
+      promptWindow.close()
+    }
+    const onCancel = (event: Electron.IpcMainEvent) => {
+      if (!fromPrompt(event)) return
+      promptWindow.close()
+    }
+
+    ipcMain.on('prompt:submit', onSubmit)
+    ipcMain.on('prompt:cancel', onCancel)
+
+    promptWindow.once('closed', () => {
+      ipcMain.removeListener('prompt:submit', onSubmit)
+      ipcMain.removeListener('prompt:cancel', onCancel)
+      resolve(result)
+    })
+
+    const params = new URLSearchParams({
+      title: options.title,
+      message: options.message ?? '',
+      placeholder: options.placeholder ?? '',
+      password: String(options.password ?? false),
+      confirm: String(options.confirm ?? false),
+      minLength: String(options.minLength ?? 0),
+    })
+
+    promptWindow.removeMenu()
+    promptWindow.loadURL(`${htmlUrl('prompt.html')}?${params}`)
+    promptWindow.once('ready-to-show', () => {
+      if (!promptWindow.isDestroyed()) promptWindow.show()
+    })
+  })
+}
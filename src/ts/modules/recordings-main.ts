@@ -0,0 +1,160 @@
+/**
+ * Camera clip recording — main process only.
+ *
+ * recordings-renderer.ts streams the zoomed camera's WebM chunks here as they
+ * are recorded, so a long clip is never held in memory. Each recording is
+ * appended to its own file in the recordings folder.
+ */
+
+import * as path from 'node:path'
+import type { FileHandle } from 'node:fs/promises'
+import { log, logError } from './utils'
+import { cameraFileName, openNewFile, pickFolder, showFolder } from './snapshots-main'
+import { RECORDING_DEFAULT_MAX_MINUTES, RECORDING_MAX_MINUTES_CHOICES } from './constants'
+import type { RecordingResult, RecordingStartResult } from '../types/cameras'
+
+const { app } = require('electron') as typeof import('electron')
+
+interface StoreInterface {
+  get: (key: string) => unknown
+  set: (...args: unknown[]) => void
+}
+
+export interface RecordingSettings {
+  folder: string
+  maxMinutes: number
+}
+
+interface OpenRecording {
+  path: string
+  handle: FileHandle
+  sender: Electron.WebContents
+  /** Writes of the chunks received so far, in order */
+  writing: Promise<void>
+  /** First failed write; later chunks are dropped */
+  error: Error | null
+  onDestroyed: () => void
+}
+
+const openRecordings = new Map<number, OpenRecording>()
+let nextId = 1
+
+/** Where clips go until a folder is chosen */
+export function defaultRecordingFolder(): string {
+  return path.join(app.getPath('videos'), 'UniFi Protect Viewer')
+}
+
+/**
+ * Saved settings, with defaults for anything unset.
+ */
+export function getSettings(store: StoreInterface): RecordingSettings {
+  const folder = store.get('recordingFolder')
+  const maxMinutes = store.get('recordingMaxMinutes')
+  return {
+    folder: typeof folder === 'string' && folder.trim() !== '' ? folder : defaultRecordingFolder(),
+    maxMinutes: RECORDING_MAX_MINUTES_CHOICES.includes(maxMinutes as number)
+      ? (maxMinutes as number)
+      : RECORDING_DEFAULT_MAX_MINUTES,
+  }
+}
+
+/**
+ * Open a new clip file for a recording of `camera` in `webContents`.
+ */
+export async function startRecording(
+  webContents: Electron.WebContents,
+  store: StoreInterface,
+  camera: string,
+): Promise<RecordingStartResult> {
+  const settings = getSettings(store)
+  try {
+    const file = await openNewFile(settings.folder, cameraFileName(camera, new Date(), 'webm'))
+    const id = nextId++
+    const onDestroyed = () => {
+      stopRecording(webContents, id).catch((err: unknown) => logError('Failed to finish recording:', err))
+    }
+    openRecordings.set(id, {
+      path: file.path,
+      handle: file.handle,
+      sender: webContents,
+      writing: Promise.resolve(),
+      error: null,
+      onDestroyed,
+    })
+    webContents.once('destroyed', onDestroyed)
+
+    log(`Recording ${camera} to ${file.path}`)
+    return { ok: true, id, path: file.path, maxMs: settings.maxMinutes * 60 * 1000 }
+  } catch (err) {
+    logError('Failed to start recording:', err)
+    return { ok: false, error: err instanceof Error ? err.message : String(err) }
+  }
+}
+
+/**
+ * Append a chunk to a recording started by `webContents`. Anything else is
+ * ignored.
+ */
+export function writeChunk(webContents: Electron.WebContents, id: unknown, chunk: unknown): void {
+  const recording = typeof id === 'number' ? openRecordings.get(id) : undefined
+  if (!recording || recording.sender !== webContents || !(chunk instanceof Uint8Array)) return
+
+  recording.writing = recording.writing.then(async () => {
+    if (recording.error) return
+    try {
+      await recording.handle.write(chunk)
+    } catch (err) {
+      recording.error = err instanceof Error ? err : new Error(String(err))
+      logError(`Failed to write to ${recording.path}:`, err)
+    }
+  })
+}
+
+/**
+ * Finish a recording once its pending chunks are written.
+ */
+export async function stopRecording(webContents: Electron.WebContents, id: unknown): Promise<RecordingResult> {
+  const recording = typeof id === 'number' ? openRecordings.get(id) : undefined
+  if (!recording || recording.sender !== webContents) return { ok: false, error: 'No such recording' }
+
+  openRecordings.delete(id as number)
+  if (!webContents.isDestroyed()) webContents.removeListener('destroyed', recording.onDestroyed)
+
+  await recording.writing
+  try {
+    await recording.handle.close()
+  } catch (err) {
+    logError(`Failed to close ${recording.path}:`, err)
+  }
+
+  if (recording.error) return { ok: false, path: recording.path, error: recording.error.message }
+  log(`Recording saved to ${recording.path}`)
+  return { ok: true, path: recording.path }
+}
+
+/**
+ * Finish every recording of `webContents`, e.g. when its page is replaced.
+ * Returns whether there were any.
+ */
+export async function stopAllRecordings(webContents: Electron.WebContents): Promise<boolean> {
+  const ids = [...openRecordings].filter(([, recording]) => recording.sender === webContents).map(([id]) => id)
+  await Promise.all(ids.map((id) => stopRecording(webContents, id)))
+  return ids.length > 0
+}
+
+/**
+ * Let the user pick the recordings folder.
+ */
+export async function chooseFolder(window: Electron.BrowserWindow, store: StoreInterface): Promise<void> {
+  const folder = await pickFolder(window, 'Recordings Folder', getSettings(store).folder)
+  if (!folder) return
+  store.set('recordingFolder', folder)
+  log(`Recordings folder set to ${folder}`)
+}
+
+/**
+ * Show the recordings folder in the file manager.
+ */
+export async function openFolder(store: StoreInterface): Promise<void> {
+  await showFolder(getSettings(store).folder)
+}
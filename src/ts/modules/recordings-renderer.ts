@@ -0,0 +1,217 @@
+/**
+ * Camera clip recording — renderer process only.
+ *
+ * Records the zoomed camera's `<video>` with `captureStream()` and
+ * MediaRecorder, handing the WebM chunks to recordings-main.ts as they come.
+ * The recording keeps following the tile that was zoomed when it started,
+ * and stops by itself at the maximum duration or when that video goes away.
+ * A badge in the top corner shows the camera and the time recorded; the
+ * snapshot notice says where the clip went.
+ */
+
+import { log, logError } from './utils'
+import * as cameras from './cameras'
+import { showNotice } from './snapshots-renderer'
+import { RECORDING_TIMESLICE_MS } from './constants'
+import type { RecordingResult, RecordingStartResult } from '../types/cameras'
+
+const { ipcRenderer } = require('electron') as typeof import('electron')
+
+const INDICATOR_ID = 'upv-recording'
+const STYLE_ID = 'upv-recording-styles'
+
+export const RECORDING_STYLES = /*css*/ `
+#${INDICATOR_ID} {
+  position: fixed;
+  top: 12px;
+  right: 12px;
+  z-index: 2147483646;
+  padding: 4px 10px;
+  border-radius: 12px;
+  background: rgba(0, 0, 0, 0.6);
+  color: #dee0e3;
+  font: 12px -apple-system, BlinkMacSystemFont, 'Segoe UI', system-ui, sans-serif;
+  font-variant-numeric: tabular-nums;
+  pointer-events: none;
+}
+
+#${INDICATOR_ID}::before {
+  content: '';
+  display: inline-block;
+  width: 8px;
+  height: 8px;
+  margin-right: 6px;
+  border-radius: 50%;
+  background: #e5484d;
+}
+`
+
+interface Recording {
+  id: number
+  camera: string
+  video: HTMLVideoElement
+  recorder: MediaRecorder
+  startedAt: number
+  maxMs: number
+  /** Chunks handed to the main process so far, in order */
+  sending: Promise<void>
+  timer: ReturnType<typeof setInterval>
+}
+
+let recording: Recording | null = null
+let starting = false
+
+export function isRecording(): boolean {
+  return recording !== null
+}
+
+/** `m:ss` for a duration */
+export function formatDuration(ms: number): string {
+  const seconds = Math.floor(ms / 1000)
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`
+}
+
+function showIndicator(current: Recording): void {
+  if (!document.getElementById(STYLE_ID)) {
+    const style = document.createElement('style')
+    style.id = STYLE_ID
+    style.textContent = RECORDING_STYLES
+    document.head.appendChild(style)
+  }
+
+  let indicator = document.getElementById(INDICATOR_ID)
+  if (!indicator) {
+    indicator = document.createElement('div')
+    indicator.id = INDICATOR_ID
+    document.body.appendChild(indicator)
+  }
+  const elapsed = Math.min(Date.now() - current.startedAt, current.maxMs)
+  indicator.textContent = `REC ${current.camera} · ${formatDuration(elapsed)} / ${formatDuration(current.maxMs)}`
+}
+
+/** The recorder's choice of WebM encoding, VP9 where it's available */
+function webmType(): string {
+  return MediaRecorder.isTypeSupported('video/webm;codecs=vp9') ? 'video/webm;codecs=vp9' : 'video/webm'
+}
+
+/**
+ * Record the zoomed camera until stopped, the maximum duration, or its video
+ * leaving the page.
+ */
+export async function startRecording(): Promise<void> {
+  if (recording || starting) return
+
+  const index = cameras.getCurrentZoomIndex()
+  const tile = index >= 0 ? document.querySelector(`[data-viewport="${index}"]`) : null
+  if (!tile) {
+    showNotice('Zoom into a camera to record it', true)
+    return
+  }
+  const video = tile.querySelector('video')
+  if (!video || video.readyState < HTMLMediaElement.HAVE_CURRENT_DATA) {
+    showNotice('The camera has no video to record', true)
+    return
+  }
+
+  const camera = cameras.listCameras().find((c) => c.index === index)?.name ?? `Camera ${index + 1}`
+  let stream: MediaStream
+  let recorder: MediaRecorder
+  try {
+    // Not in TypeScript's DOM types, which only know the canvas one
+    stream = (video as HTMLVideoElement & { captureStream(): MediaStream }).captureStream()
+    recorder = new MediaRecorder(stream, { mimeType: webmType() })
+  } catch (err) {
+    logError('Could not capture the camera video:', err)
+    showNotice('The camera video cannot be recorded', true)
+    return
+  }
+
+  starting = true
+  let file: RecordingStartResult
+  try {
+    file = await ipcRenderer.invoke('recording:start', camera)
+  } catch (err) {
+    logError('Error starting recording:', err)
+    file = { ok: false }
+  } finally {
+    starting = false
+  }
+  if (!file.ok || file.id === undefined || file.maxMs === undefined) {
+    showNotice(`Recording failed: ${file.error ?? 'unknown error'}`, true)
+    return
+  }
+
+  const current: Recording = {
+    id: file.id,
+    camera,
+    video,
+    recorder,
+    startedAt: Date.now(),
+    maxMs: file.maxMs,
+    sending: Promise.resolve(),
+    timer: setInterval(() => tick(current), 1000),
+  }
+  recording = current
+
+  current.recorder.ondataavailable = (event: BlobEvent) => {
+    if (event.data.size === 0) return
+    current.sending = current.sending.then(async () => {
+      ipcRenderer.send('recording:data', current.id, new Uint8Array(await event.data.arrayBuffer()))
+    })
+  }
+  current.recorder.onstop = () => {
+    // Also fires when the recorder gave up by itself
+    if (recording === current) endRecording(current)
+    saveClip(current).catch((err: unknown) => logError('Error saving recording:', err))
+  }
+  for (const track of stream.getTracks()) track.addEventListener('ended', () => stopRecording())
+  current.recorder.start(RECORDING_TIMESLICE_MS)
+
+  log(`Recording ${camera}`)
+  showIndicator(current)
+  ipcRenderer.send('update-recording', true)
+}
+
+function tick(current: Recording): void {
+  if (Date.now() - current.startedAt >= current.maxMs || !current.video.isConnected) {
+    stopRecording()
+    return
+  }
+  showIndicator(current)
+}
+
+function endRecording(current: Recording): void {
+  recording = null
+  clearInterval(current.timer)
+  document.getElementById(INDICATOR_ID)?.remove()
+  ipcRenderer.send('update-recording', false)
+}
+
+/**
+ * Stop recording; the clip is saved once the recorder's last chunk is in.
+ */
+export function stopRecording(): void {
+  const current = recording
+  if (!current) return
+  endRecording(current)
+  if (current.recorder.state !== 'inactive') current.recorder.stop()
+}
+
+async function saveClip(current: Recording): Promise<void> {
+  await current.sending
+  const result: RecordingResult = await ipcRenderer.invoke('recording:stop', current.id)
+  if (!result.ok) {
+    showNotice(`Recording failed: ${result.error ?? 'unknown error'}`, true)
+    return
+  }
+  log(`Recording of ${current.camera} stopped`)
+  showNotice(`Saved ${result.path?.split(/[\\/]/).pop() ?? ''}`, false)
+}
+
+/**
+ * Start recording the zoomed camera, or stop the running recording.
+ */
+export async function toggleRecording(): Promise<void> {
+  if (recording) stopRecording()
+  else await startRecording()
+}
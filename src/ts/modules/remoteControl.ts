@@ -0,0 +1,153 @@
+/**
+ * Remote control commands — main process only.
+ *
+ * The single place that turns commands from outside the app (the HTTP API,
+ * and any later remote interface) into the same actions the menu performs on
+ * the main window, and reports the window's state back. Everything is
+ * validated here so each transport only has to map its own request format
+ * onto `parseCommand()`.
+ */
+
+import { log } from './utils'
+import * as menu from './menu'
+import * as kiosk from './kiosk'
+import type { ControlCamera, ControlCommand, ControlResult, ViewerStatus } from '../types/remoteControl'
+
+/** Command names accepted by `parseCommand()` */
+export const COMMAND_NAMES = [
+  'zoom-camera',
+  'show-all',
+  'toggle-nav',
+  'toggle-header',
+  'toggle-all',
+  'toggle-widget-panel',
+  'fullscreen',
+  'dashboard',
+  'reload',
+  'restart',
+] as const
+
+const TOGGLE_CHANNELS = {
+  nav: 'toggle-nav-only',
+  header: 'toggle-header-only',
+  all: 'toggle-navigation',
+  'widget-panel': 'toggle-widget-panel',
+} as const
+
+function fail(reason: 'invalid' | 'not-found' | 'unavailable', error: string): ControlResult {
+  return { ok: false, reason, error }
+}
+
+/**
+ * Build a command from its name and arguments. `zoom-camera` takes
+ * `camera` (1-based position or name); `fullscreen` takes an optional
+ * boolean `fullscreen` and toggles without it. Returns an error message for
+ * unknown names and bad arguments.
+ */
+export function parseCommand(name: string, args: Record<string, unknown> = {}): ControlCommand | string {
+  switch (name) {
+    case 'zoom-camera': {
+      const { camera } = args
+      if (typeof camera === 'number' && Number.isInteger(camera) && camera > 0) return { type: 'zoom-camera', camera }
+      if (typeof camera === 'string' && camera.trim()) return { type: 'zoom-camera', camera: camera.trim() }
+      return '"camera" must be a 1-based position or a camera name'
+    }
+    case 'show-all':
+      return { type: 'show-all' }
+    case 'toggle-nav':
+    case 'toggle-header':
+    case 'toggle-all':
+    case 'toggle-widget-panel':
+      return { type: 'toggle', target: name.slice('toggle-'.length) as keyof typeof TOGGLE_CHANNELS }
+    case 'fullscreen': {
+      const { fullscreen } = args
+      if (fullscreen !== undefined && typeof fullscreen !== 'boolean') return '"fullscreen" must be true or false'
+      return fullscreen === undefined ? { type: 'fullscreen' } : { type: 'fullscreen', fullscreen }
+    }
+    case 'dashboard':
+    case 'reload':
+    case 'restart':
+      return { type: name }
+    default:
+      return `Unknown command "${name}"`
+  }
+}
+
+function listCameras(window: Electron.BrowserWindow): ControlCamera[] {
+  return menu.getWindowState(window).cameraList.map((camera, i) => ({ ...camera, position: i + 1 }))
+}
+
+/**
+ * Find a camera by 1-based position, numeric string, or case-insensitive name.
+ */
+export function findCamera(cameras: ControlCamera[], wanted: number | string): ControlCamera | undefined {
+  if (typeof wanted === 'number' || /^\d+$/.test(wanted)) {
+    return cameras.find((camera) => camera.position === Number(wanted))
+  }
+  const name = wanted.toLowerCase()
+  return cameras.find((camera) => camera.name.toLowerCase() === name)
+}
+
+/**
+ * The main window's state: nav/header visibility, fullscreen, page, cameras
+ * and the zoomed camera.
+ */
+export function getStatus(window: Electron.BrowserWindow): ViewerStatus {
+  const state = menu.getWindowState(window)
+  const cameras = listCameras(window)
+  return {
+    ui: {
+      navHidden: state.visibility.navHidden === true,
+      headerHidden: state.visibility.headerHidden === true,
+      isFullscreen: window.isFullScreen(),
+      widgetPanelExpanded: state.visibility.widgetPanelExpanded === true,
+    },
+    page: state.dashboardPage ? 'dashboard' : state.configPage ? 'config' : 'other',
+    liveview: state.liveview,
+    cameras,
+    zoomedCamera: cameras.find((camera) => camera.index === state.zoomedCameraIndex) ?? null,
+    kiosk: kiosk.isKioskActive(),
+  }
+}
+
+/**
+ * Carry out a command on the main window.
+ */
+export function runCommand(window: Electron.BrowserWindow, command: ControlCommand): ControlResult {
+  if (window.isDestroyed()) return fail('unavailable', 'The viewer window is closed')
+  log(`Remote control: ${command.type}`)
+
+  switch (command.type) {
+    case 'zoom-camera': {
+      const cameras = listCameras(window)
+      if (cameras.length === 0) return fail('unavailable', 'No cameras on the current page')
+      const camera = findCamera(cameras, command.camera)
+      if (!camera) return fail('not-found', `No camera "${command.camera}" on the current liveview`)
+      window.webContents.send('zoom-camera', camera.index)
+      return { ok: true }
+    }
+    case 'show-all':
+      window.webContents.send('zoom-camera', -1)
+      return { ok: true }
+    case 'toggle':
+      window.webContents.send(TOGGLE_CHANNELS[command.target])
+      return { ok: true }
+    case 'fullscreen':
+      if (kiosk.isKioskActive()) return fail('unavailable', 'Fullscreen cannot be changed in kiosk mode')
+      window.setFullScreen(command.fullscreen ?? !window.isFullScreen())
+      return { ok: true }
+    case 'dashboard':
+      window.webContents.send('return-to-dashboard')
+      return { ok: true }
+    case 'reload':
+      window.webContents.reload()
+      return { ok: true }
+    case 'restart':
+      // Let the response go out before the app exits
+      setTimeout(() => {
+        const shutdown = require('./shutdown') as typeof import('./shutdown')
+        shutdown.restartApp()
+      }, 100)
+      return { ok: true }
+  }
+}
@@ -0,0 +1,163 @@
+/**
+ * At-rest encryption for stored secrets (passwords, tokens) — main process only.
+ *
+ * Secrets are sealed with Electron's safeStorage and stored as
+ * `enc:v1:<base64>`, so legacy plaintext values can be told apart and
+ * migrated. Without an OS keyring they stay in plaintext and the config page
+ * flags the store as insecure.
+ */
+
+import { log, logError, logWarn } from './utils'
+import type { CredentialStorageInfo } from '../types/ipc'
+
+interface StoreInterface {
+  get: (key: string) => unknown
+  set: (...args: unknown[]) => void
+}
+
+const ENCRYPTED_PREFIX = 'enc:v1:'
+
+/** Profile fields that hold secrets and must never be written in clear */
+export const SECRET_PROFILE_KEYS = ['password'] as const
+
+const BACKEND_LABELS: Record<string, string> = {
+  darwin: 'macOS Keychain',
+  win32: 'Windows DPAPI',
+  gnome_libsecret: 'libsecret',
+  kwallet: 'KWallet',
+  kwallet5: 'KWallet 5',
+  kwallet6: 'KWallet 6',
+}
+
+function getSafeStorage(): Electron.SafeStorage | null {
+  try {
+    return (require('electron') as typeof import('electron')).safeStorage ?? null
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Name of the Linux storage backend, or the platform for macOS/Windows.
+ */
+function getBackendName(): string {
+  if (process.platform !== 'linux') return process.platform
+  try {
+    return getSafeStorage()?.getSelectedStorageBackend() ?? 'unknown'
+  } catch {
+    return 'unknown'
+  }
+}
+
+/**
+ * True when secrets can be encrypted with a key held by the OS. Linux's
+ * `basic_text` backend encrypts with a hardcoded password, which we treat as
+ * no encryption at all.
+ */
+export function isEncryptionAvailable(): boolean {
+  const safeStorage = getSafeStorage()
+  try {
+    if (!safeStorage?.isEncryptionAvailable()) return false
+  } catch {
+    return false
+  }
+  const backend = getBackendName()
+  return backend !== 'basic_text' && backend !== 'unknown'
+}
+
+/**
+ * Describe the credential storage backend for the config page diagnostics.
+ */
+export function getStorageInfo(): CredentialStorageInfo {
+  const encrypted = isEncryptionAvailable()
+  const backend = getBackendName()
+  return {
+    encrypted,
+    backend: encrypted ? (BACKEND_LABELS[backend] ?? backend) : 'Plaintext (insecure)',
+  }
+}
+
+export function isEncrypted(value: unknown): value is string {
+  return typeof value === 'string' && value.startsWith(ENCRYPTED_PREFIX)
+}
+
+/**
+ * Encrypt a secret for storage. Empty values and already-encrypted values
+ * pass through unchanged; in insecure mode the plaintext is returned.
+ */
+export function encryptSecret(value: string): string {
+  if (!value || isEncrypted(value) || !isEncryptionAvailable()) return value
+  try {
+    return ENCRYPTED_PREFIX + getSafeStorage()!.encryptString(value).toString('base64')
+  } catch (err) {
+    logError('Failed to encrypt secret, storing in plaintext:', err)
+    return value
+  }
+}
+
+/**
+ * Decrypt a stored secret. Plaintext values pass through unchanged. Returns
+ * an empty string when an encrypted value cannot be decrypted (e.g. the OS
+ * keyring was reset), so the user is prompted to re-enter it.
+ */
+export function decryptSecret(value: string): string {
+  if (!isEncrypted(value)) return value
+  try {
+    return getSafeStorage()!.decryptString(Buffer.from(value.slice(ENCRYPTED_PREFIX.length), 'base64'))
+  } catch (err) {
+    logError('Failed to decrypt stored secret:', err)
+    return ''
+  }
+}
+
+/**
+ * Return a copy of `record` with its secret fields encrypted.
+ */
+export function sealSecrets<T extends object>(record: T, keys: readonly string[] = SECRET_PROFILE_KEYS): T {
+  const sealed = { ...record } as Record<string, unknown>
+  for (const key of keys) {
+    if (typeof sealed[key] === 'string') sealed[key] = encryptSecret(sealed[key] as string)
+  }
+  return sealed as T
+}
+
+/**
+ * Return a copy of `record` with its secret fields decrypted.
+ */
+export function openSecrets<T extends object>(record: T, keys: readonly string[] = SECRET_PROFILE_KEYS): T {
+  const opened = { ...record } as Record<string, unknown>
+  for (const key of keys) {
+    if (typeof opened[key] === 'string') opened[key] = decryptSecret(opened[key] as string)
+  }
+  return opened as T
+}
+
+/**
+ * Encrypt any plaintext secrets left in stored profiles — configs written by
+ * older versions, or written while encryption was unavailable. Idempotent;
+ * run on every launch.
+ */
+export function migratePlaintextSecrets(store: StoreInterface): void {
+  if (!isEncryptionAvailable()) {
+    logWarn('OS credential encryption unavailable; stored passwords remain in plaintext')
+    return
+  }
+
+  const profiles = store.get('profiles')
+  if (!Array.isArray(profiles)) return
+
+  let migrated = 0
+  const sealedProfiles = profiles.map((profile: Record<string, unknown>) => {
+    const needsSealing = SECRET_PROFILE_KEYS.some(
+      (key) => typeof profile[key] === 'string' && profile[key] !== '' && !isEncrypted(profile[key]),
+    )
+    if (!needsSealing) return profile
+    migrated++
+    return sealSecrets(profile)
+  })
+
+  if (migrated > 0) {
+    store.set('profiles', sealedProfiles)
+    log(`Encrypted stored credentials for ${migrated} profile(s)`)
+  }
+}
@@ -0,0 +1,37 @@
+/**
+ * Quitting and restarting — main process only.
+ *
+ * Stops the remote control services before the app exits, so the MQTT
+ * bridge marks the viewer offline and the HTTP API closes its event streams.
+ */
+
+import { log } from './utils'
+import * as viewerWindows from './viewerWindows'
+import * as controlSocket from './controlSocket'
+import * as httpApi from './httpApi'
+import * as mqttBridge from './mqttBridge'
+import { SERVICES_STOP_TIMEOUT_MS } from './constants'
+
+const { app } = require('electron') as typeof import('electron')
+
+/**
+ * Stop the control socket, HTTP API and MQTT bridge. Resolves once they have
+ * stopped, or after SERVICES_STOP_TIMEOUT_MS if one hangs.
+ */
+export async function stopServices(): Promise<void> {
+  const stopping = Promise.allSettled([controlSocket.stop(), httpApi.stop(), mqttBridge.stop()])
+  const timeout = new Promise<void>((resolve) => setTimeout(resolve, SERVICES_STOP_TIMEOUT_MS))
+  await Promise.race([stopping, timeout])
+}
+
+/**
+ * Restart the app, keeping the extra windows. `app.exit()` skips `will-quit`,
+ * so the services are stopped here first.
+ */
+export async function restartApp(): Promise<void> {
+  log('Restarting')
+  viewerWindows.prepareForExit()
+  await stopServices()
+  app.relaunch()
+  app.exit()
+}
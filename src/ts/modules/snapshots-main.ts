@@ -0,0 +1,179 @@
+/**
+ * Camera snapshots — main process only.
+ *
+ * The renderer (snapshots-renderer.ts) sends the still of a camera: its
+ * video frame at full resolution, or, when the frame can't be read, the
+ * tile's bounds so that part of the page is captured here instead. Stills
+ * are written as PNG or JPEG to the snapshot folder, named after the camera
+ * and the local time (`Front Door 2026-10-19 14-03-27.png`), and can also be
+ * copied to the clipboard. Options live under Cameras → Snapshot Options.
+ */
+
+import * as fs from 'node:fs/promises'
+import * as path from 'node:path'
+import type { FileHandle } from 'node:fs/promises'
+import { log, logError } from './utils'
+import type { SnapshotRequest, SnapshotResult } from '../types/cameras'
+
+const { app, clipboard, dialog, nativeImage, shell } = require('electron') as typeof import('electron')
+
+interface StoreInterface {
+  get: (key: string) => unknown
+  set: (...args: unknown[]) => void
+}
+
+export type SnapshotFormat = 'png' | 'jpeg'
+
+export interface SnapshotSettings {
+  folder: string
+  format: SnapshotFormat
+  copyToClipboard: boolean
+}
+
+const JPEG_QUALITY = 90
+
+/** Characters Windows, macOS or Linux don't allow in file names */
+// eslint-disable-next-line no-control-regex
+const UNSAFE_FILE_NAME_CHARS = /[\\/:*?"<>|\x00-\x1f]/g
+
+/** Where stills go until a folder is chosen */
+export function defaultSnapshotFolder(): string {
+  return path.join(app.getPath('pictures'), 'UniFi Protect Viewer')
+}
+
+/**
+ * Saved settings, with defaults for anything unset.
+ */
+export function getSettings(store: StoreInterface): SnapshotSettings {
+  const folder = store.get('snapshotFolder')
+  return {
+    folder: typeof folder === 'string' && folder.trim() !== '' ? folder : defaultSnapshotFolder(),
+    format: store.get('snapshotFormat') === 'jpeg' ? 'jpeg' : 'png',
+    copyToClipboard: store.get('snapshotCopyToClipboard') === true,
+  }
+}
+
+/**
+ * File name for a still or clip of a camera, taken at `date` (local time).
+ */
+export function cameraFileName(camera: string, date: Date, extension: string): string {
+  const name = camera.replace(UNSAFE_FILE_NAME_CHARS, '_').trim() || 'Camera'
+  const pad = (n: number) => String(n).padStart(2, '0')
+  const day = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`
+  const time = `${pad(date.getHours())}-${pad(date.getMinutes())}-${pad(date.getSeconds())}`
+  return `${name} ${day} ${time}.${extension}`
+}
+
+/**
+ * Check a snapshot request from the renderer, or null if it isn't one.
+ */
+export function parseSnapshotRequest(value: unknown): SnapshotRequest | null {
+  if (typeof value !== 'object' || value === null) return null
+  const { camera, image, rect } = value as Record<string, unknown>
+  if (typeof camera !== 'string') return null
+
+  if (image instanceof Uint8Array && image.length > 0) return { camera, image, rect: null }
+
+  if (typeof rect !== 'object' || rect === null) return null
+  const { x, y, width, height } = rect as Record<string, unknown>
+  const bounds = [x, y, width, height].map((n) => (typeof n === 'number' && Number.isFinite(n) ? Math.round(n) : NaN))
+  if (bounds.some(isNaN) || bounds[2]! <= 0 || bounds[3]! <= 0) return null
+  return { camera, image: null, rect: { x: bounds[0]!, y: bounds[1]!, width: bounds[2]!, height: bounds[3]! } }
+}
+
+/**
+ * Create a file that doesn't exist yet in `folder` (created if needed),
+ * numbering the name (`… (2).png`) when one is taken within the same second.
+ */
+export async function openNewFile(folder: string, fileName: string): Promise<{ path: string; handle: FileHandle }> {
+  await fs.mkdir(folder, { recursive: true })
+  const { name, ext } = path.parse(fileName)
+  for (let n = 1; ; n++) {
+    const filePath = path.join(folder, n === 1 ? fileName : `${name} (${n})${ext}`)
+    try {
+      return { path: filePath, handle: await fs.open(filePath, 'wx') }
+    } catch (err) {
+      if ((err as NodeJS.ErrnoException).code !== 'EEXIST') throw err
+    }
+  }
+}
+
+/**
+ * Save a still of a camera shown in `webContents`, and copy it to the
+ * clipboard if that option is on.
+ */
+export async function saveSnapshot(
+  webContents: Electron.WebContents,
+  store: StoreInterface,
+  request: SnapshotRequest,
+): Promise<SnapshotResult> {
+  const settings = getSettings(store)
+  try {
+    const image = request.image
+      ? nativeImage.createFromBuffer(Buffer.from(request.image))
+      : await webContents.capturePage(request.rect!)
+    if (image.isEmpty()) return { ok: false, error: 'The camera has no picture to save' }
+
+    const data = settings.format === 'jpeg' ? image.toJPEG(JPEG_QUALITY) : image.toPNG()
+    const extension = settings.format === 'jpeg' ? 'jpg' : 'png'
+    const file = await openNewFile(settings.folder, cameraFileName(request.camera, new Date(), extension))
+    try {
+      await file.handle.writeFile(data)
+    } finally {
+      await file.handle.close()
+    }
+    if (settings.copyToClipboard) clipboard.writeImage(image)
+
+    log(`Snapshot of ${request.camera} saved to ${file.path}`)
+    return { ok: true, path: file.path, copied: settings.copyToClipboard }
+  } catch (err) {
+    logError('Failed to save snapshot:', err)
+    return { ok: false, error: err instanceof Error ? err.message : String(err) }
+  }
+}
+
+/**
+ * Ask for a folder, starting at `current`. Null when cancelled.
+ */
+export async function pickFolder(
+  window: Electron.BrowserWindow,
+  title: string,
+  current: string,
+): Promise<string | null> {
+  const { canceled, filePaths } = await dialog.showOpenDialog(window, {
+    title,
+    defaultPath: current,
+    properties: ['openDirectory', 'createDirectory'],
+  })
+  return canceled ? null : (filePaths[0] ?? null)
+}
+
+/**
+ * Show a folder in the file manager, creating it if needed.
+ */
+export async function showFolder(folder: string): Promise<void> {
+  try {
+    await fs.mkdir(folder, { recursive: true })
+    const error = await shell.openPath(folder)
+    if (error) logError(`Failed to open ${folder}: ${error}`)
+  } catch (err) {
+    logError(`Failed to open ${folder}:`, err)
+  }
+}
+
+/**
+ * Let the user pick the snapshot folder.
+ */
+export async function chooseFolder(window: Electron.BrowserWindow, store: StoreInterface): Promise<void> {
+  const folder = await pickFolder(window, 'Snapshot Folder', getSettings(store).folder)
+  if (!folder) return
+  store.set('snapshotFolder', folder)
+  log(`Snapshot folder set to ${folder}`)
+}
+
+/**
+ * Show the snapshot folder in the file manager.
+ */
+export async function openFolder(store: StoreInterface): Promise<void> {
+  await showFolder(getSettings(store).folder)
+}
@@ -0,0 +1,144 @@
+/**
+ * Camera snapshots — renderer process only.
+ *
+ * Takes the still of a camera tile for snapshots-main.ts, which saves it.
+ * The still is the tile's `<video>` frame at the stream's resolution; when
+ * there is no playing video, or its frame can't be read, the tile's bounds
+ * are sent instead and the main process captures that part of the page.
+ * A short notice at the bottom of the screen says where the still went.
+ */
+
+import { logError, logWarn } from './utils'
+import * as cameras from './cameras'
+import type { SnapshotRequest, SnapshotResult } from '../types/cameras'
+
+const { ipcRenderer } = require('electron') as typeof import('electron')
+
+const NOTICE_ID = 'upv-snapshot-notice'
+const STYLE_ID = 'upv-snapshot-styles'
+const NOTICE_DURATION_MS = 3000
+
+export const SNAPSHOT_STYLES = /*css*/ `
+#${NOTICE_ID} {
+  position: fixed;
+  left: 50%;
+  bottom: 24px;
+  transform: translateX(-50%);
+  z-index: 2147483646;
+  max-width: 80vw;
+  padding: 6px 14px;
+  border-radius: 8px;
+  background: rgba(0, 0, 0, 0.75);
+  color: #dee0e3;
+  font: 13px -apple-system, BlinkMacSystemFont, 'Segoe UI', system-ui, sans-serif;
+  overflow: hidden;
+  text-overflow: ellipsis;
+  white-space: nowrap;
+  pointer-events: none;
+}
+
+#${NOTICE_ID}.upv-snapshot-error {
+  color: #f5a623;
+}
+`
+
+let noticeTimer: ReturnType<typeof setTimeout> | null = null
+
+/**
+ * Show a short notice at the bottom of the screen (also used for clips).
+ */
+export function showNotice(text: string, error: boolean): void {
+  if (!document.getElementById(STYLE_ID)) {
+    const style = document.createElement('style')
+    style.id = STYLE_ID
+    style.textContent = SNAPSHOT_STYLES
+    document.head.appendChild(style)
+  }
+
+  let notice = document.getElementById(NOTICE_ID)
+  if (!notice) {
+    notice = document.createElement('div')
+    notice.id = NOTICE_ID
+    document.body.appendChild(notice)
+  }
+  notice.textContent = text
+  notice.classList.toggle('upv-snapshot-error', error)
+
+  if (noticeTimer) clearTimeout(noticeTimer)
+  noticeTimer = setTimeout(() => {
+    noticeTimer = null
+    document.getElementById(NOTICE_ID)?.remove()
+  }, NOTICE_DURATION_MS)
+}
+
+/**
+ * The tile's current video frame as PNG, at the stream's resolution. Null
+ * when the tile has no video with a frame to show, or the frame can't be read.
+ */
+async function readVideoFrame(tile: Element): Promise<Uint8Array | null> {
+  const video = tile.querySelector('video')
+  if (!video || video.videoWidth === 0 || video.readyState < HTMLMediaElement.HAVE_CURRENT_DATA) return null
+
+  const canvas = document.createElement('canvas')
+  canvas.width = video.videoWidth
+  canvas.height = video.videoHeight
+  const context = canvas.getContext('2d')
+  if (!context) return null
+
+  try {
+    context.drawImage(video, 0, 0)
+    const blob = await new Promise<Blob | null>((resolve) => canvas.toBlob(resolve, 'image/png'))
+    return blob ? new Uint8Array(await blob.arrayBuffer()) : null
+  } catch (err) {
+    // A stream from another origin taints the canvas
+    logWarn('Could not read the video frame, capturing the tile instead:', err)
+    return null
+  }
+}
+
+function nextPaint(): Promise<void> {
+  return new Promise((resolve) => requestAnimationFrame(() => requestAnimationFrame(() => resolve())))
+}
+
+/** The camera a snapshot is of when none is picked: the zoomed one, else the highlighted tile */
+function defaultTarget(): number | null {
+  const zoomed = cameras.getCurrentZoomIndex()
+  return zoomed >= 0 ? zoomed : cameras.getHighlightedTile()
+}
+
+/**
+ * Save a still of a camera: the given tile, or when none is given, the
+ * zoomed camera, else the tile highlighted with the arrow keys.
+ */
+export async function takeSnapshot(index: number | null): Promise<void> {
+  const target = index ?? defaultTarget()
+  const tile = target === null ? null : document.querySelector(`[data-viewport="${target}"]`)
+  if (target === null || !tile) {
+    showNotice('Zoom into a camera, or pick one with the arrow keys, to take a snapshot', true)
+    return
+  }
+
+  const camera = cameras.listCameras().find((c) => c.index === target)?.name ?? `Camera ${target + 1}`
+  // Keep the highlight out of the picture
+  cameras.hideTileHighlight()
+
+  const request: SnapshotRequest = { camera, image: await readVideoFrame(tile), rect: null }
+  if (!request.image) {
+    await nextPaint()
+    const rect = tile.getBoundingClientRect()
+    request.rect = { x: rect.left, y: rect.top, width: rect.width, height: rect.height }
+  }
+
+  try {
+    const result: SnapshotResult = await ipcRenderer.invoke('snapshot:save', request)
+    if (!result.ok) {
+      showNotice(`Snapshot failed: ${result.error ?? 'unknown error'}`, true)
+      return
+    }
+    const fileName = result.path?.split(/[\\/]/).pop() ?? ''
+    showNotice(result.copied ? `Saved ${fileName} and copied it` : `Saved ${fileName}`, false)
+  } catch (err) {
+    logError('Error saving snapshot:', err)
+    showNotice('Snapshot failed', true)
+  }
+}
@@ -0,0 +1,113 @@
+/**
+ * Apply the `--liveview` and `--camera` launch options — renderer-side module.
+ *
+ * Opens the requested liveview, then zooms the requested camera, reporting
+ * each option consumed first so a reload doesn't apply it again. `upv://`
+ * camera and liveview links go through `runDeepLink()`.
+ */
+
+import { log, logError, waitUntil } from './utils'
+import * as cameras from './cameras'
+import * as dashboard from './dashboard'
+import * as liveviews from './liveviews'
+import type { LaunchState } from '../types/launch'
+import type { DeepLinkAction, DeepLinkResult } from '../types/deepLinks'
+
+const { ipcRenderer } = require('electron') as typeof import('electron')
+
+/**
+ * Navigate to the launch liveview if it isn't already open.
+ * Returns true when a navigation was started.
+ */
+async function openLiveview(nameOrId: string): Promise<boolean> {
+  ipcRenderer.send('launchOptions:consume', 'liveview')
+
+  const target = liveviews.findLiveview(await liveviews.fetchLiveviews(), nameOrId)
+  if (!target) {
+    logError(`--liveview: no liveview named "${nameOrId}"`)
+    return false
+  }
+  if (liveviews.getCurrentLiveviewId() === target.id) return false
+
+  log(`Opening liveview "${target.name}" from launch options`)
+  window.location.assign(liveviews.liveviewUrl(target.id))
+  return true
+}
+
+/**
+ * Zoom the launch camera once the liveview's tiles have rendered.
+ */
+async function zoomCamera(nameOrPosition: string): Promise<void> {
+  if (!dashboard.isDashboardPage()) return
+  if (!(await dashboard.waitForDashboardReady())) return
+
+  try {
+    await waitUntil(() => document.querySelector('[data-viewport]') !== null)
+  } catch {
+    logError('--camera: no camera tiles found on the dashboard')
+    return
+  }
+
+  ipcRenderer.send('launchOptions:consume', 'camera')
+
+  const index = cameras.findCamera(nameOrPosition)
+  if (index === undefined) {
+    logError(`--camera: no camera named "${nameOrPosition}"`)
+    return
+  }
+  log(`Zooming camera "${nameOrPosition}" from launch options`)
+  await cameras.zoomToCamera(index)
+}
+
+export async function applyStartView(): Promise<void> {
+  const launch = ((await ipcRenderer.invoke('launchOptions:get')) || {}) as LaunchState
+
+  if (launch.liveview && (await openLiveview(launch.liveview))) return
+  if (launch.camera) await zoomCamera(launch.camera)
+}
+
+async function runLinkAction(action: DeepLinkAction): Promise<DeepLinkResult> {
+  if (action.type === 'liveview') {
+    const target = liveviews.findLiveview(await liveviews.fetchLiveviews(), action.liveview)
+    if (!target) return { ok: false, message: `No liveview named "${action.liveview}".` }
+    if (liveviews.getCurrentLiveviewId() !== target.id) {
+      log(`Opening liveview "${target.name}" from link`)
+      window.location.assign(liveviews.liveviewUrl(target.id))
+    }
+    return { ok: true }
+  }
+
+  if (action.type === 'zoom-camera') {
+    if (!dashboard.isDashboardPage() || !(await dashboard.waitForDashboardReady())) {
+      return { ok: false, message: 'Cameras can only be zoomed on the dashboard.' }
+    }
+    const index = cameras.findCamera(action.camera)
+    if (index === undefined) {
+      const names = cameras.detectCameras().map((camera) => camera.name)
+      return {
+        ok: false,
+        message: `No camera named "${action.camera}" on this liveview.${names.length ? ` Cameras: ${names.join(', ')}.` : ''}`,
+      }
+    }
+    log(`Zooming camera "${action.camera}" from link`)
+    await cameras.zoomToCamera(index)
+    return { ok: true }
+  }
+
+  return { ok: false, message: 'This link is handled by the main process.' }
+}
+
+/**
+ * Carry out a camera or liveview link on the current page and report the
+ * outcome on `deep-link:result`.
+ */
+export async function runDeepLink(action: DeepLinkAction): Promise<void> {
+  let result: DeepLinkResult
+  try {
+    result = await runLinkAction(action)
+  } catch (err) {
+    logError('Error following link:', err)
+    result = { ok: false, message: 'Something went wrong while following the link.' }
+  }
+  ipcRenderer.send('deep-link:result', result)
+}
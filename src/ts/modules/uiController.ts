@@ -14,6 +14,7 @@ import { waitUntil } from './utils'
 import * as buttonStyles from './buttonStyles'
 import { DOM_ELEMENT_WAIT_MS, ENFORCEMENT_BURST_INTERVAL_MS, ENFORCEMENT_BURST_COUNT } from './constants'
 import type { UIState, UIInternalState } from '../types/state'
+import type { LaunchState } from '../types/launch'
 import type { ButtonUpdater } from '../types/buttons'
 
 /** Dependencies injected via initialize() for testability */
@@ -148,6 +149,11 @@ export async function initialize(deps: UiControllerDeps = {}): Promise<void> {
   state.navHidden = config.hideNav === true
   state.headerHidden = config.hideHeader === true
 
+  // --hide-nav / --hide-header override the saved state for this session
+  const launch = ((await ipc.invoke('launchOptions:get')) || {}) as LaunchState
+  if (launch.hideNav) state.navHidden = true
+  if (launch.hideHeader) state.headerHidden = true
+
   // b. Load fullscreen state
   state.isFullscreen = (await ipc.invoke('isFullScreen')) as boolean
 
@@ -32,7 +32,7 @@ let _uiQueue: Promise<void> = Promise.resolve()
  * - Windows: Mica material (Win11) with solid fallback color
  * - Linux: solid background color
  */
-function getDialogAppearanceOptions(): Partial<Electron.BrowserWindowConstructorOptions> {
+export function getDialogAppearanceOptions(): Partial<Electron.BrowserWindowConstructorOptions> {
   if (process.platform === 'darwin') {
     return {
       vibrancy: 'under-window',
@@ -95,6 +95,23 @@ export function logWarn(message: string, ...args: unknown[]): void {
   }
 }
 
+/**
+ * Utility function for informational logging that must survive production
+ * builds (e.g. config migrations). Logs the message in every environment;
+ * extra args only in development mode.
+ */
+export function logInfo(message: string, ...args: unknown[]): void {
+  try {
+    if (process.env.NODE_ENV === 'development') {
+      console.info(message, ...args)
+    } else {
+      console.info(message)
+    }
+  } catch (err) {
+    console.error('Error in logInfo function:', err)
+  }
+}
+
 /**
  * Wait for a specified amount of time
  */
@@ -0,0 +1,91 @@
+/**
+ * Viewer state events — main process only.
+ *
+ * Turns the main window's state changes into typed, numbered events for
+ * subscribers such as the HTTP API's event stream. A new subscriber starts
+ * from `snapshot()`, which carries the number of the last event it includes.
+ */
+
+import { logError } from './utils'
+import * as remoteControl from './remoteControl'
+import type { ViewerEvent, ViewerEventMessage } from '../types/remoteControl'
+
+export type ViewerEventType = Exclude<ViewerEvent['type'], 'snapshot'>
+type Listener = (message: ViewerEventMessage) => void
+
+const listeners = new Set<Listener>()
+let mainWindowRef: Electron.BrowserWindow | null = null
+let seq = 0
+
+/**
+ * Set the window whose state is published.
+ */
+export function initialize(mainWindow: Electron.BrowserWindow): void {
+  mainWindowRef = mainWindow
+}
+
+function stamp(event: ViewerEvent): ViewerEventMessage {
+  return { ...event, seq: ++seq, timestamp: Date.now() }
+}
+
+function eventFor(type: ViewerEventType, window: Electron.BrowserWindow): ViewerEvent {
+  const status = remoteControl.getStatus(window)
+  switch (type) {
+    case 'camera-list':
+      return { type, cameras: status.cameras, zoomedCamera: status.zoomedCamera }
+    case 'camera-zoom':
+      return { type, zoomedCamera: status.zoomedCamera }
+    case 'ui-state':
+      return { type, ui: status.ui }
+    case 'dashboard-state':
+      return { type, page: status.page }
+    case 'liveview-change':
+      return { type, liveview: status.liveview }
+    case 'fullscreen-change':
+      return { type, fullscreen: status.ui.isFullscreen }
+  }
+}
+
+/**
+ * Tell subscribers that part of a window's state changed. Other windows
+ * than the main window are ignored.
+ */
+export function publish(window: Electron.BrowserWindow, type: ViewerEventType): void {
+  if (window !== mainWindowRef || window.isDestroyed() || listeners.size === 0) return
+
+  const message = stamp(eventFor(type, window))
+  for (const listener of listeners) {
+    try {
+      listener(message)
+    } catch (err) {
+      logError('Viewer event listener failed:', err)
+    }
+  }
+}
+
+/**
+ * The main window's full state as a `snapshot` event, or null before the
+ * window exists. Its `seq` is that of the last event published, which the
+ * snapshot already reflects; the next event follows on from it.
+ */
+export function snapshot(): ViewerEventMessage | null {
+  if (!mainWindowRef || mainWindowRef.isDestroyed()) return null
+  return { type: 'snapshot', status: remoteControl.getStatus(mainWindowRef), seq, timestamp: Date.now() }
+}
+
+/**
+ * Receive every event from now on. Returns a function that unsubscribes.
+ */
+export function subscribe(listener: Listener): () => void {
+  listeners.add(listener)
+  return () => {
+    listeners.delete(listener)
+  }
+}
+
+/** Forget the window, listeners and sequence (test helper) */
+export function _resetViewerEvents(): void {
+  listeners.clear()
+  mainWindowRef = null
+  seq = 0
+}
@@ -0,0 +1,209 @@
+/**
+ * Extra viewer windows — main process only.
+ *
+ * File → New Window on Display opens another page of the same console, each
+ * with its own URL, nav/header and fullscreen state. They are saved under
+ * `windows` with their placement and reopened at launch. Closing one forgets
+ * it; windows still open when the app quits or restarts are kept.
+ */
+
+import { randomUUID } from 'node:crypto'
+import { log } from './utils'
+import * as windowManager from './window'
+import * as displays from './displays'
+import * as kiosk from './kiosk'
+import type { ViewerWindowState } from '../types/config'
+
+const { app, screen } = require('electron') as typeof import('electron')
+
+interface StoreInterface {
+  store: Record<string, unknown>
+  get: (key: string) => unknown
+  set: (...args: unknown[]) => void
+}
+
+/** Settings an extra window keeps for itself instead of writing to the profile */
+const WINDOW_SETTING_KEYS = ['hideNav', 'hideHeader'] as const
+
+// Open extra windows → ID of their saved state
+const openWindows = new Map<Electron.BrowserWindow, string>()
+// Open extra windows → saves their URL and placement
+const placementSavers = new Map<Electron.BrowserWindow, () => void>()
+let quitting = false
+
+app.on('before-quit', () => {
+  quitting = true
+})
+
+/**
+ * Return the saved extra windows. Missing or non-array values yield an empty list.
+ */
+export function listSavedWindows(store: StoreInterface): ViewerWindowState[] {
+  const windows = store.get('windows')
+  return Array.isArray(windows) ? (windows as ViewerWindowState[]) : []
+}
+
+function getSavedWindow(store: StoreInterface, id: string): ViewerWindowState | null {
+  return listSavedWindows(store).find((w) => w.id === id) ?? null
+}
+
+function updateSavedWindow(store: StoreInterface, id: string, changes: Partial<ViewerWindowState>): void {
+  const windows = listSavedWindows(store)
+  const index = windows.findIndex((w) => w.id === id)
+  if (index === -1) return
+  windows[index] = { ...windows[index]!, ...changes, id }
+  store.set('windows', windows)
+}
+
+function removeSavedWindow(store: StoreInterface, id: string): void {
+  store.set(
+    'windows',
+    listSavedWindows(store).filter((w) => w.id !== id),
+  )
+}
+
+/**
+ * Whether `window` is an extra viewer window (as opposed to the main window).
+ */
+export function isExtraWindow(window: Electron.BrowserWindow | null): boolean {
+  return window !== null && openWindows.has(window)
+}
+
+/**
+ * The URL worth reopening: pages of the console, not the config or error page.
+ */
+function reopenableUrl(window: Electron.BrowserWindow): string | undefined {
+  const url = window.webContents.getURL()
+  return /^https?:/.test(url) ? url : undefined
+}
+
+function showWindow(store: StoreInterface, state: ViewerWindowState): Electron.BrowserWindow {
+  const window = windowManager.createExtraWindow(store, state)
+  openWindows.set(window, state.id)
+
+  const savePlacement = () => {
+    const { bounds, displayId, fullscreen } = displays.getPlacement(window)
+    updateSavedWindow(store, state.id, {
+      url: reopenableUrl(window) ?? getSavedWindow(store, state.id)?.url,
+      fullscreen,
+      ...(bounds ? { bounds } : {}),
+      displayId,
+    })
+  }
+  placementSavers.set(window, savePlacement)
+
+  // `app.exit()` destroys windows without `close`; only a closed window is forgotten
+  let closing = false
+  window.on('close', () => {
+    closing = true
+    savePlacement()
+  })
+
+  window.on('closed', () => {
+    openWindows.delete(window)
+    placementSavers.delete(window)
+    if (closing && !quitting) {
+      removeSavedWindow(store, state.id)
+      log('Closed viewer window')
+    }
+  })
+
+  // Pinned fullscreen and on top like the main window while kiosk mode is on
+  kiosk.attachWindow(window)
+
+  const ipc = require('./ipc') as typeof import('./ipc')
+  ipc.attachWindow(window)
+  const menu = require('./menu') as typeof import('./menu')
+  menu.trackWindow(window)
+
+  return window
+}
+
+/**
+ * File → New Window on Display: open an extra window centered on a display
+ * (the primary display if the ID is unknown) and save it.
+ */
+export function openWindow(store: StoreInterface, displayId?: number): Electron.BrowserWindow {
+  const display = screen.getAllDisplays().find((d) => d.id === displayId) ?? screen.getPrimaryDisplay()
+  const state: ViewerWindowState = {
+    id: randomUUID(),
+    bounds: displays.centerOnDisplay(display, windowManager.DEFAULT_WIDTH, windowManager.DEFAULT_HEIGHT),
+    displayId: display.id,
+  }
+
+  store.set('windows', [...listSavedWindows(store), state])
+  log(`Opened viewer window on display ${display.id}`)
+  return showWindow(store, state)
+}
+
+/**
+ * Reopen the extra windows that were open when the app last quit.
+ */
+export function restoreWindows(store: StoreInterface): void {
+  const windows = listSavedWindows(store)
+  for (const state of windows) {
+    showWindow(store, state)
+  }
+  if (windows.length > 0) log(`Restored ${windows.length} viewer window(s)`)
+}
+
+/**
+ * Save the extra windows and keep them for the next launch. `app.exit()`
+ * skips `before-quit` and the windows' `close` event, so restarts call this
+ * first.
+ */
+export function prepareForExit(): void {
+  quitting = true
+  for (const [window, save] of placementSavers) {
+    if (!window.isDestroyed()) save()
+  }
+}
+
+/**
+ * Overlay an extra window's own settings onto the resolved config sent to
+ * its renderer. The main window gets the config unchanged.
+ */
+export function resolveWindowConfig<T extends object>(
+  store: StoreInterface,
+  window: Electron.BrowserWindow | null,
+  config: T,
+): T {
+  const id = window && openWindows.get(window)
+  const state = id ? getSavedWindow(store, id) : null
+  if (!state) return config
+
+  return { ...config, hideNav: state.hideNav === true, hideHeader: state.hideHeader === true }
+}
+
+/**
+ * Save a partial config from a renderer. For an extra window, its own
+ * settings are saved on the window; the rest is returned for the profile.
+ */
+export function saveWindowSettings(
+  store: StoreInterface,
+  window: Electron.BrowserWindow | null,
+  config: Record<string, unknown>,
+): Record<string, unknown> {
+  const id = window && openWindows.get(window)
+  if (!id) return config
+
+  const rest: Record<string, unknown> = {}
+  const changes: Partial<ViewerWindowState> = {}
+  for (const [key, value] of Object.entries(config)) {
+    if ((WINDOW_SETTING_KEYS as readonly string[]).includes(key)) {
+      if (typeof value === 'boolean') changes[key as (typeof WINDOW_SETTING_KEYS)[number]] = value
+    } else {
+      rest[key] = value
+    }
+  }
+
+  updateSavedWindow(store, id, changes)
+  return rest
+}
+
+/** Forget open windows (test helper) */
+export function _resetViewerWindows(): void {
+  openWindows.clear()
+  placementSavers.clear()
+  quitting = false
+}
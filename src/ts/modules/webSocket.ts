@@ -0,0 +1,173 @@
+/**
+ * Minimal server-side WebSocket (RFC 6455) — main process only.
+ *
+ * Just enough for a push-only event stream on the HTTP API's server: the
+ * opening handshake, unfragmented text frames out, and close/ping handling
+ * for frames coming in. Messages from the client are ignored. No extensions
+ * (compression) or subprotocols are negotiated.
+ */
+
+import { createHash } from 'node:crypto'
+import type { IncomingMessage } from 'node:http'
+import type { Duplex } from 'node:stream'
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11'
+
+/** Largest frame accepted from a client; clients have nothing to say */
+const MAX_INCOMING_FRAME = 4 * 1024
+
+const OPCODE_TEXT = 0x1
+const OPCODE_CLOSE = 0x8
+const OPCODE_PING = 0x9
+const OPCODE_PONG = 0xa
+
+export interface WebSocketConnection {
+  /** Send a text message; ignored once the connection is closing */
+  send: (text: string) => void
+  /** Start the closing handshake */
+  close: (code?: number, reason?: string) => void
+  /** Run `callback` once the connection is gone, however it ended */
+  onClose: (callback: () => void) => void
+}
+
+/**
+ * Whether a request asks to upgrade to a WebSocket.
+ */
+export function isUpgradeRequest(req: IncomingMessage): boolean {
+  return req.headers.upgrade?.toLowerCase() === 'websocket' && typeof req.headers['sec-websocket-key'] === 'string'
+}
+
+/** `Sec-WebSocket-Accept` value for a client's key */
+export function acceptKey(key: string): string {
+  return createHash('sha1')
+    .update(key + HANDSHAKE_GUID)
+    .digest('base64')
+}
+
+/**
+ * Encode an unmasked frame, as servers send them.
+ */
+export function encodeFrame(opcode: number, payload: Buffer): Buffer {
+  const length = payload.length
+  let header: Buffer
+  if (length < 126) {
+    header = Buffer.from([0x80 | opcode, length])
+  } else if (length < 0x10000) {
+    header = Buffer.alloc(4)
+    header[0] = 0x80 | opcode
+    header[1] = 126
+    header.writeUInt16BE(length, 2)
+  } else {
+    header = Buffer.alloc(10)
+    header[0] = 0x80 | opcode
+    header[1] = 127
+    header.writeBigUInt64BE(BigInt(length), 2)
+  }
+  return Buffer.concat([header, payload])
+}
+
+interface Frame {
+  opcode: number
+  payload: Buffer
+  /** Bytes of the buffer the frame used */
+  size: number
+}
+
+/**
+ * Decode one masked client frame from the start of `buffer`. Returns null
+ * when more data is needed, or an Error for frames a client may not send.
+ */
+export function decodeFrame(buffer: Buffer): Frame | Error | null {
+  if (buffer.length < 2) return null
+  const opcode = buffer[0]! & 0x0f
+  const masked = (buffer[1]! & 0x80) !== 0
+  let length = buffer[1]! & 0x7f
+  let offset = 2
+
+  if (!masked) return new Error('Client frames must be masked')
+  if (length === 126) {
+    if (buffer.length < 4) return null
+    length = buffer.readUInt16BE(2)
+    offset = 4
+  } else if (length === 127) {
+    return new Error('Frame too large')
+  }
+  if (length > MAX_INCOMING_FRAME) return new Error('Frame too large')
+  if (buffer.length < offset + 4 + length) return null
+
+  const mask = buffer.subarray(offset, offset + 4)
+  const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length))
+  for (let i = 0; i < payload.length; i++) payload[i]! ^= mask[i % 4]!
+  return { opcode, payload, size: offset + 4 + length }
+}
+
+/**
+ * Complete the opening handshake on an upgraded socket and return the
+ * connection. The caller has already checked the request is allowed.
+ */
+export function accept(req: IncomingMessage, socket: Duplex): WebSocketConnection {
+  const key = req.headers['sec-websocket-key'] as string
+  socket.write(
+    'HTTP/1.1 101 Switching Protocols\r\n' +
+      'Upgrade: websocket\r\n' +
+      'Connection: Upgrade\r\n' +
+      `Sec-WebSocket-Accept: ${acceptKey(key)}\r\n\r\n`,
+  )
+
+  let closing = false
+  let pending: Buffer = Buffer.alloc(0)
+  const closeCallbacks: Array<() => void> = []
+
+  const close = (code = 1000, reason = '') => {
+    if (closing) return
+    closing = true
+    const payload = Buffer.alloc(2 + Buffer.byteLength(reason))
+    payload.writeUInt16BE(code, 0)
+    payload.write(reason, 2)
+    socket.end(encodeFrame(OPCODE_CLOSE, payload))
+  }
+
+  socket.on('data', (chunk: Buffer) => {
+    pending = Buffer.concat([pending, chunk])
+    for (;;) {
+      const frame = decodeFrame(pending)
+      if (frame === null) return
+      if (frame instanceof Error) {
+        close(1002, frame.message)
+        return
+      }
+      pending = pending.subarray(frame.size)
+
+      if (frame.opcode === OPCODE_CLOSE) {
+        close()
+        return
+      }
+      if (frame.opcode === OPCODE_PING && !closing) {
+        socket.write(encodeFrame(OPCODE_PONG, frame.payload))
+      }
+    }
+  })
+
+  let closed = false
+  const finish = () => {
+    if (closed) return
+    closed = true
+    closing = true
+    for (const callback of closeCallbacks) callback()
+  }
+  socket.on('close', finish)
+  // HTTP server sockets allow half-open connections; finish ours when the client leaves
+  socket.on('end', () => socket.end())
+  socket.on('error', () => socket.destroy())
+
+  return {
+    send: (text) => {
+      if (!closing) socket.write(encodeFrame(OPCODE_TEXT, Buffer.from(text, 'utf8')))
+    },
+    close,
+    onClose: (callback) => {
+      if (closed) callback()
+      else closeCallbacks.push(callback)
+    },
+  }
+}
@@ -6,39 +6,68 @@ import { URL } from 'node:url'
 import { log, logError } from './utils'
 import * as version from './version'
 import { htmlUrl, imgPath, preloadPath } from './paths'
+import * as profiles from './profiles'
+import * as kiosk from './kiosk'
+import * as displays from './displays'
+import type { LaunchOptions } from '../types/launch'
+import type { ViewerWindowState, WindowBounds } from '../types/config'
 
 const { BrowserWindow, app, nativeTheme, session, shell, globalShortcut } =
   require('electron') as typeof import('electron')
 
 // Constants
-const DEFAULT_WIDTH = 1270
-const DEFAULT_HEIGHT = 750
+export const DEFAULT_WIDTH = 1270
+export const DEFAULT_HEIGHT = 750
+export const POPOUT_WIDTH = 480
+export const POPOUT_HEIGHT = 270
+const POPOUT_MIN_WIDTH = 240
+const POPOUT_MIN_HEIGHT = 135
 
 interface StoreInterface {
+  store: Record<string, unknown>
   get: (key: string) => unknown
-  set: (key: string, value: unknown) => void
+  set: (...args: unknown[]) => void
+}
+
+interface ViewerWindowOptions {
+  /** Saved bounds and display; checked against the connected displays first */
+  bounds?: WindowBounds
+  displayId?: number
+  fullscreen?: boolean
+  kiosk?: boolean
+}
+
+/** Web preferences of every window that shows a console page */
+function viewerWebPreferences(): Electron.WebPreferences {
+  return {
+    preload: preloadPath(),
+    contextIsolation: true,
+    nodeIntegration: false,
+    spellcheck: false,
+    sandbox: false,
+    nodeIntegrationInWorker: false,
+    nodeIntegrationInSubFrames: false,
+    webSecurity: true,
+  }
 }
 
 /**
- * Create the browser window.
+ * Create a viewer window with the settings shared by the main window and
+ * extra windows (see viewerWindows.ts). The caller loads a URL.
  */
-export async function createWindow(store: StoreInterface): Promise<Electron.BrowserWindow> {
-  const bounds = store.get('bounds') as { width?: number; height?: number; x?: number; y?: number } | undefined
-  const mainWindow = new BrowserWindow({
+function buildViewerWindow(
+  store: StoreInterface,
+  { bounds: savedBounds, displayId, fullscreen, kiosk: kioskMode }: ViewerWindowOptions,
+): Electron.BrowserWindow {
+  const bounds = displays.fitToDisplays(savedBounds, displayId)
+  const window = new BrowserWindow({
     width: bounds?.width || DEFAULT_WIDTH,
     height: bounds?.height || DEFAULT_HEIGHT,
     x: bounds?.x || undefined,
     y: bounds?.y || undefined,
-    webPreferences: {
-      preload: preloadPath(),
-      contextIsolation: true,
-      nodeIntegration: false,
-      spellcheck: false,
-      sandbox: false,
-      nodeIntegrationInWorker: false,
-      nodeIntegrationInSubFrames: false,
-      webSecurity: true,
-    },
+    fullscreen: fullscreen || undefined,
+    kiosk: kioskMode || undefined,
+    webPreferences: viewerWebPreferences(),
     icon: imgPath('128.png'),
     show: false,
     backgroundColor: nativeTheme.shouldUseDarkColors ? '#1a1a1a' : '#f0f0f0',
@@ -46,17 +75,17 @@ export async function createWindow(store: StoreInterface): Promise<Electron.Brow
     autoHideMenuBar: true,
   })
 
-  mainWindow.webContents.setUserAgent(version.userAgent)
+  window.webContents.setUserAgent(version.userAgent)
 
-  mainWindow.setTitle(`UniFi Protect Viewer ${app.getVersion()}`)
+  window.setTitle(`UniFi Protect Viewer ${app.getVersion()}`)
 
   const isDev = process.env.NODE_ENV === 'development'
   if (isDev) {
     log('Opening DevTools (development mode)')
-    mainWindow.webContents.once('did-finish-load', () => {
+    window.webContents.once('did-finish-load', () => {
       setTimeout(() => {
         try {
-          mainWindow.webContents.openDevTools({ mode: 'right' })
+          window.webContents.openDevTools({ mode: 'right' })
           log('DevTools opened successfully')
         } catch (err) {
           logError('Error opening DevTools:', err)
@@ -65,34 +94,152 @@ export async function createWindow(store: StoreInterface): Promise<Electron.Brow
     })
   }
 
-  mainWindow.webContents.on('certificate-error', handleCertificateError(store))
+  window.webContents.on('certificate-error', handleCertificateError(store))
 
-  mainWindow.on('close', () => {
+  window.on('close', () => {
     // Flush Chromium's in-memory localStorage/DOM storage to disk before the
     // renderer is destroyed — without this, writes made during the session
     // (e.g. UniFi Protect's theme preference) can be lost on quit.
     session.defaultSession.flushStorageData()
-    store.set('bounds', mainWindow.getBounds())
   })
 
-  const initialUrl = (store.get('url') as string) || 'about:blank'
+  setupWindowNavigation(window, store)
+
+  displays.watchWindow(window, { bounds: savedBounds, displayId, fullscreen: fullscreen === true })
+
+  window.once('ready-to-show', () => {
+    window.show()
+    registerDevToolsShortcut(window)
+  })
+
+  return window
+}
+
+/**
+ * Create the main window. Command-line options (see launchOptions.ts)
+ * can start it fullscreen or in kiosk mode.
+ */
+export async function createWindow(store: StoreInterface, launch: LaunchOptions = {}): Promise<Electron.BrowserWindow> {
+  const { bounds, displayId } = profiles.getActiveProfile(store)
+  const mainWindow = buildViewerWindow(store, {
+    bounds,
+    displayId,
+    fullscreen: launch.fullscreen || launch.kiosk,
+    kiosk: launch.kiosk,
+  })
+
+  mainWindow.on('close', () => {
+    const { bounds: preferredBounds, displayId: preferredDisplayId } = displays.getPlacement(mainWindow)
+    if (preferredBounds) {
+      profiles.updateActiveProfile(store, { bounds: preferredBounds, displayId: preferredDisplayId })
+    }
+  })
+
+  loadProfileUrl(mainWindow, store)
+
+  mainWindow.on('closed', () => app.quit())
+
+  return mainWindow
+}
+
+/**
+ * Create an extra viewer window from its saved state. It opens its own URL,
+ * or the active profile's URL when it has none yet.
+ */
+export function createExtraWindow(store: StoreInterface, state: ViewerWindowState): Electron.BrowserWindow {
+  const window = buildViewerWindow(store, {
+    bounds: state.bounds,
+    displayId: state.displayId,
+    fullscreen: state.fullscreen,
+  })
+
+  if (state.url) {
+    log(`Loading window URL: ${state.url}`)
+    window.loadURL(state.url)
+  } else {
+    loadProfileUrl(window, store)
+  }
+
+  return window
+}
+
+/**
+ * Create the picture-in-picture window (see popout-main.ts): frameless, on
+ * top of other apps and on every desktop, at the given bounds. It shows
+ * without taking focus; the caller loads a URL.
+ */
+export function createPopoutWindow(store: StoreInterface, bounds: Electron.Rectangle): Electron.BrowserWindow {
+  const window = new BrowserWindow({
+    ...bounds,
+    minWidth: POPOUT_MIN_WIDTH,
+    minHeight: POPOUT_MIN_HEIGHT,
+    webPreferences: viewerWebPreferences(),
+    icon: imgPath('128.png'),
+    show: false,
+    backgroundColor: '#000000',
+    frame: false,
+    alwaysOnTop: true,
+    fullscreenable: false,
+  })
+
+  window.webContents.setUserAgent(version.userAgent)
+  window.setAlwaysOnTop(true, 'floating')
+  window.setVisibleOnAllWorkspaces(true, { visibleOnFullScreen: true })
+  window.webContents.on('certificate-error', handleCertificateError(store))
+  // The page can't open anything from a window without controls
+  window.webContents.setWindowOpenHandler(() => ({ action: 'deny' }))
+  // Its only move and close controls are injected into the page, so close it
+  // rather than leave a window that can't be moved or closed
+  window.webContents.on(
+    'did-fail-load',
+    (_event: Electron.Event, errorCode: number, errorDescription: string, _url: string, isMainFrame: boolean) => {
+      if (errorCode === -3 || !isMainFrame) return
+      logError(`Pop-out failed to load: ${errorDescription}`)
+      window.close()
+    },
+  )
+
+  window.once('ready-to-show', () => {
+    window.showInactive()
+    registerDevToolsShortcut(window)
+  })
+
+  return window
+}
+
+/**
+ * Load the active profile's URL, or the config page if it has none yet.
+ */
+export function loadProfileUrl(mainWindow: Electron.BrowserWindow, store: StoreInterface): void {
+  const initialUrl = profiles.getActiveProfile(store).url || 'about:blank'
   log(`Loading initial URL: ${initialUrl}`)
   mainWindow.loadURL(initialUrl)
 
   if (initialUrl === 'about:blank') {
     mainWindow.loadURL(htmlUrl('config.html'))
   }
+}
 
-  setupWindowNavigation(mainWindow, store)
-
-  mainWindow.on('closed', () => app.quit())
+/**
+ * Switch the window to another connection profile: persist the current
+ * window bounds to the outgoing profile, then restore the incoming profile's
+ * bounds and load its URL. The page reload re-runs uiController.initialize(),
+ * which picks up the new profile's hide-nav/header state.
+ */
+export function switchProfile(mainWindow: Electron.BrowserWindow, store: StoreInterface, id: string): boolean {
+  if (!mainWindow.isFullScreen()) {
+    profiles.updateActiveProfile(store, { bounds: mainWindow.getBounds() })
+  }
 
-  mainWindow.once('ready-to-show', () => {
-    mainWindow.show()
-    registerDevToolsShortcut(mainWindow)
-  })
+  const profile = profiles.setActiveProfile(store, id)
+  if (!profile) return false
 
-  return mainWindow
+  const bounds = displays.fitToDisplays(profile.bounds, profile.displayId)
+  if (bounds && !mainWindow.isFullScreen()) {
+    mainWindow.setBounds(bounds)
+  }
+  loadProfileUrl(mainWindow, store)
+  return true
 }
 
 /**
@@ -108,8 +255,7 @@ export function handleCertificateError(
   callback: (isTrusted: boolean) => void,
 ) => void {
   return (event, urlString, _error, _certificate, callback) => {
-    const configUrl = store.get('url') as string | undefined
-    const ignoreCertErrors = (store.get('ignoreCertErrors') as boolean) || false
+    const { url: configUrl, ignoreCertErrors = false } = profiles.getActiveProfile(store)
 
     if (ignoreCertErrors && configUrl) {
       try {
@@ -138,7 +284,11 @@ export function setupWindowNavigation(mainWindow: Electron.BrowserWindow, store:
   mainWindow.webContents.setWindowOpenHandler(({ url }) => {
     log(`Window open request for ${url}`)
 
-    if (url.startsWith((store.get('url') as string) || '') || url.startsWith('file://') || url.startsWith('app://')) {
+    if (
+      url.startsWith(profiles.getActiveProfile(store).url || '') ||
+      url.startsWith('file://') ||
+      url.startsWith('app://')
+    ) {
       mainWindow.loadURL(url)
     } else {
       log(`Blocked navigation to external URL: ${url}`)
@@ -178,6 +328,7 @@ export function registerDevToolsShortcut(window: Electron.BrowserWindow): void {
   try {
     if (window && !window.isDestroyed()) {
       window.webContents.on('before-input-event', (event: Electron.Event, input: Electron.Input) => {
+        if (kiosk.isKioskActive()) return
         if (input.key === 'F12' && !input.control && !input.meta && !input.alt && !input.shift) {
           window.webContents.toggleDevTools()
           log('DevTools toggled via F12 local shortcut')
@@ -2,13 +2,27 @@ import * as uiController from './modules/uiController'
 import * as buttons from './modules/buttons'
 import * as navigation from './modules/navigation'
 import * as cameras from './modules/cameras'
+import * as cameraTour from './modules/cameraTour'
+import * as liveviewPlaylist from './modules/liveviewPlaylist'
+import * as liveviews from './modules/liveviews'
+import * as keybindings from './modules/keybindings'
 import * as ui from './modules/ui'
 import { log, logError } from './modules/utils'
 import * as timeouts from './modules/timeouts'
 import * as buttonStyles from './modules/buttonStyles'
+import * as startView from './modules/startView'
+import * as kioskOverlay from './modules/kioskOverlay'
+import * as snapshots from './modules/snapshots-renderer'
+import * as recordings from './modules/recordings-renderer'
+import * as popout from './modules/popout-renderer'
+import * as audio from './modules/audio-renderer'
 
 import { initializeUpdateListeners } from './modules/updates-renderer'
 import { PROTECT_PAGE_POLL_MS, PROTECT_PAGE_MAX_WAIT_MS, UPDATE_LISTENER_DELAY_MS } from './modules/constants'
+import type { DeepLinkAction } from './types/deepLinks'
+import type { CameraInfo, CameraTourOptions } from './types/cameras'
+import type { LiveviewPlaylistEntry } from './types/config'
+import type { Keybindings, KeyPress } from './types/keybindings'
 
 const { contextBridge, ipcRenderer } = require('electron') as typeof import('electron')
 
@@ -73,13 +87,35 @@ async function initializeProtectPage(): Promise<void> {
     }
   })
 
-  cameras.setupHotkeyListener()
+  cameras.watchZoomState()
+  audio.watchAudio()
 
   uiController.onStateChange(() => {
     ensureButtonsInjected().catch((err: unknown) => {
       logError('Error in ensureButtonsInjected:', err)
     })
   })
+
+  // The pop-out shows its one camera; hotkeys and launch options are for viewer windows
+  const popoutCamera = await popout.getPopoutCamera()
+  if (popoutCamera) {
+    popout.showCamera(popoutCamera).catch((err: unknown) => {
+      logError('Error showing pop-out camera:', err)
+    })
+  } else {
+    cameras.setupHotkeyListener()
+    startView.applyStartView().catch((err: unknown) => {
+      logError('Error applying launch options:', err)
+    })
+  }
+
+  // The dashboard reports its liveviews once initialized; other pages need
+  // the list for the Liveviews menu now
+  if (!window.location.href.includes('/protect/dashboard')) {
+    liveviews.reportCurrentLiveview().catch((err: unknown) => {
+      logError('Error reporting liveviews:', err)
+    })
+  }
 }
 
 /**
@@ -147,6 +183,8 @@ window.addEventListener('DOMContentLoaded', async () => {
   })
 
   ipcRenderer.on('zoom-camera', (_event: unknown, index: unknown) => {
+    // Someone picked a camera; let them look at it
+    cameraTour.pauseTour()
     if (index === -1) {
       cameras.unzoomAll()
     } else {
@@ -154,9 +192,73 @@ window.addEventListener('DOMContentLoaded', async () => {
     }
   })
 
+  ipcRenderer.on('camera-tour:start', (_event: unknown, options: CameraTourOptions) => {
+    cameraTour.startTour(options)
+  })
+
+  ipcRenderer.on('camera-tour:stop', () => {
+    cameraTour.stopTour()
+  })
+
+  ipcRenderer.on('snapshot:take', (_event: unknown, index: number | null) => {
+    snapshots.takeSnapshot(index).catch((err: unknown) => {
+      logError('Error taking snapshot:', err)
+    })
+  })
+
+  ipcRenderer.on('popout:camera', (_event: unknown, camera: CameraInfo) => {
+    popout.showCamera(camera).catch((err: unknown) => {
+      logError('Error showing pop-out camera:', err)
+    })
+  })
+
+  ipcRenderer.on('recording:toggle', () => {
+    recordings.toggleRecording().catch((err: unknown) => {
+      logError('Error toggling recording:', err)
+    })
+  })
+
+  ipcRenderer.on('open-liveview', (_event: unknown, id: string) => {
+    if (!window.location.href.includes('/protect/')) return
+    // Someone picked a liveview; let them look at it
+    liveviewPlaylist.pausePlaylist()
+    if (liveviews.getCurrentLiveviewId() !== id) liveviews.openLiveview(id)
+  })
+
+  ipcRenderer.on('liveview-playlist:start', (_event: unknown, entries: LiveviewPlaylistEntry[]) => {
+    liveviewPlaylist.startPlaylist(entries)
+  })
+
+  ipcRenderer.on('liveview-playlist:stop', () => {
+    liveviewPlaylist.stopPlaylist()
+  })
+
+  ipcRenderer.on('liveview-playlist:skip', () => {
+    liveviewPlaylist.skipToNext()
+  })
+
   ipcRenderer.on('toggle-widget-panel', () => {
     ui.toggleWidgetPanel()
   })
+
+  ipcRenderer.on('kiosk:show-exit', () => {
+    kioskOverlay.showExitOverlay()
+  })
+
+  // Liveview/camera forwarded from another launch of the app
+  ipcRenderer.on('launchOptions:apply', () => {
+    if (!window.location.href.includes('/protect/')) return
+    startView.applyStartView().catch((err: unknown) => {
+      logError('Error applying forwarded launch options:', err)
+    })
+  })
+
+  // Camera/liveview from a upv:// link
+  ipcRenderer.on('deep-link', (_event: unknown, action: DeepLinkAction) => {
+    startView.runDeepLink(action).catch((err: unknown) => {
+      logError('Error following link:', err)
+    })
+  })
 })
 
 // Expose API to renderer using modern structure
@@ -166,6 +268,22 @@ contextBridge.exposeInMainWorld('electronAPI', {
     save: (config: Record<string, unknown>) => ipcRenderer.send('configSave', config),
   },
 
+  profiles: {
+    list: () => ipcRenderer.invoke('profiles:list'),
+    create: (name?: string) => ipcRenderer.invoke('profiles:create', name),
+    delete: (id: string) => ipcRenderer.invoke('profiles:delete', id),
+    select: (id: string) => ipcRenderer.invoke('profiles:select', id),
+  },
+
+  keybindings: {
+    get: () => ipcRenderer.invoke('keybindings:get'),
+    save: (changes: Keybindings) => ipcRenderer.invoke('keybindings:save', changes),
+    capture: (active: boolean) => ipcRenderer.send('keybindings:capture', active),
+    fromKeyPress: (press: KeyPress) => keybindings.acceleratorFromKeyPress(press),
+    findConflicts: (bindings: Keybindings) => keybindings.findConflicts(bindings),
+    display: (accelerator: string) => keybindings.displayAccelerator(accelerator),
+  },
+
   app: {
     reset: () => ipcRenderer.send('reset'),
     restart: () => ipcRenderer.send('restart'),
@@ -0,0 +1,6 @@
+const { contextBridge: promptBridge, ipcRenderer: promptIpc } = require('electron') as typeof import('electron')
+
+promptBridge.exposeInMainWorld('promptAPI', {
+  submit: (value: string) => promptIpc.send('prompt:submit', value),
+  cancel: () => promptIpc.send('prompt:cancel'),
+})
@@ -2,3 +2,76 @@ export interface CameraInfo {
   index: number
   name: string
 }
+
+/** A dashboard tile's `data-viewport` index and on-screen bounds */
+export interface TileRect {
+  index: number
+  rect: Pick<DOMRect, 'top' | 'left' | 'right' | 'bottom'>
+}
+
+export type TileDirection = 'left' | 'right' | 'up' | 'down'
+
+/** Per tile, the neighbouring tile in each direction that has one */
+export type TileNeighbourMap = Map<number, Partial<Record<TileDirection, number>>>
+
+/** How a camera tour runs (see modules/cameraTour.ts) */
+export interface CameraTourOptions {
+  /** Time each camera (and the grid) stays on screen */
+  dwellMs: number
+  /** Show the grid after the last camera of each round */
+  includeGrid: boolean
+}
+
+export interface LiveviewInfo {
+  id: string
+  name: string
+}
+
+/**
+ * A camera still to save (see modules/snapshots-main.ts): the video frame
+ * encoded as PNG, or the tile's on-screen bounds when the frame can't be
+ * read, so the main process captures that part of the page instead.
+ */
+export interface SnapshotRequest {
+  camera: string
+  image: Uint8Array | null
+  rect: { x: number; y: number; width: number; height: number } | null
+}
+
+export interface SnapshotResult {
+  ok: boolean
+  /** Where the still was saved */
+  path?: string
+  copied?: boolean
+  error?: string
+}
+
+/** A clip file opened for a recording (see modules/recordings-main.ts) */
+export interface RecordingStartResult {
+  ok: boolean
+  /** Names the recording in `recording:data` and `recording:stop` */
+  id?: number
+  path?: string
+  /** Longest the clip may run before it stops by itself */
+  maxMs?: number
+  error?: string
+}
+
+export interface RecordingResult {
+  ok: boolean
+  /** Where the clip was saved */
+  path?: string
+  error?: string
+}
+
+/** How tiles play audio (see modules/audio.ts) */
+export interface AudioSettings {
+  /** Every tile muted, whatever the other settings say */
+  muted: boolean
+  /** Only the zoomed camera is heard; nothing in the grid */
+  zoomedOnly: boolean
+  /** Volume of the tiles that are heard, 0–100 */
+  volume: number
+}
+
+export type AudioCommand = 'toggle-mute' | 'toggle-zoomed-audio' | 'volume-up' | 'volume-down'
@@ -5,6 +5,59 @@ export interface WindowBounds {
   height: number
 }
 
+/** One stop of a liveview playlist (see liveviewPlaylist.ts) */
+export interface LiveviewPlaylistEntry {
+  /** Liveview name or ID */
+  liveview: string
+  /** How long the liveview stays on screen */
+  seconds: number
+}
+
+/** Per-console connection settings. One profile is active at a time. */
+export interface ConnectionProfile {
+  id: string
+  name: string
+  url?: string
+  username?: string
+  password?: string
+  ignoreCertErrors?: boolean
+  hideNav?: boolean
+  hideHeader?: boolean
+  bounds?: WindowBounds
+  displayId?: number
+  liveviewPlaylist?: LiveviewPlaylistEntry[]
+}
+
+/**
+ * An extra viewer window, saved so it reopens at launch (see viewerWindows.ts).
+ * The main window's bounds and display live on the active profile instead.
+ */
+export interface ViewerWindowState {
+  id: string
+  url?: string
+  hideNav?: boolean
+  hideHeader?: boolean
+  fullscreen?: boolean
+  bounds?: WindowBounds
+  displayId?: number
+}
+
+/** Profile fields safe to hand to the config page's profile picker */
+export interface ProfileSummary {
+  id: string
+  name: string
+  url?: string
+}
+
+export interface ProfileList {
+  profiles: ProfileSummary[]
+  activeProfileId: string
+}
+
+/**
+ * Resolved configuration as seen by the renderer: global settings with the
+ * active profile's fields flattened on top.
+ */
 export interface AppConfig {
   url?: string
   username?: string
@@ -13,6 +66,9 @@ export interface AppConfig {
   hideHeader?: boolean
   ignoreCertErrors?: boolean
   bounds?: WindowBounds
+  displayId?: number
+  liveviewPlaylist?: LiveviewPlaylistEntry[]
   loginAttempts?: number
   loginAttemptsResetTime?: number
+  activeProfileId?: string
 }
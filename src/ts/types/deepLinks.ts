@@ -0,0 +1,12 @@
+/** What a `upv://` link asks the viewer to do (see modules/deepLinks.ts) */
+export type DeepLinkAction =
+  | { type: 'zoom-camera'; camera: string }
+  | { type: 'liveview'; liveview: string }
+  | { type: 'toggle'; target: 'nav' | 'header' | 'all' }
+  | { type: 'fullscreen'; mode: 'toggle' | 'on' | 'off' }
+
+/** Outcome of a link action carried out by the page */
+export interface DeepLinkResult {
+  ok: boolean
+  message?: string
+}
@@ -1,11 +1,27 @@
-import type { AppConfig } from './config'
+import type { AppConfig, ProfileList } from './config'
 import type { SystemDiagnostics, UpdateInfo, DownloadProgress, UpdateResult } from './ipc'
+import type { KeybindingConflict, KeybindingSaveResult, KeybindingState, Keybindings, KeyPress } from './keybindings'
 
 /** Shape of the electronAPI object exposed via contextBridge.exposeInMainWorld */
 export interface ElectronAPI {
   config: {
     load: () => Promise<AppConfig>
-    save: (config: Partial<AppConfig>) => void
+    save: (config: Partial<AppConfig> & { name?: string }) => void
+  }
+  profiles: {
+    list: () => Promise<ProfileList>
+    create: (name?: string) => Promise<ProfileList>
+    delete: (id: string) => Promise<ProfileList>
+    select: (id: string) => Promise<ProfileList>
+  }
+  keybindings: {
+    get: () => Promise<KeybindingState>
+    save: (changes: Keybindings) => Promise<KeybindingSaveResult>
+    /** Pause menu accelerators while a new key is being recorded */
+    capture: (active: boolean) => void
+    fromKeyPress: (press: KeyPress) => string | null
+    findConflicts: (bindings: Keybindings) => KeybindingConflict[]
+    display: (accelerator: string) => string
   }
   app: {
     reset: () => void
@@ -1,14 +1,57 @@
 export type { UIState, UIInternalState } from './state'
-export type { AppConfig, WindowBounds } from './config'
+export type {
+  AppConfig,
+  WindowBounds,
+  ConnectionProfile,
+  ProfileSummary,
+  ProfileList,
+  ViewerWindowState,
+  LiveviewPlaylistEntry,
+} from './config'
 export type {
   IpcInvokeChannels,
   IpcSendChannels,
   IpcReceiveChannels,
   SystemDiagnostics,
+  CredentialStorageInfo,
+  KioskExitResult,
   UpdateInfo,
   DownloadProgress,
   UpdateResult,
 } from './ipc'
 export type { ButtonUpdater, HeaderButtonOptions, NavButtonOptions } from './buttons'
-export type { CameraInfo } from './cameras'
+export type {
+  AudioCommand,
+  AudioSettings,
+  CameraInfo,
+  CameraTourOptions,
+  LiveviewInfo,
+  RecordingResult,
+  RecordingStartResult,
+  SnapshotRequest,
+  SnapshotResult,
+  TileDirection,
+  TileNeighbourMap,
+  TileRect,
+} from './cameras'
+export type { LaunchOptions, LaunchState } from './launch'
+export type { DeepLinkAction, DeepLinkResult } from './deepLinks'
+export type {
+  ControlCommand,
+  ControlResult,
+  ControlSocketResponse,
+  ControlCamera,
+  ViewerStatus,
+  ViewerEvent,
+  ViewerEventMessage,
+} from './remoteControl'
+export type {
+  KeybindingAction,
+  KeybindingConflict,
+  KeybindingSaveResult,
+  KeybindingState,
+  KeybindingScope,
+  Keybindings,
+  KeyPress,
+} from './keybindings'
 export type { ElectronAPI } from './electron-api'
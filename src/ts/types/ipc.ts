@@ -1,7 +1,26 @@
-import type { AppConfig } from './config'
-import type { CameraInfo } from './cameras'
+import type { AppConfig, LiveviewPlaylistEntry, ProfileList } from './config'
+import type {
+  AudioCommand,
+  AudioSettings,
+  CameraInfo,
+  CameraTourOptions,
+  LiveviewInfo,
+  RecordingResult,
+  RecordingStartResult,
+  SnapshotResult,
+} from './cameras'
+import type { LaunchState } from './launch'
+import type { DeepLinkAction, DeepLinkResult } from './deepLinks'
+import type { KeybindingSaveResult, KeybindingState, Keybindings } from './keybindings'
+
+/** Where stored passwords and tokens are kept */
+export interface CredentialStorageInfo {
+  encrypted: boolean
+  backend: string
+}
 
 export interface SystemDiagnostics {
+  credentialStorage: CredentialStorageInfo
   hardwareAcceleration: boolean
   platform: string
   arch: string
@@ -9,6 +28,12 @@ export interface SystemDiagnostics {
   chromeVersion: string
 }
 
+/** Result of a PIN check from the kiosk exit overlay */
+export interface KioskExitResult {
+  ok: boolean
+  error?: string
+}
+
 export interface UpdateInfo {
   version: string
   [key: string]: unknown
@@ -28,6 +53,19 @@ export interface UpdateResult {
 export interface IpcInvokeChannels {
   configLoad: AppConfig
   configSavePartial: boolean
+  'profiles:list': ProfileList
+  'profiles:create': ProfileList
+  'profiles:delete': ProfileList
+  'profiles:select': ProfileList
+  'keybindings:get': KeybindingState
+  'keybindings:save': KeybindingSaveResult
+  'snapshot:save': SnapshotResult
+  'popout:get': CameraInfo | null
+  'audio:get': AudioSettings
+  'recording:start': RecordingStartResult
+  'recording:stop': RecordingResult
+  'launchOptions:get': LaunchState
+  'kiosk:exit': KioskExitResult
   isFullScreen: boolean
   showResetConfirmation: boolean
   getSystemDiagnostics: SystemDiagnostics
@@ -48,6 +86,18 @@ export interface IpcSendChannels {
   'update-ui-state': [uiState: Record<string, unknown>]
   'update-camera-list': [data: { cameras: CameraInfo[]; zoomSupported: boolean }]
   'update-camera-zoom': [index: number]
+  'update-liveview': [liveview: LiveviewInfo | null]
+  'update-liveview-list': [liveviews: LiveviewInfo[]]
+  'update-camera-tour': [active: boolean]
+  'update-recording': [active: boolean]
+  'recording:data': [id: number, chunk: Uint8Array]
+  'popout:camera-changed': [camera: CameraInfo]
+  'popout:close': []
+  'audio:command': [command: AudioCommand]
+  'keybindings:capture': [active: boolean]
+  'update-liveview-playlist': [active: boolean]
+  'launchOptions:consume': [key: 'liveview' | 'camera']
+  'deep-link:result': [result: DeepLinkResult]
 }
 
 /** Maps ipcRenderer.on channel names to their callback argument types */
@@ -58,7 +108,21 @@ export interface IpcReceiveChannels {
   'toggle-header-only': []
   'return-to-dashboard': []
   'zoom-camera': [index: number]
+  'camera-tour:start': [options: CameraTourOptions]
+  'camera-tour:stop': []
+  'snapshot:take': [index: number | null]
+  'recording:toggle': []
+  'popout:camera': [camera: CameraInfo]
+  'audio:settings': [settings: AudioSettings]
+  'open-liveview': [id: string]
+  'keybindings:changed': [bindings: Keybindings]
+  'liveview-playlist:start': [entries: LiveviewPlaylistEntry[]]
+  'liveview-playlist:stop': []
+  'liveview-playlist:skip': []
   'toggle-widget-panel': []
+  'kiosk:show-exit': []
+  'launchOptions:apply': []
+  'deep-link': [action: DeepLinkAction]
   'update-available': [info: UpdateInfo]
   'update-error': [message: string]
   'download-progress': [progress: DownloadProgress]
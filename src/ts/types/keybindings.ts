@@ -0,0 +1,47 @@
+/**
+ * Where a binding is handled: `menu` bindings are registered as menu
+ * accelerators; `page` bindings are bare keys handled by the dashboard's key
+ * listener, so they don't fire while typing in Protect's inputs. The menu
+ * still shows them.
+ */
+export type KeybindingScope = 'menu' | 'page'
+
+/** A bindable action (see modules/keybindings.ts) */
+export interface KeybindingAction {
+  id: string
+  label: string
+  /** Electron accelerator, or '' for no default */
+  defaultKey: string
+  scope: KeybindingScope
+}
+
+/** Accelerator per action ID; '' leaves the action unbound */
+export type Keybindings = Record<string, string>
+
+/** The registry and the bindings in effect, for the config page's editor */
+export interface KeybindingState {
+  actions: KeybindingAction[]
+  bindings: Keybindings
+}
+
+/** Actions that share one key */
+export interface KeybindingConflict {
+  key: string
+  actions: string[]
+}
+
+/** Outcome of saving bindings from the config page */
+export interface KeybindingSaveResult {
+  ok: boolean
+  conflicts: KeybindingConflict[]
+}
+
+/** Modifier and key fields of a KeyboardEvent, as passed across contextBridge */
+export interface KeyPress {
+  key: string
+  code: string
+  ctrlKey: boolean
+  altKey: boolean
+  shiftKey: boolean
+  metaKey: boolean
+}
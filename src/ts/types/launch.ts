@@ -0,0 +1,26 @@
+/** Options parsed from the command line. Apply to the current session only. */
+export interface LaunchOptions {
+  help?: boolean
+  reset?: boolean
+  url?: string
+  /** Profile name or ID */
+  profile?: string
+  fullscreen?: boolean
+  kiosk?: boolean
+  /** Liveview name or ID to open once the dashboard loads */
+  liveview?: string
+  /** Camera name or 1-based tile position to zoom once the liveview loads */
+  camera?: string
+  hideNav?: boolean
+  hideHeader?: boolean
+  /** Path to a config file used instead of the stored config */
+  config?: string
+}
+
+/** The part of LaunchOptions the renderer applies (see `launchOptions:get`) */
+export interface LaunchState {
+  hideNav?: boolean
+  hideHeader?: boolean
+  liveview?: string
+  camera?: string
+}
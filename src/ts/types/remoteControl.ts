@@ -0,0 +1,62 @@
+import type { UIState } from './state'
+import type { LiveviewInfo } from './cameras'
+
+/** A command from a remote client (see modules/remoteControl.ts) */
+export type ControlCommand =
+  | { type: 'zoom-camera'; camera: number | string }
+  | { type: 'show-all' }
+  | { type: 'toggle'; target: 'nav' | 'header' | 'all' | 'widget-panel' }
+  | { type: 'fullscreen'; fullscreen?: boolean }
+  | { type: 'dashboard' }
+  | { type: 'reload' }
+  | { type: 'restart' }
+
+export type ControlResult =
+  | { ok: true }
+  | {
+      ok: false
+      /** `invalid`: malformed command; `not-found`: no such camera; `unavailable`: not possible right now */
+      reason: 'invalid' | 'not-found' | 'unavailable'
+      error: string
+    }
+
+/** Response to a control socket request (see modules/controlSocket.ts) */
+export type ControlSocketResponse = ControlResult | { ok: true; status: ViewerStatus }
+
+/** A camera on the current liveview, in on-screen order */
+export interface ControlCamera {
+  /** 1-based position, as used by the number hotkeys */
+  position: number
+  /** Protect's viewport index */
+  index: number
+  name: string
+}
+
+/** What remote clients can read about the main window */
+export interface ViewerStatus {
+  ui: UIState & { widgetPanelExpanded: boolean }
+  page: 'dashboard' | 'config' | 'other'
+  /** Open liveview; null when not on the dashboard or not known */
+  liveview: LiveviewInfo | null
+  cameras: ControlCamera[]
+  zoomedCamera: ControlCamera | null
+  kiosk: boolean
+}
+
+/** A change to the main window's state, as pushed to event stream subscribers */
+export type ViewerEvent =
+  | { type: 'snapshot'; status: ViewerStatus }
+  | { type: 'camera-list'; cameras: ControlCamera[]; zoomedCamera: ControlCamera | null }
+  | { type: 'camera-zoom'; zoomedCamera: ControlCamera | null }
+  | { type: 'ui-state'; ui: ViewerStatus['ui'] }
+  | { type: 'dashboard-state'; page: ViewerStatus['page'] }
+  | { type: 'liveview-change'; liveview: LiveviewInfo | null }
+  | { type: 'fullscreen-change'; fullscreen: boolean }
+
+/** An event with its place in the stream */
+export type ViewerEventMessage = ViewerEvent & {
+  /** Increases by one with every event, across all subscribers; a snapshot repeats the last event's */
+  seq: number
+  /** Milliseconds since the epoch */
+  timestamp: number
+}
@@ -18,9 +18,12 @@ export const ipcMain = {
 export const app = {
   getVersion: vi.fn().mockReturnValue('2.0.0-test'),
   getAppPath: vi.fn().mockReturnValue('/mock/app'),
+  getPath: vi.fn((name) => `/mock/${name}`),
   whenReady: vi.fn().mockResolvedValue(undefined),
   on: vi.fn(),
   quit: vi.fn(),
+  relaunch: vi.fn(),
+  exit: vi.fn(),
 }
 export const BrowserWindow = vi.fn()
 export const nativeTheme = { shouldUseDarkColors: false }
@@ -28,6 +31,14 @@ export const session = {
   defaultSession: { flushStorageData: vi.fn() },
 }
 export const globalShortcut = { unregisterAll: vi.fn() }
+export const clipboard = { writeText: vi.fn(), writeImage: vi.fn() }
+export const nativeImage = {
+  createFromBuffer: vi.fn((buffer) => ({
+    isEmpty: () => buffer.length === 0,
+    toPNG: () => Buffer.from('png'),
+    toJPEG: () => Buffer.from('jpeg'),
+  })),
+}
 export const dialog = {
   showMessageBox: vi.fn().mockResolvedValue({ response: 0 }),
 }
@@ -38,3 +49,15 @@ export const Menu = {
   buildFromTemplate: vi.fn(),
   setApplicationMenu: vi.fn(),
 }
+export const safeStorage = {
+  isEncryptionAvailable: vi.fn().mockReturnValue(true),
+  getSelectedStorageBackend: vi.fn().mockReturnValue('gnome_libsecret'),
+  encryptString: vi.fn((value) => Buffer.from(`sealed:${value}`)),
+  decryptString: vi.fn((buffer) => buffer.toString().replace(/^sealed:/, '')),
+}
+export const screen = {
+  getAllDisplays: vi.fn().mockReturnValue([]),
+  getPrimaryDisplay: vi.fn().mockReturnValue({ id: 1, workArea: { x: 0, y: 0, width: 1920, height: 1080 } }),
+  getDisplayMatching: vi.fn().mockReturnValue({ id: 1, workArea: { x: 0, y: 0, width: 1920, height: 1080 } }),
+  on: vi.fn(),
+}
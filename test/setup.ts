@@ -48,6 +48,12 @@ vi.mock('electron', () => ({
     buildFromTemplate: vi.fn(),
     setApplicationMenu: vi.fn(),
   },
+  safeStorage: {
+    isEncryptionAvailable: vi.fn().mockReturnValue(false),
+    getSelectedStorageBackend: vi.fn().mockReturnValue('basic_text'),
+    encryptString: vi.fn(),
+    decryptString: vi.fn(),
+  },
 }))
 
 // Mock electron-updater (main process only, but prevents import crashes)
@@ -0,0 +1,145 @@
+import { describe, it, expect, vi, beforeAll, beforeEach, afterAll } from 'vitest'
+import Module from 'module'
+
+import { applyAudioCommand, getAudioSettings, isAudioCommand, isTileMuted } from '../../src/ts/modules/audio'
+import type { AudioSettings } from '../../src/ts/types/cameras'
+
+// audio-renderer.ts calls require('electron') at load time, which bypasses vi.mock.
+// eslint-disable-next-line @typescript-eslint/no-explicit-any
+const originalResolveFilename = (Module as any)._resolveFilename
+// eslint-disable-next-line @typescript-eslint/no-explicit-any
+;(Module as any)._resolveFilename = function (request: string, parent: any, isMain: boolean, options: any) {
+  if (request === 'electron') {
+    return require.resolve('../__mocks__/electron.ts')
+  }
+  return originalResolveFilename.call(this, request, parent, isMain, options)
+}
+
+afterAll(() => {
+  // eslint-disable-next-line @typescript-eslint/no-explicit-any
+  ;(Module as any)._resolveFilename = originalResolveFilename
+})
+
+vi.mock('../../src/ts/modules/utils', () => ({
+  log: vi.fn(),
+  logError: vi.fn(),
+  logWarn: vi.fn(),
+}))
+
+function createStore(initial: Record<string, unknown> = {}) {
+  return { get: (key: string) => initial[key] }
+}
+
+const unmuted: AudioSettings = { muted: false, zoomedOnly: true, volume: 100 }
+
+describe('audio', () => {
+  describe('getAudioSettings', () => {
+    it('starts muted, zoomed camera only, at full volume', () => {
+      expect(getAudioSettings(createStore())).toEqual({ muted: true, zoomedOnly: true, volume: 100 })
+    })
+
+    it('reads saved settings and keeps the volume in range', () => {
+      const store = createStore({ audioMuted: false, audioZoomedOnly: false, audioVolume: 140 })
+      expect(getAudioSettings(store)).toEqual({ muted: false, zoomedOnly: false, volume: 100 })
+      expect(getAudioSettings(createStore({ audioVolume: -5 })).volume).toBe(0)
+      expect(getAudioSettings(createStore({ audioVolume: 'loud' })).volume).toBe(100)
+    })
+  })
+
+  describe('applyAudioCommand', () => {
+    it('toggles mute and zoomed-only mode', () => {
+      expect(applyAudioCommand(unmuted, 'toggle-mute')).toEqual({ ...unmuted, muted: true })
+      expect(applyAudioCommand(unmuted, 'toggle-zoomed-audio')).toEqual({ ...unmuted, zoomedOnly: false })
+    })
+
+    it('steps the volume within 0–100', () => {
+      expect(applyAudioCommand(unmuted, 'volume-up').volume).toBe(100)
+      expect(applyAudioCommand(unmuted, 'volume-down').volume).toBe(90)
+      expect(applyAudioCommand({ ...unmuted, volume: 5 }, 'volume-down').volume).toBe(0)
+    })
+  })
+
+  it('recognises audio commands only', () => {
+    expect(isAudioCommand('toggle-mute')).toBe(true)
+    expect(isAudioCommand('camera-left')).toBe(false)
+    expect(isAudioCommand(undefined)).toBe(false)
+  })
+
+  describe('isTileMuted', () => {
+    it('mutes every tile while muted', () => {
+      expect(isTileMuted({ ...unmuted, muted: true }, 2, 2)).toBe(true)
+    })
+
+    it('plays the zoomed tile only in zoomed-only mode', () => {
+      expect(isTileMuted(unmuted, 2, 2)).toBe(false)
+      expect(isTileMuted(unmuted, 1, 2)).toBe(true)
+      expect(isTileMuted(unmuted, 1, -1)).toBe(true)
+    })
+
+    it('plays every tile otherwise', () => {
+      expect(isTileMuted({ ...unmuted, zoomedOnly: false }, 1, -1)).toBe(false)
+    })
+  })
+
+  describe('audio-renderer', () => {
+    let renderer: typeof import('../../src/ts/modules/audio-renderer')
+
+    beforeAll(async () => {
+      renderer = await import('../../src/ts/modules/audio-renderer')
+      const cameras = await import('../../src/ts/modules/cameras')
+      cameras.watchZoomState()
+    })
+
+    beforeEach(() => {
+      renderer._resetAudio()
+      document.documentElement.removeAttribute('data-upv-zoom')
+      const tiles = [0, 1, 2].map((index) => `<div data-viewport="${index}"><video></video></div>`).join('')
+      document.body.innerHTML = `<div class="liveView__FullscreenWrapper-sc-1">${tiles}</div>`
+    })
+
+    function mutedTiles(): boolean[] {
+      return [...document.querySelectorAll('video')].map((video) => video.muted)
+    }
+
+    it('unmutes the zoomed tile only and sets the volume', () => {
+      document.documentElement.setAttribute('data-upv-zoom', '1')
+      renderer.applySettings({ ...unmuted, volume: 40 })
+
+      expect(mutedTiles()).toEqual([true, false, true])
+      expect(document.querySelector('video')!.volume).toBeCloseTo(0.4)
+    })
+
+    it('follows zoom changes and new videos', async () => {
+      const { ipcRenderer } = require('electron')
+      ipcRenderer.invoke.mockResolvedValueOnce(unmuted)
+      renderer.watchAudio()
+      renderer.watchLiveviewAudio()
+      await vi.waitFor(() => expect(mutedTiles()).toEqual([true, true, true]))
+      expect(ipcRenderer.invoke).toHaveBeenCalledWith('audio:get')
+
+      document.documentElement.setAttribute('data-upv-zoom', '2')
+      await vi.waitFor(() => expect(mutedTiles()).toEqual([true, true, false]))
+
+      // Protect swapping a grid tile's stream
+      document.querySelector('[data-viewport="0"]')!.innerHTML = '<video></video>'
+      await vi.waitFor(() => expect(mutedTiles()).toEqual([true, true, false]))
+
+      // Videos outside the liveview are left alone
+      document.body.insertAdjacentHTML('beforeend', '<div data-viewport="0"><video></video></div>')
+      await new Promise((resolve) => setTimeout(resolve, 20))
+      expect(mutedTiles()).toEqual([true, true, false, false])
+    })
+
+    it('stops listening for settings when reset', () => {
+      const { ipcRenderer } = require('electron')
+      ipcRenderer.on.mockClear()
+      ipcRenderer.removeListener.mockClear()
+      renderer.watchAudio()
+      const listener = ipcRenderer.on.mock.calls.find(([channel]: [string]) => channel === 'audio:settings')![1]
+
+      renderer._resetAudio()
+
+      expect(ipcRenderer.removeListener).toHaveBeenCalledWith('audio:settings', listener)
+    })
+  })
+})
@@ -0,0 +1,134 @@
+import { describe, it, expect, vi, beforeAll, beforeEach, afterEach, afterAll } from 'vitest'
+import Module from 'module'
+import path from 'path'
+
+// cameraTour.ts calls require('electron') at load time and lazily requires
+// './dashboard'; both bypass vi.mock.
+const mockDashboard = { isDashboardPage: vi.fn().mockReturnValue(true) }
+
+// eslint-disable-next-line @typescript-eslint/no-explicit-any
+const originalResolveFilename = (Module as any)._resolveFilename
+// eslint-disable-next-line @typescript-eslint/no-explicit-any
+;(Module as any)._resolveFilename = function (request: string, parent: any, isMain: boolean, options: any) {
+  if (request === 'electron') {
+    return require.resolve('../__mocks__/electron.ts')
+  }
+  if (request === './dashboard' && parent?.filename?.includes(path.join('src', 'ts', 'modules'))) {
+    return '__mock__tour_dashboard__'
+  }
+  return originalResolveFilename.call(this, request, parent, isMain, options)
+}
+require.cache['__mock__tour_dashboard__'] = {
+  id: '__mock__tour_dashboard__',
+  filename: '__mock__tour_dashboard__',
+  loaded: true,
+  exports: mockDashboard,
+} as unknown as NodeModule
+
+afterAll(() => {
+  // eslint-disable-next-line @typescript-eslint/no-explicit-any
+  ;(Module as any)._resolveFilename = originalResolveFilename
+  delete require.cache['__mock__tour_dashboard__']
+})
+
+vi.mock('../../src/ts/modules/utils', () => ({
+  log: vi.fn(),
+  logError: vi.fn(),
+}))
+
+vi.mock('../../src/ts/modules/cameras', () => ({
+  getVisualTileOrder: vi.fn(() => [2, 0]),
+  listCameras: vi.fn(() => [
+    { index: 2, name: 'Front Door' },
+    { index: 0, name: 'Garage' },
+  ]),
+  getCurrentZoomIndex: vi.fn(() => -1),
+  zoomToCamera: vi.fn().mockResolvedValue(undefined),
+  unzoomAll: vi.fn().mockResolvedValue(undefined),
+}))
+
+import * as cameras from '../../src/ts/modules/cameras'
+
+// Imported after the require hook above is installed
+let cameraTour: typeof import('../../src/ts/modules/cameraTour')
+let ipcRenderer: { send: ReturnType<typeof vi.fn> }
+
+beforeAll(async () => {
+  cameraTour = await import('../../src/ts/modules/cameraTour')
+  ipcRenderer = require('electron').ipcRenderer
+})
+
+function indicatorText(): string | null | undefined {
+  return document.getElementById('upv-camera-tour')?.textContent
+}
+
+describe('cameraTour', () => {
+  beforeEach(() => {
+    vi.useFakeTimers()
+    vi.mocked(cameras.zoomToCamera).mockClear()
+    vi.mocked(cameras.unzoomAll).mockClear()
+    mockDashboard.isDashboardPage.mockReturnValue(true)
+    ipcRenderer.send.mockClear()
+  })
+
+  afterEach(() => {
+    cameraTour.stopTour()
+    vi.useRealTimers()
+  })
+
+  it('builds rounds in visual order, with or without the grid', () => {
+    expect(cameraTour.buildSteps([2, 0, 1], true)).toEqual([2, 0, 1, cameraTour.GRID_STEP])
+    expect(cameraTour.buildSteps([2, 0, 1], false)).toEqual([2, 0, 1])
+  })
+
+  it('zooms each camera for the dwell time, then shows the grid', async () => {
+    cameraTour.startTour({ dwellMs: 5000, includeGrid: true })
+    await vi.advanceTimersByTimeAsync(0)
+
+    expect(cameras.zoomToCamera).toHaveBeenLastCalledWith(2)
+    expect(indicatorText()).toBe('Tour 1/3 · Front Door')
+    expect(ipcRenderer.send).toHaveBeenCalledWith('update-camera-tour', true)
+
+    await vi.advanceTimersByTimeAsync(5000)
+    expect(cameras.zoomToCamera).toHaveBeenLastCalledWith(0)
+    expect(indicatorText()).toBe('Tour 2/3 · Garage')
+
+    await vi.advanceTimersByTimeAsync(5000)
+    expect(cameras.unzoomAll).toHaveBeenCalled()
+    expect(indicatorText()).toBe('Tour 3/3 · All cameras')
+
+    await vi.advanceTimersByTimeAsync(5000)
+    expect(cameras.zoomToCamera).toHaveBeenCalledTimes(3)
+    expect(cameras.zoomToCamera).toHaveBeenLastCalledWith(2)
+  })
+
+  it('pauses on user interaction and resumes after a quiet period', async () => {
+    cameraTour.startTour({ dwellMs: 5000, includeGrid: false })
+    await vi.advanceTimersByTimeAsync(0)
+
+    document.dispatchEvent(new KeyboardEvent('keydown', { key: 'a' }))
+    // Untrusted (script) events don't count
+    expect(indicatorText()).toBe('Tour 1/2 · Front Door')
+
+    cameraTour.pauseTour()
+    expect(indicatorText()).toBe('Tour paused')
+    await vi.advanceTimersByTimeAsync(20000)
+    expect(cameras.zoomToCamera).toHaveBeenCalledTimes(1)
+
+    await vi.advanceTimersByTimeAsync(10000)
+    expect(cameras.zoomToCamera).toHaveBeenLastCalledWith(0)
+    expect(indicatorText()).toBe('Tour 2/2 · Garage')
+  })
+
+  it('stops when the dashboard is left', async () => {
+    cameraTour.startTour({ dwellMs: 5000, includeGrid: true })
+    await vi.advanceTimersByTimeAsync(0)
+
+    mockDashboard.isDashboardPage.mockReturnValue(false)
+    await vi.advanceTimersByTimeAsync(5000)
+
+    expect(cameraTour.isTourRunning()).toBe(false)
+    expect(indicatorText()).toBeUndefined()
+    expect(ipcRenderer.send).toHaveBeenLastCalledWith('update-camera-tour', false)
+  })
+})
@@ -120,25 +120,12 @@ function setupDashboardDOM(count: number, names?: string[]): void {
 }
 
 /**
- * Mock requestAnimationFrame so that async functions using waitForZoomState
- * and waitFrames resolve promptly. The mock calls the callback synchronously
- * up to maxCalls times, then stops calling to prevent infinite recursion.
- *
- * Additionally, we advance Date.now past the ZOOM_WAIT_TIMEOUT_MS deadline
- * after the first few callbacks so waitForZoomState hits its timeout path
- * (since getCurrentZoomIndex always returns -1 in happy-dom).
+ * Mock requestAnimationFrame so that waitFrames resolves promptly. The mock
+ * calls the callback synchronously up to 50 times, then stops calling to
+ * prevent infinite recursion.
  */
-function mockRAFWithTimeout(): void {
-  const realDateNow = Date.now
+function mockAnimationFrames(): void {
   let callCount = 0
-  // After a few frames, jump forward in time to trip the timeout check
-  vi.spyOn(Date, 'now').mockImplementation(() => {
-    if (callCount > 3) {
-      return realDateNow() + 10000 // well past the 2000ms ZOOM_WAIT_TIMEOUT_MS
-    }
-    return realDateNow()
-  })
-
   vi.spyOn(window, 'requestAnimationFrame').mockImplementation((cb) => {
     callCount++
     if (callCount < 50) {
@@ -170,6 +157,7 @@ describe('cameras', () => {
   afterEach(() => {
     document.body.innerHTML = ''
     document.head.innerHTML = ''
+    document.documentElement.removeAttribute('data-upv-zoom')
     vi.restoreAllMocks()
   })
 
@@ -295,6 +283,85 @@ describe('cameras', () => {
     })
   })
 
+  // ---------------------------------------------------------------------------
+  // findCamera
+  // ---------------------------------------------------------------------------
+  describe('findCamera', () => {
+    it('finds a camera by case-insensitive name', () => {
+      setupDashboardDOM(2, ['Front Porch', 'Back Yard'])
+      expect(cameras.findCamera('back yard')).toBe(1)
+    })
+
+    it('finds a camera by 1-based visual position', () => {
+      document.body.appendChild(createCameraTile(8, 'Back', { top: 200, left: 0 }))
+      document.body.appendChild(createCameraTile(5, 'Front', { top: 0, left: 0 }))
+
+      expect(cameras.findCamera('1')).toBe(5)
+      expect(cameras.findCamera('2')).toBe(8)
+    })
+
+    it('returns undefined for unknown cameras and out-of-range positions', () => {
+      setupDashboardDOM(2)
+      expect(cameras.findCamera('Garage')).toBeUndefined()
+      expect(cameras.findCamera('3')).toBeUndefined()
+      expect(cameras.findCamera('0')).toBeUndefined()
+    })
+
+    it('does not notify the main process', () => {
+      setupDashboardDOM(2)
+      cameras.findCamera('1')
+      expect(mockIpcSend).not.toHaveBeenCalled()
+    })
+  })
+
+  // ---------------------------------------------------------------------------
+  // buildNeighbourMap
+  // ---------------------------------------------------------------------------
+  describe('buildNeighbourMap', () => {
+    function tile(index: number, left: number, top: number, width: number, height: number) {
+      return { index, rect: { left, top, right: left + width, bottom: top + height } }
+    }
+
+    it('follows rows and columns of an even grid, stopping at the edges', () => {
+      const map = cameras.buildNeighbourMap([
+        tile(0, 0, 0, 200, 150),
+        tile(1, 200, 0, 200, 150),
+        tile(2, 0, 150, 200, 150),
+        tile(3, 200, 150, 200, 150),
+      ])
+
+      expect(map.get(0)).toEqual({ right: 1, down: 2 })
+      expect(map.get(3)).toEqual({ left: 2, up: 1 })
+    })
+
+    it('handles custom layouts with tiles of different sizes', () => {
+      // +-------+---+
+      // |       | 5 |
+      // |   7   +---+
+      // |       | 2 |
+      // +-------+---+
+      // |     4     |
+      // +-----------+
+      const map = cameras.buildNeighbourMap([
+        tile(7, 0, 0, 400, 300),
+        tile(5, 400, 0, 200, 150),
+        tile(2, 400, 150, 200, 150),
+        tile(4, 0, 300, 600, 150),
+      ])
+
+      expect(map.get(7)).toEqual({ right: 5, down: 4 })
+      expect(map.get(2)).toEqual({ left: 7, up: 5, down: 4 })
+      expect(map.get(4)).toEqual({ up: 7 })
+    })
+
+    it('leaves out hidden tiles', () => {
+      const map = cameras.buildNeighbourMap([tile(0, 0, 0, 200, 150), tile(1, 0, 0, 0, 0), tile(2, 200, 0, 200, 150)])
+
+      expect(map.has(1)).toBe(false)
+      expect(map.get(0)).toEqual({ right: 2 })
+    })
+  })
+
   // ---------------------------------------------------------------------------
   // watchLayoutChanges
   // ---------------------------------------------------------------------------
@@ -370,39 +437,50 @@ describe('cameras', () => {
   })
 
   // ---------------------------------------------------------------------------
-  // getCurrentZoomIndex
+  // getCurrentZoomIndex / watchZoomState
   // ---------------------------------------------------------------------------
   describe('getCurrentZoomIndex', () => {
-    it('returns -1 when no camera tiles exist', () => {
-      const zoom = cameras.getCurrentZoomIndex()
-      expect(zoom).toBe(-1)
-    })
-
-    it('returns -1 when tile exists but has no React fiber', () => {
+    it('returns -1 before the zoom bridge has reported', () => {
       setupDashboardDOM(1)
+      expect(cameras.getCurrentZoomIndex()).toBe(-1)
+    })
 
-      const zoom = cameras.getCurrentZoomIndex()
-      expect(zoom).toBe(-1)
+    it('reads the zoom state the bridge mirrors onto the root element', () => {
+      document.documentElement.setAttribute('data-upv-zoom', '3')
+      expect(cameras.getCurrentZoomIndex()).toBe(3)
     })
 
-    it('cleans up injected script and result elements', () => {
+    it('does not inject anything into the page', () => {
       setupDashboardDOM(1)
+      const before = document.documentElement.outerHTML
 
       cameras.getCurrentZoomIndex()
 
-      expect(document.getElementById('__upv_zoom_result')).toBeNull()
+      expect(document.documentElement.outerHTML).toBe(before)
     })
+  })
 
-    it('removes stale result element from previous call', () => {
-      const stale = document.createElement('div')
-      stale.id = '__upv_zoom_result'
-      document.body.appendChild(stale)
+  describe('watchZoomState', () => {
+    it('reports each zoom change once, including ones made with the mouse', async () => {
+      cameras.watchZoomState()
 
-      setupDashboardDOM(1)
-      cameras.getCurrentZoomIndex()
+      document.documentElement.setAttribute('data-upv-zoom', '2')
+      await vi.waitFor(() => expect(mockIpcSend).toHaveBeenCalledWith('update-camera-zoom', 2))
 
-      const remaining = document.querySelectorAll('#__upv_zoom_result')
-      expect(remaining).toHaveLength(0)
+      document.documentElement.setAttribute('data-upv-zoom', '2')
+      document.documentElement.setAttribute('data-upv-zoom', '-1')
+      await vi.waitFor(() => expect(mockIpcSend).toHaveBeenCalledWith('update-camera-zoom', -1))
+      expect(mockIpcSend.mock.calls.filter((c) => c[0] === 'update-camera-zoom')).toHaveLength(2)
+    })
+
+    it('installs the bridge script only once and leaves no element behind', () => {
+      const appendSpy = vi.spyOn(document.documentElement, 'appendChild')
+
+      cameras.watchZoomState()
+      cameras.watchZoomState()
+
+      expect(appendSpy.mock.calls.filter(([node]) => (node as Element).tagName === 'SCRIPT').length).toBeLessThan(2)
+      expect(document.querySelector('script')).toBeNull()
     })
   })
 
@@ -410,13 +488,25 @@ describe('cameras', () => {
   // zoomToCamera
   // ---------------------------------------------------------------------------
   describe('zoomToCamera', () => {
-    // In happy-dom, the injected <script> for React fiber reading won't execute,
-    // so getCurrentZoomIndex always returns -1 (no zoom state). We test the click
-    // dispatch and IPC communication paths. The rAF mock + Date.now advancement
-    // ensures waitForZoomState hits its timeout and resolves promptly.
+    // In happy-dom, the injected bridge <script> won't execute, so these tests
+    // stand in for it: a click on a tile overlay toggles the mirrored zoom
+    // state the way Protect would. The rAF mock lets waitFrames resolve.
+    function toggleZoom(e: Event): void {
+      const tile = (e.target as Element).closest('[data-viewport]')
+      if (!tile) return
+      const index = tile.getAttribute('data-viewport')!
+      const zoomed = document.documentElement.getAttribute('data-upv-zoom') === index
+      document.documentElement.setAttribute('data-upv-zoom', zoomed ? '-1' : index)
+    }
 
     beforeEach(() => {
-      mockRAFWithTimeout()
+      mockAnimationFrames()
+      cameras.watchZoomState()
+      document.addEventListener('click', toggleZoom, true)
+    })
+
+    afterEach(() => {
+      document.removeEventListener('click', toggleZoom, true)
     })
 
     it('dispatches click events on the tile overlay', async () => {
@@ -428,14 +518,27 @@ describe('cameras', () => {
       await cameras.zoomToCamera(1)
 
       expect(clickSpy).toHaveBeenCalled()
+      expect(cameras.getCurrentZoomIndex()).toBe(1)
+    })
+
+    it('unzooms the current camera before zooming another', async () => {
+      setupDashboardDOM(3)
+      const first = vi.fn()
+      document.querySelector('[data-viewport="0"] [class*=ClickCaptureOverlay__Root]')!.addEventListener('click', first)
+
+      await cameras.zoomToCamera(0)
+      await cameras.zoomToCamera(2)
+
+      expect(first).toHaveBeenCalledTimes(2)
+      expect(cameras.getCurrentZoomIndex()).toBe(2)
     })
 
-    it('sends zoom state update via IPC after zooming', async () => {
+    it('reports the new zoom state via IPC', async () => {
       setupDashboardDOM(3)
 
       await cameras.zoomToCamera(1)
 
-      expect(mockIpcSend).toHaveBeenCalledWith('update-camera-zoom', expect.any(Number))
+      await vi.waitFor(() => expect(mockIpcSend).toHaveBeenCalledWith('update-camera-zoom', 1))
     })
 
     it('removes fast-zoom CSS after zoom completes', async () => {
@@ -448,14 +551,19 @@ describe('cameras', () => {
     })
 
     it('removes fast-zoom CSS even when tile overlay is missing', async () => {
-      // Tile exists but has no overlay — clickTileOverlay returns false
+      vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] })
+      // Tile exists but has no overlay — clickTileOverlay returns false and
+      // the zoom state never changes
       const tile = document.createElement('div')
       tile.setAttribute('data-viewport', '0')
       document.body.appendChild(tile)
 
-      await cameras.zoomToCamera(0)
+      const zoom = cameras.zoomToCamera(0)
+      await vi.advanceTimersByTimeAsync(2000)
+      await zoom
 
       expect(document.getElementById('upv-fast-zoom')).toBeNull()
+      vi.useRealTimers()
     })
   })
 
@@ -464,7 +572,7 @@ describe('cameras', () => {
   // ---------------------------------------------------------------------------
   describe('unzoomAll', () => {
     beforeEach(() => {
-      mockRAFWithTimeout()
+      mockAnimationFrames()
     })
 
     it('does nothing when not zoomed (getCurrentZoomIndex returns -1)', async () => {
@@ -483,7 +591,7 @@ describe('cameras', () => {
   describe('setupHotkeyListener', () => {
     beforeEach(() => {
       mockDashboard.isDashboardPage.mockReturnValue(true)
-      mockRAFWithTimeout()
+      mockAnimationFrames()
     })
 
     it('registers a keydown listener on document', () => {
@@ -508,6 +616,22 @@ describe('cameras', () => {
       expect(clickSpy).toHaveBeenCalled()
     })
 
+    it('still zooms when Protect has already prevented the key press', () => {
+      setupDashboardDOM(3)
+      cameras.setupHotkeyListener()
+      const protectHandler = (e: Event) => e.preventDefault()
+      document.addEventListener('keydown', protectHandler, { capture: true })
+
+      const overlay = document.querySelector('[data-viewport="0"] [class*=ClickCaptureOverlay__Root]')!
+      const clickSpy = vi.fn()
+      overlay.addEventListener('click', clickSpy)
+
+      document.dispatchEvent(new KeyboardEvent('keydown', { key: '1', bubbles: true, cancelable: true }))
+      document.removeEventListener('keydown', protectHandler, { capture: true })
+
+      expect(clickSpy).toHaveBeenCalled()
+    })
+
     it('number key maps to visual position, not to raw data-viewport value', () => {
       // v7 scenario: pressing "1" should zoom into the visually-first tile
       // even if its data-viewport is not 0.
@@ -765,5 +889,159 @@ describe('cameras', () => {
 
       expect(preventSpy).not.toHaveBeenCalled()
     })
+
+    describe('camera number entry', () => {
+      function press(key: string, init: KeyboardEventInit = {}): KeyboardEvent {
+        const event = new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...init })
+        document.dispatchEvent(event)
+        return event
+      }
+
+      function spyOnTile(index: number): Mock {
+        const clickSpy = vi.fn()
+        document
+          .querySelector(`[data-viewport="${index}"] [class*=ClickCaptureOverlay__Root]`)!
+          .addEventListener('click', clickSpy)
+        return clickSpy
+      }
+
+      beforeEach(() => {
+        vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] })
+        setupDashboardDOM(25)
+        cameras.setupHotkeyListener()
+      })
+
+      afterEach(() => {
+        vi.useRealTimers()
+      })
+
+      it('zooms tile 12 when "1", "2" are typed in quick succession', () => {
+        const first = spyOnTile(0)
+        const twelfth = spyOnTile(11)
+
+        expect(press('1').defaultPrevented).toBe(true)
+        expect(document.getElementById('upv-camera-entry')?.textContent).toBe('Camera 1…')
+        expect(first).not.toHaveBeenCalled()
+
+        press('2')
+        expect(twelfth).toHaveBeenCalled()
+        expect(first).not.toHaveBeenCalled()
+        expect(document.getElementById('upv-camera-entry')).toBeNull()
+      })
+
+      it('zooms the typed number once the entry window passes', () => {
+        const second = spyOnTile(1)
+
+        press('2')
+        vi.advanceTimersByTime(999)
+        expect(second).not.toHaveBeenCalled()
+
+        vi.advanceTimersByTime(1)
+        expect(second).toHaveBeenCalled()
+        expect(document.getElementById('upv-camera-entry')).toBeNull()
+      })
+
+      it('zooms at once when no longer number is on the liveview', () => {
+        const third = spyOnTile(2)
+
+        press('3')
+        expect(third).toHaveBeenCalled()
+      })
+
+      it('treats 0 as a digit inside a number and ends entry early on Enter', () => {
+        const tenth = spyOnTile(9)
+        const second = spyOnTile(1)
+
+        press('1')
+        press('0')
+        expect(tenth).toHaveBeenCalled()
+
+        press('2')
+        press('Enter')
+        expect(second).toHaveBeenCalled()
+      })
+
+      it('zooms cameras 10–19 with Shift+digit', () => {
+        const eleventh = spyOnTile(10)
+
+        press('!', { code: 'Digit1', shiftKey: true })
+        expect(eleventh).toHaveBeenCalled()
+      })
+    })
+
+    describe('arrow keys in grid mode', () => {
+      function press(key: string): KeyboardEvent {
+        const event = new KeyboardEvent('keydown', { key, code: key, bubbles: true, cancelable: true })
+        document.dispatchEvent(event)
+        return event
+      }
+
+      const focused = () => document.querySelector('[data-upv-focused]')?.getAttribute('data-viewport')
+
+      beforeEach(() => {
+        document.body.appendChild(createCameraTile(4, 'A', { top: 0, left: 0 }))
+        document.body.appendChild(createCameraTile(9, 'B', { top: 0, left: 200 }))
+        document.body.appendChild(createCameraTile(1, 'C', { top: 150, left: 0 }))
+        cameras.setupHotkeyListener()
+      })
+
+      it('highlights the first tile, then moves the highlight across the layout', () => {
+        expect(press('ArrowRight').defaultPrevented).toBe(true)
+        expect(focused()).toBe('4')
+
+        press('ArrowRight')
+        expect(focused()).toBe('9')
+        // Nothing further right
+        press('ArrowRight')
+        expect(focused()).toBe('9')
+
+        press('ArrowLeft')
+        press('ArrowDown')
+        expect(focused()).toBe('1')
+      })
+
+      it('zooms the highlighted tile on Enter and drops the highlight', () => {
+        const clickSpy = vi.fn()
+        document
+          .querySelector('[data-viewport="9"] [class*=ClickCaptureOverlay__Root]')!
+          .addEventListener('click', clickSpy)
+
+        press('ArrowRight')
+        press('ArrowRight')
+        press('Enter')
+
+        expect(clickSpy).toHaveBeenCalled()
+        expect(focused()).toBeUndefined()
+      })
+    })
+
+    it('follows rebound keys sent by the main process', async () => {
+      setupDashboardDOM(2)
+      cameras.setupHotkeyListener()
+
+      // eslint-disable-next-line @typescript-eslint/no-require-imports
+      const { ipcRenderer } = require('electron')
+      const onChanged = (ipcRenderer.on as Mock).mock.calls
+        .filter(([channel]) => channel === 'keybindings:changed')
+        .at(-1)![1]
+      const { resolveKeybindings } = await import('../../src/ts/modules/keybindings')
+      onChanged({}, resolveKeybindings({ 'zoom-camera-2': 'Shift+2' }))
+
+      const overlay = document.querySelector('[data-viewport="1"] [class*=ClickCaptureOverlay__Root]')!
+      const clickSpy = vi.fn()
+      overlay.addEventListener('click', clickSpy)
+
+      document.dispatchEvent(
+        new KeyboardEvent('keydown', { key: '2', code: 'Digit2', bubbles: true, cancelable: true }),
+      )
+      expect(clickSpy).not.toHaveBeenCalled()
+
+      document.dispatchEvent(
+        new KeyboardEvent('keydown', { key: '@', code: 'Digit2', shiftKey: true, bubbles: true, cancelable: true }),
+      )
+      expect(clickSpy).toHaveBeenCalled()
+
+      onChanged({}, resolveKeybindings({}))
+    })
   })
 })
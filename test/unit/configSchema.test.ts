@@ -0,0 +1,226 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+
+vi.mock('../../src/ts/modules/utils', () => ({
+  log: vi.fn(),
+  logInfo: vi.fn(),
+  logWarn: vi.fn(),
+}))
+
+import * as configSchema from '../../src/ts/modules/configSchema'
+import * as utils from '../../src/ts/modules/utils'
+
+const { CONFIG_SCHEMA_VERSION } = configSchema
+
+describe('configSchema', () => {
+  beforeEach(() => {
+    vi.mocked(utils.logInfo).mockClear()
+    vi.mocked(utils.logWarn).mockClear()
+  })
+
+  describe('upgradeConfig', () => {
+    it('migrates a pre-versioning config into a Default profile', () => {
+      const { config, changes } = configSchema.upgradeConfig({
+        url: 'https://nvr.local/protect/',
+        username: 'admin',
+        password: 'secret',
+        hideNav: true,
+        bounds: { width: 800, height: 600 },
+        loginAttempts: 1,
+      })
+
+      const profiles = config.profiles as Array<Record<string, unknown>>
+      expect(profiles).toHaveLength(1)
+      expect(profiles[0]).toMatchObject({
+        name: 'Default',
+        url: 'https://nvr.local/protect/',
+        username: 'admin',
+        password: 'secret',
+        hideNav: true,
+        bounds: { width: 800, height: 600 },
+      })
+      expect(config.activeProfileId).toBe(profiles[0]!.id)
+      expect(config.url).toBeUndefined()
+      expect(config.loginAttempts).toBe(1)
+      expect(config.schemaVersion).toBe(CONFIG_SCHEMA_VERSION)
+      expect(changes[0]).toMatch(/^migration 1:/)
+    })
+
+    it('creates an empty Default profile on a fresh install', () => {
+      const { config } = configSchema.upgradeConfig({})
+      expect(config.profiles).toEqual([{ id: expect.any(String), name: 'Default' }])
+    })
+
+    it('skips migrations that already ran', () => {
+      const input = {
+        schemaVersion: CONFIG_SCHEMA_VERSION,
+        profiles: [{ id: 'a', name: 'Office' }],
+        activeProfileId: 'a',
+      }
+
+      const { config, changes } = configSchema.upgradeConfig(input)
+
+      expect(config).toEqual(input)
+      expect(changes).toEqual([])
+    })
+
+    it('does not downgrade a config written by a newer version', () => {
+      const { config, changes } = configSchema.upgradeConfig({
+        schemaVersion: CONFIG_SCHEMA_VERSION + 5,
+        profiles: [{ id: 'a', name: 'Office' }],
+        activeProfileId: 'a',
+        futureSetting: { enabled: true },
+      })
+
+      expect(config.schemaVersion).toBe(CONFIG_SCHEMA_VERSION + 5)
+      expect(config.futureSetting).toEqual({ enabled: true })
+      expect(changes[0]).toMatch(/newer than supported/)
+    })
+
+    it('does not modify its input', () => {
+      const input = { hideNav: 'true' }
+      configSchema.upgradeConfig(input)
+      expect(input).toEqual({ hideNav: 'true' })
+    })
+  })
+
+  describe('validateConfig', () => {
+    function validProfile(overrides: Record<string, unknown> = {}) {
+      return { profiles: [{ id: 'a', name: 'Office', ...overrides }], activeProfileId: 'a' }
+    }
+
+    it('repairs string booleans', () => {
+      const { config, changes } = configSchema.validateConfig(validProfile({ hideNav: 'true', hideHeader: 'false' }))
+      const [profile] = config.profiles as Array<Record<string, unknown>>
+
+      expect(profile!.hideNav).toBe(true)
+      expect(profile!.hideHeader).toBe(false)
+      expect(changes).toContain('profiles[0].hideNav: repaired string value')
+    })
+
+    it('drops values that cannot be repaired', () => {
+      const { config, changes } = configSchema.validateConfig(validProfile({ hideNav: 'maybe', url: 'not a url' }))
+      const [profile] = config.profiles as Array<Record<string, unknown>>
+
+      expect(profile).not.toHaveProperty('hideNav')
+      expect(profile).not.toHaveProperty('url')
+      expect(changes).toContain('profiles[0].url: dropped invalid string')
+    })
+
+    it('rejects non-http URLs', () => {
+      const { config } = configSchema.validateConfig(validProfile({ url: 'javascript:alert(1)' }))
+      expect((config.profiles as Array<Record<string, unknown>>)[0]).not.toHaveProperty('url')
+    })
+
+    it('repairs numeric strings in bounds and drops partial positions', () => {
+      const { config } = configSchema.validateConfig(validProfile({ bounds: { width: '800', height: 600, x: 10 } }))
+      expect((config.profiles as Array<Record<string, unknown>>)[0]!.bounds).toEqual({ width: 800, height: 600 })
+    })
+
+    it('drops bounds with non-positive size', () => {
+      const { config } = configSchema.validateConfig(validProfile({ bounds: { width: 0, height: 600 } }))
+      expect((config.profiles as Array<Record<string, unknown>>)[0]).not.toHaveProperty('bounds')
+    })
+
+    it('never includes values in change descriptions', () => {
+      const { changes } = configSchema.validateConfig(validProfile({ password: { leaked: 'hunter2' } }))
+      expect(changes.join('\n')).not.toContain('hunter2')
+    })
+
+    it('drops non-object profiles and assigns missing or duplicate IDs', () => {
+      const { config, changes } = configSchema.validateConfig({
+        profiles: ['junk', { id: 'a', name: 'Office' }, { id: 'a', name: 'Warehouse' }, { name: '' }],
+        activeProfileId: 'a',
+      })
+      const profiles = config.profiles as Array<Record<string, unknown>>
+
+      expect(profiles).toHaveLength(3)
+      expect(new Set(profiles.map((p) => p.id)).size).toBe(3)
+      expect(profiles[2]!.name).toBe('Profile 3')
+      expect(changes).toContain('profiles[0]: dropped invalid string')
+    })
+
+    it('points a stale activeProfileId at the first profile', () => {
+      const { config } = configSchema.validateConfig({
+        profiles: [{ id: 'a', name: 'Office' }],
+        activeProfileId: 'gone',
+      })
+      expect(config.activeProfileId).toBe('a')
+    })
+
+    it('repairs saved windows and drops entries without an ID', () => {
+      const { config, changes } = configSchema.validateConfig({
+        windows: [
+          { id: 'w1', url: 'https://nvr.local/protect/dashboard/2', hideNav: 'true', displayId: 'abc' },
+          { url: 'https://nvr.local/' },
+          'junk',
+        ],
+      })
+
+      expect(config.windows).toEqual([{ id: 'w1', url: 'https://nvr.local/protect/dashboard/2', hideNav: true }])
+      expect(changes).toContain('windows: repaired array value')
+    })
+
+    it('repairs liveview playlists, dropping unnamed entries and raising short stays', () => {
+      const { config } = configSchema.validateConfig(
+        validProfile({
+          liveviewPlaylist: [
+            { liveview: ' Parking ', seconds: '60' },
+            { liveview: 'Entrances', seconds: 1 },
+            { liveview: '', seconds: 30 },
+            { liveview: 'Lobby' },
+          ],
+        }),
+      )
+      const [profile] = config.profiles as Array<Record<string, unknown>>
+
+      expect(profile!.liveviewPlaylist).toEqual([
+        { liveview: 'Parking', seconds: 60 },
+        { liveview: 'Entrances', seconds: 5 },
+      ])
+    })
+
+    it('keeps only valid keybinding changes', () => {
+      const { config } = configSchema.validateConfig({
+        keybindings: { restart: 'f5', devtools: '', 'toggle-nav-only': 'Alt+N', 'zoom-camera-1': 'Nope+1' },
+      })
+      expect(config.keybindings).toEqual({ restart: 'F5', devtools: '' })
+    })
+
+    it('drops snapshot formats other than PNG and JPEG', () => {
+      expect(configSchema.validateConfig({ snapshotFormat: 'jpeg' }).config.snapshotFormat).toBe('jpeg')
+      expect(configSchema.validateConfig({ snapshotFormat: 'gif' }).config).not.toHaveProperty('snapshotFormat')
+    })
+
+    it('leaves unknown keys untouched', () => {
+      const { config, changes } = configSchema.validateConfig({ somethingNew: [1, 2, 3] })
+      expect(config.somethingNew).toEqual([1, 2, 3])
+      expect(changes).toEqual([])
+    })
+  })
+
+  describe('upgradeStore', () => {
+    it('writes the upgraded config back and logs every change', () => {
+      const store = { store: { hideNav: 'yes' } as Record<string, unknown> }
+
+      configSchema.upgradeStore(store)
+
+      expect(store.store.schemaVersion).toBe(CONFIG_SCHEMA_VERSION)
+      expect(utils.logInfo).toHaveBeenCalledWith(expect.stringMatching(/^Config migration 1:/))
+      expect(utils.logWarn).toHaveBeenCalledWith('Config profiles[0].hideNav: dropped invalid string')
+    })
+
+    it('leaves an up-to-date store alone', () => {
+      const current = {
+        schemaVersion: CONFIG_SCHEMA_VERSION,
+        profiles: [{ id: 'a', name: 'Office' }],
+        activeProfileId: 'a',
+      }
+      const store = { store: current }
+
+      configSchema.upgradeStore(store)
+
+      expect(store.store).toBe(current)
+      expect(utils.logWarn).not.toHaveBeenCalled()
+    })
+  })
+})
@@ -0,0 +1,170 @@
+import { describe, it, expect, vi, beforeAll, afterAll } from 'vitest'
+import Module from 'module'
+
+// configTransfer.ts calls require('electron') at load time, which bypasses vi.mock.
+const originalResolveFilename = (Module as any)._resolveFilename
+;(Module as any)._resolveFilename = function (request: string, parent: any, isMain: boolean, options: any) {
+  if (request === 'electron') {
+    return require.resolve('../__mocks__/electron.ts')
+  }
+  return originalResolveFilename.call(this, request, parent, isMain, options)
+}
+
+afterAll(() => {
+  ;(Module as any)._resolveFilename = originalResolveFilename
+})
+
+vi.mock('../../src/ts/modules/utils', () => ({
+  log: vi.fn(),
+  logError: vi.fn(),
+  logInfo: vi.fn(),
+  logWarn: vi.fn(),
+}))
+
+vi.mock('../../src/ts/modules/prompt', () => ({ showPrompt: vi.fn() }))
+
+// Stored secrets look like "enc:v1:<plaintext>" for these tests
+vi.mock('../../src/ts/modules/secrets', () => ({
+  SECRET_PROFILE_KEYS: ['password'],
+  decryptSecret: (value: string) => value.replace(/^enc:v1:/, ''),
+}))
+
+import { CONFIG_SCHEMA_VERSION } from '../../src/ts/modules/configSchema'
+
+// Imported after the require hook above is installed
+let configTransfer: typeof import('../../src/ts/modules/configTransfer')
+
+beforeAll(async () => {
+  configTransfer = await import('../../src/ts/modules/configTransfer')
+})
+
+const storedConfig = {
+  schemaVersion: CONFIG_SCHEMA_VERSION,
+  activeProfileId: 'b',
+  loginAttempts: 2,
+  loginAttemptsResetTime: 1700000000000,
+  windows: [{ id: 'w1', displayId: 42, bounds: { x: 1920, y: 0, width: 1280, height: 720 } }],
+  profiles: [
+    { id: 'a', name: 'Office', url: 'https://office.local/', username: 'admin', password: 'enc:v1:hunter2' },
+    { id: 'b', name: 'Warehouse', url: 'https://warehouse.local/', hideNav: true },
+  ],
+}
+
+describe('configTransfer', () => {
+  describe('buildExport', () => {
+    it('strips passwords and runtime state when exporting without secrets', () => {
+      const doc = configTransfer.buildExport(storedConfig, { appVersion: '1.2.3' })
+
+      expect(doc).toMatchObject({ format: configTransfer.EXPORT_FORMAT, appVersion: '1.2.3', secrets: null })
+      expect(doc.config).not.toHaveProperty('loginAttempts')
+      expect(doc.config).not.toHaveProperty('loginAttemptsResetTime')
+      expect(doc.config).not.toHaveProperty('windows')
+      expect(JSON.stringify(doc)).not.toContain('hunter2')
+      expect((doc.config.profiles as Array<Record<string, unknown>>)[0]).not.toHaveProperty('password')
+    })
+
+    it('never writes secrets in clear when a passphrase is given', () => {
+      const doc = configTransfer.buildExport(storedConfig, { passphrase: 'correct horse', appVersion: '1.2.3' })
+
+      expect(doc.secrets).toMatchObject({ kdf: 'scrypt' })
+      expect(JSON.stringify(doc)).not.toContain('hunter2')
+    })
+
+    it('does not modify the stored config', () => {
+      const before = structuredClone(storedConfig)
+      configTransfer.buildExport(storedConfig, { appVersion: '1.2.3' })
+      expect(storedConfig).toEqual(before)
+    })
+  })
+
+  describe('parseImport', () => {
+    function exportText(passphrase?: string) {
+      return JSON.stringify(configTransfer.buildExport(storedConfig, { passphrase, appVersion: '1.2.3' }))
+    }
+
+    it('round-trips a config without secrets', () => {
+      const result = configTransfer.parseImport(exportText())
+
+      expect(result.ok).toBe(true)
+      if (!result.ok) return
+      expect(result.config.activeProfileId).toBe('b')
+      expect(result.config.profiles).toEqual([
+        { id: 'a', name: 'Office', url: 'https://office.local/', username: 'admin' },
+        { id: 'b', name: 'Warehouse', url: 'https://warehouse.local/', hideNav: true },
+      ])
+    })
+
+    it('restores secrets with the right passphrase', () => {
+      const text = exportText('correct horse')
+
+      expect(configTransfer.hasSecrets(text)).toBe(true)
+      const result = configTransfer.parseImport(text, 'correct horse')
+
+      expect(result.ok).toBe(true)
+      if (!result.ok) return
+      expect((result.config.profiles as Array<Record<string, unknown>>)[0]!.password).toBe('hunter2')
+    })
+
+    it('reports a wrong passphrase', () => {
+      const result = configTransfer.parseImport(exportText('correct horse'), 'battery staple')
+      expect(result).toMatchObject({ ok: false, reason: 'wrong-passphrase' })
+    })
+
+    it('rejects key derivation parameters it did not write', () => {
+      const doc = JSON.parse(exportText('correct horse'))
+
+      for (const params of [{ N: 2 ** 30 }, { r: 1024 }, { p: 16 }, { N: 1024 }]) {
+        const text = JSON.stringify({ ...doc, secrets: { ...doc.secrets, ...params } })
+        expect(configTransfer.parseImport(text, 'correct horse')).toMatchObject({ ok: false, reason: 'invalid' })
+      }
+    })
+
+    it('reports a malformed secrets block as invalid, not as a wrong passphrase', () => {
+      const doc = JSON.parse(exportText('correct horse'))
+      const text = JSON.stringify({ ...doc, secrets: { ...doc.secrets, tag: '' } })
+
+      expect(configTransfer.parseImport(text, 'correct horse')).toMatchObject({ ok: false, reason: 'invalid' })
+    })
+
+    it('asks for a passphrase when the file has secrets', () => {
+      const result = configTransfer.parseImport(exportText('correct horse'))
+      expect(result).toMatchObject({ ok: false, reason: 'passphrase-required' })
+    })
+
+    it('rejects files that are not exports', () => {
+      expect(configTransfer.parseImport('not json')).toMatchObject({ ok: false, reason: 'invalid' })
+      expect(configTransfer.parseImport(JSON.stringify({ url: 'https://x/' }))).toMatchObject({
+        ok: false,
+        reason: 'invalid',
+      })
+    })
+
+    it('rejects configs from a newer schema version', () => {
+      const doc = configTransfer.buildExport(
+        { ...storedConfig, schemaVersion: CONFIG_SCHEMA_VERSION + 1 },
+        { appVersion: '9.0.0' },
+      )
+      expect(configTransfer.parseImport(JSON.stringify(doc))).toMatchObject({ ok: false, reason: 'invalid' })
+    })
+
+    it('validates imported values against the config schema', () => {
+      const doc = configTransfer.buildExport(storedConfig, { appVersion: '1.2.3' })
+      ;(doc.config.profiles as Array<Record<string, unknown>>)[0]!.url = 'javascript:alert(1)'
+      ;(doc.config.profiles as Array<Record<string, unknown>>)[1]!.hideNav = 'true'
+
+      const result = configTransfer.parseImport(JSON.stringify(doc))
+
+      expect(result.ok).toBe(true)
+      if (!result.ok) return
+      const [office, warehouse] = result.config.profiles as Array<Record<string, unknown>>
+      expect(office).not.toHaveProperty('url')
+      expect(warehouse!.hideNav).toBe(true)
+      expect(result.changes).toContain('profiles[0].url: dropped invalid string')
+    })
+
+    it('rejects imports without profiles', () => {
+      const doc = configTransfer.buildExport({ ...storedConfig, profiles: [] }, { appVersion: '1.2.3' })
+      expect(configTransfer.parseImport(JSON.stringify(doc))).toMatchObject({ ok: false, reason: 'invalid' })
+    })
+  })
+})
@@ -0,0 +1,183 @@
+// @vitest-environment node
+import { describe, it, expect, vi, beforeAll, afterAll, afterEach } from 'vitest'
+import Module from 'module'
+import * as fs from 'node:fs'
+import * as net from 'node:net'
+import * as os from 'node:os'
+import * as path from 'node:path'
+import { execFile } from 'node:child_process'
+
+// controlSocket.ts reaches require('electron') through remoteControl.ts,
+// which bypasses vi.mock. Commands run against a mock window, with the menu's
+// window state and kiosk mode mocked.
+// eslint-disable-next-line @typescript-eslint/no-explicit-any
+const originalResolveFilename = (Module as any)._resolveFilename
+// eslint-disable-next-line @typescript-eslint/no-explicit-any
+;(Module as any)._resolveFilename = function (request: string, parent: any, isMain: boolean, options: any) {
+  if (request === 'electron') {
+    return require.resolve('../__mocks__/electron.ts')
+  }
+  return originalResolveFilename.call(this, request, parent, isMain, options)
+}
+
+afterAll(() => {
+  // eslint-disable-next-line @typescript-eslint/no-explicit-any
+  ;(Module as any)._resolveFilename = originalResolveFilename
+})
+
+// chmodSync is wrapped so a test can make it fail
+vi.mock('node:fs', async (importOriginal) => {
+  const actual = await importOriginal<typeof import('node:fs')>()
+  return { ...actual, chmodSync: vi.fn(actual.chmodSync) }
+})
+
+vi.mock('../../src/ts/modules/utils', () => ({
+  log: vi.fn(),
+  logError: vi.fn(),
+  logWarn: vi.fn(),
+}))
+
+vi.mock('../../src/ts/modules/menu', () => ({
+  getWindowState: vi.fn(() => ({
+    visibility: { navHidden: false, headerHidden: true, widgetPanelExpanded: false },
+    cameraList: [
+      { index: 0, name: 'Front Door' },
+      { index: 2, name: 'Garage' },
+    ],
+    zoomedCameraIndex: -1,
+    dashboardPage: true,
+    configPage: false,
+    liveview: { id: 'lv1', name: 'Lobby' },
+  })),
+}))
+vi.mock('../../src/ts/modules/kiosk', () => ({ isKioskActive: () => false }))
+
+// Imported after the require hook above is installed
+let controlSocket: typeof import('../../src/ts/modules/controlSocket')
+
+beforeAll(async () => {
+  controlSocket = await import('../../src/ts/modules/controlSocket')
+})
+
+const CLI = path.resolve(__dirname, '../../scripts/upv-ctl.js')
+const webContents = { send: vi.fn(), reload: vi.fn() }
+const mockWindow = {
+  isDestroyed: () => false,
+  isFullScreen: () => false,
+  webContents,
+} as unknown as Electron.BrowserWindow
+
+let tempDir: string | null = null
+
+async function listen(): Promise<string> {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'upv-ctl-'))
+  const socketPath = path.join(tempDir, 'control.sock')
+  await controlSocket.start(mockWindow, socketPath)
+  return socketPath
+}
+
+/** Send raw request lines and collect one response per line */
+function exchange(socketPath: string, lines: string[]): Promise<Array<Record<string, unknown>>> {
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection(socketPath, () => socket.write(lines.map((line) => `${line}\n`).join('')))
+    let buffer = ''
+    socket.setEncoding('utf8')
+    socket.on('data', (chunk: string) => {
+      buffer += chunk
+      const responses = buffer.split('\n').filter(Boolean)
+      if (responses.length === lines.length) {
+        socket.end()
+        resolve(responses.map((line) => JSON.parse(line)))
+      }
+    })
+    socket.on('error', reject)
+  })
+}
+
+function runCli(args: string[]): Promise<{ code: number; stdout: string; stderr: string }> {
+  return new Promise((resolve) => {
+    execFile(process.execPath, [CLI, ...args], { timeout: 10000 }, (err, stdout, stderr) => {
+      resolve({ code: err ? ((err as { code?: number }).code ?? 1) : 0, stdout, stderr })
+    })
+  })
+}
+
+afterEach(async () => {
+  await controlSocket.stop()
+  webContents.send.mockClear()
+  if (tempDir) fs.rmSync(tempDir, { recursive: true, force: true })
+  tempDir = null
+})
+
+describe('controlSocket', () => {
+  it('answers status and commands, one line per request', async () => {
+    const socketPath = await listen()
+
+    const [status, zoom, unknown, broken] = await exchange(socketPath, [
+      '{"command":"status"}',
+      '{"command":"zoom-camera","args":{"camera":"garage"}}',
+      '{"command":"format-disk"}',
+      'not json',
+    ])
+
+    expect(status).toMatchObject({ ok: true, status: { page: 'dashboard', liveview: { name: 'Lobby' } } })
+    expect(zoom).toEqual({ ok: true })
+    expect(webContents.send).toHaveBeenCalledWith('zoom-camera', 2)
+    expect(unknown).toMatchObject({ ok: false, error: expect.stringContaining('Unknown command') })
+    expect(broken).toMatchObject({ ok: false, reason: 'invalid' })
+  })
+
+  it.skipIf(process.platform === 'win32')('makes the socket file owner-only', async () => {
+    const socketPath = await listen()
+
+    expect(fs.statSync(socketPath).mode & 0o777).toBe(0o600)
+  })
+
+  it.skipIf(process.platform === 'win32')('creates the socket file owner-only before restricting it', async () => {
+    const umask = process.umask()
+    vi.mocked(fs.chmodSync).mockImplementationOnce(() => {})
+
+    const socketPath = await listen()
+
+    expect(fs.statSync(socketPath).mode & 0o777).toBe(0o600)
+    expect(process.umask()).toBe(umask)
+  })
+
+  it.skipIf(process.platform === 'win32')('closes the socket if its permissions cannot be set', async () => {
+    vi.mocked(fs.chmodSync).mockImplementationOnce(() => {
+      throw new Error('EPERM')
+    })
+
+    const socketPath = await listen()
+
+    expect(fs.existsSync(socketPath)).toBe(false)
+    await expect(exchange(socketPath, ['{"command":"status"}'])).rejects.toThrow()
+  })
+
+  describe('upv-ctl', () => {
+    it('runs commands and prints the status', async () => {
+      const socketPath = await listen()
+
+      const toggle = await runCli(['toggle', 'nav', '--socket', socketPath])
+      expect(toggle.code).toBe(0)
+      expect(webContents.send).toHaveBeenCalledWith('toggle-nav-only')
+
+      const status = await runCli(['status', '--socket', socketPath])
+      expect(status.stdout).toContain('Liveview:    Lobby')
+      expect(status.stdout).toContain('2. Garage')
+
+      const json = await runCli(['status', '--json', '--socket', socketPath])
+      expect(JSON.parse(json.stdout)).toMatchObject({ ok: true, status: { cameras: [{ name: 'Front Door' }, {}] } })
+    })
+
+    it('reports refused commands, usage errors and a missing viewer', async () => {
+      const socketPath = await listen()
+
+      const missing = await runCli(['zoom', 'Attic', '--socket', socketPath])
+      expect(missing).toMatchObject({ code: 1, stderr: expect.stringContaining('No camera "Attic"') })
+
+      expect((await runCli(['toggle', 'sidebar', '--socket', socketPath])).code).toBe(2)
+      expect((await runCli(['status', '--socket', path.join(tempDir!, 'nothing.sock')])).code).toBe(3)
+    })
+  })
+})
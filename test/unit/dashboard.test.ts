@@ -6,8 +6,9 @@ import path from 'path'
 // CJS require() interception
 // ---------------------------------------------------------------------------
 // dashboard.ts uses `require('electron')` at the top level and lazy
-// `require('./ui')`, `require('./buttons')`, and `require('./cameras')`
-// inside initializeDashboard. We intercept these CJS require calls.
+// `require('./ui')`, `require('./buttons')`, `require('./cameras')`,
+// `require('./audio-renderer')` and `require('./liveviews')` inside
+// initializeDashboard. We intercept these CJS require calls.
 
 const mockUi = {
   handleLiveView: vi.fn(),
@@ -22,6 +23,14 @@ const mockCameras = {
   watchLayoutChanges: vi.fn(),
 }
 
+const mockAudio = {
+  watchLiveviewAudio: vi.fn(),
+}
+
+const mockLiveviews = {
+  reportCurrentLiveview: vi.fn().mockResolvedValue(undefined),
+}
+
 // eslint-disable-next-line @typescript-eslint/no-explicit-any
 const originalResolveFilename = (Module as any)._resolveFilename
 // eslint-disable-next-line @typescript-eslint/no-explicit-any
@@ -42,6 +51,14 @@ const originalResolveFilename = (Module as any)._resolveFilename
     return '__mock__cameras_dashboard__'
   }
 
+  if (request === './audio-renderer' && parent?.filename?.includes(path.join('src', 'ts', 'modules'))) {
+    return '__mock__audio_dashboard__'
+  }
+
+  if (request === './liveviews' && parent?.filename?.includes(path.join('src', 'ts', 'modules'))) {
+    return '__mock__liveviews_dashboard__'
+  }
+
   return originalResolveFilename.call(this, request, parent, isMain, options)
 }
 
@@ -70,6 +87,22 @@ require.cache['__mock__cameras_dashboard__'] = {
   exports: mockCameras,
 } as unknown as NodeModule
 
+// eslint-disable-next-line @typescript-eslint/no-require-imports
+require.cache['__mock__audio_dashboard__'] = {
+  id: '__mock__audio_dashboard__',
+  filename: '__mock__audio_dashboard__',
+  loaded: true,
+  exports: mockAudio,
+} as unknown as NodeModule
+
+// eslint-disable-next-line @typescript-eslint/no-require-imports
+require.cache['__mock__liveviews_dashboard__'] = {
+  id: '__mock__liveviews_dashboard__',
+  filename: '__mock__liveviews_dashboard__',
+  loaded: true,
+  exports: mockLiveviews,
+} as unknown as NodeModule
+
 // ---------------------------------------------------------------------------
 // Helpers
 // ---------------------------------------------------------------------------
@@ -123,6 +156,7 @@ describe('dashboard', () => {
     mockButtons.handleDashboardButton.mockReset()
     mockButtons.handleDashboardButton.mockResolvedValue(undefined)
     mockCameras.detectCameras.mockReset()
+    mockAudio.watchLiveviewAudio.mockReset()
 
     if (!dashboard) {
       const mod = await import('../../src/ts/modules/dashboard')
@@ -281,6 +315,22 @@ describe('dashboard', () => {
       expect(mockCameras.detectCameras).toHaveBeenCalled()
     })
 
+    it('applies the camera audio settings to the liveview when dashboard is ready', async () => {
+      createDashboardElements()
+
+      await dashboard.initializeDashboard()
+
+      expect(mockAudio.watchLiveviewAudio).toHaveBeenCalled()
+    })
+
+    it('reports the open liveview when dashboard is ready', async () => {
+      createDashboardElements()
+
+      await dashboard.initializeDashboard()
+
+      expect(mockLiveviews.reportCurrentLiveview).toHaveBeenCalled()
+    })
+
     it('returns false when dashboard is not ready (timeout)', async () => {
       // No dashboard elements in DOM
       const initPromise = dashboard.initializeDashboard()
@@ -0,0 +1,192 @@
+import { describe, it, expect, vi, beforeAll, beforeEach, afterAll } from 'vitest'
+import Module from 'module'
+
+// displays.ts calls require('electron') at load time, which bypasses vi.mock.
+// eslint-disable-next-line @typescript-eslint/no-explicit-any
+const originalResolveFilename = (Module as any)._resolveFilename
+// eslint-disable-next-line @typescript-eslint/no-explicit-any
+;(Module as any)._resolveFilename = function (request: string, parent: any, isMain: boolean, options: any) {
+  if (request === 'electron') {
+    return require.resolve('../__mocks__/electron.ts')
+  }
+  return originalResolveFilename.call(this, request, parent, isMain, options)
+}
+
+afterAll(() => {
+  // eslint-disable-next-line @typescript-eslint/no-explicit-any
+  ;(Module as any)._resolveFilename = originalResolveFilename
+})
+
+vi.mock('../../src/ts/modules/utils', () => ({
+  log: vi.fn(),
+  logError: vi.fn(),
+}))
+
+// Imported after the require hook above is installed
+let displays: typeof import('../../src/ts/modules/displays')
+let screen: Record<string, ReturnType<typeof vi.fn>>
+
+beforeAll(async () => {
+  displays = await import('../../src/ts/modules/displays')
+  screen = require('electron').screen
+})
+
+const primary = { id: 1, workArea: { x: 0, y: 0, width: 1920, height: 1040 } } as Electron.Display
+const secondary = { id: 2, workArea: { x: 1920, y: 0, width: 1280, height: 720 } } as Electron.Display
+
+function createMockWindow(bounds: Electron.Rectangle) {
+  const handlers: Record<string, Function[]> = {}
+  const state = { bounds, fullscreen: false }
+  return {
+    state,
+    on: vi.fn((event: string, handler: Function) => {
+      ;(handlers[event] ||= []).push(handler)
+    }),
+    once: vi.fn((event: string, handler: Function) => {
+      ;(handlers[event] ||= []).push(handler)
+    }),
+    isDestroyed: () => false,
+    isMinimized: () => false,
+    isFullScreen: () => state.fullscreen,
+    getBounds: () => state.bounds,
+    setBounds: vi.fn((next: Electron.Rectangle) => {
+      state.bounds = next
+    }),
+    setFullScreen: vi.fn((value: boolean) => {
+      state.fullscreen = value
+    }),
+    trigger(event: string) {
+      for (const handler of handlers[event] || []) handler()
+    },
+  }
+}
+
+/** Fire a screen event the module subscribed to */
+function emitScreen(event: string, ...args: unknown[]) {
+  for (const [name, handler] of screen.on.mock.calls) {
+    if (name === event) handler({}, ...args)
+  }
+}
+
+function matchDisplay(bounds: Electron.Rectangle) {
+  return bounds.x >= 1920 ? secondary : primary
+}
+
+describe('displays', () => {
+  beforeEach(() => {
+    displays._resetDisplays()
+    screen.on.mockClear()
+    screen.getAllDisplays.mockReturnValue([primary, secondary])
+    screen.getPrimaryDisplay.mockReturnValue(primary)
+    screen.getDisplayMatching.mockImplementation(matchDisplay)
+  })
+
+  describe('centerOnDisplay', () => {
+    it('centers the size in the work area', () => {
+      expect(displays.centerOnDisplay(primary, 1270, 750)).toEqual({ x: 325, y: 145, width: 1270, height: 750 })
+    })
+
+    it('shrinks to fit a small display', () => {
+      expect(displays.centerOnDisplay(secondary, 1270, 750)).toEqual({ x: 1925, y: 0, width: 1270, height: 720 })
+    })
+  })
+
+  describe('fitToDisplays', () => {
+    it('keeps bounds that are fully visible, including across two displays', () => {
+      const onSecondary = { x: 2000, y: 50, width: 800, height: 600 }
+      const spanning = { x: 1500, y: 50, width: 800, height: 600 }
+
+      expect(displays.fitToDisplays(onSecondary, 2)).toBe(onSecondary)
+      expect(displays.fitToDisplays(spanning, 1)).toBe(spanning)
+    })
+
+    it('pulls partly visible bounds inside the display', () => {
+      expect(displays.fitToDisplays({ x: 1700, y: -100, width: 800, height: 600 }, 1)).toEqual({
+        x: 1120,
+        y: 0,
+        width: 800,
+        height: 600,
+      })
+    })
+
+    it('moves bounds from an unplugged display onto the primary display', () => {
+      screen.getAllDisplays.mockReturnValue([primary])
+
+      expect(displays.fitToDisplays({ x: 2000, y: 50, width: 800, height: 600 }, 2)).toEqual({
+        x: 560,
+        y: 220,
+        width: 800,
+        height: 600,
+      })
+    })
+
+    it('centers bounds without a position on their saved display', () => {
+      expect(displays.fitToDisplays({ width: 800, height: 600 }, 2)).toEqual({
+        x: 2160,
+        y: 60,
+        width: 800,
+        height: 600,
+      })
+      expect(displays.fitToDisplays({ width: 800, height: 600 })).toEqual({ width: 800, height: 600 })
+      expect(displays.fitToDisplays(undefined, 2)).toBeUndefined()
+    })
+  })
+
+  describe('hot-plug', () => {
+    it('rescues a window left off-screen when its display is removed', () => {
+      const win = createMockWindow({ x: 2000, y: 50, width: 800, height: 600 })
+      displays.watchWindow(win as unknown as Electron.BrowserWindow, {
+        bounds: win.state.bounds,
+        displayId: 2,
+        fullscreen: false,
+      })
+
+      screen.getAllDisplays.mockReturnValue([primary])
+      emitScreen('display-removed', secondary)
+
+      expect(win.setBounds).toHaveBeenCalledWith({ x: 560, y: 220, width: 800, height: 600 })
+    })
+
+    it('does not forget the preferred display while it is missing', () => {
+      const bounds = { x: 2000, y: 50, width: 800, height: 600 }
+      const win = createMockWindow(bounds)
+      displays.watchWindow(win as unknown as Electron.BrowserWindow, { bounds, displayId: 2, fullscreen: false })
+
+      screen.getAllDisplays.mockReturnValue([primary])
+      emitScreen('display-removed', secondary)
+      win.trigger('move')
+
+      expect(displays.getPlacement(win as unknown as Electron.BrowserWindow)).toEqual({
+        bounds,
+        displayId: 2,
+        fullscreen: false,
+      })
+    })
+
+    it('returns the window, fullscreen again, when its display comes back', () => {
+      const bounds = { x: 2000, y: 50, width: 800, height: 600 }
+      const win = createMockWindow(bounds)
+      displays.watchWindow(win as unknown as Electron.BrowserWindow, { bounds, displayId: 2, fullscreen: true })
+
+      screen.getAllDisplays.mockReturnValue([primary])
+      emitScreen('display-removed', secondary)
+      win.state.bounds = { x: 560, y: 220, width: 800, height: 600 }
+
+      screen.getAllDisplays.mockReturnValue([primary, secondary])
+      emitScreen('display-added', secondary)
+
+      expect(win.setBounds).toHaveBeenLastCalledWith(bounds)
+      expect(win.setFullScreen).toHaveBeenCalledWith(true)
+    })
+
+    it('follows windows the user moves while the display is connected', () => {
+      const win = createMockWindow({ x: 100, y: 100, width: 800, height: 600 })
+      displays.watchWindow(win as unknown as Electron.BrowserWindow, { displayId: 1, fullscreen: false })
+
+      win.state.bounds = { x: 2000, y: 50, width: 800, height: 600 }
+      win.trigger('move')
+
+      expect(displays.getPlacement(win as unknown as Electron.BrowserWindow)).toMatchObject({ displayId: 2 })
+    })
+  })
+})
@@ -0,0 +1,219 @@
+// @vitest-environment node
+import { describe, it, expect, vi, beforeAll, afterAll, afterEach } from 'vitest'
+import Module from 'module'
+import * as http from 'node:http'
+import type { AddressInfo } from 'node:net'
+import type { Duplex } from 'node:stream'
+
+// httpApi.ts reaches require('electron') through secrets.ts and
+// remoteControl.ts, which bypasses vi.mock. Commands run against a mock
+// window, with the menu's window state and kiosk mode mocked.
+// eslint-disable-next-line @typescript-eslint/no-explicit-any
+const originalResolveFilename = (Module as any)._resolveFilename
+// eslint-disable-next-line @typescript-eslint/no-explicit-any
+;(Module as any)._resolveFilename = function (request: string, parent: any, isMain: boolean, options: any) {
+  if (request === 'electron') {
+    return require.resolve('../__mocks__/electron.ts')
+  }
+  return originalResolveFilename.call(this, request, parent, isMain, options)
+}
+
+afterAll(() => {
+  // eslint-disable-next-line @typescript-eslint/no-explicit-any
+  ;(Module as any)._resolveFilename = originalResolveFilename
+})
+
+vi.mock('../../src/ts/modules/utils', () => ({
+  log: vi.fn(),
+  logError: vi.fn(),
+  logWarn: vi.fn(),
+}))
+
+vi.mock('../../src/ts/modules/menu', () => ({
+  getWindowState: vi.fn(() => ({
+    visibility: { navHidden: false, headerHidden: false, widgetPanelExpanded: false },
+    cameraList: [{ index: 0, name: 'Front Door' }],
+    zoomedCameraIndex: -1,
+    dashboardPage: true,
+    configPage: false,
+    liveview: null,
+  })),
+}))
+vi.mock('../../src/ts/modules/kiosk', () => ({ isKioskActive: () => false }))
+
+// Imported after the require hook above is installed
+let httpApi: typeof import('../../src/ts/modules/httpApi')
+let viewerEvents: typeof import('../../src/ts/modules/viewerEvents')
+
+beforeAll(async () => {
+  httpApi = await import('../../src/ts/modules/httpApi')
+  viewerEvents = await import('../../src/ts/modules/viewerEvents')
+})
+
+const TOKEN = 'test-token'
+const webContents = { send: vi.fn(), reload: vi.fn() }
+const mockWindow = {
+  isDestroyed: () => false,
+  isFullScreen: () => false,
+  webContents,
+} as unknown as Electron.BrowserWindow
+
+let server: http.Server | null = null
+
+async function listen(): Promise<string> {
+  server = httpApi.createServer(mockWindow, () => TOKEN)
+  await new Promise<void>((resolve) => server!.listen(0, '127.0.0.1', resolve))
+  return `http://127.0.0.1:${(server!.address() as AddressInfo).port}`
+}
+
+function request(base: string, path: string, init: RequestInit = {}, token: string | null = TOKEN) {
+  return fetch(base + path, {
+    ...init,
+    headers: { ...(token ? { Authorization: `Bearer ${token}` } : {}), ...(init.headers ?? {}) },
+  })
+}
+
+/** Open a WebSocket to /api/events; resolves with the socket, or the refusal status */
+function openStream(base: string, query: string): Promise<Duplex | number> {
+  return new Promise((resolve, reject) => {
+    const req = http.get(`${base}/api/events${query}`, {
+      headers: {
+        Connection: 'Upgrade',
+        Upgrade: 'websocket',
+        'Sec-WebSocket-Version': '13',
+        'Sec-WebSocket-Key': 'dGhlIHNhbXBsZSBub25jZQ==',
+      },
+    })
+    req.on('upgrade', (_res, socket, head) => {
+      // Frames that arrived with the handshake response
+      if (head.length > 0) socket.unshift(head)
+      resolve(socket)
+    })
+    req.on('response', (res) => resolve(res.statusCode!))
+    req.on('error', reject)
+  })
+}
+
+/** Collect `count` text messages (short, unmasked server frames) */
+function readMessages(socket: Duplex, count: number): Promise<Array<Record<string, unknown>>> {
+  return new Promise((resolve) => {
+    let buffer = Buffer.alloc(0)
+    const messages: Array<Record<string, unknown>> = []
+    socket.on('data', (chunk: Buffer) => {
+      buffer = Buffer.concat([buffer, chunk])
+      while (buffer.length >= 2) {
+        const short = buffer[1]! & 0x7f
+        const offset = short === 126 ? 4 : 2
+        const length = short === 126 ? buffer.readUInt16BE(2) : short
+        if (buffer.length < offset + length) break
+        messages.push(JSON.parse(buffer.subarray(offset, offset + length).toString()))
+        buffer = buffer.subarray(offset + length)
+      }
+      if (messages.length >= count) resolve(messages.slice(0, count))
+    })
+  })
+}
+
+afterEach(async () => {
+  webContents.send.mockClear()
+  server?.closeAllConnections()
+  if (server) await new Promise((resolve) => server!.close(resolve))
+  server = null
+})
+
+describe('httpApi', () => {
+  it('checks the bearer token', () => {
+    expect(httpApi.isAuthorized('Bearer abc', 'abc')).toBe(true)
+    expect(httpApi.isAuthorized('bearer abc', 'abc')).toBe(true)
+    expect(httpApi.isAuthorized('Bearer abd', 'abc')).toBe(false)
+    expect(httpApi.isAuthorized('Basic abc', 'abc')).toBe(false)
+    expect(httpApi.isAuthorized(undefined, 'abc')).toBe(false)
+    expect(httpApi.isAuthorized('Bearer ', '')).toBe(false)
+  })
+
+  it('refuses requests without a valid token', async () => {
+    const base = await listen()
+
+    const missing = await request(base, '/api/status', {}, null)
+    const wrong = await request(base, '/api/commands/reload', { method: 'POST' }, 'nope')
+
+    expect(missing.status).toBe(401)
+    expect(missing.headers.get('www-authenticate')).toBe('Bearer')
+    expect(wrong.status).toBe(401)
+    expect(webContents.reload).not.toHaveBeenCalled()
+  })
+
+  it('serves status, cameras and UI state', async () => {
+    const base = await listen()
+
+    const status = await (await request(base, '/api/status')).json()
+    const cameras = await (await request(base, '/api/cameras')).json()
+    const ui = await (await request(base, '/api/ui')).json()
+
+    expect(status.page).toBe('dashboard')
+    expect(cameras).toEqual({ cameras: [{ position: 1, index: 0, name: 'Front Door' }], zoomedCamera: null })
+    expect(ui).toMatchObject({ navHidden: false, isFullscreen: false })
+  })
+
+  it('runs commands with their JSON arguments', async () => {
+    const base = await listen()
+
+    const res = await request(base, '/api/commands/zoom-camera', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ camera: 'Front Door' }),
+    })
+
+    expect(res.status).toBe(200)
+    expect(await res.json()).toEqual({ ok: true })
+    expect(webContents.send).toHaveBeenCalledWith('zoom-camera', 0)
+  })
+
+  it('maps failures to status codes', async () => {
+    const base = await listen()
+    const notFound = await request(base, '/api/commands/zoom-camera', { method: 'POST', body: '{"camera":"Attic"}' })
+    const badArgs = await request(base, '/api/commands/fullscreen', { method: 'POST', body: '{"fullscreen":1}' })
+    const badJson = await request(base, '/api/commands/reload', { method: 'POST', body: '[1,2' })
+    const unknown = await request(base, '/api/commands/shutdown', { method: 'POST' })
+    const wrongMethod = await request(base, '/api/commands/reload', { method: 'DELETE' })
+
+    expect(notFound.status).toBe(404)
+    expect(await notFound.json()).toEqual({ ok: false, error: 'No camera "Attic" on the current liveview' })
+    expect(badArgs.status).toBe(400)
+    expect(badJson.status).toBe(400)
+    expect(unknown.status).toBe(404)
+    expect(wrongMethod.status).toBe(405)
+  })
+
+  it('streams a snapshot and then viewer events over a WebSocket', async () => {
+    const base = await listen()
+    viewerEvents.initialize(mockWindow)
+
+    expect(await openStream(base, '?token=wrong')).toBe(401)
+
+    const socket = (await openStream(base, `?token=${TOKEN}`)) as Duplex
+    const received = readMessages(socket, 2)
+    // Let the subscription settle before publishing
+    await new Promise((resolve) => setTimeout(resolve, 20))
+    viewerEvents.publish(mockWindow, 'camera-zoom')
+
+    const [snapshot, event] = await received
+    socket.destroy()
+
+    expect(snapshot).toMatchObject({ type: 'snapshot', status: { page: 'dashboard' } })
+    expect(event).toMatchObject({ type: 'camera-zoom', zoomedCamera: null, seq: (snapshot!.seq as number) + 1 })
+    expect(event!.timestamp).toEqual(expect.any(Number))
+  })
+
+  it('reads settings with defaults and keeps the token', () => {
+    const data: Record<string, unknown> = { httpApiEnabled: true, httpApiPort: 9000 }
+    const store = { get: (key: string) => data[key], set: (key: string, value: unknown) => (data[key] = value) }
+
+    expect(httpApi.getSettings(store)).toEqual({ enabled: true, host: '127.0.0.1', port: 9000 })
+
+    const token = httpApi.getToken(store)
+    expect(token).toMatch(/^[\w-]{32}$/)
+    expect(httpApi.getToken(store)).toBe(token)
+    expect(httpApi.regenerateToken(store)).not.toBe(token)
+  })
+})
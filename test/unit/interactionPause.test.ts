@@ -0,0 +1,62 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+
+import { clearTimer, pauseRun, watchInteraction } from '../../src/ts/modules/interactionPause'
+
+function trustedEvent(type: string): Event {
+  const event = new Event(type)
+  Object.defineProperty(event, 'isTrusted', { value: true })
+  return event
+}
+
+describe('interactionPause', () => {
+  beforeEach(() => {
+    vi.useFakeTimers()
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it('resumes after the delay, restarting the wait when paused again', () => {
+    const run = { paused: false, timer: null }
+    const resume = vi.fn()
+
+    pauseRun(run, 1000, resume)
+    expect(run.paused).toBe(true)
+    vi.advanceTimersByTime(800)
+    pauseRun(run, 1000, resume)
+    vi.advanceTimersByTime(800)
+    expect(resume).not.toHaveBeenCalled()
+
+    vi.advanceTimersByTime(200)
+    expect(resume).toHaveBeenCalledTimes(1)
+    expect(run.paused).toBe(false)
+  })
+
+  it('does not resume once the timer is cleared', () => {
+    const run = { paused: false, timer: null }
+    const resume = vi.fn()
+
+    pauseRun(run, 1000, resume)
+    clearTimer(run)
+    vi.advanceTimersByTime(1000)
+
+    expect(resume).not.toHaveBeenCalled()
+    expect(run.timer).toBeNull()
+  })
+
+  it('reports real interaction only, until it stops watching', () => {
+    const onInteraction = vi.fn()
+    const stopWatching = watchInteraction(onInteraction)
+
+    document.dispatchEvent(new Event('pointerdown'))
+    expect(onInteraction).not.toHaveBeenCalled()
+
+    document.dispatchEvent(trustedEvent('keydown'))
+    expect(onInteraction).toHaveBeenCalledTimes(1)
+
+    stopWatching()
+    document.dispatchEvent(trustedEvent('wheel'))
+    expect(onInteraction).toHaveBeenCalledTimes(1)
+  })
+})
@@ -0,0 +1,114 @@
+import { describe, it, expect } from 'vitest'
+import * as keybindings from '../../src/ts/modules/keybindings'
+import type { KeyPress } from '../../src/ts/types/keybindings'
+
+function press(overrides: Partial<KeyPress>): KeyPress {
+  return { key: '', code: '', ctrlKey: false, altKey: false, shiftKey: false, metaKey: false, ...overrides }
+}
+
+describe('keybindings', () => {
+  describe('normalizeAccelerator', () => {
+    it('puts modifiers in canonical order and spelling', () => {
+      expect(keybindings.normalizeAccelerator('shift+commandorcontrol+k')).toBe('CmdOrCtrl+Shift+K')
+      expect(keybindings.normalizeAccelerator('Option+esc')).toBe('Alt+Escape')
+      expect(keybindings.normalizeAccelerator('Ctrl++')).toBe('Ctrl+Plus')
+      expect(keybindings.normalizeAccelerator('f10')).toBe('F10')
+    })
+
+    it('rejects unknown keys, missing keys and repeated modifiers', () => {
+      expect(keybindings.normalizeAccelerator('Alt+')).toBeNull()
+      expect(keybindings.normalizeAccelerator('Hyper+K')).toBeNull()
+      expect(keybindings.normalizeAccelerator('Alt+Alt+K')).toBeNull()
+      expect(keybindings.normalizeAccelerator('F25')).toBeNull()
+    })
+  })
+
+  describe('resolveKeybindings', () => {
+    it('overrides the defaults with valid saved changes only', () => {
+      const bindings = keybindings.resolveKeybindings({
+        'toggle-nav-only': 'alt+b',
+        restart: '',
+        'zoom-camera-1': 'Hyper+1',
+        'exit-kiosk': '',
+        'made-up-action': 'F1',
+      })
+
+      expect(bindings['toggle-nav-only']).toBe('Alt+B')
+      expect(bindings.restart).toBe('')
+      expect(bindings['zoom-camera-1']).toBe('1')
+      // Kiosk mode must stay escapable
+      expect(bindings['exit-kiosk']).toBe('CmdOrCtrl+Shift+K')
+      expect(bindings).not.toHaveProperty('made-up-action')
+    })
+
+    it('stores only what differs from the defaults', () => {
+      const bindings = keybindings.resolveKeybindings({})
+      bindings.restart = 'F5'
+      bindings.devtools = ''
+
+      expect(keybindings.changedKeybindings(bindings)).toEqual({ restart: 'F5', devtools: '' })
+    })
+  })
+
+  describe('findConflicts', () => {
+    it('has none for the defaults', () => {
+      expect(keybindings.findConflicts(keybindings.resolveKeybindings({}), false)).toEqual([])
+      expect(keybindings.findConflicts(keybindings.resolveKeybindings({}), true)).toEqual([])
+    })
+
+    it('groups actions bound to the same physical keys on the platform', () => {
+      const bindings = keybindings.resolveKeybindings({ restart: 'Ctrl+,' })
+
+      expect(keybindings.findConflicts(bindings, false)).toEqual([
+        { key: 'CmdOrCtrl+,', actions: ['configuration', 'restart'] },
+      ])
+      // Cmd+, and Ctrl+, are different keys on macOS
+      expect(keybindings.findConflicts(bindings, true)).toEqual([])
+    })
+  })
+
+  describe('acceleratorFromKeyPress', () => {
+    it('uses the physical key, so Shift doesn’t change digits or letters', () => {
+      expect(keybindings.acceleratorFromKeyPress(press({ key: '!', code: 'Digit1', shiftKey: true }), false)).toBe(
+        'Shift+1',
+      )
+      expect(keybindings.acceleratorFromKeyPress(press({ key: 'k', code: 'KeyK', ctrlKey: true }), false)).toBe(
+        'CmdOrCtrl+K',
+      )
+      expect(keybindings.acceleratorFromKeyPress(press({ key: 'ArrowLeft', code: 'ArrowLeft' }), false)).toBe('Left')
+    })
+
+    it('maps the platform command key to CmdOrCtrl', () => {
+      expect(keybindings.acceleratorFromKeyPress(press({ key: ',', code: 'Comma', metaKey: true }), true)).toBe(
+        'CmdOrCtrl+,',
+      )
+      expect(keybindings.acceleratorFromKeyPress(press({ key: ',', code: 'Comma', ctrlKey: true }), true)).toBe(
+        'Ctrl+,',
+      )
+    })
+
+    it('returns null for a lone modifier', () => {
+      expect(keybindings.acceleratorFromKeyPress(press({ key: 'Shift', code: 'ShiftLeft', shiftKey: true }))).toBeNull()
+    })
+  })
+
+  describe('actionForKeyPress', () => {
+    it('finds the action of the scope bound to a key press', () => {
+      const bindings = keybindings.resolveKeybindings({ 'zoom-camera-2': 'Shift+2' })
+
+      expect(keybindings.actionForKeyPress(bindings, press({ key: '1', code: 'Digit1' }), 'page')).toBe('zoom-camera-1')
+      expect(keybindings.actionForKeyPress(bindings, press({ key: '@', code: 'Digit2', shiftKey: true }), 'page')).toBe(
+        'zoom-camera-2',
+      )
+      expect(keybindings.actionForKeyPress(bindings, press({ key: '2', code: 'Digit2' }), 'page')).toBeNull()
+      // Menu actions aren't the page listener's business
+      expect(keybindings.actionForKeyPress(bindings, press({ key: 'F9', code: 'F9' }), 'page')).toBeNull()
+    })
+  })
+
+  it('displays accelerators the way the platform writes them', () => {
+    expect(keybindings.displayAccelerator('CmdOrCtrl+Shift+K', true)).toBe('Cmd+Shift+K')
+    expect(keybindings.displayAccelerator('CmdOrCtrl+Shift+K', false)).toBe('Ctrl+Shift+K')
+    expect(keybindings.displayAccelerator('Alt+1', true)).toBe('Option+1')
+  })
+})
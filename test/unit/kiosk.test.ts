@@ -0,0 +1,188 @@
+import { describe, it, expect, vi, beforeAll, beforeEach, afterAll } from 'vitest'
+import Module from 'module'
+import path from 'path'
+
+// kiosk.ts calls require('electron') at load time and lazily requires
+// './menu' to rebuild the menu; both bypass vi.mock.
+const mockMenu = { updateKioskState: vi.fn() }
+
+// eslint-disable-next-line @typescript-eslint/no-explicit-any
+const originalResolveFilename = (Module as any)._resolveFilename
+// eslint-disable-next-line @typescript-eslint/no-explicit-any
+;(Module as any)._resolveFilename = function (request: string, parent: any, isMain: boolean, options: any) {
+  if (request === 'electron') {
+    return require.resolve('../__mocks__/electron.ts')
+  }
+  if (request === './menu' && parent?.filename?.includes(path.join('src', 'ts', 'modules'))) {
+    return '__mock__kiosk_menu__'
+  }
+  return originalResolveFilename.call(this, request, parent, isMain, options)
+}
+
+require.cache['__mock__kiosk_menu__'] = {
+  id: '__mock__kiosk_menu__',
+  filename: '__mock__kiosk_menu__',
+  loaded: true,
+  exports: mockMenu,
+} as unknown as NodeModule
+
+afterAll(() => {
+  // eslint-disable-next-line @typescript-eslint/no-explicit-any
+  ;(Module as any)._resolveFilename = originalResolveFilename
+  delete require.cache['__mock__kiosk_menu__']
+})
+
+vi.mock('../../src/ts/modules/utils', () => ({
+  log: vi.fn(),
+  logError: vi.fn(),
+  logInfo: vi.fn(),
+  logWarn: vi.fn(),
+}))
+
+vi.mock('../../src/ts/modules/prompt', () => ({ showPrompt: vi.fn() }))
+
+// Imported after the require hook above is installed
+let kiosk: typeof import('../../src/ts/modules/kiosk')
+
+beforeAll(async () => {
+  kiosk = await import('../../src/ts/modules/kiosk')
+})
+
+function createStore(initial: Record<string, unknown> = {}) {
+  const data: Record<string, unknown> = { ...initial }
+  return {
+    data,
+    get: (key: string) => data[key],
+    set: vi.fn((key: string, value: unknown) => {
+      data[key] = value
+    }),
+  }
+}
+
+function createWindow() {
+  const state = { kiosk: false, fullScreen: false, alwaysOnTop: false }
+  return {
+    state,
+    on: vi.fn(),
+    isDestroyed: () => false,
+    isKiosk: () => state.kiosk,
+    isFullScreen: () => state.fullScreen,
+    isAlwaysOnTop: () => state.alwaysOnTop,
+    setKiosk: vi.fn((value: boolean) => (state.kiosk = value)),
+    setFullScreen: vi.fn((value: boolean) => (state.fullScreen = value)),
+    setAlwaysOnTop: vi.fn((value: boolean) => (state.alwaysOnTop = value)),
+    setMenuBarVisibility: vi.fn(),
+    setAutoHideMenuBar: vi.fn(),
+    webContents: {
+      on: vi.fn(),
+      send: vi.fn(),
+      isDevToolsOpened: () => false,
+      closeDevTools: vi.fn(),
+    },
+  }
+}
+
+describe('kiosk', () => {
+  beforeEach(() => {
+    kiosk._resetKioskState()
+    mockMenu.updateKioskState.mockClear()
+  })
+
+  describe('PIN hashing', () => {
+    it('verifies the PIN it was hashed from', () => {
+      const stored = kiosk.hashPin('4821')
+
+      expect(stored).toMatch(/^scrypt\$/)
+      expect(stored).not.toContain('4821')
+      expect(kiosk.verifyPin('4821', stored)).toBe(true)
+      expect(kiosk.verifyPin('4822', stored)).toBe(false)
+    })
+
+    it('salts each hash', () => {
+      expect(kiosk.hashPin('4821')).not.toBe(kiosk.hashPin('4821'))
+    })
+
+    it('rejects malformed stored hashes', () => {
+      expect(kiosk.verifyPin('4821', '')).toBe(false)
+      expect(kiosk.verifyPin('4821', 'plain$abc$def')).toBe(false)
+    })
+  })
+
+  describe('enterKiosk / exitKiosk', () => {
+    it('pins the window and saves kiosk mode', () => {
+      const win = createWindow()
+      const store = createStore()
+
+      kiosk.enterKiosk(win as unknown as Electron.BrowserWindow, store)
+
+      expect(kiosk.isKioskActive()).toBe(true)
+      expect(win.state).toEqual({ kiosk: true, fullScreen: true, alwaysOnTop: true })
+      expect(win.setMenuBarVisibility).toHaveBeenCalledWith(false)
+      expect(store.data.kioskMode).toBe(true)
+      expect(mockMenu.updateKioskState).toHaveBeenCalled()
+    })
+
+    it('does not save kiosk mode when started with --kiosk', () => {
+      const win = createWindow()
+      const store = createStore()
+
+      kiosk.initialize(win as unknown as Electron.BrowserWindow, store, true)
+
+      expect(kiosk.isKioskActive()).toBe(true)
+      expect(store.set).not.toHaveBeenCalled()
+    })
+
+    it('restores saved kiosk mode on startup', () => {
+      const win = createWindow()
+      kiosk.initialize(win as unknown as Electron.BrowserWindow, createStore({ kioskMode: true }))
+
+      expect(kiosk.isKioskActive()).toBe(true)
+    })
+  })
+
+  describe('attemptExit', () => {
+    function enterWithPin(pin: string) {
+      const win = createWindow()
+      const store = createStore({ kioskPinHash: kiosk.hashPin(pin) })
+      kiosk.enterKiosk(win as unknown as Electron.BrowserWindow, store)
+      return { win, store }
+    }
+
+    it('leaves kiosk mode with the right PIN', () => {
+      const { win, store } = enterWithPin('4821')
+
+      expect(kiosk.attemptExit(store, '4821')).toEqual({ ok: true })
+      expect(kiosk.isKioskActive()).toBe(false)
+      expect(win.state).toEqual({ kiosk: false, fullScreen: false, alwaysOnTop: false })
+      expect(store.data.kioskMode).toBe(false)
+    })
+
+    it('stays in kiosk mode with a wrong PIN', () => {
+      const { store } = enterWithPin('4821')
+
+      expect(kiosk.attemptExit(store, '0000')).toEqual({ ok: false, error: 'Incorrect PIN' })
+      expect(kiosk.attemptExit(store, undefined)).toMatchObject({ ok: false })
+      expect(kiosk.isKioskActive()).toBe(true)
+    })
+
+    it('locks out after repeated wrong PINs', () => {
+      const { store } = enterWithPin('4821')
+
+      for (let i = 0; i < 4; i++) kiosk.attemptExit(store, '0000')
+      expect(kiosk.attemptExit(store, '0000').error).toMatch(/Too many attempts/)
+
+      // Even the right PIN is refused during the lockout
+      expect(kiosk.attemptExit(store, '4821')).toMatchObject({ ok: false })
+      expect(kiosk.isKioskActive()).toBe(true)
+    })
+
+    it('leaves kiosk mode when no PIN is set', () => {
+      const win = createWindow()
+      const store = createStore()
+      kiosk.enterKiosk(win as unknown as Electron.BrowserWindow, store)
+
+      expect(kiosk.attemptExit(store, '')).toEqual({ ok: true })
+      expect(kiosk.isKioskActive()).toBe(false)
+    })
+  })
+})
@@ -0,0 +1,182 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import * as fs from 'node:fs'
+import * as os from 'node:os'
+import * as path from 'node:path'
+
+vi.mock('../../src/ts/modules/utils', () => ({
+  log: vi.fn(),
+  logError: vi.fn(),
+  logInfo: vi.fn(),
+  logWarn: vi.fn(),
+}))
+
+import * as launchOptions from '../../src/ts/modules/launchOptions'
+import { CONFIG_SCHEMA_VERSION } from '../../src/ts/modules/configSchema'
+
+describe('launchOptions', () => {
+  describe('parseArgs', () => {
+    it('parses boolean and value flags', () => {
+      const { options, warnings } = launchOptions.parseArgs([
+        '.',
+        '--fullscreen',
+        '--hide-nav',
+        '--liveview',
+        'Front Door',
+        '--camera=3',
+        '--url',
+        'https://nvr.local/protect/',
+      ])
+
+      expect(options).toEqual({
+        fullscreen: true,
+        hideNav: true,
+        liveview: 'Front Door',
+        camera: '3',
+        url: 'https://nvr.local/protect/',
+      })
+      expect(warnings).toEqual([])
+    })
+
+    it('ignores unknown arguments such as Chromium switches', () => {
+      const { options } = launchOptions.parseArgs(['--no-sandbox', '--enable-logging=stderr', '--kiosk'])
+      expect(options).toEqual({ kiosk: true })
+    })
+
+    it('warns about a missing value without swallowing the next flag', () => {
+      const { options, warnings } = launchOptions.parseArgs(['--profile', '--fullscreen'])
+
+      expect(options).toEqual({ fullscreen: true })
+      expect(warnings).toEqual(['--profile requires a value'])
+    })
+
+    it('rejects non-http URLs', () => {
+      const { options, warnings } = launchOptions.parseArgs(['--url', 'file:///etc/passwd'])
+
+      expect(options.url).toBeUndefined()
+      expect(warnings).toHaveLength(1)
+    })
+
+    it('recognises -h and --help', () => {
+      expect(launchOptions.parseArgs(['-h']).options.help).toBe(true)
+      expect(launchOptions.parseArgs(['--help']).options.help).toBe(true)
+    })
+  })
+
+  describe('getLaunchState', () => {
+    beforeEach(() => {
+      launchOptions.setLaunchOptions({ fullscreen: true, hideHeader: true, liveview: 'Lobby', camera: 'Door' })
+    })
+
+    it('exposes only the renderer options', () => {
+      expect(launchOptions.getLaunchState()).toEqual({ hideHeader: true, liveview: 'Lobby', camera: 'Door' })
+    })
+
+    it('drops start-view options once consumed', () => {
+      launchOptions.consumeStartView('liveview')
+      expect(launchOptions.getLaunchState()).toEqual({ hideHeader: true, camera: 'Door' })
+      expect(launchOptions.getLaunchOptions().fullscreen).toBe(true)
+    })
+  })
+
+  describe('forwarded arguments', () => {
+    function createMockWindow() {
+      return {
+        isDestroyed: vi.fn().mockReturnValue(false),
+        isMinimized: vi.fn().mockReturnValue(true),
+        restore: vi.fn(),
+        show: vi.fn(),
+        focus: vi.fn(),
+        setFullScreen: vi.fn(),
+        webContents: { send: vi.fn() },
+      }
+    }
+
+    beforeEach(() => {
+      launchOptions.setLaunchOptions({ hideNav: true })
+    })
+
+    it('keeps only options a running instance can apply', () => {
+      const { options, warnings } = launchOptions.parseForwardedArgs([
+        '--camera',
+        'Front Door',
+        '--kiosk',
+        '--hide-nav',
+        '--url=https://nvr.local/protect/',
+      ])
+
+      expect(options).toEqual({ camera: 'Front Door', url: 'https://nvr.local/protect/' })
+      expect(warnings).toEqual([
+        '--kiosk: only applies when the app starts, ignored by the running instance',
+        '--hide-nav: only applies when the app starts, ignored by the running instance',
+      ])
+    })
+
+    it('focuses the window and asks the page to open the new start view', () => {
+      const win = createMockWindow()
+      const store = launchOptions.createSessionStore({})
+
+      launchOptions.applyForwardedArgs(win as unknown as Electron.BrowserWindow, store, ['--liveview', 'Lobby'])
+
+      expect(win.restore).toHaveBeenCalled()
+      expect(win.focus).toHaveBeenCalled()
+      expect(launchOptions.getLaunchState()).toEqual({ hideNav: true, liveview: 'Lobby' })
+      expect(win.webContents.send).toHaveBeenCalledWith('launchOptions:apply')
+    })
+
+    it('only focuses the window when launched without options', () => {
+      const win = createMockWindow()
+
+      launchOptions.applyForwardedArgs(
+        win as unknown as Electron.BrowserWindow,
+        launchOptions.createSessionStore({}),
+        [],
+      )
+
+      expect(win.focus).toHaveBeenCalled()
+      expect(win.webContents.send).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('--config files', () => {
+    let dir: string
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'upv-launch-'))
+    })
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true })
+    })
+
+    it('migrates and validates a raw config', () => {
+      const file = path.join(dir, 'config.json')
+      fs.writeFileSync(file, JSON.stringify({ url: 'https://nvr.local/', hideNav: 'true' }))
+
+      const config = launchOptions.loadConfigFile(file)
+
+      expect(config.schemaVersion).toBe(CONFIG_SCHEMA_VERSION)
+      expect((config.profiles as Array<Record<string, unknown>>)[0]).toMatchObject({
+        url: 'https://nvr.local/',
+        hideNav: true,
+      })
+    })
+
+    it('rejects files that are not JSON objects', () => {
+      const file = path.join(dir, 'config.json')
+      fs.writeFileSync(file, '[]')
+      expect(() => launchOptions.loadConfigFile(file)).toThrow()
+    })
+
+    it('keeps session store writes in memory', () => {
+      const seed = { profiles: [{ id: 'a', name: 'Office' }] }
+      const store = launchOptions.createSessionStore(seed)
+
+      store.set('hideNav', true)
+      store.set({ loginAttempts: 1 })
+      store.delete('profiles')
+
+      expect(store.store).toEqual({ hideNav: true, loginAttempts: 1 })
+      expect(seed).toEqual({ profiles: [{ id: 'a', name: 'Office' }] })
+    })
+  })
+})
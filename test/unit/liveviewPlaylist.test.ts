@@ -0,0 +1,140 @@
+import { describe, it, expect, vi, beforeAll, beforeEach, afterEach, afterAll } from 'vitest'
+import Module from 'module'
+import path from 'path'
+
+// liveviewPlaylist.ts calls require('electron') at load time and lazily
+// requires './dashboard'; both bypass vi.mock.
+const mockDashboard = {
+  isDashboardPage: vi.fn().mockReturnValue(true),
+  initializeDashboard: vi.fn().mockResolvedValue(true),
+}
+
+// eslint-disable-next-line @typescript-eslint/no-explicit-any
+const originalResolveFilename = (Module as any)._resolveFilename
+// eslint-disable-next-line @typescript-eslint/no-explicit-any
+;(Module as any)._resolveFilename = function (request: string, parent: any, isMain: boolean, options: any) {
+  if (request === 'electron') {
+    return require.resolve('../__mocks__/electron.ts')
+  }
+  if (request === './dashboard' && parent?.filename?.includes(path.join('src', 'ts', 'modules'))) {
+    return '__mock__playlist_dashboard__'
+  }
+  return originalResolveFilename.call(this, request, parent, isMain, options)
+}
+require.cache['__mock__playlist_dashboard__'] = {
+  id: '__mock__playlist_dashboard__',
+  filename: '__mock__playlist_dashboard__',
+  loaded: true,
+  exports: mockDashboard,
+} as unknown as NodeModule
+
+afterAll(() => {
+  // eslint-disable-next-line @typescript-eslint/no-explicit-any
+  ;(Module as any)._resolveFilename = originalResolveFilename
+  delete require.cache['__mock__playlist_dashboard__']
+})
+
+vi.mock('../../src/ts/modules/utils', () => ({
+  log: vi.fn(),
+  logError: vi.fn(),
+  logWarn: vi.fn(),
+}))
+
+const currentLiveview = vi.hoisted(() => ({ id: 'lv-parking' as string | null }))
+
+vi.mock('../../src/ts/modules/liveviews', () => ({
+  fetchLiveviews: vi.fn().mockResolvedValue([
+    { id: 'lv-parking', name: 'Parking' },
+    { id: 'lv-entrances', name: 'Entrances' },
+  ]),
+  findLiveview: (list: Array<{ id: string; name: string }>, nameOrId: string) =>
+    list.find((lv) => lv.id === nameOrId || lv.name.toLowerCase() === nameOrId.toLowerCase()),
+  getCurrentLiveviewId: () => currentLiveview.id,
+  openLiveview: vi.fn((id: string) => {
+    currentLiveview.id = id
+  }),
+}))
+
+import * as liveviews from '../../src/ts/modules/liveviews'
+
+// Imported after the require hook above is installed
+let liveviewPlaylist: typeof import('../../src/ts/modules/liveviewPlaylist')
+let ipcRenderer: { send: ReturnType<typeof vi.fn> }
+
+beforeAll(async () => {
+  liveviewPlaylist = await import('../../src/ts/modules/liveviewPlaylist')
+  ipcRenderer = require('electron').ipcRenderer
+})
+
+const PLAYLIST = [
+  { liveview: 'Parking', seconds: 60 },
+  { liveview: 'entrances', seconds: 30 },
+]
+
+describe('liveviewPlaylist', () => {
+  beforeEach(() => {
+    vi.useFakeTimers()
+    currentLiveview.id = 'lv-parking'
+    vi.mocked(liveviews.openLiveview).mockClear()
+    mockDashboard.initializeDashboard.mockClear()
+    mockDashboard.isDashboardPage.mockReturnValue(true)
+    ipcRenderer.send.mockClear()
+  })
+
+  afterEach(() => {
+    liveviewPlaylist.stopPlaylist()
+    vi.useRealTimers()
+  })
+
+  it('shows each liveview for its own time and re-initializes the dashboard', async () => {
+    liveviewPlaylist.startPlaylist(PLAYLIST)
+    await vi.advanceTimersByTimeAsync(0)
+
+    // Already on Parking: nothing to switch
+    expect(liveviews.openLiveview).not.toHaveBeenCalled()
+    expect(ipcRenderer.send).toHaveBeenCalledWith('update-liveview-playlist', true)
+
+    await vi.advanceTimersByTimeAsync(60000)
+    expect(liveviews.openLiveview).toHaveBeenLastCalledWith('lv-entrances')
+    expect(mockDashboard.initializeDashboard).not.toHaveBeenCalled()
+    await vi.advanceTimersByTimeAsync(1000)
+    expect(mockDashboard.initializeDashboard).toHaveBeenCalledTimes(1)
+
+    await vi.advanceTimersByTimeAsync(29000)
+    expect(liveviews.openLiveview).toHaveBeenCalledTimes(1)
+    await vi.advanceTimersByTimeAsync(1000)
+    expect(liveviews.openLiveview).toHaveBeenLastCalledWith('lv-parking')
+  })
+
+  it('skips straight to the next liveview', async () => {
+    liveviewPlaylist.startPlaylist(PLAYLIST)
+    await vi.advanceTimersByTimeAsync(0)
+
+    liveviewPlaylist.skipToNext()
+    await vi.advanceTimersByTimeAsync(0)
+    expect(liveviews.openLiveview).toHaveBeenLastCalledWith('lv-entrances')
+  })
+
+  it('pauses on user interaction and resumes after a quiet period', async () => {
+    liveviewPlaylist.startPlaylist(PLAYLIST)
+    await vi.advanceTimersByTimeAsync(0)
+
+    liveviewPlaylist.pausePlaylist()
+    await vi.advanceTimersByTimeAsync(20000)
+    expect(liveviews.openLiveview).not.toHaveBeenCalled()
+
+    await vi.advanceTimersByTimeAsync(10000)
+    expect(liveviews.openLiveview).toHaveBeenLastCalledWith('lv-entrances')
+  })
+
+  it('stops when the dashboard is left', async () => {
+    liveviewPlaylist.startPlaylist(PLAYLIST)
+    await vi.advanceTimersByTimeAsync(0)
+
+    mockDashboard.isDashboardPage.mockReturnValue(false)
+    await vi.advanceTimersByTimeAsync(60000)
+
+    expect(liveviewPlaylist.isPlaylistRunning()).toBe(false)
+    expect(ipcRenderer.send).toHaveBeenLastCalledWith('update-liveview-playlist', false)
+  })
+})
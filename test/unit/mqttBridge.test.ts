@@ -0,0 +1,247 @@
+// @vitest-environment node
+import { describe, it, expect, vi, beforeAll, afterAll, afterEach } from 'vitest'
+import Module from 'module'
+import path from 'path'
+import * as net from 'node:net'
+import type { AddressInfo } from 'node:net'
+import { Aedes } from 'aedes'
+import * as mqtt from 'mqtt'
+
+// mqttBridge.ts calls require('electron') at load time and lazily requires
+// './menu' to show the connection state; both bypass vi.mock. The bridge
+// talks to a real in-process broker and drives a mock window.
+const mockMenu = vi.hoisted(() => ({ getWindowState: vi.fn(), updateMqttState: vi.fn() }))
+
+// eslint-disable-next-line @typescript-eslint/no-explicit-any
+const originalResolveFilename = (Module as any)._resolveFilename
+// eslint-disable-next-line @typescript-eslint/no-explicit-any
+;(Module as any)._resolveFilename = function (request: string, parent: any, isMain: boolean, options: any) {
+  if (request === 'electron') {
+    return require.resolve('../__mocks__/electron.ts')
+  }
+  if (request === './menu' && parent?.filename?.includes(path.join('src', 'ts', 'modules'))) {
+    return '__mock__mqtt_menu__'
+  }
+  return originalResolveFilename.call(this, request, parent, isMain, options)
+}
+require.cache['__mock__mqtt_menu__'] = {
+  id: '__mock__mqtt_menu__',
+  filename: '__mock__mqtt_menu__',
+  loaded: true,
+  exports: mockMenu,
+} as unknown as NodeModule
+
+afterAll(() => {
+  // eslint-disable-next-line @typescript-eslint/no-explicit-any
+  ;(Module as any)._resolveFilename = originalResolveFilename
+  delete require.cache['__mock__mqtt_menu__']
+})
+
+vi.mock('../../src/ts/modules/utils', () => ({
+  log: vi.fn(),
+  logError: vi.fn(),
+  logWarn: vi.fn(),
+}))
+vi.mock('../../src/ts/modules/menu', () => mockMenu)
+vi.mock('../../src/ts/modules/kiosk', () => ({ isKioskActive: () => false }))
+
+// Imported after the require hook above is installed
+let mqttBridge: typeof import('../../src/ts/modules/mqttBridge')
+let viewerEvents: typeof import('../../src/ts/modules/viewerEvents')
+let secrets: typeof import('../../src/ts/modules/secrets')
+
+beforeAll(async () => {
+  mqttBridge = await import('../../src/ts/modules/mqttBridge')
+  viewerEvents = await import('../../src/ts/modules/viewerEvents')
+  secrets = await import('../../src/ts/modules/secrets')
+})
+
+function windowState(zoomedCameraIndex = -1) {
+  return {
+    visibility: { navHidden: true, headerHidden: false, widgetPanelExpanded: false },
+    cameraList: [
+      { index: 0, name: 'Front Door' },
+      { index: 1, name: 'Garage' },
+    ],
+    zoomedCameraIndex,
+    dashboardPage: true,
+    configPage: false,
+    liveview: { id: 'lv1', name: 'Lobby' },
+  }
+}
+
+const webContents = { send: vi.fn(), reload: vi.fn() }
+const mockWindow = {
+  isDestroyed: () => false,
+  isFullScreen: () => false,
+  setFullScreen: vi.fn(),
+  webContents,
+} as unknown as Electron.BrowserWindow
+
+function createMockStore(initial: Record<string, unknown>) {
+  const values = new Map(Object.entries(initial))
+  return { get: (key: string) => values.get(key), set: (key: string, value: unknown) => values.set(key, value) }
+}
+
+/** Resolve with the payload of the next message on `topic` */
+function nextMessage(
+  client: mqtt.MqttClient,
+  topic: string,
+  match: (payload: string) => boolean = () => true,
+): Promise<string> {
+  return new Promise((resolve) => {
+    const onMessage = (received: string, payload: Buffer) => {
+      if (received !== topic || !match(payload.toString())) return
+      client.removeListener('message', onMessage)
+      resolve(payload.toString())
+    }
+    client.on('message', onMessage)
+  })
+}
+
+describe('mqttBridge', () => {
+  describe('parseMessage', () => {
+    const base = 'upv'
+
+    it('parses commands and their payloads', () => {
+      expect(mqttBridge.parseMessage('upv/command/zoom-camera', '2', base)).toEqual({ type: 'zoom-camera', camera: 2 })
+      expect(mqttBridge.parseMessage('upv/command/zoom-camera', '{"camera":"Garage"}', base)).toEqual({
+        type: 'zoom-camera',
+        camera: 'Garage',
+      })
+      expect(mqttBridge.parseMessage('upv/command/fullscreen', 'OFF', base)).toEqual({
+        type: 'fullscreen',
+        fullscreen: false,
+      })
+      expect(mqttBridge.parseMessage('upv/command/toggle-nav', 'PRESS', base)).toEqual({
+        type: 'toggle',
+        target: 'nav',
+      })
+      expect(mqttBridge.parseMessage('upv/camera/set', 'All cameras', base)).toEqual({ type: 'show-all' })
+      expect(mqttBridge.parseMessage('upv/camera/set', 'Garage', base)).toEqual({
+        type: 'zoom-camera',
+        camera: 'Garage',
+      })
+    })
+
+    it('rejects bad commands and ignores other topics', () => {
+      expect(mqttBridge.parseMessage('upv/command/restart', '', base)).toMatch(/Unknown command/)
+      expect(mqttBridge.parseMessage('upv/command/fullscreen', 'maybe', base)).toMatch(/ON, OFF/)
+      expect(mqttBridge.parseMessage('upv/command/zoom-camera', '{oops', base)).toMatch(/JSON/)
+      expect(mqttBridge.parseMessage('upv/state', '{}', base)).toBeNull()
+    })
+  })
+
+  describe('with a broker', () => {
+    let broker: Aedes
+    let server: net.Server
+    let observer: mqtt.MqttClient | null = null
+
+    beforeAll(async () => {
+      broker = await Aedes.createBroker({
+        authenticate: (_client, username, password, done) => {
+          done(null, username === 'viewer' && password?.toString() === 'hunter2')
+        },
+      })
+      server = net.createServer(broker.handle)
+      await new Promise<void>((resolve) => server.listen(0, '127.0.0.1', resolve))
+    })
+
+    afterAll(async () => {
+      await new Promise<void>((resolve) => broker.close(() => resolve()))
+      await new Promise<void>((resolve) => server.close(() => resolve()))
+    })
+
+    afterEach(async () => {
+      await mqttBridge.stop()
+      await observer?.endAsync()
+      observer = null
+      viewerEvents._resetViewerEvents()
+      webContents.send.mockClear()
+    })
+
+    async function connect(): Promise<string> {
+      const url = `mqtt://127.0.0.1:${(server.address() as AddressInfo).port}`
+      observer = await mqtt.connectAsync(url, { username: 'viewer', password: 'hunter2' })
+      await observer.subscribeAsync(['upv/#', 'homeassistant/#'])
+      return url
+    }
+
+    it('publishes availability, state and Home Assistant discovery', async () => {
+      mockMenu.getWindowState.mockReturnValue(windowState())
+      const url = await connect()
+      const discovery = nextMessage(observer!, 'homeassistant/select/upv/camera/config')
+      const state = nextMessage(observer!, 'upv/state')
+      const online = nextMessage(observer!, 'upv/availability')
+
+      const store = createMockStore({
+        mqttEnabled: true,
+        mqttUrl: url,
+        mqttUsername: 'viewer',
+        mqttPassword: secrets.encryptSecret('hunter2'),
+        mqttBaseTopic: 'upv',
+      })
+      await mqttBridge.applySettings(mockWindow, store)
+
+      expect(await online).toBe('online')
+      expect(JSON.parse(await state)).toEqual({
+        camera: 'All cameras',
+        liveview: 'Lobby',
+        page: 'dashboard',
+        nav_hidden: true,
+        header_hidden: false,
+        fullscreen: false,
+        kiosk: false,
+        cameras: ['Front Door', 'Garage'],
+      })
+      expect(JSON.parse(await discovery)).toMatchObject({
+        unique_id: 'upv_camera',
+        command_topic: 'upv/camera/set',
+        state_topic: 'upv/state',
+        options: ['All cameras', 'Front Door', 'Garage'],
+        device: { identifiers: ['upv'], sw_version: '2.0.0-test' },
+      })
+      expect(mqttBridge.getConnectionState()).toBe('connected')
+
+      const offline = nextMessage(observer!, 'upv/availability')
+      await mqttBridge.stop()
+      expect(await offline).toBe('offline')
+    })
+
+    it('runs commands and publishes the state they lead to', async () => {
+      mockMenu.getWindowState.mockReturnValue(windowState())
+      const url = await connect()
+      viewerEvents.initialize(mockWindow)
+      const firstState = nextMessage(observer!, 'upv/state')
+      await mqttBridge.applySettings(
+        mockWindow,
+        createMockStore({
+          mqttEnabled: true,
+          mqttUrl: url,
+          mqttUsername: 'viewer',
+          mqttPassword: secrets.encryptSecret('hunter2'),
+          mqttBaseTopic: 'upv',
+        }),
+      )
+      await firstState
+
+      const zoomed = new Promise<void>((resolve) => webContents.send.mockImplementationOnce(() => resolve()))
+      await observer!.publishAsync('upv/camera/set', 'Garage')
+      await zoomed
+      expect(webContents.send).toHaveBeenCalledWith('zoom-camera', 1)
+
+      // The renderer reports the zoom back, as ipc.ts would. Skip the earlier
+      // states still arriving (the retained one from the last test, the first one)
+      const nextState = nextMessage(observer!, 'upv/state', (payload) => JSON.parse(payload).camera !== 'All cameras')
+      mockMenu.getWindowState.mockReturnValue(windowState(1))
+      viewerEvents.publish(mockWindow, 'camera-zoom')
+      expect(JSON.parse(await nextState)).toMatchObject({ camera: 'Garage' })
+    })
+
+    it('stays off without a broker URL', async () => {
+      await mqttBridge.applySettings(mockWindow, createMockStore({ mqttEnabled: true }))
+
+      expect(mqttBridge.getConnectionState()).toBe('disabled')
+    })
+  })
+})
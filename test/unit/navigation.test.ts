@@ -20,6 +20,10 @@ const mockUi = {
   handleLiveView: vi.fn(),
 }
 
+const mockLiveviews = {
+  reportCurrentLiveview: vi.fn().mockResolvedValue(undefined),
+}
+
 const srcModulesDir = path.resolve(__dirname, '../../src/ts/modules')
 
 // eslint-disable-next-line @typescript-eslint/no-explicit-any
@@ -42,6 +46,11 @@ const originalResolveFilename = (Module as any)._resolveFilename
     return '__mock__ui__'
   }
 
+  // Intercept lazy require('./liveviews') from navigation.ts
+  if (request === './liveviews' && parent?.filename?.includes(path.join('src', 'ts', 'modules'))) {
+    return '__mock__liveviews__'
+  }
+
   // Intercept lazy require('./buttons') from dashboard.ts
   if (request === './buttons' && parent?.filename?.includes(path.join('src', 'ts', 'modules'))) {
     return '__mock__buttons__'
@@ -77,6 +86,14 @@ require.cache['__mock__ui__'] = {
   exports: mockUi,
 } as unknown as NodeModule
 
+// eslint-disable-next-line @typescript-eslint/no-require-imports
+require.cache['__mock__liveviews__'] = {
+  id: '__mock__liveviews__',
+  filename: '__mock__liveviews__',
+  loaded: true,
+  exports: mockLiveviews,
+} as unknown as NodeModule
+
 // eslint-disable-next-line @typescript-eslint/no-require-imports
 require.cache['__mock__buttons__'] = {
   id: '__mock__buttons__',
@@ -175,6 +192,7 @@ describe('navigation', () => {
     vi.mocked(mockUiController.handleUrlChange).mockClear()
     vi.mocked(mockUi.initializeDashboardPage).mockClear()
     vi.mocked(mockUi.handleLiveView).mockClear()
+    vi.mocked(mockLiveviews.reportCurrentLiveview).mockClear()
   })
 
   afterEach(() => {
@@ -349,6 +367,30 @@ describe('navigation', () => {
       vi.mocked(dashboard.isDashboardPage).mockReturnValue(false)
     })
 
+    it('reports liveviews when navigating to a protect page other than the dashboard', async () => {
+      const dashboard = await import('../../src/ts/modules/dashboard')
+      vi.mocked(dashboard.isDashboardPage).mockReturnValue(false)
+
+      setLocation('https://protect.local/protect/dashboard')
+      const cleanup = navigation.setupNavigationMonitor()
+
+      setLocation('https://protect.local/protect/devices')
+      window.dispatchEvent(new Event('popstate'))
+      await vi.advanceTimersByTimeAsync(0)
+
+      expect(mockLiveviews.reportCurrentLiveview).toHaveBeenCalled()
+
+      // Not for pages outside Protect
+      mockLiveviews.reportCurrentLiveview.mockClear()
+      setLocation('https://protect.local/settings')
+      window.dispatchEvent(new Event('popstate'))
+      await vi.advanceTimersByTimeAsync(0)
+
+      expect(mockLiveviews.reportCurrentLiveview).not.toHaveBeenCalled()
+
+      cleanup()
+    })
+
     it('does not call uiController.handleUrlChange for non-protect pages', async () => {
       setLocation('https://protect.local/protect/devices')
       const cleanup = navigation.setupNavigationMonitor()
@@ -0,0 +1,197 @@
+import { describe, it, expect, vi, beforeAll, beforeEach, afterAll } from 'vitest'
+import Module from 'module'
+import path from 'path'
+
+// popout-main.ts calls require('electron') at load time and lazily requires
+// './menu' to refresh the Cameras menu; both bypass vi.mock.
+const mockMenu = { updatePopoutState: vi.fn() }
+
+// eslint-disable-next-line @typescript-eslint/no-explicit-any
+const originalResolveFilename = (Module as any)._resolveFilename
+// eslint-disable-next-line @typescript-eslint/no-explicit-any
+;(Module as any)._resolveFilename = function (request: string, parent: any, isMain: boolean, options: any) {
+  if (request === 'electron') {
+    return require.resolve('../__mocks__/electron.ts')
+  }
+  if (parent?.filename?.includes(path.join('src', 'ts', 'modules')) && request === './menu') {
+    return '__mock__popout_menu__'
+  }
+  return originalResolveFilename.call(this, request, parent, isMain, options)
+}
+
+require.cache['__mock__popout_menu__'] = {
+  id: '__mock__popout_menu__',
+  filename: '__mock__popout_menu__',
+  loaded: true,
+  exports: mockMenu,
+} as unknown as NodeModule
+
+afterAll(() => {
+  // eslint-disable-next-line @typescript-eslint/no-explicit-any
+  ;(Module as any)._resolveFilename = originalResolveFilename
+  delete require.cache['__mock__popout_menu__']
+})
+
+vi.mock('../../src/ts/modules/utils', () => ({
+  log: vi.fn(),
+  logError: vi.fn(),
+  logWarn: vi.fn(),
+}))
+
+vi.mock('../../src/ts/modules/window', () => ({
+  POPOUT_WIDTH: 480,
+  POPOUT_HEIGHT: 270,
+  createPopoutWindow: vi.fn(),
+}))
+
+import * as windowManager from '../../src/ts/modules/window'
+
+// Imported after the require hook above is installed
+let popout: typeof import('../../src/ts/modules/popout-main')
+let electron: { screen: Record<string, ReturnType<typeof vi.fn>> }
+
+beforeAll(async () => {
+  popout = await import('../../src/ts/modules/popout-main')
+  electron = require('electron')
+})
+
+const display = { id: 1, size: { width: 1920, height: 1080 }, workArea: { x: 0, y: 0, width: 1920, height: 1040 } }
+
+function createStore(initial: Record<string, unknown> = {}) {
+  const data: Record<string, unknown> = { ...initial }
+  return {
+    store: data,
+    get: (key: string) => data[key],
+    set: vi.fn((key: string, value: unknown) => {
+      data[key] = value
+    }),
+  }
+}
+
+function createMockWindow(url = 'https://nvr.local/protect/dashboard/2') {
+  const handlers: Record<string, Function[]> = {}
+  return {
+    on: vi.fn((event: string, handler: Function) => {
+      ;(handlers[event] ||= []).push(handler)
+    }),
+    isDestroyed: vi.fn().mockReturnValue(false),
+    getBounds: vi.fn().mockReturnValue({ x: 100, y: 200, width: 400, height: 225 }),
+    setTitle: vi.fn(),
+    loadURL: vi.fn(),
+    showInactive: vi.fn(),
+    close: vi.fn(),
+    webContents: { getURL: vi.fn().mockReturnValue(url), send: vi.fn() },
+    trigger(event: string, ...args: unknown[]) {
+      for (const handler of handlers[event] || []) handler(...args)
+    },
+  }
+}
+
+const frontDoor = { index: 0, name: 'Front Door' }
+const yard = { index: 3, name: 'Yard' }
+
+describe('popout-main', () => {
+  beforeEach(() => {
+    popout._resetPopout()
+    vi.mocked(windowManager.createPopoutWindow).mockReset()
+    mockMenu.updatePopoutState.mockClear()
+    electron.screen.getAllDisplays.mockReturnValue([display])
+    electron.screen.getPrimaryDisplay.mockReturnValue(display)
+  })
+
+  it('opens the page of the source window in the bottom right corner', () => {
+    const win = createMockWindow()
+    vi.mocked(windowManager.createPopoutWindow).mockReturnValue(win as unknown as Electron.BrowserWindow)
+    const source = createMockWindow()
+    const store = createStore()
+
+    popout.openPopout(store, source as unknown as Electron.BrowserWindow, frontDoor)
+
+    expect(windowManager.createPopoutWindow).toHaveBeenCalledWith(store, { x: 1416, y: 746, width: 480, height: 270 })
+    expect(win.loadURL).toHaveBeenCalledWith('https://nvr.local/protect/dashboard/2')
+    expect(win.setTitle).toHaveBeenCalledWith('Front Door — UniFi Protect Viewer')
+    expect(popout.getPopoutCamera()).toEqual(frontDoor)
+    expect(popout.isPopoutWindow(win as unknown as Electron.BrowserWindow)).toBe(true)
+    expect(popout.isPopoutWindow(source as unknown as Electron.BrowserWindow)).toBe(false)
+    expect(mockMenu.updatePopoutState).toHaveBeenCalled()
+  })
+
+  it('reopens where it was closed', () => {
+    const win = createMockWindow()
+    vi.mocked(windowManager.createPopoutWindow).mockReturnValue(win as unknown as Electron.BrowserWindow)
+    const store = createStore()
+
+    popout.openPopout(store, createMockWindow() as unknown as Electron.BrowserWindow, frontDoor)
+    win.trigger('close')
+    win.trigger('closed')
+    popout.openPopout(store, createMockWindow() as unknown as Electron.BrowserWindow, frontDoor)
+
+    expect(store.set).toHaveBeenCalledWith('popoutBounds', { x: 100, y: 200, width: 400, height: 225 })
+    expect(windowManager.createPopoutWindow).toHaveBeenLastCalledWith(store, {
+      x: 100,
+      y: 200,
+      width: 400,
+      height: 225,
+    })
+  })
+
+  it('switches an open pop-out instead of opening another', () => {
+    const win = createMockWindow()
+    vi.mocked(windowManager.createPopoutWindow).mockReturnValue(win as unknown as Electron.BrowserWindow)
+    const store = createStore()
+
+    popout.openPopout(store, createMockWindow() as unknown as Electron.BrowserWindow, frontDoor)
+    popout.openPopout(store, createMockWindow() as unknown as Electron.BrowserWindow, yard)
+    popout.openPopout(
+      store,
+      createMockWindow('https://nvr.local/protect/dashboard/5') as unknown as Electron.BrowserWindow,
+      frontDoor,
+    )
+
+    expect(windowManager.createPopoutWindow).toHaveBeenCalledTimes(1)
+    // Same page: the renderer zooms the other camera
+    expect(win.webContents.send).toHaveBeenCalledWith('popout:camera', yard)
+    // Another liveview: loaded, and the camera is zoomed once it's up
+    expect(win.loadURL).toHaveBeenLastCalledWith('https://nvr.local/protect/dashboard/5')
+    expect(popout.getPopoutCamera()).toEqual(frontDoor)
+  })
+
+  it('ignores pages that are not of the console', () => {
+    popout.openPopout(
+      createStore(),
+      createMockWindow('file:///app/html/config.html') as unknown as Electron.BrowserWindow,
+      frontDoor,
+    )
+
+    expect(windowManager.createPopoutWindow).not.toHaveBeenCalled()
+  })
+
+  it('follows camera switches from its own controls and forgets itself when closed', () => {
+    const win = createMockWindow()
+    vi.mocked(windowManager.createPopoutWindow).mockReturnValue(win as unknown as Electron.BrowserWindow)
+    popout.openPopout(createStore(), createMockWindow() as unknown as Electron.BrowserWindow, frontDoor)
+
+    popout.updatePopoutCamera(createMockWindow() as unknown as Electron.BrowserWindow, { index: 9, name: 'Other' })
+    popout.updatePopoutCamera(win as unknown as Electron.BrowserWindow, yard)
+    expect(popout.getPopoutCamera()).toEqual(yard)
+
+    popout.closePopout()
+    expect(win.close).toHaveBeenCalled()
+    win.trigger('closed')
+    expect(popout.getPopoutCamera()).toBeNull()
+  })
+
+  it('always hides navigation and header in the pop-out', () => {
+    const win = createMockWindow()
+    vi.mocked(windowManager.createPopoutWindow).mockReturnValue(win as unknown as Electron.BrowserWindow)
+    popout.openPopout(createStore(), createMockWindow() as unknown as Electron.BrowserWindow, frontDoor)
+    const config = { url: 'https://nvr.local', hideNav: false }
+
+    expect(popout.resolveWindowConfig(win as unknown as Electron.BrowserWindow, config)).toEqual({
+      url: 'https://nvr.local',
+      hideNav: true,
+      hideHeader: true,
+    })
+    expect(popout.resolveWindowConfig(null, config)).toBe(config)
+  })
+})
@@ -0,0 +1,288 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+
+vi.mock('../../src/ts/modules/utils', () => ({
+  log: vi.fn(),
+  logError: vi.fn(),
+  logInfo: vi.fn(),
+  logWarn: vi.fn(),
+}))
+
+import * as profiles from '../../src/ts/modules/profiles'
+
+/** Minimal in-memory stand-in for electron-store */
+function createMockStore(initial: Record<string, unknown> = {}) {
+  const data: Record<string, unknown> = structuredClone(initial)
+  return {
+    get store() {
+      return data
+    },
+    get: vi.fn((key: string) => data[key]),
+    set: vi.fn((key: unknown, value?: unknown) => {
+      if (typeof key === 'string') data[key] = value
+      else Object.assign(data, key)
+    }),
+    delete: vi.fn((key: string) => {
+      delete data[key]
+    }),
+  }
+}
+
+describe('profiles', () => {
+  let store: ReturnType<typeof createMockStore>
+
+  beforeEach(() => {
+    store = createMockStore()
+    profiles._resetSessionOverrides()
+  })
+
+  describe('ensureProfiles', () => {
+    it('moves legacy top-level settings into a Default profile', () => {
+      store = createMockStore({
+        url: 'https://nvr.local/protect/',
+        username: 'admin',
+        password: 'secret',
+        hideNav: true,
+        loginAttempts: 2,
+      })
+
+      profiles.ensureProfiles(store)
+
+      const [profile] = profiles.listProfiles(store)
+      expect(profile).toMatchObject({
+        name: 'Default',
+        url: 'https://nvr.local/protect/',
+        username: 'admin',
+        password: 'secret',
+        hideNav: true,
+      })
+      expect(store.store.activeProfileId).toBe(profile!.id)
+      expect(store.store.url).toBeUndefined()
+      expect(store.store.loginAttempts).toBe(2)
+    })
+
+    it('is a no-op once profiles exist', () => {
+      store = createMockStore({ profiles: [{ id: 'a', name: 'Office' }], activeProfileId: 'a' })
+
+      profiles.ensureProfiles(store)
+
+      expect(store.set).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('getActiveProfile', () => {
+    it('falls back to legacy keys when no profiles are stored', () => {
+      store = createMockStore({ url: 'https://legacy.local/' })
+      expect(profiles.getActiveProfile(store).url).toBe('https://legacy.local/')
+    })
+
+    it('falls back to the first profile when the active ID is stale', () => {
+      store = createMockStore({
+        profiles: [
+          { id: 'a', name: 'Office' },
+          { id: 'b', name: 'Warehouse' },
+        ],
+        activeProfileId: 'missing',
+      })
+      expect(profiles.getActiveProfile(store).id).toBe('a')
+    })
+  })
+
+  describe('session overrides', () => {
+    beforeEach(() => {
+      store = createMockStore({
+        profiles: [
+          { id: 'a', name: 'Office', url: 'https://office/' },
+          { id: 'b', name: 'Warehouse', url: 'https://warehouse/' },
+        ],
+        activeProfileId: 'a',
+      })
+    })
+
+    it('selects a profile by name for the session without storing it', () => {
+      expect(profiles.setSessionProfile(store, 'warehouse')?.id).toBe('b')
+
+      expect(profiles.getActiveProfile(store).id).toBe('b')
+      expect(store.store.activeProfileId).toBe('a')
+    })
+
+    it('returns null for an unknown profile', () => {
+      expect(profiles.setSessionProfile(store, 'Garage')).toBeNull()
+      expect(profiles.getActiveProfile(store).id).toBe('a')
+    })
+
+    it('overrides the URL without writing it to the profile', () => {
+      profiles.setSessionUrl('https://override/')
+      profiles.updateActiveProfile(store, { hideNav: true })
+
+      expect(profiles.getActiveProfile(store).url).toBe('https://override/')
+      expect(profiles.listProfiles(store)[0]).toEqual({
+        id: 'a',
+        name: 'Office',
+        url: 'https://office/',
+        hideNav: true,
+      })
+    })
+
+    it('is cleared by an explicit profile switch', () => {
+      profiles.setSessionProfile(store, 'b')
+      profiles.setSessionUrl('https://override/')
+
+      profiles.setActiveProfile(store, 'a')
+
+      expect(profiles.getActiveProfile(store)).toMatchObject({ id: 'a', url: 'https://office/' })
+    })
+  })
+
+  describe('resolveConfig', () => {
+    it('flattens the active profile onto global settings without the profile list', () => {
+      store = createMockStore({
+        profiles: [
+          { id: 'a', name: 'Office', url: 'https://office/' },
+          { id: 'b', name: 'Warehouse', url: 'https://warehouse/', hideHeader: true },
+        ],
+        activeProfileId: 'b',
+        loginAttempts: 1,
+      })
+
+      const config = profiles.resolveConfig(store)
+
+      expect(config).toEqual({
+        url: 'https://warehouse/',
+        hideHeader: true,
+        activeProfileId: 'b',
+        loginAttempts: 1,
+      })
+    })
+
+    it('never exposes the kiosk PIN hash', () => {
+      store = createMockStore({
+        profiles: [{ id: 'a', name: 'Office' }],
+        activeProfileId: 'a',
+        kioskPinHash: 'scrypt$x$y',
+      })
+
+      expect(profiles.resolveConfig(store)).not.toHaveProperty('kioskPinHash')
+    })
+
+    it('never exposes the HTTP API token', () => {
+      store = createMockStore({
+        profiles: [{ id: 'a', name: 'Office' }],
+        activeProfileId: 'a',
+        httpApiToken: 'secret',
+      })
+
+      expect(profiles.resolveConfig(store)).not.toHaveProperty('httpApiToken')
+    })
+  })
+
+  describe('saveConfig', () => {
+    it('routes profile keys to the active profile and others to the top level', () => {
+      store = createMockStore({ profiles: [{ id: 'a', name: 'Office' }], activeProfileId: 'a' })
+
+      profiles.saveConfig(store, { hideNav: true, name: 'Front Office', loginAttempts: 3 })
+
+      expect(profiles.getActiveProfile(store)).toMatchObject({ id: 'a', name: 'Front Office', hideNav: true })
+      expect(store.store.loginAttempts).toBe(3)
+      expect(store.store.hideNav).toBeUndefined()
+    })
+
+    it('drops values that fail schema validation', () => {
+      store = createMockStore({ profiles: [{ id: 'a', name: 'Office' }], activeProfileId: 'a' })
+
+      profiles.saveConfig(store, { url: 'javascript:alert(1)', hideHeader: 'true', loginAttempts: -1 })
+
+      const active = profiles.getActiveProfile(store)
+      expect(active).not.toHaveProperty('url')
+      expect(active.hideHeader).toBe(true)
+      expect(store.store).not.toHaveProperty('loginAttempts')
+    })
+
+    it('ignores attempts to overwrite the profile list', () => {
+      store = createMockStore({ profiles: [{ id: 'a', name: 'Office' }], activeProfileId: 'a' })
+
+      profiles.saveConfig(store, { profiles: [], activeProfileId: 'zzz' })
+
+      expect(profiles.listProfiles(store)).toHaveLength(1)
+      expect(store.store.activeProfileId).toBe('a')
+    })
+
+    it('ignores attempts to change kiosk settings', () => {
+      store = createMockStore({ profiles: [{ id: 'a', name: 'Office' }], activeProfileId: 'a', kioskMode: true })
+
+      profiles.saveConfig(store, { kioskMode: false, kioskPinHash: 'scrypt$x$y' })
+
+      expect(store.store.kioskMode).toBe(true)
+      expect(store.store).not.toHaveProperty('kioskPinHash')
+    })
+
+    it('ignores attempts to turn on the HTTP API', () => {
+      store = createMockStore({ profiles: [{ id: 'a', name: 'Office' }], activeProfileId: 'a' })
+
+      profiles.saveConfig(store, { httpApiEnabled: true, httpApiHost: '0.0.0.0', httpApiToken: 'x' })
+
+      expect(store.store).not.toHaveProperty('httpApiEnabled')
+      expect(store.store).not.toHaveProperty('httpApiHost')
+      expect(store.store).not.toHaveProperty('httpApiToken')
+    })
+
+    it('ignores attempts to point the MQTT bridge at another broker', () => {
+      store = createMockStore({ profiles: [{ id: 'a', name: 'Office' }], activeProfileId: 'a' })
+
+      profiles.saveConfig(store, { mqttEnabled: true, mqttUrl: 'mqtt://evil.example', mqttPassword: 'x' })
+
+      expect(store.store).not.toHaveProperty('mqttEnabled')
+      expect(store.store).not.toHaveProperty('mqttUrl')
+      expect(store.store).not.toHaveProperty('mqttPassword')
+    })
+  })
+
+  describe('create, select and delete', () => {
+    it('creates uniquely named profiles', () => {
+      profiles.ensureProfiles(store)
+      const first = profiles.createProfile(store)
+      const second = profiles.createProfile(store)
+
+      expect(first.name).toBe('New Profile')
+      expect(second.name).toBe('New Profile 2')
+      expect(profiles.listProfiles(store)).toHaveLength(3)
+    })
+
+    it('switches the active profile', () => {
+      const created = profiles.createProfile(store, 'Warehouse')
+
+      expect(profiles.setActiveProfile(store, created.id)?.name).toBe('Warehouse')
+      expect(profiles.getActiveProfile(store).id).toBe(created.id)
+      expect(profiles.setActiveProfile(store, 'unknown')).toBeNull()
+    })
+
+    it('refuses to delete the last profile', () => {
+      profiles.ensureProfiles(store)
+      const [only] = profiles.listProfiles(store)
+
+      expect(profiles.deleteProfile(store, only!.id)).toBe(false)
+      expect(profiles.listProfiles(store)).toHaveLength(1)
+    })
+
+    it('activates the first remaining profile when the active one is deleted', () => {
+      profiles.ensureProfiles(store)
+      const [original] = profiles.listProfiles(store)
+      const created = profiles.createProfile(store, 'Warehouse')
+      profiles.setActiveProfile(store, created.id)
+
+      expect(profiles.deleteProfile(store, created.id)).toBe(true)
+      expect(profiles.getActiveProfile(store).id).toBe(original!.id)
+    })
+
+    it('lists summaries without credentials', () => {
+      store = createMockStore({
+        profiles: [{ id: 'a', name: 'Office', url: 'https://office/', password: 'secret' }],
+        activeProfileId: 'a',
+      })
+
+      expect(profiles.getProfileList(store)).toEqual({
+        profiles: [{ id: 'a', name: 'Office', url: 'https://office/' }],
+        activeProfileId: 'a',
+      })
+    })
+  })
+})
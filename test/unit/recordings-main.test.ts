@@ -0,0 +1,115 @@
+// @vitest-environment node
+import { describe, it, expect, vi, beforeAll, beforeEach, afterEach, afterAll } from 'vitest'
+import Module from 'module'
+import { EventEmitter } from 'node:events'
+import * as fs from 'node:fs'
+import * as os from 'node:os'
+import * as path from 'node:path'
+
+// recordings-main.ts calls require('electron') at load time, which bypasses vi.mock.
+const originalResolveFilename = (Module as any)._resolveFilename
+;(Module as any)._resolveFilename = function (request: string, parent: any, isMain: boolean, options: any) {
+  if (request === 'electron') {
+    return require.resolve('../__mocks__/electron.ts')
+  }
+  return originalResolveFilename.call(this, request, parent, isMain, options)
+}
+
+afterAll(() => {
+  ;(Module as any)._resolveFilename = originalResolveFilename
+})
+
+vi.mock('../../src/ts/modules/utils', () => ({
+  log: vi.fn(),
+  logError: vi.fn(),
+}))
+
+// Imported after the require hook above is installed
+let recordings: typeof import('../../src/ts/modules/recordings-main')
+
+beforeAll(async () => {
+  recordings = await import('../../src/ts/modules/recordings-main')
+})
+
+function createStore(values: Record<string, unknown>) {
+  return { get: (key: string) => values[key], set: vi.fn() }
+}
+
+function createWebContents() {
+  const webContents = new EventEmitter() as EventEmitter & { destroyed: boolean; isDestroyed: () => boolean }
+  webContents.destroyed = false
+  webContents.isDestroyed = () => webContents.destroyed
+  return webContents as unknown as Electron.WebContents & { destroyed: boolean }
+}
+
+describe('recordings-main', () => {
+  describe('getSettings', () => {
+    it('defaults to five minutes in the videos folder', () => {
+      expect(recordings.getSettings(createStore({}))).toEqual({
+        folder: path.join('/mock/videos', 'UniFi Protect Viewer'),
+        maxMinutes: 5,
+      })
+    })
+
+    it('ignores a maximum that is not one of the choices', () => {
+      expect(recordings.getSettings(createStore({ recordingMaxMinutes: 7 })).maxMinutes).toBe(5)
+      expect(recordings.getSettings(createStore({ recordingMaxMinutes: 30 })).maxMinutes).toBe(30)
+    })
+  })
+
+  describe('recording a clip', () => {
+    let folder: string
+
+    beforeEach(() => {
+      folder = fs.mkdtempSync(path.join(os.tmpdir(), 'upv-recordings-'))
+      vi.useFakeTimers({ toFake: ['Date'] })
+      vi.setSystemTime(new Date(2026, 9, 19, 14, 3, 7))
+    })
+
+    afterEach(() => {
+      vi.useRealTimers()
+      fs.rmSync(folder, { recursive: true, force: true })
+    })
+
+    it('appends the chunks in order and closes the file when stopped', async () => {
+      const webContents = createWebContents()
+      const store = createStore({ recordingFolder: path.join(folder, 'clips'), recordingMaxMinutes: 2 })
+
+      const started = await recordings.startRecording(webContents, store, 'Front Door')
+      recordings.writeChunk(webContents, started.id, new Uint8Array([1, 2]))
+      recordings.writeChunk(webContents, started.id, new Uint8Array([3]))
+      const stopped = await recordings.stopRecording(webContents, started.id)
+
+      const clip = path.join(folder, 'clips', 'Front Door 2026-10-19 14-03-07.webm')
+      expect(started).toMatchObject({ ok: true, path: clip, maxMs: 2 * 60 * 1000 })
+      expect(stopped).toEqual({ ok: true, path: clip })
+      expect([...fs.readFileSync(clip)]).toEqual([1, 2, 3])
+      expect(webContents.listenerCount('destroyed')).toBe(0)
+    })
+
+    it('ignores chunks for recordings of other pages', async () => {
+      const webContents = createWebContents()
+      const other = createWebContents()
+      const started = await recordings.startRecording(webContents, createStore({ recordingFolder: folder }), 'Yard')
+
+      recordings.writeChunk(other, started.id, new Uint8Array([9]))
+      recordings.writeChunk(webContents, started.id, 'not a chunk')
+
+      expect(await recordings.stopRecording(other, started.id)).toMatchObject({ ok: false })
+      await recordings.stopRecording(webContents, started.id)
+      expect(fs.readFileSync(started.path!).length).toBe(0)
+    })
+
+    it('finishes the recordings of a page that goes away', async () => {
+      const webContents = createWebContents()
+      const store = createStore({ recordingFolder: folder })
+      const first = await recordings.startRecording(webContents, store, 'Yard')
+      const second = await recordings.startRecording(webContents, store, 'Yard')
+
+      expect(second.path).toBe(path.join(folder, 'Yard 2026-10-19 14-03-07 (2).webm'))
+      expect(await recordings.stopAllRecordings(webContents)).toBe(true)
+      expect(await recordings.stopRecording(webContents, first.id)).toMatchObject({ ok: false })
+      expect(await recordings.stopAllRecordings(webContents)).toBe(false)
+    })
+  })
+})
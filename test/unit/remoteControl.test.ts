@@ -0,0 +1,171 @@
+import { describe, it, expect, vi, beforeAll, beforeEach, afterAll } from 'vitest'
+import Module from 'module'
+
+// remoteControl.ts calls require('electron') at load time, which bypasses vi.mock.
+// eslint-disable-next-line @typescript-eslint/no-explicit-any
+const originalResolveFilename = (Module as any)._resolveFilename
+// eslint-disable-next-line @typescript-eslint/no-explicit-any
+;(Module as any)._resolveFilename = function (request: string, parent: any, isMain: boolean, options: any) {
+  if (request === 'electron') {
+    return require.resolve('../__mocks__/electron.ts')
+  }
+  return originalResolveFilename.call(this, request, parent, isMain, options)
+}
+
+afterAll(() => {
+  // eslint-disable-next-line @typescript-eslint/no-explicit-any
+  ;(Module as any)._resolveFilename = originalResolveFilename
+})
+
+vi.mock('../../src/ts/modules/utils', () => ({
+  log: vi.fn(),
+  logError: vi.fn(),
+}))
+
+vi.mock('../../src/ts/modules/menu', () => ({ getWindowState: vi.fn() }))
+vi.mock('../../src/ts/modules/kiosk', () => ({ isKioskActive: vi.fn().mockReturnValue(false) }))
+
+import * as menu from '../../src/ts/modules/menu'
+import * as kiosk from '../../src/ts/modules/kiosk'
+
+// Imported after the require hook above is installed
+let remoteControl: typeof import('../../src/ts/modules/remoteControl')
+
+beforeAll(async () => {
+  remoteControl = await import('../../src/ts/modules/remoteControl')
+})
+
+function createMockWindow() {
+  let fullscreen = false
+  return {
+    isDestroyed: () => false,
+    isFullScreen: () => fullscreen,
+    setFullScreen: vi.fn((value: boolean) => (fullscreen = value)),
+    webContents: { send: vi.fn(), reload: vi.fn() },
+  }
+}
+
+function windowState(overrides: Record<string, unknown> = {}) {
+  return {
+    visibility: { navHidden: true, headerHidden: false, widgetPanelExpanded: false },
+    fullscreen: false,
+    cameraList: [
+      { index: 3, name: 'Front Door' },
+      { index: 0, name: 'Garage' },
+    ],
+    zoomedCameraIndex: 0,
+    cameraZoomSupported: true,
+    configPage: false,
+    dashboardPage: true,
+    liveview: { id: 'lv1', name: 'Lobby' },
+    ...overrides,
+  }
+}
+
+describe('remoteControl', () => {
+  beforeEach(() => {
+    vi.mocked(menu.getWindowState).mockReturnValue(windowState())
+    vi.mocked(kiosk.isKioskActive).mockReturnValue(false)
+  })
+
+  describe('parseCommand', () => {
+    it('parses commands and their arguments', () => {
+      expect(remoteControl.parseCommand('zoom-camera', { camera: 2 })).toEqual({ type: 'zoom-camera', camera: 2 })
+      expect(remoteControl.parseCommand('zoom-camera', { camera: ' Garage ' })).toEqual({
+        type: 'zoom-camera',
+        camera: 'Garage',
+      })
+      expect(remoteControl.parseCommand('toggle-widget-panel')).toEqual({ type: 'toggle', target: 'widget-panel' })
+      expect(remoteControl.parseCommand('fullscreen', { fullscreen: false })).toEqual({
+        type: 'fullscreen',
+        fullscreen: false,
+      })
+      expect(remoteControl.parseCommand('restart')).toEqual({ type: 'restart' })
+    })
+
+    it('returns an error message for bad commands', () => {
+      expect(remoteControl.parseCommand('zoom-camera', { camera: 0 })).toMatch(/camera/)
+      expect(remoteControl.parseCommand('fullscreen', { fullscreen: 'yes' })).toMatch(/true or false/)
+      expect(remoteControl.parseCommand('format-disk')).toMatch(/Unknown command/)
+    })
+  })
+
+  describe('getStatus', () => {
+    it('reports UI state, page and cameras in on-screen order', () => {
+      const status = remoteControl.getStatus(createMockWindow() as unknown as Electron.BrowserWindow)
+
+      expect(status).toEqual({
+        ui: { navHidden: true, headerHidden: false, isFullscreen: false, widgetPanelExpanded: false },
+        page: 'dashboard',
+        liveview: { id: 'lv1', name: 'Lobby' },
+        cameras: [
+          { position: 1, index: 3, name: 'Front Door' },
+          { position: 2, index: 0, name: 'Garage' },
+        ],
+        zoomedCamera: { position: 2, index: 0, name: 'Garage' },
+        kiosk: false,
+      })
+    })
+  })
+
+  describe('runCommand', () => {
+    it('zooms cameras by position or name', () => {
+      const win = createMockWindow()
+
+      expect(remoteControl.runCommand(win as never, { type: 'zoom-camera', camera: 1 })).toEqual({ ok: true })
+      expect(remoteControl.runCommand(win as never, { type: 'zoom-camera', camera: 'garage' })).toEqual({ ok: true })
+
+      expect(win.webContents.send.mock.calls).toEqual([
+        ['zoom-camera', 3],
+        ['zoom-camera', 0],
+      ])
+    })
+
+    it('reports unknown cameras and pages without cameras', () => {
+      const win = createMockWindow()
+
+      expect(remoteControl.runCommand(win as never, { type: 'zoom-camera', camera: 'Attic' })).toMatchObject({
+        ok: false,
+        reason: 'not-found',
+      })
+
+      vi.mocked(menu.getWindowState).mockReturnValue(windowState({ cameraList: [] }))
+      expect(remoteControl.runCommand(win as never, { type: 'zoom-camera', camera: 1 })).toMatchObject({
+        ok: false,
+        reason: 'unavailable',
+      })
+    })
+
+    it('sends toggles and navigation to the page', () => {
+      const win = createMockWindow()
+
+      remoteControl.runCommand(win as never, { type: 'toggle', target: 'header' })
+      remoteControl.runCommand(win as never, { type: 'show-all' })
+      remoteControl.runCommand(win as never, { type: 'dashboard' })
+      remoteControl.runCommand(win as never, { type: 'reload' })
+
+      expect(win.webContents.send.mock.calls).toEqual([
+        ['toggle-header-only'],
+        ['zoom-camera', -1],
+        ['return-to-dashboard'],
+      ])
+      expect(win.webContents.reload).toHaveBeenCalled()
+    })
+
+    it('toggles or sets fullscreen, but not in kiosk mode', () => {
+      const win = createMockWindow()
+
+      remoteControl.runCommand(win as never, { type: 'fullscreen' })
+      expect(win.isFullScreen()).toBe(true)
+      remoteControl.runCommand(win as never, { type: 'fullscreen', fullscreen: true })
+      expect(win.isFullScreen()).toBe(true)
+
+      vi.mocked(kiosk.isKioskActive).mockReturnValue(true)
+      expect(remoteControl.runCommand(win as never, { type: 'fullscreen', fullscreen: false })).toMatchObject({
+        ok: false,
+        reason: 'unavailable',
+      })
+      expect(win.isFullScreen()).toBe(true)
+    })
+  })
+})
@@ -0,0 +1,139 @@
+import { describe, it, expect, vi, beforeEach, afterAll } from 'vitest'
+import Module from 'module'
+
+// secrets.ts lazily calls require('electron'), which bypasses vi.mock.
+// Redirect it to the shared mock so we can drive safeStorage from tests.
+const originalResolveFilename = (Module as any)._resolveFilename
+;(Module as any)._resolveFilename = function (request: string, parent: any, isMain: boolean, options: any) {
+  if (request === 'electron') {
+    return require.resolve('../__mocks__/electron.ts')
+  }
+  return originalResolveFilename.call(this, request, parent, isMain, options)
+}
+
+afterAll(() => {
+  ;(Module as any)._resolveFilename = originalResolveFilename
+})
+
+vi.mock('../../src/ts/modules/utils', () => ({
+  log: vi.fn(),
+  logError: vi.fn(),
+  logWarn: vi.fn(),
+}))
+
+import * as secrets from '../../src/ts/modules/secrets'
+
+function getSafeStorage() {
+  return require('electron').safeStorage as {
+    isEncryptionAvailable: ReturnType<typeof vi.fn>
+    getSelectedStorageBackend: ReturnType<typeof vi.fn>
+    encryptString: ReturnType<typeof vi.fn>
+    decryptString: ReturnType<typeof vi.fn>
+  }
+}
+
+function createMockStore(initial: Record<string, unknown> = {}) {
+  const data: Record<string, unknown> = structuredClone(initial)
+  return {
+    data,
+    get: vi.fn((key: string) => data[key]),
+    set: vi.fn((key: string, value: unknown) => {
+      data[key] = value
+    }),
+  }
+}
+
+describe('secrets', () => {
+  beforeEach(() => {
+    const safeStorage = getSafeStorage()
+    safeStorage.isEncryptionAvailable.mockReturnValue(true)
+    safeStorage.getSelectedStorageBackend.mockReturnValue('gnome_libsecret')
+    safeStorage.decryptString.mockImplementation((buffer: Buffer) => buffer.toString().replace(/^sealed:/, ''))
+  })
+
+  describe('encryptSecret / decryptSecret', () => {
+    it('round-trips a secret through safeStorage', () => {
+      const sealed = secrets.encryptSecret('hunter2')
+
+      expect(sealed).toMatch(/^enc:v1:/)
+      expect(sealed).not.toContain('hunter2')
+      expect(secrets.decryptSecret(sealed)).toBe('hunter2')
+    })
+
+    it('does not double-encrypt', () => {
+      const sealed = secrets.encryptSecret('hunter2')
+      expect(secrets.encryptSecret(sealed)).toBe(sealed)
+    })
+
+    it('leaves empty values alone', () => {
+      expect(secrets.encryptSecret('')).toBe('')
+    })
+
+    it('passes legacy plaintext through decryptSecret', () => {
+      expect(secrets.decryptSecret('plain-password')).toBe('plain-password')
+    })
+
+    it('returns an empty string when decryption fails', () => {
+      getSafeStorage().decryptString.mockImplementation(() => {
+        throw new Error('keyring reset')
+      })
+      expect(secrets.decryptSecret('enc:v1:AAAA')).toBe('')
+    })
+  })
+
+  describe('insecure fallback', () => {
+    it('stores plaintext when encryption is unavailable', () => {
+      getSafeStorage().isEncryptionAvailable.mockReturnValue(false)
+
+      expect(secrets.encryptSecret('hunter2')).toBe('hunter2')
+      expect(secrets.getStorageInfo()).toEqual({ encrypted: false, backend: 'Plaintext (insecure)' })
+    })
+
+    it.runIf(process.platform === 'linux')('treats the basic_text backend as insecure', () => {
+      getSafeStorage().getSelectedStorageBackend.mockReturnValue('basic_text')
+
+      expect(secrets.isEncryptionAvailable()).toBe(false)
+    })
+
+    it.runIf(process.platform === 'linux')('labels the Linux backend in diagnostics', () => {
+      expect(secrets.getStorageInfo()).toEqual({ encrypted: true, backend: 'libsecret' })
+    })
+  })
+
+  describe('migratePlaintextSecrets', () => {
+    it('encrypts plaintext passwords in stored profiles', () => {
+      const store = createMockStore({
+        profiles: [
+          { id: 'a', name: 'Office', password: 'hunter2' },
+          { id: 'b', name: 'Warehouse', password: '' },
+        ],
+      })
+
+      secrets.migratePlaintextSecrets(store)
+
+      const [office, warehouse] = store.data.profiles as Array<Record<string, unknown>>
+      expect(office!.password).toMatch(/^enc:v1:/)
+      expect(secrets.decryptSecret(office!.password as string)).toBe('hunter2')
+      expect(warehouse!.password).toBe('')
+    })
+
+    it('does not rewrite the store when everything is already encrypted', () => {
+      const store = createMockStore({
+        profiles: [{ id: 'a', name: 'Office', password: secrets.encryptSecret('hunter2') }],
+      })
+
+      secrets.migratePlaintextSecrets(store)
+
+      expect(store.set).not.toHaveBeenCalled()
+    })
+
+    it('leaves plaintext in place when encryption is unavailable', () => {
+      getSafeStorage().isEncryptionAvailable.mockReturnValue(false)
+      const store = createMockStore({ profiles: [{ id: 'a', name: 'Office', password: 'hunter2' }] })
+
+      secrets.migratePlaintextSecrets(store)
+
+      expect(store.set).not.toHaveBeenCalled()
+    })
+  })
+})
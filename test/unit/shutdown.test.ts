@@ -0,0 +1,86 @@
+import { describe, it, expect, vi, beforeAll, beforeEach, afterEach, afterAll } from 'vitest'
+import Module from 'module'
+
+// shutdown.ts calls require('electron') at load time, which bypasses vi.mock.
+// eslint-disable-next-line @typescript-eslint/no-explicit-any
+const originalResolveFilename = (Module as any)._resolveFilename
+// eslint-disable-next-line @typescript-eslint/no-explicit-any
+;(Module as any)._resolveFilename = function (request: string, parent: any, isMain: boolean, options: any) {
+  if (request === 'electron') {
+    return require.resolve('../__mocks__/electron.ts')
+  }
+  return originalResolveFilename.call(this, request, parent, isMain, options)
+}
+
+afterAll(() => {
+  // eslint-disable-next-line @typescript-eslint/no-explicit-any
+  ;(Module as any)._resolveFilename = originalResolveFilename
+})
+
+vi.mock('../../src/ts/modules/utils', () => ({
+  log: vi.fn(),
+  logError: vi.fn(),
+  logWarn: vi.fn(),
+}))
+
+vi.mock('../../src/ts/modules/viewerWindows', () => ({ prepareForExit: vi.fn() }))
+vi.mock('../../src/ts/modules/controlSocket', () => ({ stop: vi.fn() }))
+vi.mock('../../src/ts/modules/httpApi', () => ({ stop: vi.fn() }))
+vi.mock('../../src/ts/modules/mqttBridge', () => ({ stop: vi.fn() }))
+
+import * as viewerWindows from '../../src/ts/modules/viewerWindows'
+import * as controlSocket from '../../src/ts/modules/controlSocket'
+import * as httpApi from '../../src/ts/modules/httpApi'
+import * as mqttBridge from '../../src/ts/modules/mqttBridge'
+import { SERVICES_STOP_TIMEOUT_MS } from '../../src/ts/modules/constants'
+
+// Imported after the require hook above is installed
+let shutdown: typeof import('../../src/ts/modules/shutdown')
+let electron: { app: Record<string, ReturnType<typeof vi.fn>> }
+
+beforeAll(async () => {
+  shutdown = await import('../../src/ts/modules/shutdown')
+  electron = require('electron')
+})
+
+describe('shutdown', () => {
+  beforeEach(() => {
+    vi.mocked(controlSocket.stop).mockResolvedValue(undefined)
+    vi.mocked(httpApi.stop).mockResolvedValue(undefined)
+    vi.mocked(mqttBridge.stop).mockResolvedValue(undefined)
+    electron.app.relaunch.mockClear()
+    electron.app.exit.mockClear()
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it('stops the services and keeps the windows before restarting', async () => {
+    let mqttStopped = false
+    vi.mocked(mqttBridge.stop).mockImplementation(async () => {
+      await Promise.resolve()
+      mqttStopped = true
+    })
+    electron.app.exit.mockImplementation(() => expect(mqttStopped).toBe(true))
+
+    await shutdown.restartApp()
+
+    expect(viewerWindows.prepareForExit).toHaveBeenCalled()
+    expect(controlSocket.stop).toHaveBeenCalled()
+    expect(httpApi.stop).toHaveBeenCalled()
+    expect(electron.app.relaunch).toHaveBeenCalled()
+    expect(electron.app.exit).toHaveBeenCalled()
+  })
+
+  it('gives up on a service that does not stop', async () => {
+    vi.useFakeTimers()
+    vi.mocked(mqttBridge.stop).mockReturnValue(new Promise(() => {}))
+
+    const restarted = shutdown.restartApp()
+    await vi.advanceTimersByTimeAsync(SERVICES_STOP_TIMEOUT_MS)
+    await restarted
+
+    expect(electron.app.exit).toHaveBeenCalled()
+  })
+})
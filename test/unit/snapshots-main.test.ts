@@ -0,0 +1,153 @@
+// @vitest-environment node
+import { describe, it, expect, vi, beforeAll, beforeEach, afterEach, afterAll } from 'vitest'
+import Module from 'module'
+import * as fs from 'node:fs'
+import * as os from 'node:os'
+import * as path from 'node:path'
+
+// snapshots-main.ts calls require('electron') at load time, which bypasses vi.mock.
+const originalResolveFilename = (Module as any)._resolveFilename
+;(Module as any)._resolveFilename = function (request: string, parent: any, isMain: boolean, options: any) {
+  if (request === 'electron') {
+    return require.resolve('../__mocks__/electron.ts')
+  }
+  return originalResolveFilename.call(this, request, parent, isMain, options)
+}
+
+afterAll(() => {
+  ;(Module as any)._resolveFilename = originalResolveFilename
+})
+
+vi.mock('../../src/ts/modules/utils', () => ({
+  log: vi.fn(),
+  logError: vi.fn(),
+}))
+
+// Imported after the require hook above is installed
+let snapshots: typeof import('../../src/ts/modules/snapshots-main')
+let clipboard: { writeImage: ReturnType<typeof vi.fn> }
+
+beforeAll(async () => {
+  snapshots = await import('../../src/ts/modules/snapshots-main')
+  clipboard = require('electron').clipboard
+})
+
+function createStore(values: Record<string, unknown>) {
+  return { get: (key: string) => values[key], set: vi.fn() }
+}
+
+describe('snapshots-main', () => {
+  describe('getSettings', () => {
+    it('defaults to PNG in the pictures folder, without copying', () => {
+      expect(snapshots.getSettings(createStore({}))).toEqual({
+        folder: path.join('/mock/pictures', 'UniFi Protect Viewer'),
+        format: 'png',
+        copyToClipboard: false,
+      })
+    })
+  })
+
+  describe('cameraFileName', () => {
+    it('names the file after the camera and the local time', () => {
+      const date = new Date(2026, 9, 19, 14, 3, 7)
+
+      expect(snapshots.cameraFileName('Front Door', date, 'png')).toBe('Front Door 2026-10-19 14-03-07.png')
+      expect(snapshots.cameraFileName('Front Door', date, 'webm')).toBe('Front Door 2026-10-19 14-03-07.webm')
+    })
+
+    it('replaces characters that file names cannot contain', () => {
+      const name = snapshots.cameraFileName('Gate: N/S "main"', new Date(2026, 0, 2, 3, 4, 5), 'png')
+      expect(name).toBe('Gate_ N_S _main_ 2026-01-02 03-04-05.png')
+    })
+  })
+
+  describe('parseSnapshotRequest', () => {
+    it('accepts a frame or the bounds of a tile', () => {
+      const image = new Uint8Array([1, 2, 3])
+      expect(snapshots.parseSnapshotRequest({ camera: 'Yard', image, rect: null })).toEqual({
+        camera: 'Yard',
+        image,
+        rect: null,
+      })
+      expect(
+        snapshots.parseSnapshotRequest({
+          camera: 'Yard',
+          image: null,
+          rect: { x: 10.4, y: 0, width: 320, height: 180 },
+        }),
+      ).toEqual({ camera: 'Yard', image: null, rect: { x: 10, y: 0, width: 320, height: 180 } })
+    })
+
+    it('rejects requests without a camera name or a usable picture', () => {
+      expect(snapshots.parseSnapshotRequest({ image: new Uint8Array([1]) })).toBeNull()
+      expect(snapshots.parseSnapshotRequest({ camera: 'Yard', image: null, rect: null })).toBeNull()
+      expect(
+        snapshots.parseSnapshotRequest({ camera: 'Yard', image: null, rect: { x: 0, y: 0, width: 0, height: 10 } }),
+      ).toBeNull()
+    })
+  })
+
+  describe('saveSnapshot', () => {
+    let folder: string
+
+    beforeEach(() => {
+      folder = fs.mkdtempSync(path.join(os.tmpdir(), 'upv-snapshots-'))
+      vi.useFakeTimers({ toFake: ['Date'] })
+      vi.setSystemTime(new Date(2026, 9, 19, 14, 3, 7))
+      clipboard.writeImage.mockClear()
+    })
+
+    afterEach(() => {
+      vi.useRealTimers()
+      fs.rmSync(folder, { recursive: true, force: true })
+    })
+
+    it('writes the frame in the chosen format, numbering stills taken in the same second', async () => {
+      const store = createStore({ snapshotFolder: path.join(folder, 'stills'), snapshotFormat: 'jpeg' })
+      const webContents = { capturePage: vi.fn() } as unknown as Electron.WebContents
+      const request = { camera: 'Front Door', image: new Uint8Array([1]), rect: null }
+
+      const first = await snapshots.saveSnapshot(webContents, store, request)
+      const second = await snapshots.saveSnapshot(webContents, store, request)
+
+      expect(first).toEqual({
+        ok: true,
+        path: path.join(folder, 'stills', 'Front Door 2026-10-19 14-03-07.jpg'),
+        copied: false,
+      })
+      expect(second.path).toBe(path.join(folder, 'stills', 'Front Door 2026-10-19 14-03-07 (2).jpg'))
+      expect(fs.readFileSync(first.path!, 'utf8')).toBe('jpeg')
+      expect(webContents.capturePage).not.toHaveBeenCalled()
+      expect(clipboard.writeImage).not.toHaveBeenCalled()
+    })
+
+    it('captures the tile from the page when there is no frame, and copies it if asked', async () => {
+      const image = { isEmpty: () => false, toPNG: () => Buffer.from('captured'), toJPEG: vi.fn() }
+      const webContents = { capturePage: vi.fn().mockResolvedValue(image) } as unknown as Electron.WebContents
+      const store = createStore({ snapshotFolder: folder, snapshotCopyToClipboard: true })
+      const rect = { x: 0, y: 40, width: 640, height: 360 }
+
+      const result = await snapshots.saveSnapshot(webContents, store, { camera: 'Yard', image: null, rect })
+
+      expect(webContents.capturePage).toHaveBeenCalledWith(rect)
+      expect(result).toMatchObject({ ok: true, copied: true })
+      expect(fs.readFileSync(result.path!, 'utf8')).toBe('captured')
+      expect(clipboard.writeImage).toHaveBeenCalledWith(image)
+    })
+
+    it('reports an empty capture instead of saving it', async () => {
+      const image = { isEmpty: () => true }
+      const webContents = { capturePage: vi.fn().mockResolvedValue(image) } as unknown as Electron.WebContents
+      const rect = { x: 0, y: 0, width: 10, height: 10 }
+
+      const result = await snapshots.saveSnapshot(webContents, createStore({ snapshotFolder: folder }), {
+        camera: 'Yard',
+        image: null,
+        rect,
+      })
+
+      expect(result.ok).toBe(false)
+      expect(fs.readdirSync(folder)).toEqual([])
+    })
+  })
+})
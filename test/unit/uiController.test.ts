@@ -72,6 +72,21 @@ describe('uiController', () => {
       expect(state.headerHidden).toBe(false)
     })
 
+    it('lets command-line launch options override stored values', async () => {
+      mockIpc.invoke.mockImplementation((channel) => {
+        if (channel === 'configLoad') return Promise.resolve({ hideNav: false, hideHeader: false })
+        if (channel === 'launchOptions:get') return Promise.resolve({ hideHeader: true })
+        if (channel === 'isFullScreen') return Promise.resolve(false)
+        return Promise.resolve({})
+      })
+
+      await uiController.initialize({ ipcRenderer: mockIpc })
+
+      const state = uiController.getState()
+      expect(state.navHidden).toBe(false)
+      expect(state.headerHidden).toBe(true)
+    })
+
     it('applies nav hidden state to DOM', async () => {
       mockIpc.invoke.mockImplementation((channel) => {
         if (channel === 'configLoad') return Promise.resolve({ hideNav: true })
@@ -206,6 +206,32 @@ describe('utils', () => {
     })
   })
 
+  describe('logInfo', () => {
+    let originalEnv: string | undefined
+
+    beforeEach(() => {
+      originalEnv = process.env.NODE_ENV
+      vi.spyOn(console, 'info').mockImplementation(() => {})
+    })
+
+    afterEach(() => {
+      process.env.NODE_ENV = originalEnv
+      vi.restoreAllMocks()
+    })
+
+    it('logs with args in development mode', () => {
+      process.env.NODE_ENV = 'development'
+      utils.logInfo('info:', 'details')
+      expect(console.info).toHaveBeenCalledWith('info:', 'details')
+    })
+
+    it('logs the message in production mode', () => {
+      process.env.NODE_ENV = 'production'
+      utils.logInfo('info:', 'details')
+      expect(console.info).toHaveBeenCalledWith('info:')
+    })
+  })
+
   describe('logger', () => {
     let originalEnv: string | undefined
 
@@ -0,0 +1,99 @@
+import { describe, it, expect, vi, beforeAll, beforeEach } from 'vitest'
+import type { ViewerEventMessage } from '../../src/ts/types/remoteControl'
+
+vi.mock('../../src/ts/modules/utils', () => ({
+  log: vi.fn(),
+  logError: vi.fn(),
+}))
+
+vi.mock('../../src/ts/modules/remoteControl', () => ({
+  getStatus: vi.fn(() => ({
+    ui: { navHidden: true, headerHidden: false, isFullscreen: true, widgetPanelExpanded: false },
+    page: 'dashboard',
+    liveview: null,
+    cameras: [{ position: 1, index: 0, name: 'Front Door' }],
+    zoomedCamera: { position: 1, index: 0, name: 'Front Door' },
+    kiosk: false,
+  })),
+}))
+
+let viewerEvents: typeof import('../../src/ts/modules/viewerEvents')
+
+beforeAll(async () => {
+  viewerEvents = await import('../../src/ts/modules/viewerEvents')
+})
+
+function createMockWindow() {
+  return { isDestroyed: () => false } as unknown as Electron.BrowserWindow
+}
+
+describe('viewerEvents', () => {
+  beforeEach(() => {
+    viewerEvents._resetViewerEvents()
+  })
+
+  it('publishes typed events with increasing sequence numbers', () => {
+    const main = createMockWindow()
+    viewerEvents.initialize(main)
+    const received: unknown[] = []
+    viewerEvents.subscribe((message) => received.push(message))
+
+    viewerEvents.publish(main, 'camera-zoom')
+    viewerEvents.publish(main, 'fullscreen-change')
+
+    expect(received).toEqual([
+      {
+        type: 'camera-zoom',
+        zoomedCamera: { position: 1, index: 0, name: 'Front Door' },
+        seq: 1,
+        timestamp: expect.any(Number),
+      },
+      { type: 'fullscreen-change', fullscreen: true, seq: 2, timestamp: expect.any(Number) },
+    ])
+  })
+
+  it('ignores windows other than the main window', () => {
+    viewerEvents.initialize(createMockWindow())
+    const listener = vi.fn()
+    viewerEvents.subscribe(listener)
+
+    viewerEvents.publish(createMockWindow(), 'ui-state')
+
+    expect(listener).not.toHaveBeenCalled()
+  })
+
+  it('stops delivering after unsubscribing, and isolates failing listeners', () => {
+    const main = createMockWindow()
+    viewerEvents.initialize(main)
+    const failing = vi.fn(() => {
+      throw new Error('boom')
+    })
+    const listener = vi.fn()
+    viewerEvents.subscribe(failing)
+    const unsubscribe = viewerEvents.subscribe(listener)
+
+    viewerEvents.publish(main, 'ui-state')
+    unsubscribe()
+    viewerEvents.publish(main, 'ui-state')
+
+    expect(failing).toHaveBeenCalledTimes(2)
+    expect(listener).toHaveBeenCalledTimes(1)
+  })
+
+  it('takes a snapshot of the full state in the same sequence', () => {
+    expect(viewerEvents.snapshot()).toBeNull()
+
+    const main = createMockWindow()
+    viewerEvents.initialize(main)
+    const received: ViewerEventMessage[] = []
+    viewerEvents.subscribe((message) => received.push(message))
+    viewerEvents.publish(main, 'dashboard-state')
+
+    expect(viewerEvents.snapshot()).toMatchObject({ type: 'snapshot', seq: 1, status: { page: 'dashboard' } })
+
+    // Snapshots for new subscribers leave no gap for existing ones
+    viewerEvents.snapshot()
+    viewerEvents.publish(main, 'dashboard-state')
+    expect(received.map((message) => message.seq)).toEqual([1, 2])
+  })
+})
@@ -0,0 +1,294 @@
+import { describe, it, expect, vi, beforeAll, beforeEach, afterAll } from 'vitest'
+import Module from 'module'
+import path from 'path'
+
+// viewerWindows.ts calls require('electron') at load time and lazily requires
+// './ipc' and './menu' to wire up new windows; both bypass vi.mock.
+const mockIpc = { attachWindow: vi.fn() }
+const mockMenu = { trackWindow: vi.fn(), updateKioskState: vi.fn() }
+
+// eslint-disable-next-line @typescript-eslint/no-explicit-any
+const originalResolveFilename = (Module as any)._resolveFilename
+// eslint-disable-next-line @typescript-eslint/no-explicit-any
+;(Module as any)._resolveFilename = function (request: string, parent: any, isMain: boolean, options: any) {
+  if (request === 'electron') {
+    return require.resolve('../__mocks__/electron.ts')
+  }
+  if (parent?.filename?.includes(path.join('src', 'ts', 'modules'))) {
+    if (request === './ipc') return '__mock__viewer_ipc__'
+    if (request === './menu') return '__mock__viewer_menu__'
+  }
+  return originalResolveFilename.call(this, request, parent, isMain, options)
+}
+
+for (const [id, exports] of [
+  ['__mock__viewer_ipc__', mockIpc],
+  ['__mock__viewer_menu__', mockMenu],
+] as const) {
+  require.cache[id] = { id, filename: id, loaded: true, exports } as unknown as NodeModule
+}
+
+afterAll(() => {
+  // eslint-disable-next-line @typescript-eslint/no-explicit-any
+  ;(Module as any)._resolveFilename = originalResolveFilename
+  delete require.cache['__mock__viewer_ipc__']
+  delete require.cache['__mock__viewer_menu__']
+})
+
+vi.mock('../../src/ts/modules/utils', () => ({
+  log: vi.fn(),
+  logError: vi.fn(),
+  logWarn: vi.fn(),
+}))
+
+vi.mock('../../src/ts/modules/prompt', () => ({ showPrompt: vi.fn() }))
+
+vi.mock('../../src/ts/modules/window', () => ({
+  DEFAULT_WIDTH: 1270,
+  DEFAULT_HEIGHT: 750,
+  createExtraWindow: vi.fn(),
+}))
+
+import * as windowManager from '../../src/ts/modules/window'
+
+// Imported after the require hook above is installed
+let viewerWindows: typeof import('../../src/ts/modules/viewerWindows')
+let kiosk: typeof import('../../src/ts/modules/kiosk')
+let electron: {
+  screen: Record<string, ReturnType<typeof vi.fn>>
+  app: { on: ReturnType<typeof vi.fn> }
+}
+
+beforeAll(async () => {
+  viewerWindows = await import('../../src/ts/modules/viewerWindows')
+  kiosk = await import('../../src/ts/modules/kiosk')
+  electron = require('electron')
+})
+
+const displays = [
+  { id: 1, size: { width: 1920, height: 1080 }, workArea: { x: 0, y: 0, width: 1920, height: 1040 } },
+  { id: 2, size: { width: 1280, height: 720 }, workArea: { x: 1920, y: 0, width: 1280, height: 720 } },
+]
+
+function createStore(initial: Record<string, unknown> = {}) {
+  const data: Record<string, unknown> = { ...initial }
+  return {
+    store: data,
+    get: (key: string) => data[key],
+    set: vi.fn((key: string, value: unknown) => {
+      data[key] = value
+    }),
+  }
+}
+
+function createMockWindow(url = 'https://nvr.local/protect/dashboard/2') {
+  const handlers: Record<string, Function[]> = {}
+  return {
+    on: vi.fn((event: string, handler: Function) => {
+      ;(handlers[event] ||= []).push(handler)
+    }),
+    isDestroyed: vi.fn().mockReturnValue(false),
+    isFullScreen: vi.fn().mockReturnValue(false),
+    isKiosk: vi.fn().mockReturnValue(false),
+    isAlwaysOnTop: vi.fn().mockReturnValue(false),
+    setKiosk: vi.fn(),
+    setFullScreen: vi.fn(),
+    setAlwaysOnTop: vi.fn(),
+    setMenuBarVisibility: vi.fn(),
+    setAutoHideMenuBar: vi.fn(),
+    getBounds: vi.fn().mockReturnValue({ x: 1930, y: 10, width: 1200, height: 700 }),
+    webContents: {
+      getURL: vi.fn().mockReturnValue(url),
+      on: vi.fn(),
+      isDevToolsOpened: vi.fn().mockReturnValue(false),
+      closeDevTools: vi.fn(),
+    },
+    trigger(event: string) {
+      for (const handler of handlers[event] || []) handler()
+    },
+  }
+}
+
+describe('viewerWindows', () => {
+  beforeEach(() => {
+    viewerWindows._resetViewerWindows()
+    kiosk._resetKioskState()
+    vi.mocked(windowManager.createExtraWindow).mockReset()
+    mockIpc.attachWindow.mockClear()
+    mockMenu.trackWindow.mockClear()
+    electron.screen.getAllDisplays.mockReturnValue(displays)
+    electron.screen.getPrimaryDisplay.mockReturnValue(displays[0])
+    electron.screen.getDisplayMatching.mockReturnValue(displays[1])
+  })
+
+  describe('openWindow', () => {
+    it('saves a new window on the chosen display and wires it up', () => {
+      const win = createMockWindow()
+      vi.mocked(windowManager.createExtraWindow).mockReturnValue(win as unknown as Electron.BrowserWindow)
+      const store = createStore()
+
+      viewerWindows.openWindow(store, 2)
+
+      const [saved] = viewerWindows.listSavedWindows(store)
+      expect(saved).toMatchObject({ displayId: 2, bounds: { x: 1925, y: 0 } })
+      expect(windowManager.createExtraWindow).toHaveBeenCalledWith(store, saved)
+      expect(mockIpc.attachWindow).toHaveBeenCalledWith(win)
+      expect(mockMenu.trackWindow).toHaveBeenCalledWith(win)
+      expect(viewerWindows.isExtraWindow(win as unknown as Electron.BrowserWindow)).toBe(true)
+    })
+
+    it('falls back to the primary display for an unknown ID', () => {
+      vi.mocked(windowManager.createExtraWindow).mockReturnValue(createMockWindow() as never)
+      const store = createStore()
+
+      viewerWindows.openWindow(store, 99)
+
+      expect(viewerWindows.listSavedWindows(store)[0]!.displayId).toBe(1)
+    })
+  })
+
+  describe('saving and closing', () => {
+    function restoreOne(state: Record<string, unknown>) {
+      const win = createMockWindow()
+      vi.mocked(windowManager.createExtraWindow).mockReturnValue(win as unknown as Electron.BrowserWindow)
+      const store = createStore({ windows: [state] })
+      viewerWindows.restoreWindows(store)
+      return { win, store }
+    }
+
+    it('saves the URL, bounds and display when the window closes', () => {
+      const { win, store } = restoreOne({ id: 'w1', url: 'https://nvr.local/protect/dashboard/1' })
+
+      win.trigger('close')
+
+      expect(viewerWindows.listSavedWindows(store)).toEqual([
+        {
+          id: 'w1',
+          url: 'https://nvr.local/protect/dashboard/2',
+          fullscreen: false,
+          bounds: { x: 1930, y: 10, width: 1200, height: 700 },
+          displayId: 2,
+        },
+      ])
+    })
+
+    it('keeps the last page URL when closed on the config page', () => {
+      const { win, store } = restoreOne({ id: 'w1', url: 'https://nvr.local/protect/dashboard/1' })
+      win.webContents.getURL.mockReturnValue('app://local/src/html/config.html')
+
+      win.trigger('close')
+
+      expect(viewerWindows.listSavedWindows(store)[0]!.url).toBe('https://nvr.local/protect/dashboard/1')
+    })
+
+    it('forgets a window the user closes', () => {
+      const { win, store } = restoreOne({ id: 'w1' })
+
+      win.trigger('close')
+      win.trigger('closed')
+
+      expect(viewerWindows.listSavedWindows(store)).toEqual([])
+      expect(viewerWindows.isExtraWindow(win as unknown as Electron.BrowserWindow)).toBe(false)
+    })
+
+    it('keeps windows that are open when the app quits', () => {
+      const { win, store } = restoreOne({ id: 'w1' })
+      const beforeQuit = electron.app.on.mock.calls.find(([event]) => event === 'before-quit')![1]
+
+      beforeQuit()
+      win.trigger('close')
+      win.trigger('closed')
+
+      expect(viewerWindows.listSavedWindows(store)).toHaveLength(1)
+    })
+
+    it('keeps and saves windows on restart, which exits without closing them', () => {
+      const { win, store } = restoreOne({ id: 'w1', url: 'https://nvr.local/protect/dashboard/1' })
+
+      // Restart: prepareForExit(), app.relaunch(), app.exit() — no before-quit, no close
+      viewerWindows.prepareForExit()
+      win.trigger('closed')
+
+      expect(viewerWindows.listSavedWindows(store)).toEqual([
+        {
+          id: 'w1',
+          url: 'https://nvr.local/protect/dashboard/2',
+          fullscreen: false,
+          bounds: { x: 1930, y: 10, width: 1200, height: 700 },
+          displayId: 2,
+        },
+      ])
+    })
+
+    it('keeps windows destroyed without being closed', () => {
+      const { win, store } = restoreOne({ id: 'w1' })
+
+      win.trigger('closed')
+
+      expect(viewerWindows.listSavedWindows(store)).toHaveLength(1)
+    })
+  })
+
+  describe('per-window settings', () => {
+    it('keeps nav/header visibility on the extra window', () => {
+      const win = createMockWindow() as unknown as Electron.BrowserWindow
+      vi.mocked(windowManager.createExtraWindow).mockReturnValue(win)
+      const store = createStore({ windows: [{ id: 'w1' }] })
+      viewerWindows.restoreWindows(store)
+
+      const rest = viewerWindows.saveWindowSettings(store, win, { hideNav: true, loginAttempts: 0 })
+
+      expect(rest).toEqual({ loginAttempts: 0 })
+      expect(viewerWindows.listSavedWindows(store)[0]).toMatchObject({ hideNav: true })
+      expect(viewerWindows.resolveWindowConfig(store, win, { url: 'https://nvr.local/', hideHeader: true })).toEqual({
+        url: 'https://nvr.local/',
+        hideNav: true,
+        hideHeader: false,
+      })
+    })
+
+    it('passes the main window through unchanged', () => {
+      const main = createMockWindow() as unknown as Electron.BrowserWindow
+      const store = createStore()
+      const config = { hideNav: true }
+
+      expect(viewerWindows.saveWindowSettings(store, main, config)).toBe(config)
+      expect(viewerWindows.resolveWindowConfig(store, main, config)).toBe(config)
+    })
+  })
+
+  describe('kiosk mode', () => {
+    it('pins restored windows fullscreen and on top while kiosk mode is on', async () => {
+      kiosk.enterKiosk(createMockWindow() as unknown as Electron.BrowserWindow, createStore(), { persist: false })
+      const win = createMockWindow()
+      vi.mocked(windowManager.createExtraWindow).mockReturnValue(win as unknown as Electron.BrowserWindow)
+
+      viewerWindows.restoreWindows(createStore({ windows: [{ id: 'w1', displayId: 2 }] }))
+
+      expect(win.setKiosk).toHaveBeenCalledWith(true)
+      expect(win.setFullScreen).toHaveBeenCalledWith(true)
+      expect(win.setAlwaysOnTop).toHaveBeenCalledWith(true, 'screen-saver')
+      expect(win.setMenuBarVisibility).toHaveBeenCalledWith(false)
+
+      // Taken out of fullscreen, e.g. by a display being unplugged and plugged back in
+      win.setFullScreen.mockClear()
+      win.trigger('leave-full-screen')
+      await vi.waitFor(() => expect(win.setFullScreen).toHaveBeenCalledWith(true))
+    })
+
+    it('releases extra windows when kiosk mode ends', () => {
+      const main = createMockWindow() as unknown as Electron.BrowserWindow
+      const store = createStore({ windows: [{ id: 'w1' }] })
+      const win = createMockWindow()
+      vi.mocked(windowManager.createExtraWindow).mockReturnValue(win as unknown as Electron.BrowserWindow)
+      viewerWindows.restoreWindows(store)
+
+      kiosk.enterKiosk(main, store)
+      expect(win.setKiosk).toHaveBeenLastCalledWith(true)
+
+      kiosk.exitKiosk(main, store)
+      expect(win.setKiosk).toHaveBeenLastCalledWith(false)
+      expect(win.setAlwaysOnTop).toHaveBeenLastCalledWith(false)
+    })
+  })
+})
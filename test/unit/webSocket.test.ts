@@ -0,0 +1,52 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest'
+import { acceptKey, decodeFrame, encodeFrame } from '../../src/ts/modules/webSocket'
+
+/** Build a masked frame the way a client sends it */
+function clientFrame(opcode: number, payload: Buffer, mask = Buffer.from([1, 2, 3, 4])): Buffer {
+  const masked = Buffer.from(payload.map((byte, i) => byte ^ mask[i % 4]!))
+  const header =
+    payload.length < 126
+      ? Buffer.from([0x80 | opcode, 0x80 | payload.length])
+      : Buffer.from([0x80 | opcode, 0x80 | 126, payload.length >> 8, payload.length & 0xff])
+  return Buffer.concat([header, mask, masked])
+}
+
+describe('webSocket', () => {
+  it('computes the handshake accept key', () => {
+    // Example from RFC 6455, section 1.3
+    expect(acceptKey('dGhlIHNhbXBsZSBub25jZQ==')).toBe('s3pPLMBiTxaQ9kYGzzhZRbK+xOo=')
+  })
+
+  it('encodes frames with 7-, 16- and 64-bit lengths', () => {
+    expect([...encodeFrame(0x1, Buffer.from('hi'))]).toEqual([0x81, 2, 0x68, 0x69])
+
+    const medium = encodeFrame(0x1, Buffer.alloc(300))
+    expect([...medium.subarray(0, 4)]).toEqual([0x81, 126, 1, 44])
+    expect(medium.length).toBe(304)
+
+    const large = encodeFrame(0x1, Buffer.alloc(70000))
+    expect(large[1]).toBe(127)
+    expect(large.readBigUInt64BE(2)).toBe(70000n)
+  })
+
+  it('decodes masked client frames', () => {
+    const frame = decodeFrame(clientFrame(0x9, Buffer.from('ping')))
+
+    expect(frame).toMatchObject({ opcode: 0x9, size: 10 })
+    expect((frame as { payload: Buffer }).payload.toString()).toBe('ping')
+  })
+
+  it('waits for the rest of a partial frame', () => {
+    const whole = clientFrame(0x1, Buffer.alloc(200, 0x61))
+
+    expect(decodeFrame(whole.subarray(0, 1))).toBeNull()
+    expect(decodeFrame(whole.subarray(0, 100))).toBeNull()
+    expect(decodeFrame(whole)).toMatchObject({ size: whole.length })
+  })
+
+  it('refuses unmasked and oversized frames', () => {
+    expect(decodeFrame(Buffer.from([0x81, 2, 0x68, 0x69]))).toBeInstanceOf(Error)
+    expect(decodeFrame(clientFrame(0x1, Buffer.alloc(5000)))).toBeInstanceOf(Error)
+  })
+})
@@ -49,12 +49,14 @@ function getElectronMock() {
     nativeTheme: { shouldUseDarkColors: boolean }
     session: { defaultSession: { flushStorageData: ReturnType<typeof vi.fn> } }
     globalShortcut: { unregisterAll: ReturnType<typeof vi.fn> }
+    screen: { getAllDisplays: ReturnType<typeof vi.fn> }
   }
 }
 
 /** Create a mock BrowserWindow instance that captures event handlers. */
 function createMockWindowInstance() {
   const eventHandlers: Record<string, Function[]> = {}
+  const webContentsHandlers: Record<string, Function[]> = {}
 
   const instance = {
     on: vi.fn((event: string, handler: Function) => {
@@ -66,13 +68,21 @@ function createMockWindowInstance() {
       eventHandlers[event].push(handler)
     }),
     show: vi.fn(),
+    showInactive: vi.fn(),
+    close: vi.fn(),
+    setAlwaysOnTop: vi.fn(),
+    setVisibleOnAllWorkspaces: vi.fn(),
     loadURL: vi.fn(),
     setTitle: vi.fn(),
     getBounds: vi.fn().mockReturnValue({ x: 0, y: 0, width: 1270, height: 750 }),
     isDestroyed: vi.fn().mockReturnValue(false),
+    isFullScreen: vi.fn().mockReturnValue(false),
+    isMinimized: vi.fn().mockReturnValue(false),
     webContents: {
       setUserAgent: vi.fn(),
-      on: vi.fn(),
+      on: vi.fn((event: string, handler: Function) => {
+        ;(webContentsHandlers[event] ||= []).push(handler)
+      }),
       once: vi.fn(),
       openDevTools: vi.fn(),
       toggleDevTools: vi.fn(),
@@ -84,6 +94,12 @@ function createMockWindowInstance() {
         handler(...args)
       }
     },
+    /** Trigger all webContents handlers registered for the given event name. */
+    triggerWebContentsEvent(name: string, ...args: any[]) {
+      for (const handler of webContentsHandlers[name] || []) {
+        handler(...args)
+      }
+    },
   }
 
   return instance
@@ -181,4 +197,55 @@ describe('window.ts', () => {
       expect(opts.backgroundColor).toBe('#f0f0f0')
     })
   })
+  describe('extra windows', () => {
+    it('opens with its own bounds, fullscreen state and URL', async () => {
+      electron.screen.getAllDisplays.mockReturnValueOnce([
+        { id: 2, workArea: { x: 1920, y: 0, width: 1920, height: 1080 } },
+      ])
+      const { createExtraWindow } = await loadWindowModule()
+      createExtraWindow(createMockStore(), {
+        id: 'w1',
+        url: 'https://protect.local/protect/dashboard/2',
+        fullscreen: true,
+        bounds: { x: 1930, y: 10, width: 1200, height: 700 },
+      })
+
+      const opts = electron.BrowserWindow.mock.calls[0][0]
+      expect(opts).toMatchObject({ x: 1930, y: 10, width: 1200, height: 700, fullscreen: true })
+      expect(mockWindow.loadURL).toHaveBeenCalledWith('https://protect.local/protect/dashboard/2')
+    })
+
+    it('does not quit the app when closed', async () => {
+      const { createExtraWindow } = await loadWindowModule()
+      createExtraWindow(createMockStore(), { id: 'w1' })
+      electron.app.quit.mockClear()
+
+      mockWindow.triggerEvent('closed')
+
+      expect(electron.app.quit).not.toHaveBeenCalled()
+      expect(mockWindow.loadURL).toHaveBeenCalledWith('https://protect.local')
+    })
+  })
+
+  describe('pop-out window', () => {
+    it('closes when its page fails to load, since its controls live in the page', async () => {
+      const { createPopoutWindow } = await loadWindowModule()
+      createPopoutWindow(createMockStore(), { x: 0, y: 0, width: 480, height: 270 })
+
+      // Aborted loads and failed sub-frames are not errors of the page
+      mockWindow.triggerWebContentsEvent('did-fail-load', {}, -3, 'ERR_ABORTED', 'https://protect.local', true)
+      mockWindow.triggerWebContentsEvent('did-fail-load', {}, -105, 'ERR_NAME_NOT_RESOLVED', 'https://ads.local', false)
+      expect(mockWindow.close).not.toHaveBeenCalled()
+
+      mockWindow.triggerWebContentsEvent(
+        'did-fail-load',
+        {},
+        -105,
+        'ERR_NAME_NOT_RESOLVED',
+        'https://protect.local',
+        true,
+      )
+      expect(mockWindow.close).toHaveBeenCalled()
+    })
+  })
 })